@@ -3,58 +3,116 @@
  * RSVP Reader with gesture-based controls
  */
 
-import { PersistenceLayer, generateDocumentId } from './src/persistence.js';
-import { tokenize, getDisplayDuration, estimateReadingTime, formatTime } from './src/engine/tokenizer.js';
+import { PersistenceLayer, generateDocumentId, findLegacyDocument, findLegacyCandidates, isSameText } from './src/persistence.js';
+import {
+    TIMING_PROFILE_KEYS,
+    ZWJ,
+    splitGraphemes,
+    getTextDirection,
+    joinsAcross,
+    resolveTimingProfile,
+    retimeTokens,
+    tokenize,
+    tokenizeSections
+} from './src/engine/tokenizer.js';
 import { PlaybackController } from './src/engine/playback.js';
-import { parseEpub, isEpubFile } from './src/importers/epub.js';
+import { RampController, RAMP_PRESETS, normalizeProgram } from './src/engine/ramp.js';
+import { AdaptivePacer, summarizePacing, PACING_HISTORY_LIMIT } from './src/engine/pacing.js';
+import { buildTimeIndex, estimateRangeMs, estimateDocumentMs, formatDuration, formatClock } from './src/engine/estimate.js';
+import { createAnnotation, buildSnippet } from './src/engine/annotations.js';
+import { leadInIndex } from './src/engine/search.js';
+import { buildContextView } from './src/engine/context.js';
+import { DocumentSearch } from './src/document-search.js';
+import { SyncManager } from './src/sync.js';
+import { isStaleTokenRecord, rebuildTokenCache } from './src/token-cache.js';
+import { getStorageEstimate, requestPersistentStorage, isFinished, formatBytes, formatWordCount } from './src/storage.js';
+import { DEFAULT_QUERY, LIBRARY_SORTS, queryLibrary, parseTags, collectTags, addCollection } from './src/library.js';
+import { SessionTracker, summarizeSessions, dailyActivity, weeklySpeed, bookStats } from './src/stats.js';
+import { BACKUP_STORES, buildBackupArchive, readBackupArchive, planRestore, backupFileName } from './src/backup.js';
+import { EXPORT_FORMATS, sectionsFromSource, sectionsFromTokens, exportFileName, exportDocument } from './src/exporters/document.js';
+import { parseEpub, splitAtAnchors, locateAnchors, anchorChapters, anchorToc } from './src/importers/epub.js';
+import { Haptics } from './src/device.js';
+
+// ============================================================
+// BUILD VERSION
+// ============================================================
+const BUILD_ID = '20260117d';
+
+const SEARCH_DEBOUNCE_MS = 150;
+const SEARCH_CONTEXT_WORDS = 6;  // Words either side of a match in the results list
+const SEARCH_HINT = 'Type a word or phrase. Keyboard: /';
+
+const NAVIGATION_LABELS = {
+    previousSentence: '‹ Sentence',
+    nextSentence: 'Sentence ›',
+    previousParagraph: '« Paragraph',
+    nextParagraph: 'Paragraph »'
+};
+
+// Ramp program editor: inputs per stage type, in display order
+const RAMP_STAGE_TITLES = { ramp: 'Ramp', hold: 'Hold', interval: 'Intervals' };
+const RAMP_STAGE_FIELDS = {
+    ramp: [['fromWpm', 'From'], ['toWpm', 'To'], ['minutes', 'Min'], ['curve', 'Curve']],
+    hold: [['wpm', 'WPM'], ['minutes', 'Min']],
+    interval: [['sprintWpm', 'Sprint'], ['recoveryWpm', 'Recovery'], ['sprintSeconds', 'Sprint sec'], ['recoverySeconds', 'Recovery sec'], ['rounds', 'Rounds']]
+};
+const RAMP_CURVE_NAMES = { linear: 'Linear', 'ease-in': 'Ease in', step: 'Steps' };
+const RAMP_SAVE_INTERVAL_MS = 15000;  // Ramp progress saved this often while it runs
+
+// ============================================================
+// MAIN APPLICATION
+// ============================================================
 
 class SpeedReaderApp {
     constructor() {
-        // Core state
         this.persistence = new PersistenceLayer();
         this.playback = null;
         this.currentDocument = null;
         this.tokens = [];
+        this.timeIndex = buildTimeIndex([]);
+        this.settings = { defaultWPM: 300, fontSize: 48, showGuides: true, flowMode: false, mode: 'reading', customTimingProfiles: [], chunkWords: 1, chunkMaxChars: 16, fontScale: this.getDefaultScale(), fontFamily: "'Lexend'", librarySort: 'recent', collections: [], contextPeek: true, rewindOnResume: false, adaptivePacing: false, pacingMinWpm: 150, pacingMaxWpm: 600, pacingCheckIns: true, rampPresets: [] };
+        // Library search and filters; only the sort order is saved
+        this.libraryQuery = { ...DEFAULT_QUERY };
+        this.libraryDocs = [];
+        // Program being edited in the ramp modal, null for the single ramp
+        this.rampDraft = null;
+        this.lastRampSave = 0;
+        this.wasPlaying = false;
+        this.sessionTracker = new SessionTracker();
+        this.documentSearch = new DocumentSearch();
+        this.searchTimer = null;
+        // Tuning overlay state
+        this.tuningTimeout = null;
+        this.longPressTimer = null;
+        this.longPressDuration = 400; // ms to trigger long press
+
+        this.sync = new SyncManager(this.persistence, {
+            onApplied: (records) => this.handleRemoteChanges(records),
+            onStatus: (status, state) => this.updateSyncStatus(status, state)
+        });
 
-        // Settings
-        this.settings = {
-            defaultWPM: 300,
-            fontSize: 48,
-            showGuides: true,
-            flowMode: false,
-            mode: 'reading'
-        };
-
-        // Gesture state
-        this.gestureState = {
-            isDragging: false,
-            startY: 0,
-            startWPM: 0,
-            lastTap: 0
-        };
-
-        // Initialize
         this.initElements();
         this.initPlayback();
         this.initEventListeners();
-        this.loadSettings();
-        this.loadLibrary();
-    }
+        // The library needs settings first for its sort order and collections
+        this.loadSettings().then(() => {
+            this.loadLibrary();
+            this.sync.flush();
+        });
 
-    // ============ Initialization ============
+        console.log('Red Read build:', BUILD_ID);
+        // Display version in library footer
+        const versionLabel = document.getElementById('version-label');
+        if (versionLabel) versionLabel.textContent = 'v' + BUILD_ID;
+    }
 
     initElements() {
-        // Views
         this.libraryView = document.getElementById('library-view');
         this.readerView = document.getElementById('reader-view');
-
-        // Library elements
-        this.importBtn = document.getElementById('import-btn');
+        this.dropZone = document.getElementById('drop-zone');
         this.fileInput = document.getElementById('file-input');
         this.recentList = document.getElementById('recent-list');
         this.settingsBtn = document.getElementById('settings-btn');
-
-        // Reader elements
         this.backBtn = document.getElementById('back-btn');
         this.docTitle = document.getElementById('doc-title');
         this.readerSettingsBtn = document.getElementById('reader-settings-btn');
@@ -62,445 +120,818 @@ class SpeedReaderApp {
         this.wordBefore = document.getElementById('word-before');
         this.wordPivot = document.getElementById('word-pivot');
         this.wordAfter = document.getElementById('word-after');
-
-        // Tap zones
-        this.tapLeft = document.getElementById('tap-left');
-        this.tapCenter = document.getElementById('tap-center');
-        this.tapRight = document.getElementById('tap-right');
-
-        // Progress
         this.progressSlider = document.getElementById('progress-slider');
         this.progressCurrent = document.getElementById('progress-current');
         this.progressTotal = document.getElementById('progress-total');
-
-        // WPM
-        this.wpmValue = document.getElementById('wpm-value');
-        this.modeIndicator = document.getElementById('mode-indicator');
-
-        // Playback controls
+        this.timeLeft = document.getElementById('time-left');
         this.playBtn = document.getElementById('play-btn');
         this.iconPlay = document.getElementById('icon-play');
         this.iconPause = document.getElementById('icon-pause');
         this.prevBtn = document.getElementById('prev-btn');
         this.nextBtn = document.getElementById('next-btn');
-        this.rewindBtn = document.getElementById('rewind-btn');
-        this.wpmDownBtn = document.getElementById('wpm-down-btn');
-        this.wpmUpBtn = document.getElementById('wpm-up-btn');
-
-        // Settings panel
         this.settingsPanel = document.getElementById('settings-panel');
+        this.tocBtn = document.getElementById('toc-btn');
+        this.tocPanel = document.getElementById('toc-panel');
+        this.tocList = document.getElementById('toc-list');
+        this.closeTocBtn = document.getElementById('close-toc');
+        this.bookmarksBtn = document.getElementById('bookmarks-btn');
+        this.bookmarksPanel = document.getElementById('bookmarks-panel');
+        this.closeBookmarksBtn = document.getElementById('close-bookmarks');
+        this.searchBtn = document.getElementById('search-btn');
+        this.searchPanel = document.getElementById('search-panel');
+        this.closeSearchBtn = document.getElementById('close-search');
+        this.searchInput = document.getElementById('search-input');
+        this.searchStatus = document.getElementById('search-status');
+        this.searchResults = document.getElementById('search-results');
+        this.addBookmarkBtn = document.getElementById('add-bookmark-btn');
+        this.addHighlightBtn = document.getElementById('add-highlight-btn');
+        this.bookmarkList = document.getElementById('bookmark-list');
+        this.bookmarkEmpty = document.getElementById('bookmark-empty');
         this.closeSettingsBtn = document.getElementById('close-settings');
         this.fontSizeSetting = document.getElementById('font-size-setting');
         this.fontSizeLabel = document.getElementById('font-size-label');
+        this.fontFamilySetting = document.getElementById('font-family-setting');
         this.defaultWpmSetting = document.getElementById('default-wpm-setting');
         this.showGuidesSetting = document.getElementById('show-guides-setting');
         this.flowModeSetting = document.getElementById('flow-mode-setting');
+        this.contextPeekSetting = document.getElementById('context-peek-setting');
+        this.rewindOnResumeSetting = document.getElementById('rewind-on-resume-setting');
         this.clearLibraryBtn = document.getElementById('clear-library-btn');
+        this.syncEndpointSetting = document.getElementById('sync-endpoint-setting');
+        this.syncTokenSetting = document.getElementById('sync-token-setting');
+        this.syncNowBtn = document.getElementById('sync-now-btn');
+        this.syncStatus = document.getElementById('sync-status');
+        this.exportLibraryBtn = document.getElementById('export-library-btn');
+        this.importLibraryBtn = document.getElementById('import-library-btn');
+        this.backupInput = document.getElementById('backup-input');
+        this.restoreModal = document.getElementById('restore-modal');
+        this.restoreSummary = document.getElementById('restore-summary');
+        this.restoreMergeBtn = document.getElementById('restore-merge-btn');
+        this.restoreReplaceBtn = document.getElementById('restore-replace-btn');
+        this.restoreCancelBtn = document.getElementById('restore-cancel-btn');
+        this.pendingBackup = null;
+        this.storageStatus = document.getElementById('storage-status');
+        this.manageStorageBtn = document.getElementById('manage-storage-btn');
+        this.storageModal = document.getElementById('storage-modal');
+        this.storageSummary = document.getElementById('storage-summary');
+        this.storageList = document.getElementById('storage-list');
+        this.storageFreeFinishedBtn = document.getElementById('storage-free-finished-btn');
+        this.storageCloseBtn = document.getElementById('storage-close-btn');
+        this.statsBtn = document.getElementById('stats-btn');
+        this.statsModal = document.getElementById('stats-modal');
+        this.statsEmpty = document.getElementById('stats-empty');
+        this.statsDetails = document.getElementById('stats-details');
+        this.statsSummary = document.getElementById('stats-summary');
+        this.statsDaily = document.getElementById('stats-daily');
+        this.statsSpeed = document.getElementById('stats-speed');
+        this.statsBooks = document.getElementById('stats-books');
+        this.statsCloseBtn = document.getElementById('stats-close-btn');
+        this.modeToggleGroup = document.getElementById('mode-toggle-group');
         this.modeToggleBtns = document.querySelectorAll('.toggle-btn[data-mode]');
-
-        // Loading
+        this.addProfileBtn = document.getElementById('add-profile-btn');
+        this.profileEditor = document.getElementById('profile-editor');
+        this.profileNameInput = document.getElementById('profile-name');
+        this.deleteProfileBtn = document.getElementById('delete-profile-btn');
+        this.profileInputs = document.querySelectorAll('.profile-input');
+        this.chunkWordsBtns = document.querySelectorAll('.toggle-btn[data-chunk-words]');
+        this.chunkWidthSetting = document.getElementById('chunk-width-setting');
+        this.chunkWidthLabel = document.getElementById('chunk-width-label');
         this.loadingOverlay = document.getElementById('loading-overlay');
         this.loadingText = document.getElementById('loading-text');
+        // Tuning overlay elements
+        this.tuningOverlay = document.getElementById('tuning-overlay');
+        this.tuningWpmSlider = document.getElementById('tuning-wpm-slider');
+        this.tuningWpmValue = document.getElementById('tuning-wpm-value');
+        this.tuningScaleSlider = document.getElementById('tuning-scale-slider');
+        this.tuningScaleValue = document.getElementById('tuning-scale-value');
+        this.skipToContentBtn = document.getElementById('skip-to-content-btn');
+        // Guide elements for JS positioning
+        this.focusGuides = document.getElementById('focus-guides');
+        this.guideTop = document.getElementById('guide-top');
+        this.guideBottom = document.getElementById('guide-bottom');
+        this.guideTickTop = document.getElementById('guide-tick-top');
+        this.guideTickBottom = document.getElementById('guide-tick-bottom');
+        this.wordContainer = document.querySelector('.word-container');
+        // Quick adjust overlay elements
+        this.quickAdjustBtn = document.getElementById('quick-adjust-btn');
+        this.quickAdjustOverlay = document.getElementById('quick-adjust-overlay');
+        this.contextPeek = document.getElementById('context-peek');
+        this.contextPeekText = document.getElementById('context-peek-text');
+        this.quickFontSlider = document.getElementById('quick-font-slider');
+        this.quickFontLabel = document.getElementById('quick-font-label');
+        this.quickWpmSlider = document.getElementById('quick-wpm-slider');
+        this.quickWpmLabel = document.getElementById('quick-wpm-label');
+        // Chapter overlay and navigation
+        this.chapterOverlay = document.getElementById('chapter-overlay');
+        this.chapterFadeTimer = null;
+        this.currentChapterIndex = -1;
+        this.prevChapterBtn = document.getElementById('prev-chapter-btn');
+        this.nextChapterBtn = document.getElementById('next-chapter-btn');
+        // Fullscreen button elements
+        this.fullscreenBtn = document.getElementById('fullscreen-btn');
+        this.iconExpand = document.getElementById('icon-expand');
+        this.iconCollapse = document.getElementById('icon-collapse');
+        // Reader controls and header for auto-hide
+        this.readerControls = document.querySelector('.reader-controls');
+        this.readerHeader = document.querySelector('.reader-header');
+        this.autoHideTimer = null;
+        this.autoHideDelay = 2500; // 2.5 seconds
+        // URL import elements
+        this.pasteUrlBtn = document.getElementById('paste-url-btn');
+        this.proxyStatus = document.getElementById('proxy-status');
+        this.urlModal = document.getElementById('url-modal');
+        this.urlInput = document.getElementById('url-input');
+        this.urlCancelBtn = document.getElementById('url-cancel-btn');
+        this.urlLoadBtn = document.getElementById('url-load-btn');
+        // Export elements
+        this.exportModal = document.getElementById('export-modal');
+        this.exportTitle = document.getElementById('export-title');
+        this.exportCancelBtn = document.getElementById('export-cancel-btn');
+        this.exportDocId = null;
+        // Library controls and organize elements
+        this.libraryCount = document.getElementById('library-count');
+        this.librarySearch = document.getElementById('library-search');
+        this.libraryShelf = document.getElementById('library-shelf');
+        this.libraryStatus = document.getElementById('library-status');
+        this.librarySort = document.getElementById('library-sort');
+        this.librarySort.innerHTML = Object.entries(LIBRARY_SORTS)
+            .map(([key, sort]) => `<option value="${key}">${sort.label}</option>`).join('');
+        this.organizeModal = document.getElementById('organize-modal');
+        this.organizeTitle = document.getElementById('organize-title');
+        this.organizeTags = document.getElementById('organize-tags');
+        this.organizeCollections = document.getElementById('organize-collections');
+        this.newCollectionInput = document.getElementById('new-collection-input');
+        this.newCollectionBtn = document.getElementById('new-collection-btn');
+        this.organizeSaveBtn = document.getElementById('organize-save-btn');
+        this.organizeCancelBtn = document.getElementById('organize-cancel-btn');
+        this.organizeDoc = null;
+        // Ramp mode elements
+        this.rampBtn = document.getElementById('ramp-btn');
+        this.rampIndicator = document.getElementById('ramp-indicator');
+        this.rampIndicatorText = document.getElementById('ramp-indicator-text');
+        this.rampModal = document.getElementById('ramp-modal');
+        this.rampEnabled = document.getElementById('ramp-enabled');
+        this.rampStartWpm = document.getElementById('ramp-start-wpm');
+        this.rampTargetWpm = document.getElementById('ramp-target-wpm');
+        this.rampDurationBtns = document.querySelectorAll('.ramp-duration-btn:not(.settings-ramp-dur)');
+        this.rampCancelBtn = document.getElementById('ramp-cancel-btn');
+        this.rampSaveBtn = document.getElementById('ramp-save-btn');
+        this.rampProgramSelect = document.getElementById('ramp-program-select');
+        this.rampProgramEditor = document.getElementById('ramp-program-editor');
+        this.rampSimpleFields = document.getElementById('ramp-simple-fields');
+        this.rampStageList = document.getElementById('ramp-stage-list');
+        this.rampAddStageBtns = document.querySelectorAll('[data-add-stage]');
+        this.rampPresetName = document.getElementById('ramp-preset-name');
+        this.rampSavePresetBtn = document.getElementById('ramp-save-preset-btn');
+        this.rampDeletePresetBtn = document.getElementById('ramp-delete-preset-btn');
+        // Ramp settings in settings panel
+        this.settingsRampEnabled = document.getElementById('settings-ramp-enabled');
+        this.settingsRampStart = document.getElementById('settings-ramp-start');
+        this.settingsRampTarget = document.getElementById('settings-ramp-target');
+        this.settingsRampDurBtns = document.querySelectorAll('.settings-ramp-dur');
+        this.settingsRampProgram = document.getElementById('settings-ramp-program');
+        this.settingsRampSimpleRows = document.querySelectorAll('.ramp-simple-row');
+        // Ramp state indicator in reader control bar
+        this.rampStateIndicator = document.getElementById('ramp-state-indicator');
+        // Current and next stage while ramping
+        this.rampStage = document.getElementById('ramp-stage');
+        this.rampResumePrompt = document.getElementById('ramp-resume-prompt');
+        this.rampResumeText = document.getElementById('ramp-resume-text');
+        // Adaptive pacing
+        this.pacingEnabledSetting = document.getElementById('pacing-enabled-setting');
+        this.pacingMinSetting = document.getElementById('pacing-min-setting');
+        this.pacingMaxSetting = document.getElementById('pacing-max-setting');
+        this.pacingCheckInsSetting = document.getElementById('pacing-check-ins-setting');
+        this.pacingStatus = document.getElementById('pacing-status');
+        this.checkInPrompt = document.getElementById('check-in-prompt');
+
+        // Hide fullscreen button on iOS (Safari/PWA) - fullscreen API doesn't work reliably
+        // iOS PWA is already fullscreen-like by default
+        this.isIOS = /iPad|iPhone|iPod/.test(navigator.userAgent) ||
+                     (navigator.platform === 'MacIntel' && navigator.maxTouchPoints > 1);
+        const fullscreenSupported = document.fullscreenEnabled || document.webkitFullscreenEnabled;
+        if (this.isIOS || !fullscreenSupported) {
+            this.fullscreenBtn.parentElement.style.display = 'none';
+        }
+
+        // Chapter button sanity check for older WebKit (iPadOS 16, etc.)
+        // If buttons have 0 dimensions or are offscreen when visible, apply fallback
+        this.checkChapterButtonLayout();
+    }
+
+    // Runtime sanity check for chapter buttons - older WebKit compatibility
+    checkChapterButtonLayout() {
+        // Temporarily show buttons to measure
+        const prevWasHidden = this.prevChapterBtn.classList.contains('chapter-hidden');
+        const nextWasHidden = this.nextChapterBtn.classList.contains('chapter-hidden');
+
+        this.prevChapterBtn.classList.remove('chapter-hidden');
+        this.nextChapterBtn.classList.remove('chapter-hidden');
+
+        // Force layout calculation
+        requestAnimationFrame(() => {
+            const prevRect = this.prevChapterBtn.getBoundingClientRect();
+            const nextRect = this.nextChapterBtn.getBoundingClientRect();
+            const viewportWidth = window.innerWidth;
+
+            // Check for collapsed dimensions or offscreen positioning
+            const prevBroken = prevRect.width < 20 || prevRect.height < 20 ||
+                               prevRect.right < 0 || prevRect.left > viewportWidth;
+            const nextBroken = nextRect.width < 20 || nextRect.height < 20 ||
+                               nextRect.right < 0 || nextRect.left > viewportWidth;
+
+            if (prevBroken || nextBroken) {
+                console.warn('Chapter button layout issue detected, applying fallback');
+                document.body.classList.add('chapter-button-fallback');
+            }
+
+            // Restore hidden state
+            if (prevWasHidden) this.prevChapterBtn.classList.add('chapter-hidden');
+            if (nextWasHidden) this.nextChapterBtn.classList.add('chapter-hidden');
+        });
     }
 
     initPlayback() {
         this.playback = new PlaybackController({
-            onTick: (token, index) => this.renderWord(token),
-            onComplete: () => this.onPlaybackComplete(),
+            onTick: (token) => this.renderWord(token),
+            onComplete: () => this.saveProgress(),
             onStateChange: (state) => this.updatePlaybackUI(state),
-            onProgress: (percent) => this.updateProgress(percent)
+            onProgress: (percent) => this.updateProgress(percent),
+            onInterrupted: () => this.showResumePrompt()
+        });
+
+        // Initialize Ramp Controller
+        this.ramp = new RampController(this.playback, {
+            onUpdate: (progress) => this.updateRampProgress(progress),
+            onComplete: () => this.onRampComplete(),
+            onCancel: () => this.onRampCancel()
+        });
+
+        // Adaptive pacing steps in whenever the ramp is not driving the speed
+        this.pacer = new AdaptivePacer(this.playback, {
+            onAdjust: (adjustment) => this.onPacingAdjust(adjustment),
+            onEvent: (event) => this.savePacingEvent(event)
         });
     }
 
+    showResumePrompt() {
+        // Show "Tap to resume" overlay
+        let prompt = document.getElementById('resume-prompt');
+        if (!prompt) {
+            prompt = document.createElement('div');
+            prompt.id = 'resume-prompt';
+            prompt.className = 'resume-prompt';
+            prompt.innerHTML = '<span>Tap to resume</span>';
+            this.rsvpDisplay.appendChild(prompt);
+            prompt.addEventListener('click', () => {
+                prompt.classList.remove('visible');
+                this.playback.play();
+                // Resume ramp if it was active
+                if (this.ramp.isRamping) {
+                    this.ramp.resume();
+                }
+            });
+        }
+        // Say where the ramp picks up again
+        prompt.querySelector('span').textContent = this.ramp.isRamping
+            ? `Tap to resume · ${this.describeRampPosition()}`
+            : 'Tap to resume';
+        prompt.classList.add('visible');
+    }
+
     initEventListeners() {
-        // File import
-        this.importBtn.addEventListener('click', () => this.fileInput.click());
-        this.fileInput.addEventListener('change', (e) => this.handleFileSelect(e));
+        // File input - click to open
+        this.dropZone.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            this.fileInput.click();
+        });
+
+        // File input change
+        this.fileInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) this.importFile(file);
+        });
+
+        // Drag and drop
+        this.dropZone.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            this.dropZone.classList.add('drag-over');
+        });
+
+        this.dropZone.addEventListener('dragleave', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            this.dropZone.classList.remove('drag-over');
+        });
+
+        this.dropZone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            this.dropZone.classList.remove('drag-over');
+            const file = e.dataTransfer.files[0];
+            if (file) this.importFile(file);
+        });
+
+        // Prevent default drag behavior on window
+        window.addEventListener('dragover', (e) => e.preventDefault());
+        window.addEventListener('drop', (e) => e.preventDefault());
 
         // Navigation
-        this.backBtn.addEventListener('click', () => this.showLibrary());
+        this.backBtn.addEventListener('click', () => { Haptics.tap(); this.showLibrary(); });
 
         // Settings
-        this.settingsBtn.addEventListener('click', () => this.openSettings());
-        this.readerSettingsBtn.addEventListener('click', () => this.openSettings());
-        this.closeSettingsBtn.addEventListener('click', () => this.closeSettings());
-        this.settingsPanel.addEventListener('click', (e) => {
-            if (e.target === this.settingsPanel) this.closeSettings();
+        this.settingsBtn.addEventListener('click', () => { Haptics.tap(); this.openSettings(); });
+        this.readerSettingsBtn.addEventListener('click', () => { Haptics.tap(); this.openSettings(); });
+        this.closeSettingsBtn.addEventListener('click', () => { Haptics.tap(); this.closeSettings(); });
+        this.settingsPanel.addEventListener('click', (e) => { if (e.target === this.settingsPanel) this.closeSettings(); });
+        this.tocBtn.addEventListener('click', () => { Haptics.tap(); this.openToc(); });
+        this.closeTocBtn.addEventListener('click', () => { Haptics.tap(); this.closeToc(); });
+        this.tocPanel.addEventListener('click', (e) => { if (e.target === this.tocPanel) this.closeToc(); });
+        this.bookmarksBtn.addEventListener('click', () => { Haptics.tap(); this.openBookmarks(); });
+        this.closeBookmarksBtn.addEventListener('click', () => { Haptics.tap(); this.closeBookmarks(); });
+        this.bookmarksPanel.addEventListener('click', (e) => { if (e.target === this.bookmarksPanel) this.closeBookmarks(); });
+        this.searchBtn.addEventListener('click', () => { Haptics.tap(); this.openSearch(); });
+        this.closeSearchBtn.addEventListener('click', () => { Haptics.tap(); this.closeSearch(); });
+        this.searchPanel.addEventListener('click', (e) => { if (e.target === this.searchPanel) this.closeSearch(); });
+        this.searchInput.addEventListener('input', () => {
+            clearTimeout(this.searchTimer);
+            this.searchTimer = setTimeout(() => this.runSearch(), SEARCH_DEBOUNCE_MS);
         });
+        // handleKeydown ignores inputs, so the field handles its own keys
+        this.searchInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') { e.preventDefault(); this.closeSearch(); }
+            if (e.key === 'Enter') { e.preventDefault(); this.searchResults.querySelector('button')?.click(); }
+        });
+        this.addBookmarkBtn.addEventListener('click', async () => { Haptics.tap(); await this.addAnnotation('bookmark'); this.renderBookmarks(); });
+        this.addHighlightBtn.addEventListener('click', async () => { Haptics.tap(); await this.addAnnotation('highlight'); this.renderBookmarks(); });
 
         // Settings controls
         this.fontSizeSetting.addEventListener('input', (e) => this.setFontSize(e.target.value));
+        this.fontFamilySetting.addEventListener('change', (e) => this.setFontFamily(e.target.value));
         this.defaultWpmSetting.addEventListener('change', (e) => this.setDefaultWPM(e.target.value));
         this.showGuidesSetting.addEventListener('change', (e) => this.setShowGuides(e.target.checked));
         this.flowModeSetting.addEventListener('change', (e) => this.setFlowMode(e.target.checked));
-        this.clearLibraryBtn.addEventListener('click', () => this.clearLibrary());
+        this.contextPeekSetting.addEventListener('change', (e) => this.setContextPeek(e.target.checked));
+        this.rewindOnResumeSetting.addEventListener('change', (e) => this.setRewindOnResume(e.target.checked));
+        this.clearLibraryBtn.addEventListener('click', () => { Haptics.warn(); this.clearLibrary(); });
+        this.syncEndpointSetting.addEventListener('change', () => this.saveSyncConfig());
+        this.syncTokenSetting.addEventListener('change', () => this.saveSyncConfig());
+        this.syncNowBtn.addEventListener('click', () => { Haptics.tap(); this.sync.flush(); });
+        // Pick up progress from other devices when returning to the app
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') this.sync.flush();
+            else {
+                this.checkpointSession();
+                this.checkpointRamp();
+            }
+        });
+        this.exportLibraryBtn.addEventListener('click', () => { Haptics.tap(); this.exportLibrary(); });
+        this.importLibraryBtn.addEventListener('click', () => { Haptics.tap(); this.backupInput.click(); });
+        this.backupInput.addEventListener('change', (e) => {
+            if (e.target.files[0]) this.openBackupFile(e.target.files[0]);
+            this.backupInput.value = '';
+        });
+        this.restoreMergeBtn.addEventListener('click', () => this.restoreLibrary('merge'));
+        this.restoreReplaceBtn.addEventListener('click', () => { Haptics.warn(); this.restoreLibrary('replace'); });
+        this.restoreCancelBtn.addEventListener('click', () => this.hideRestoreModal());
+        this.manageStorageBtn.addEventListener('click', () => { Haptics.tap(); this.openStorageManager(); });
+        this.storageFreeFinishedBtn.addEventListener('click', () => { Haptics.tap(); this.freeFinishedCaches(); });
+        this.storageCloseBtn.addEventListener('click', () => this.hideStorageModal());
+        this.statsBtn.addEventListener('click', () => { Haptics.tap(); this.openStats(); });
+        this.statsCloseBtn.addEventListener('click', () => this.hideStats());
+        this.statsModal.addEventListener('click', (e) => { if (e.target === this.statsModal) this.hideStats(); });
+        this.storageModal.addEventListener('click', (e) => { if (e.target === this.storageModal) this.hideStorageModal(); });
+        // Delegated: custom profile buttons are re-rendered when profiles change
+        this.modeToggleGroup.addEventListener('click', (e) => {
+            const btn = e.target.closest('.toggle-btn[data-mode]');
+            if (btn) { Haptics.mode(); this.setMode(btn.dataset.mode); }
+        });
+        this.addProfileBtn.addEventListener('click', () => { Haptics.tap(); this.createCustomProfile(); });
+        this.deleteProfileBtn.addEventListener('click', () => { Haptics.warn(); this.deleteCustomProfile(); });
+        this.profileNameInput.addEventListener('change', (e) => this.renameCustomProfile(e.target.value));
+        this.profileInputs.forEach(input => {
+            input.addEventListener('change', (e) => this.updateCustomProfile(input.dataset.key, e.target.value));
+        });
+        this.chunkWordsBtns.forEach(btn => btn.addEventListener('click', () => { Haptics.mode(); this.setChunkWords(btn.dataset.chunkWords); }));
+        this.chunkWidthSetting.addEventListener('input', (e) => this.setChunkMaxChars(e.target.value));
+
+        // Ramp mode controls - library screen modal
+        this.rampBtn.addEventListener('click', () => { Haptics.tap(); this.openRampModal(); });
+        this.rampCancelBtn.addEventListener('click', () => { Haptics.tap(); this.closeRampModal(); });
+        this.rampSaveBtn.addEventListener('click', () => { Haptics.tap(); this.saveRampFromModal(); });
+        this.rampModal.addEventListener('click', (e) => { if (e.target === this.rampModal) this.closeRampModal(); });
+        this.rampDurationBtns.forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.rampDurationBtns.forEach(b => b.classList.remove('active'));
+                btn.classList.add('active');
+            });
+        });
 
-        // Mode toggle
-        this.modeToggleBtns.forEach(btn => {
-            btn.addEventListener('click', () => this.setMode(btn.dataset.mode));
+        this.rampProgramSelect.addEventListener('change', () => this.selectRampDraft(this.rampProgramSelect.value));
+        this.rampAddStageBtns.forEach(btn => {
+            btn.addEventListener('click', () => { Haptics.tap(); this.addRampStage(btn.dataset.addStage); });
+        });
+        this.rampStageList.addEventListener('change', (e) => this.updateRampStage(e.target));
+        this.rampStageList.addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('[data-action="remove-stage"]');
+            if (removeBtn) this.removeRampStage(parseInt(removeBtn.dataset.stage));
+        });
+        this.rampSavePresetBtn.addEventListener('click', () => { Haptics.tap(); this.saveRampPreset(); });
+        this.rampDeletePresetBtn.addEventListener('click', () => { Haptics.warn(); this.deleteRampPreset(); });
+
+        // Ramp mode controls - settings panel
+        this.settingsRampProgram.addEventListener('change', () => this.saveRampFromSettings());
+        this.settingsRampEnabled.addEventListener('change', () => this.saveRampFromSettings());
+        this.settingsRampStart.addEventListener('change', () => this.saveRampFromSettings());
+        this.settingsRampTarget.addEventListener('change', () => this.saveRampFromSettings());
+        this.settingsRampDurBtns.forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.settingsRampDurBtns.forEach(b => b.classList.remove('active'));
+                btn.classList.add('active');
+                this.saveRampFromSettings();
+            });
         });
 
         // Playback controls
-        this.playBtn.addEventListener('click', () => this.playback.toggle());
-        this.prevBtn.addEventListener('click', () => this.playback.step(-1));
-        this.nextBtn.addEventListener('click', () => this.playback.step(1));
-        this.rewindBtn.addEventListener('click', () => this.playback.rewind(10));
-        this.wpmDownBtn.addEventListener('click', () => this.playback.adjustWPM(-50));
-        this.wpmUpBtn.addEventListener('click', () => this.playback.adjustWPM(50));
-
-        // Progress slider
-        this.progressSlider.addEventListener('input', (e) => {
-            this.playback.seekPercent(parseFloat(e.target.value));
+        this.playBtn.addEventListener('click', () => { Haptics.tap(); this.handlePlayPause(); });
+        this.prevBtn.addEventListener('click', () => { Haptics.tap(); this.playback.step(-1); });
+        this.nextBtn.addEventListener('click', () => { Haptics.tap(); this.playback.step(1); });
+        this.progressSlider.addEventListener('input', (e) => this.playback.seekPercent(parseFloat(e.target.value)));
+        // Chapter navigation controls - stopPropagation for older WebKit compatibility
+        this.prevChapterBtn.addEventListener('click', (e) => { e.stopPropagation(); Haptics.tap(); this.jumpToChapter(-1); });
+        this.nextChapterBtn.addEventListener('click', (e) => { e.stopPropagation(); Haptics.tap(); this.jumpToChapter(1); });
+
+        // Adaptive pacing controls - settings panel
+        this.pacingEnabledSetting.addEventListener('change', () => this.savePacingSettings());
+        this.pacingMinSetting.addEventListener('change', () => this.savePacingSettings());
+        this.pacingMaxSetting.addEventListener('change', () => this.savePacingSettings());
+        this.pacingCheckInsSetting.addEventListener('change', () => this.savePacingSettings());
+        this.checkInPrompt.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const button = e.target.closest('button');
+            if (!button) return;
+            Haptics.tap();
+            this.answerCheckIn(button.dataset.answer || null);
         });
+        this.checkInPrompt.addEventListener('mousedown', (e) => e.stopPropagation());
+        this.checkInPrompt.addEventListener('touchstart', (e) => e.stopPropagation(), { passive: true });
+        this.rampResumePrompt.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const button = e.target.closest('button');
+            if (!button) return;
+            Haptics.tap();
+            this.answerRampResume(button.dataset.ramp === 'restart');
+        });
+        this.rampResumePrompt.addEventListener('mousedown', (e) => e.stopPropagation());
+        this.rampResumePrompt.addEventListener('touchstart', (e) => e.stopPropagation(), { passive: true });
 
-        // Gesture controls on RSVP display
-        this.initGestureControls();
+        // Ramp state indicator toggle (tap to turn ramp on/off mid-read)
+        this.rampStateIndicator.addEventListener('click', () => this.toggleRampDuringPlayback());
 
-        // Keyboard controls
-        document.addEventListener('keydown', (e) => this.handleKeydown(e));
-    }
+        // Long press to show tuning overlay
+        this.rsvpDisplay.addEventListener('mousedown', (e) => this.startLongPress(e));
+        this.rsvpDisplay.addEventListener('touchstart', (e) => this.startLongPress(e), { passive: true });
+        this.rsvpDisplay.addEventListener('mouseup', () => this.cancelLongPress());
+        this.rsvpDisplay.addEventListener('mouseleave', () => this.cancelLongPress());
+        this.rsvpDisplay.addEventListener('touchend', () => this.cancelLongPress());
+        this.rsvpDisplay.addEventListener('touchcancel', () => this.cancelLongPress());
 
-    initGestureControls() {
-        // Tap to play/pause (center area)
+        // RSVP display tap to play/pause (only if not interacting with tuning overlay)
         this.rsvpDisplay.addEventListener('click', (e) => {
-            // Ignore if it's a control button
-            if (e.target.closest('.reader-controls') || e.target.closest('.reader-header')) {
-                return;
+            if (!e.target.closest('.reader-controls') && !e.target.closest('.reader-header') && !e.target.closest('.tuning-overlay')) {
+                // Don't toggle if tuning overlay is visible
+                if (!this.tuningOverlay.classList.contains('visible')) {
+                    Haptics.tap();
+                    this.handlePlayPause();
+                }
             }
-            this.playback.toggle();
-            this.showTapFeedback();
         });
 
-        // WPM drag zone (bottom-right area)
-        // We'll use the entire display but track position
-        let wpmDragZone = this.rsvpDisplay;
+        // Context peek: a tapped word is where reading continues; a tap elsewhere
+        // falls through to the display and resumes playback
+        this.contextPeek.addEventListener('click', (e) => {
+            const word = e.target.closest('.context-word');
+            if (!word) return;
+            e.stopPropagation();
+            Haptics.tap();
+            this.seekFromContextPeek(parseInt(word.dataset.index));
+        });
+        // Scrolling the paragraph is not a long press
+        this.contextPeek.addEventListener('mousedown', (e) => e.stopPropagation());
+        this.contextPeek.addEventListener('touchstart', (e) => e.stopPropagation(), { passive: true });
+
+        // Tuning overlay sliders
+        this.tuningWpmSlider.addEventListener('input', (e) => {
+            const rawWpm = parseInt(e.target.value);
+            const snappedWpm = this.snapWpm(rawWpm);
+            this.handleManualWpmChange(snappedWpm);
+            this.tuningWpmValue.textContent = `${snappedWpm} wpm`;
+            this.resetTuningTimeout();
+        });
+        this.tuningScaleSlider.addEventListener('input', (e) => {
+            this.setScale(parseFloat(e.target.value));
+            this.resetTuningTimeout();
+        });
+
+        // Skip to content button
+        this.skipToContentBtn.addEventListener('click', () => {
+            this.skipToContent();
+            this.hideTuningOverlay();
+        });
 
-        const isInWpmZone = (x, y, rect) => {
-            const relX = (x - rect.left) / rect.width;
-            const relY = (y - rect.top) / rect.height;
-            return relX > 0.75 && relY > 0.55;
-        };
+        // Quick adjust overlay toggle
+        this.quickAdjustBtn.addEventListener('click', () => { Haptics.tap(); this.toggleQuickAdjust(); });
+
+        // Fullscreen toggle
+        this.fullscreenBtn.addEventListener('click', () => { Haptics.tap(); this.toggleFullscreen(); });
+
+        // Listen for fullscreen changes (user pressing Esc, etc.)
+        document.addEventListener('fullscreenchange', () => this.updateFullscreenUI());
+        document.addEventListener('webkitfullscreenchange', () => this.updateFullscreenUI());
+
+        // Auto-hide controls: restore on any user interaction
+        const restoreControls = () => this.resetAutoHideTimer();
+        this.readerView.addEventListener('mousemove', restoreControls);
+        this.readerView.addEventListener('touchstart', restoreControls, { passive: true });
+        this.readerView.addEventListener('click', restoreControls);
+
+        // Quick adjust sliders with 25-step snapping
+        this.quickFontSlider.addEventListener('input', (e) => {
+            const raw = parseInt(e.target.value);
+            const snapped = Math.max(25, Math.min(150, Math.round(raw / 25) * 25));
+            this.setFontSize(snapped);
+            this.quickFontLabel.textContent = `${snapped}px`;
+            // Sync main settings slider
+            this.fontSizeSetting.value = snapped;
+        });
 
-        wpmDragZone.addEventListener('touchstart', (e) => {
-            const touch = e.touches[0];
-            const rect = wpmDragZone.getBoundingClientRect();
+        this.quickWpmSlider.addEventListener('input', (e) => {
+            const raw = parseInt(e.target.value);
+            const snapped = Math.max(100, Math.min(900, Math.round(raw / 25) * 25));
+            this.handleManualWpmChange(snapped);
+            this.quickWpmLabel.textContent = snapped;
+            // Sync tuning slider
+            this.tuningWpmSlider.value = snapped;
+            this.tuningWpmValue.textContent = `${snapped} wpm`;
+        });
 
-            if (isInWpmZone(touch.clientX, touch.clientY, rect)) {
-                e.preventDefault();
-                this.startWpmDrag(touch.clientY);
-            }
-        }, { passive: false });
+        // Double-tap the sides for paragraph jumps
+        this.lastTapTime = 0;
+        this.lastTapSide = null;
+        this.rsvpDisplay.addEventListener('click', (e) => {
+            if (e.target.closest('.tuning-overlay') || e.target.closest('.quick-adjust-overlay') || e.target.closest('.reader-controls') || e.target.closest('.reader-header')) return;
+            if (this.tuningOverlay.classList.contains('visible')) return;
 
-        wpmDragZone.addEventListener('touchmove', (e) => {
-            if (this.gestureState.isDragging) {
-                e.preventDefault();
-                const touch = e.touches[0];
-                this.updateWpmDrag(touch.clientY);
-            }
-        }, { passive: false });
+            const rect = this.rsvpDisplay.getBoundingClientRect();
+            const x = e.clientX - rect.left;
+            const side = x < rect.width / 3 ? 'left' : (x > rect.width * 2 / 3 ? 'right' : 'center');
+            const now = Date.now();
 
-        wpmDragZone.addEventListener('touchend', () => {
-            if (this.gestureState.isDragging) {
-                this.endWpmDrag();
+            if (side !== 'center' && now - this.lastTapTime < 300 && this.lastTapSide === side) {
+                // Double-tap detected - paragraph jump
+                e.stopPropagation();
+                this.navigate(side === 'left' ? 'previousParagraph' : 'nextParagraph');
+                this.lastTapTime = 0;
+                return;
             }
-        });
 
-        // Swipe gestures
-        let swipeStartX = 0;
-        let swipeStartY = 0;
+            this.lastTapTime = now;
+            this.lastTapSide = side;
+        });
 
+        // Swipe for sentence jumps
+        this.touchStartX = 0;
+        this.touchStartY = 0;
         this.rsvpDisplay.addEventListener('touchstart', (e) => {
-            if (this.gestureState.isDragging) return;
-            const touch = e.touches[0];
-            swipeStartX = touch.clientX;
-            swipeStartY = touch.clientY;
-        });
+            if (e.target.closest('.tuning-overlay')) return;
+            this.touchStartX = e.touches[0].clientX;
+            this.touchStartY = e.touches[0].clientY;
+        }, { passive: true });
 
         this.rsvpDisplay.addEventListener('touchend', (e) => {
-            if (this.gestureState.isDragging) return;
+            if (e.target.closest('.tuning-overlay')) return;
+            if (!this.touchStartX) return;
 
-            const touch = e.changedTouches[0];
-            const deltaX = touch.clientX - swipeStartX;
-            const deltaY = touch.clientY - swipeStartY;
+            const deltaX = e.changedTouches[0].clientX - this.touchStartX;
+            const deltaY = e.changedTouches[0].clientY - this.touchStartY;
 
-            // Only count horizontal swipes
             if (Math.abs(deltaX) > 50 && Math.abs(deltaX) > Math.abs(deltaY) * 2) {
-                if (deltaX < 0) {
-                    // Swipe left - rewind
-                    this.playback.rewind(5);
-                } else {
-                    // Swipe right - skip forward
-                    this.playback.step(5);
-                }
+                // Swipe right = go back, swipe left = go forward
+                this.navigate(deltaX > 0 ? 'previousSentence' : 'nextSentence');
+            } else if (Math.abs(deltaY) > 50 && Math.abs(deltaY) > Math.abs(deltaX) * 2) {
+                // Swipe down = bookmark the word, swipe up = highlight the sentence
+                this.addAnnotation(deltaY > 0 ? 'bookmark' : 'highlight');
             }
-        });
-
-        // Long press for overlay (TODO: implement overlay menu)
-        let longPressTimer = null;
+            this.touchStartX = 0;
+        }, { passive: true });
 
-        this.rsvpDisplay.addEventListener('touchstart', () => {
-            longPressTimer = setTimeout(() => {
-                // Show overlay menu
-                // For now, just open settings
-                this.openSettings();
-            }, 800);
-        });
-
-        this.rsvpDisplay.addEventListener('touchend', () => {
-            if (longPressTimer) {
-                clearTimeout(longPressTimer);
-                longPressTimer = null;
-            }
-        });
+        // Keep overlay visible while interacting with sliders
+        this.tuningOverlay.addEventListener('mousedown', () => this.resetTuningTimeout());
+        this.tuningOverlay.addEventListener('touchstart', () => this.resetTuningTimeout(), { passive: true });
 
-        this.rsvpDisplay.addEventListener('touchmove', () => {
-            if (longPressTimer) {
-                clearTimeout(longPressTimer);
-                longPressTimer = null;
+        // Close tuning overlay when clicking outside
+        this.rsvpDisplay.addEventListener('click', (e) => {
+            if (this.tuningOverlay.classList.contains('visible') && !e.target.closest('.tuning-overlay')) {
+                this.hideTuningOverlay();
             }
         });
-    }
-
-    // ============ WPM Drag Gesture ============
-
-    startWpmDrag(y) {
-        this.gestureState.isDragging = true;
-        this.gestureState.startY = y;
-        this.gestureState.startWPM = this.playback.wpm;
-
-        // Show WPM overlay
-        this.showWpmOverlay();
-    }
-
-    updateWpmDrag(y) {
-        const deltaY = this.gestureState.startY - y; // Inverted: drag up = faster
-        const wpmDelta = Math.round(deltaY / 2); // 2px per WPM
-
-        const newWPM = Math.round((this.gestureState.startWPM + wpmDelta) / 10) * 10;
-        this.playback.setWPM(newWPM);
 
-        this.updateWpmOverlay();
-    }
-
-    endWpmDrag() {
-        this.gestureState.isDragging = false;
-        this.hideWpmOverlay();
-        this.saveProgress();
-    }
+        // Keyboard
+        document.addEventListener('keydown', (e) => this.handleKeydown(e));
 
-    showWpmOverlay() {
-        // Create overlay if not exists
-        let overlay = document.getElementById('wpm-overlay');
-        if (!overlay) {
-            overlay = document.createElement('div');
-            overlay.id = 'wpm-overlay';
-            overlay.innerHTML = `
-                <div class="wpm-overlay-content">
-                    <span class="wpm-overlay-label">Flow speed</span>
-                    <span class="wpm-overlay-value">${this.playback.wpm}</span>
-                </div>
-            `;
-            overlay.style.cssText = `
-                position: fixed;
-                bottom: 30%;
-                right: 10%;
-                background: rgba(0,0,0,0.8);
-                padding: 16px 24px;
-                border-radius: 12px;
-                z-index: 50;
-                text-align: center;
-                transition: opacity 0.3s;
-            `;
-            document.body.appendChild(overlay);
-        }
-        overlay.style.opacity = '1';
-        overlay.style.display = 'block';
-    }
+        // Window resize - re-align word
+        window.addEventListener('resize', () => {
+            requestAnimationFrame(() => this.alignWordToPivot());
+        });
 
-    updateWpmOverlay() {
-        const overlay = document.getElementById('wpm-overlay');
-        if (overlay) {
-            overlay.querySelector('.wpm-overlay-value').textContent = this.playback.wpm;
-        }
-    }
+        // URL import
+        this.pasteUrlBtn.addEventListener('click', () => this.handlePasteUrl());
+        this.urlCancelBtn.addEventListener('click', () => this.hideUrlModal());
+        this.urlLoadBtn.addEventListener('click', () => this.loadUrlFromModal());
+        this.urlInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.loadUrlFromModal();
+            if (e.key === 'Escape') this.hideUrlModal();
+        });
 
-    hideWpmOverlay() {
-        const overlay = document.getElementById('wpm-overlay');
-        if (overlay) {
-            overlay.style.opacity = '0';
-            setTimeout(() => {
-                overlay.style.display = 'none';
-            }, 300);
-        }
-    }
+        // Export
+        this.exportModal.querySelectorAll('[data-format]').forEach(btn => {
+            btn.addEventListener('click', () => this.exportCurrentSelection(btn.dataset.format));
+        });
+        this.exportCancelBtn.addEventListener('click', () => this.hideExportModal());
+        this.exportModal.addEventListener('click', (e) => { if (e.target === this.exportModal) this.hideExportModal(); });
+
+        // Library search, filters and organizing
+        this.librarySearch.addEventListener('input', () => this.updateLibraryQuery({ search: this.librarySearch.value }));
+        this.libraryShelf.addEventListener('change', () => this.updateLibraryQuery({ shelf: this.libraryShelf.value }));
+        this.libraryStatus.addEventListener('change', () => this.updateLibraryQuery({ status: this.libraryStatus.value }));
+        this.librarySort.addEventListener('change', () => {
+            this.updateLibraryQuery({ sort: this.librarySort.value });
+            this.saveSetting('librarySort', this.librarySort.value);
+        });
+        this.newCollectionBtn.addEventListener('click', () => this.createCollection());
+        this.newCollectionInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') { e.preventDefault(); this.createCollection(); }
+        });
+        this.organizeSaveBtn.addEventListener('click', () => this.saveOrganize());
+        this.organizeCancelBtn.addEventListener('click', () => this.hideOrganizeModal());
+        this.organizeModal.addEventListener('click', (e) => { if (e.target === this.organizeModal) this.hideOrganizeModal(); });
 
-    showTapFeedback() {
-        // Brief pulse on the display
-        this.rsvpDisplay.style.transition = 'background 0.1s';
-        this.rsvpDisplay.style.background = 'rgba(255,255,255,0.02)';
-        setTimeout(() => {
-            this.rsvpDisplay.style.background = '';
-        }, 100);
+        // Check proxy health on startup
+        this.checkProxyHealth();
     }
 
-    // ============ Keyboard Controls ============
-
     handleKeydown(e) {
-        // Ignore when typing in inputs
-        if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') {
-            return;
-        }
-
-        // Only handle in reader view
-        if (!this.readerView.classList.contains('active')) {
-            return;
-        }
+        if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
+        if (!this.readerView.classList.contains('active')) return;
 
         switch (e.code) {
-            case 'Space':
-                e.preventDefault();
-                this.playback.toggle();
-                break;
-            case 'ArrowLeft':
-                e.preventDefault();
-                this.playback.step(-1);
-                break;
-            case 'ArrowRight':
-                e.preventDefault();
-                this.playback.step(1);
-                break;
-            case 'ArrowUp':
-                e.preventDefault();
-                this.playback.adjustWPM(50);
-                break;
-            case 'ArrowDown':
-                e.preventDefault();
-                this.playback.adjustWPM(-50);
-                break;
+            case 'Space': e.preventDefault(); this.handlePlayPause(); break;
+            case 'ArrowLeft': e.preventDefault(); this.playback.step(-1); this.noteRewind(); break;
+            case 'ArrowRight': e.preventDefault(); this.playback.step(1); break;
+            case 'Comma': e.preventDefault(); this.navigate('previousSentence'); break;
+            case 'Period': e.preventDefault(); this.navigate('nextSentence'); break;
+            case 'BracketLeft': e.preventDefault(); this.navigate('previousParagraph'); break;
+            case 'BracketRight': e.preventDefault(); this.navigate('nextParagraph'); break;
+            case 'ArrowUp': e.preventDefault(); this.handleManualWpmChange(this.playback.wpm + 50); break;
+            case 'ArrowDown': e.preventDefault(); this.handleManualWpmChange(this.playback.wpm - 50); break;
+            case 'KeyB': e.preventDefault(); this.addAnnotation('bookmark'); break;
+            case 'KeyH': e.preventDefault(); this.addAnnotation('highlight'); break;
+            case 'Slash': e.preventDefault(); this.openSearch(); break;
             case 'Escape':
                 e.preventDefault();
-                if (this.settingsPanel.classList.contains('open')) {
-                    this.closeSettings();
-                } else {
-                    this.showLibrary();
-                }
+                if (this.checkInPrompt.classList.contains('visible')) this.answerCheckIn(null);
+                else if (this.rampResumePrompt.classList.contains('visible')) this.answerRampResume(false);
+                else if (this.searchPanel.classList.contains('open')) this.closeSearch();
+                else if (this.bookmarksPanel.classList.contains('open')) this.closeBookmarks();
+                else if (this.tocPanel.classList.contains('open')) this.closeToc();
+                else if (this.settingsPanel.classList.contains('open')) this.closeSettings();
+                else if (this.contextPeek.classList.contains('visible')) this.hideContextPeek();
+                else this.showLibrary();
                 break;
         }
     }
 
-    // ============ Word Rendering ============
-
-    renderWord(token) {
-        if (!token) {
-            this.wordBefore.textContent = '';
-            this.wordPivot.textContent = '';
-            this.wordAfter.textContent = '';
-            return;
-        }
-
-        const { word, orpIndex } = token;
-
-        this.wordBefore.textContent = word.substring(0, orpIndex);
-        this.wordPivot.textContent = word.charAt(orpIndex);
-        this.wordAfter.textContent = word.substring(orpIndex + 1);
-    }
-
-    // ============ UI Updates ============
-
-    updatePlaybackUI(state) {
-        // Play/pause icons
-        this.iconPlay.style.display = state.isPlaying ? 'none' : 'block';
-        this.iconPause.style.display = state.isPlaying ? 'block' : 'none';
-
-        // WPM display
-        this.wpmValue.textContent = state.wpm;
-        this.modeIndicator.textContent = state.mode;
-    }
-
-    updateProgress(percent) {
-        this.progressSlider.value = percent;
-
-        const progress = this.playback.getProgress();
-        this.progressCurrent.textContent = progress.current;
-        this.progressTotal.textContent = progress.total;
-    }
-
-    // ============ File Import ============
-
-    async handleFileSelect(e) {
-        const file = e.target.files[0];
-        if (!file) return;
-
+    async importFile(file) {
+        console.log('Importing file:', file.name);
         this.showLoading('Processing file...');
 
         try {
             const docId = await generateDocumentId(file);
+            // A book already in the library reopens where it was left
+            const existing = await this.persistence.getDocument(docId) || await this.migrateLegacyDocument(file, docId);
+            if (existing) {
+                console.log('Already in library:', docId);
+                this.hideLoading();
+                this.fileInput.value = '';
+                await this.openDocumentById(docId, true);
+                return;
+            }
             const extension = file.name.split('.').pop().toLowerCase();
-
-            let content, metadata;
+            let content, metadata, epub = null, firstProseWordIndex = 0, chapters = null, toc = null, sourceSections = null;
 
             switch (extension) {
                 case 'epub':
                     this.showLoading('Parsing EPUB...');
-                    const epub = await parseEpub(file);
+                    epub = await parseEpub(file);
                     content = epub.text;
                     metadata = epub.metadata;
                     break;
-
                 case 'txt':
                     content = await file.text();
                     metadata = { title: file.name.replace(/\.txt$/i, ''), author: '' };
                     break;
-
                 case 'html':
                 case 'htm':
                     const html = await file.text();
-                    content = this.parseHTML(html);
+                    const parser = new DOMParser();
+                    const doc = parser.parseFromString(html, 'text/html');
+                    ['script', 'style', 'nav', 'header', 'footer'].forEach(tag => doc.querySelectorAll(tag).forEach(el => el.remove()));
+                    content = doc.body.textContent || '';
                     metadata = { title: file.name.replace(/\.html?$/i, ''), author: '' };
                     break;
-
                 case 'pdf':
                     this.showLoading('Parsing PDF...');
-                    content = await this.parsePDF(file);
+                    if (typeof pdfjsLib === 'undefined') throw new Error('PDF.js not loaded');
+                    pdfjsLib.GlobalWorkerOptions.workerSrc = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js';
+                    const arrayBuffer = await file.arrayBuffer();
+                    const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
+                    let pdfText = '';
+                    for (let i = 1; i <= pdf.numPages; i++) {
+                        const page = await pdf.getPage(i);
+                        const textContent = await page.getTextContent();
+                        pdfText += textContent.items.map(item => item.str).join(' ') + '\n\n';
+                    }
+                    content = pdfText;
                     metadata = { title: file.name.replace(/\.pdf$/i, ''), author: '' };
                     break;
-
                 default:
-                    throw new Error('Unsupported file format');
+                    throw new Error('Unsupported file format: ' + extension);
             }
 
-            // Tokenize
             this.showLoading('Tokenizing...');
-            this.tokens = tokenize(content, this.settings.mode);
+            const tokenizeOptions = { language: metadata.language, profile: this.getTimingProfile() };
+            if (epub) {
+                // Tokenize per section (split at TOC anchors) so chapter and TOC
+                // anchors are exact token indexes
+                const pieces = splitAtAnchors(epub.sections);
+                const { tokens, sectionStarts: pieceStarts } = tokenizeSections(pieces.map(p => p.text), this.settings.mode, tokenizeOptions);
+                const { sectionStarts, fragmentStarts } = locateAnchors(pieces, pieceStarts);
+                this.tokens = tokens;
+                chapters = anchorChapters(epub.sections, sectionStarts, tokens.length);
+                toc = anchorToc(epub.toc, sectionStarts, fragmentStarts, tokens.length);
+                firstProseWordIndex = sectionStarts[epub.firstProseSection] || 0;
+                // Keep the text of the sections that became chapters, for export
+                sourceSections = epub.sections
+                    .filter((_, i) => (i + 1 < sectionStarts.length ? sectionStarts[i + 1] : tokens.length) > sectionStarts[i])
+                    .map(section => section.text);
+            } else {
+                this.tokens = tokenize(content, this.settings.mode, tokenizeOptions);
+                sourceSections = [content];
+            }
+            console.log('Tokenized:', this.tokens.length, 'words');
+
+            // Guardrail: never save empty tokens to IndexedDB
+            if (this.tokens.length === 0) {
+                throw new Error('No readable content extracted from this file (0 words). Try a different file.');
+            }
 
-            // Create document record
-            const doc = {
+            if (await this.migrateLegacyCopy(file, docId, this.tokens, sourceSections)) {
+                console.log('Already in library under a legacy ID:', docId);
+                this.hideLoading();
+                this.fileInput.value = '';
+                await this.openDocumentById(docId, true);
+                return;
+            }
+
+            const docRecord = {
                 id: docId,
                 title: metadata.title || file.name,
                 author: metadata.author || '',
+                language: metadata.language || '',
                 sourceType: extension,
                 fileName: file.name,
                 fileSize: file.size,
                 wordCount: this.tokens.length,
+                firstProseWordIndex: firstProseWordIndex, // For "Skip to content" feature
+                chapters: chapters, // Array of { index, title, startWord, endWord } or null
+                toc: toc, // Nested { title, wordIndex, children } from the EPUB nav/NCX, or null
                 addedAt: Date.now(),
                 lastOpened: Date.now(),
-                progress: {
-                    currentIndex: 0,
-                    wpm: this.settings.defaultWPM,
-                    mode: this.settings.mode,
-                    updatedAt: Date.now()
-                }
+                progress: { currentIndex: 0, wpm: this.settings.defaultWPM, mode: this.settings.mode, updatedAt: Date.now() }
             };
 
-            // Save to persistence
-            await this.persistence.saveDocument(doc);
+            await this.sync.adoptPending(docRecord);
+            await this.persistence.saveDocument(docRecord);
             await this.persistence.saveTokens(docId, this.tokens);
+            await this.persistence.saveSource(docId, sourceSections);
+            requestPersistentStorage();
+            this.sync.trackDocument(docRecord);
+            this.currentDocument = docRecord;
 
-            this.currentDocument = doc;
-
-            // Open reader
             this.hideLoading();
-            this.openReader(doc);
+            this.openReader(docRecord);
 
         } catch (error) {
             console.error('Import error:', error);
@@ -508,320 +939,2822 @@ class SpeedReaderApp {
             alert('Error importing file: ' + error.message);
         }
 
-        // Clear file input
         this.fileInput.value = '';
     }
 
-    parseHTML(html) {
-        const parser = new DOMParser();
-        const doc = parser.parseFromString(html, 'text/html');
+    // Documents imported before content-hash IDs move to the new ID, keeping progress.
+    // The new ID needs the file's bytes, so a legacy record keeps its ID until its file is imported again.
+    async migrateLegacyDocument(file, docId) {
+        const legacy = findLegacyDocument(await this.persistence.getAllRecords('library'), file);
+        return legacy ? this.moveLegacyDocument(legacy.id, docId) : null;
+    }
 
-        // Remove non-content elements
-        const remove = ['script', 'style', 'nav', 'header', 'footer', 'aside'];
-        remove.forEach(tag => {
-            doc.querySelectorAll(tag).forEach(el => el.remove());
-        });
+    // A renamed or re-downloaded copy of a legacy import: same size and same extracted text
+    async migrateLegacyCopy(file, docId, tokens, source) {
+        for (const candidate of findLegacyCandidates(await this.persistence.getAllRecords('library'), file)) {
+            const stored = { tokens: await this.persistence.getTokens(candidate.id), source: await this.persistence.getSource(candidate.id) };
+            if (isSameText({ tokens, source }, stored)) return this.moveLegacyDocument(candidate.id, docId);
+        }
+        return null;
+    }
 
-        const main = doc.querySelector('article, main, .content') || doc.body;
-        return main.textContent || '';
+    async moveLegacyDocument(legacyId, docId) {
+        console.log(`[Migration] Document ${legacyId} → ${docId}`);
+        await this.persistence.renameDocument(legacyId, docId);
+        const doc = await this.persistence.getDocument(docId);
+        this.sync.trackDocument(doc);
+        this.sync.trackProgress(doc);
+        return doc;
     }
 
-    async parsePDF(file) {
-        if (typeof pdfjsLib === 'undefined') {
-            throw new Error('PDF.js not loaded');
-        }
+    // ==================== URL IMPORT ====================
 
-        pdfjsLib.GlobalWorkerOptions.workerSrc =
-            'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js';
+    async checkProxyHealth() {
+        this.proxyStatus.classList.remove('reachable', 'unreachable');
+        try {
+            const controller = new AbortController();
+            const timeout = setTimeout(() => controller.abort(), 3000);
+            const res = await fetch('https://r.jina.ai/https://example.com', {
+                cache: 'no-store',
+                signal: controller.signal
+            });
+            clearTimeout(timeout);
+            if (res.ok) {
+                this.proxyStatus.classList.add('reachable');
+                console.log('[Proxy] Health check passed');
+            } else {
+                this.proxyStatus.classList.add('unreachable');
+                console.log('[Proxy] Health check failed:', res.status);
+            }
+        } catch (e) {
+            this.proxyStatus.classList.add('unreachable');
+            console.log('[Proxy] Health check failed:', e.message);
+        }
+    }
 
-        const arrayBuffer = await file.arrayBuffer();
-        const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
+    async handlePasteUrl() {
+        // Re-check proxy health when user taps button
+        this.checkProxyHealth();
 
-        let text = '';
-        for (let i = 1; i <= pdf.numPages; i++) {
-            const page = await pdf.getPage(i);
-            const content = await page.getTextContent();
-            text += content.items.map(item => item.str).join(' ') + '\n\n';
+        try {
+            const text = await navigator.clipboard.readText();
+            if (text && (text.startsWith('http://') || text.startsWith('https://') || text.includes('.'))) {
+                this.importUrl(text.trim());
+            } else {
+                this.showUrlModal();
+            }
+        } catch (e) {
+            // Clipboard blocked - show modal
+            this.showUrlModal();
         }
+    }
 
-        return text;
+    showUrlModal() {
+        this.urlInput.value = '';
+        this.urlModal.classList.remove('hidden');
+        this.urlInput.focus();
     }
 
-    // ============ Library Management ============
+    hideUrlModal() {
+        this.urlModal.classList.add('hidden');
+    }
 
-    async loadLibrary() {
-        try {
-            const docs = await this.persistence.getRecentDocuments(20);
-            this.renderLibrary(docs);
-        } catch (error) {
-            console.error('Error loading library:', error);
+    loadUrlFromModal() {
+        const url = this.urlInput.value.trim();
+        if (url) {
+            this.hideUrlModal();
+            this.importUrl(url);
         }
     }
 
-    renderLibrary(docs) {
-        if (docs.length === 0) {
-            this.recentList.innerHTML = '<p class="empty-state">No documents yet</p>';
-            return;
+    async importUrl(url) {
+        // Auto-prefix https if missing scheme
+        if (!url.startsWith('http://') && !url.startsWith('https://')) {
+            url = 'https://' + url;
         }
 
-        this.recentList.innerHTML = docs.map(doc => {
-            const progress = doc.progress || {};
-            const percent = doc.wordCount > 0
-                ? Math.round((progress.currentIndex || 0) / doc.wordCount * 100)
-                : 0;
+        // Validate URL
+        try {
+            new URL(url);
+        } catch (e) {
+            alert('Invalid URL');
+            return;
+        }
 
-            return `
-                <div class="recent-item" data-doc-id="${doc.id}">
-                    <div class="recent-item-title">${this.escapeHtml(doc.title)}</div>
-                    <div class="recent-item-meta">
-                        <span>${doc.author || doc.sourceType.toUpperCase()}</span>
-                        <span>${this.formatWordCount(doc.wordCount)}</span>
-                    </div>
-                    <div class="recent-item-progress">
-                        <div class="progress-bar-bg">
-                            <div class="progress-bar-fill" style="width: ${percent}%"></div>
-                        </div>
-                        <span>${percent}%</span>
-                    </div>
-                    <div class="recent-item-actions">
-                        <button class="btn-resume" data-action="resume">Resume</button>
-                        <button class="btn-restart" data-action="restart">Restart</button>
-                    </div>
-                </div>
-            `;
-        }).join('');
+        console.log('[URL Import]', url);
+        this.showLoading('Fetching article...');
 
-        // Add click handlers
-        this.recentList.querySelectorAll('.recent-item').forEach(item => {
-            const docId = item.dataset.docId;
+        try {
+            const proxied = 'https://r.jina.ai/' + url;
+            const res = await fetch(proxied, { cache: 'no-store' });
 
-            item.querySelector('.btn-resume').addEventListener('click', (e) => {
-                e.stopPropagation();
-                this.openDocumentById(docId, true);
-            });
+            if (!res.ok) {
+                throw new Error(`Proxy returned ${res.status}`);
+            }
 
-            item.querySelector('.btn-restart').addEventListener('click', (e) => {
-                e.stopPropagation();
-                this.openDocumentById(docId, false);
-            });
-        });
-    }
+            let text = await res.text();
 
-    async openDocumentById(docId, resume = true) {
-        this.showLoading('Loading document...');
+            // Strip Jina metadata header (lines starting with Title:, URL:, etc.)
+            text = this.cleanProxyOutput(text);
+            // Normalize Wikipedia/nav boilerplate
+            text = this.normalizeProxyText(text, url);
 
-        try {
-            const doc = await this.persistence.getDocument(docId);
-            if (!doc) {
-                throw new Error('Document not found');
+            if (!text.trim()) {
+                throw new Error('No readable text found');
             }
 
-            // Try to load cached tokens
-            let tokens = await this.persistence.getTokens(docId);
+            // Extract title from first non-empty line or use hostname
+            const title = this.extractTitle(text, url);
+
+            this.showLoading('Tokenizing...');
+            this.tokens = tokenize(text, this.settings.mode, { profile: this.getTimingProfile() });
 
-            if (!tokens) {
-                // No cached tokens - would need to re-import
-                // For now, show error
-                throw new Error('Document data not found. Please re-import the file.');
+            if (this.tokens.length === 0) {
+                throw new Error('No readable content extracted (0 words)');
             }
 
-            this.tokens = tokens;
-            this.currentDocument = doc;
+            const docId = 'url-' + Date.now();
+            const hostname = new URL(url).hostname;
 
-            // Update last opened
-            doc.lastOpened = Date.now();
-            await this.persistence.saveDocument(doc);
+            const docRecord = {
+                id: docId,
+                title: title,
+                author: hostname,
+                sourceType: 'url',
+                fileName: url,
+                fileSize: text.length,
+                wordCount: this.tokens.length,
+                firstProseWordIndex: 0,
+                addedAt: Date.now(),
+                lastOpened: Date.now(),
+                progress: { currentIndex: 0, wpm: this.settings.defaultWPM, mode: this.settings.mode, updatedAt: Date.now() }
+            };
+
+            await this.persistence.saveDocument(docRecord);
+            await this.persistence.saveTokens(docId, this.tokens);
+            await this.persistence.saveSource(docId, [text]);
+            requestPersistentStorage();
+            this.sync.trackDocument(docRecord);
+            this.currentDocument = docRecord;
 
             this.hideLoading();
-            this.openReader(doc, resume);
+            this.openReader(docRecord);
 
         } catch (error) {
-            console.error('Error opening document:', error);
+            console.error('[URL Import] Error:', error);
             this.hideLoading();
-            alert(error.message);
+            if (error.message.includes('Proxy') || error.name === 'TypeError') {
+                alert('Proxy unreachable. Check your connection.');
+            } else {
+                alert('Error: ' + error.message);
+            }
         }
     }
 
-    // ============ Reader ============
-
-    openReader(doc, resume = true) {
-        this.currentDocument = doc;
-        this.docTitle.textContent = doc.title;
+    cleanProxyOutput(text) {
+        // Jina returns markdown with metadata header
+        // Strip leading metadata lines (Title:, URL:, Markdown Content:, etc.)
+        const lines = text.split('\n');
+        let startIndex = 0;
+
+        // Skip metadata header lines
+        for (let i = 0; i < Math.min(lines.length, 20); i++) {
+            const line = lines[i].trim();
+            if (line.startsWith('Title:') || line.startsWith('URL:') ||
+                line.startsWith('Markdown Content:') || line.startsWith('Source:') ||
+                line === '' || line.startsWith('---')) {
+                startIndex = i + 1;
+            } else {
+                break;
+            }
+        }
 
-        // Load playback
-        const startIndex = resume && doc.progress ? doc.progress.currentIndex : 0;
-        const wpm = doc.progress?.wpm || this.settings.defaultWPM;
-        const mode = doc.progress?.mode || this.settings.mode;
+        let content = lines.slice(startIndex).join('\n');
 
-        this.playback.load(this.tokens, startIndex);
-        this.playback.setWPM(wpm);
-        this.playback.setMode(mode);
+        // Normalize whitespace: collapse multiple newlines to double, trim lines
+        content = content
+            .replace(/\r\n/g, '\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .replace(/[ \t]+/g, ' ')
+            .trim();
 
-        // Update UI
-        this.progressTotal.textContent = this.tokens.length;
+        return content;
+    }
 
-        // Show reader view
+    // Normalize proxy text: filter Wikipedia/nav boilerplate, keep article prose
+    normalizeProxyText(text, sourceUrl) {
+        // DEBUG: Log raw input (first 2000 chars)
+        console.log('[normalizeProxyText] RAW INPUT:', text.substring(0, 2000));
+
+        // 0) Remove entire lines that are TOC entries (start with * and contain wiki anchor links)
+        // These look like: *   [1 Early life](https://en.wikipedia.org/wiki/...#section)
+        text = text.replace(/^\s*\*\s*\[.*\]\(https?:\/\/[^)]*#[^)]*\).*$/gm, '');
+
+        // 0b) Remove lines that are just "Contents", "move to sidebar hide", "Toggle X subsection"
+        text = text.replace(/^-+$/gm, ''); // horizontal rules
+        text = text.replace(/^\s*(Contents|move to sidebar hide|Toggle.*subsection)\s*$/gim, '');
+
+        // 1) Strip markdown link syntax: [text](url) or [text](url "title") -> text + space
+        // Jina returns format like: [Police Academy](https://..._(film) "Police Academy (film)")
+        // The URL can have parentheses (Wikipedia style) and there may be a quoted title
+        // Strategy: match [text]( then everything up to ) that's followed by end-of-link context
+        // First handle links with title: [text](url "title")
+        text = text.replace(/\[([^\]]*)\]\([^"]*"[^"]*"\)/g, '$1 ');
+
+        // Then handle standard links: [text](url) - be greedy to catch nested parens in URLs
+        // Match URLs that start with http, /, or # and consume everything to final )
+        text = text.replace(/\[([^\]]*)\]\(https?:\/\/[^)]*\)/g, '$1 ');
+        text = text.replace(/\[([^\]]*)\]\(\/[^)]*\)/g, '$1 ');
+        text = text.replace(/\[([^\]]*)\]\(#[^)]*\)/g, '$1 ');
+
+        // 2) Catch any remaining [...](something) patterns - only if looks like a link (no spaces)
+        text = text.replace(/\[([^\]]*)\]\([^)\s]+\)/g, '$1 ');
+
+        // 3) Strip any remaining bare URLs
+        text = text.replace(/https?:\/\/[^\s\])<]+/gi, ' ');
+        text = text.replace(/www\.[^\s\])<]+/gi, ' ');
+
+        // 4) Strip wiki path fragments that leaked through
+        text = text.replace(/\/wiki\/[^\s\])<]+/gi, ' ');
+
+        // 5) Collapse multiple spaces and blank lines
+        text = text.replace(/  +/g, ' ');
+        text = text.replace(/\n{3,}/g, '\n\n');
+
+        const lines = text.split('\n');
+        const kept = [];
+
+        // Check if this is Wikipedia
+        const isWikipedia = sourceUrl && /wikipedia\.org/i.test(sourceUrl);
+
+        // Boilerplate patterns to drop (case-insensitive)
+        const boilerplatePatterns = [
+            /^languages?$/i, /^english$/i, /^español$/i, /^français$/i, /^deutsch$/i,
+            /^العربية$/i, /^中文$/i, /^日本語$/i, /^русский$/i, /^português$/i,
+            /^jump to (navigation|search|content)/i, /^contents$/i, /^from wikipedia/i,
+            /^wikipedia$/i, /^main page$/i, /^current events$/i, /^random article$/i,
+            /^donate$/i, /^help$/i, /^about wikipedia$/i, /^contact us$/i,
+            /^tools$/i, /^print\/export$/i, /^in other projects$/i,
+            /^create account$/i, /^log in$/i, /^talk$/i, /^contributions$/i,
+            /^what links here$/i, /^related changes$/i, /^upload file$/i,
+            /^special pages$/i, /^permanent link$/i, /^page information$/i,
+            /^cite this page$/i, /^wikidata item$/i, /^download as pdf$/i,
+            /^\[edit\]$/i, /^edit$/i, /^hide$/i, /^show$/i,
+            /^\d+ languages?$/i, /^read$/i, /^view (history|source)$/i,
+            /^article$/i, /^featured article$/i, /^good article$/i,
+            /^coordinates$/i, /^toggle.*sidebar$/i, /^move to sidebar$/i
+        ];
+
+        // Stop headings (end of main content)
+        const stopHeadings = [
+            /^#{1,3}\s*references/i, /^#{1,3}\s*external links/i,
+            /^#{1,3}\s*see also/i, /^#{1,3}\s*further reading/i,
+            /^#{1,3}\s*notes$/i, /^#{1,3}\s*citations$/i,
+            /^references$/i, /^external links$/i, /^see also$/i, /^further reading$/i
+        ];
+
+        // 2) For Wikipedia, find the lead paragraph first
+        let foundLead = false;
+        let leadLineIndex = -1;
+
+        if (isWikipedia) {
+            // Lead paragraph indicators: "is a/an", "was a/an", "born", "(born", "are a"
+            // Plus must have sentence punctuation and be reasonably long
+            for (let i = 0; i < lines.length; i++) {
+                const trimmed = lines[i].trim();
+                if (!trimmed) continue;
+
+                // Skip obvious boilerplate
+                if (boilerplatePatterns.some(p => p.test(trimmed))) continue;
+
+                // Lead paragraph heuristic: contains biographical/definitional phrases
+                const hasLeadPattern = /\b(is an?|was an?|are an?|born|refers to|describes)\b/i.test(trimmed);
+                const hasSentencePunct = /[.?!]/.test(trimmed);
+                const isLongEnough = trimmed.length >= 60;
+
+                if (hasLeadPattern && hasSentencePunct && isLongEnough) {
+                    foundLead = true;
+                    leadLineIndex = i;
+                    break;
+                }
+            }
+        }
+
+        // Start from lead paragraph if found, otherwise from beginning
+        const startIndex = foundLead ? leadLineIndex : 0;
+
+        for (let i = startIndex; i < lines.length; i++) {
+            const trimmed = lines[i].trim();
+
+            // Skip empty lines (will rejoin with double newlines)
+            if (!trimmed) continue;
+
+            // Stop at reference/external links sections
+            if (stopHeadings.some(p => p.test(trimmed))) break;
+
+            // Skip boilerplate (but not if it's our lead line)
+            if (i !== leadLineIndex && boilerplatePatterns.some(p => p.test(trimmed))) continue;
+
+            // Skip short navigation-like lines (< 30 chars, no sentence punctuation)
+            if (trimmed.length < 30 && !/[.?!]/.test(trimmed)) continue;
+
+            // Skip lines that are mostly non-letter characters (nav junk)
+            const letterRatio = (trimmed.match(/\p{L}/gu) || []).length / trimmed.length;
+            if (letterRatio < 0.5 && trimmed.length < 100) continue;
+
+            // Keep paragraph-like lines: >= 60 chars with punctuation OR >= 10 words
+            const wordCount = trimmed.split(/\s+/).length;
+            const hasSentencePunct = /[.?!]/.test(trimmed);
+            const isHeading = /^#{1,6}\s/.test(trimmed);
+
+            if (isHeading || (trimmed.length >= 60 && hasSentencePunct) || wordCount >= 10) {
+                kept.push(trimmed);
+            }
+        }
+
+        // Join kept lines, strip citation brackets [1] [2] etc.
+        let result = kept.join('\n\n');
+        result = result.replace(/\s*\[\d+\]/g, '');
+        result = result.replace(/\s*\[citation needed\]/gi, '');
+        result = result.replace(/\s*\[edit\]/gi, '');
+        // Clean up any remaining empty brackets or double spaces
+        result = result.replace(/\[\s*\]/g, '');
+        result = result.replace(/\s{2,}/g, ' ');
+
+        // DEBUG: Log normalized output (first 2000 chars)
+        console.log('[normalizeProxyText] NORMALIZED OUTPUT:', result.substring(0, 2000));
+
+        return result.trim();
+    }
+
+    extractTitle(text, url) {
+        // Look for first heading (# line) or first non-empty line
+        const lines = text.split('\n');
+        for (const line of lines.slice(0, 10)) {
+            const trimmed = line.trim();
+            if (trimmed.startsWith('#')) {
+                return trimmed.replace(/^#+\s*/, '').trim();
+            }
+            if (trimmed.length > 5 && trimmed.length < 200) {
+                return trimmed;
+            }
+        }
+        // Fallback to hostname
+        try {
+            return new URL(url).hostname.replace(/^www\./, '');
+        } catch {
+            return 'Web Article';
+        }
+    }
+
+    // ==================== END URL IMPORT ====================
+
+    renderWord(token) {
+        if (!token) {
+            this.wordBefore.textContent = '';
+            this.wordPivot.textContent = '';
+            this.wordAfter.textContent = '';
+            return;
+        }
+        const { word, orpIndex } = token;
+
+        // Split word into before / pivot / after in logical order (orpIndex counts
+        // grapheme clusters). For RTL words logical order starts at the right,
+        // so the ORP is measured from the right edge.
+        const graphemes = splitGraphemes(word);
+        const rawPivot = graphemes[orpIndex] || '';
+        let before = graphemes.slice(0, orpIndex).join('');
+        let pivot = rawPivot;
+        let after = graphemes.slice(orpIndex + 1).join('');
+
+        const direction = getTextDirection(word);
+        if (direction === 'rtl') {
+            // Keep cursive letter forms connected across the span boundaries
+            if (joinsAcross(graphemes[orpIndex - 1], rawPivot)) {
+                before += ZWJ;
+                pivot = ZWJ + pivot;
+            }
+            if (joinsAcross(rawPivot, graphemes[orpIndex + 1])) {
+                pivot += ZWJ;
+                after = ZWJ + after;
+            }
+        }
+
+        // Base direction for bidi resolution inside each part (mixed-direction
+        // tokens such as Arabic with Latin digits); .rtl mirrors the span layout
+        this.wordContainer.dir = direction;
+        this.wordContainer.classList.toggle('rtl', direction === 'rtl');
+
+        // Set text content
+        this.wordBefore.textContent = before;
+        this.wordPivot.textContent = pivot;
+        this.wordAfter.textContent = after;
+
+        // Align left/right spans to pivot edges
+        requestAnimationFrame(() => this.alignWordToPivot());
+    }
+
+    // Align before/after spans so they touch pivot edges exactly
+    // Pivot is at left:50% with transform:translateX(-50%) - its center is at stage center
+    // LTR: before span has right:50%, after span has left:50%
+    // RTL: mirrored - before span has left:50%, after span has right:50%
+    // We offset each by half the pivot width so they don't overlap the pivot
+    alignWordToPivot() {
+        if (!this.wordPivot || !this.wordBefore || !this.wordAfter) return;
+
+        // Measure pivot width
+        const pivotWidth = this.wordPivot.getBoundingClientRect().width;
+        const halfPivot = pivotWidth / 2;
+        const rtl = this.wordContainer?.classList.contains('rtl');
+
+        // Before span: shift away from center so its inner edge touches the pivot
+        this.wordBefore.style.transform = `translateX(${rtl ? halfPivot : -halfPivot}px)`;
+
+        // After span: shift the opposite way
+        this.wordAfter.style.transform = `translateX(${rtl ? -halfPivot : halfPivot}px)`;
+
+        // Update guide positions (horizontal bars track word height)
+        this.updateGuidePositions();
+    }
+
+    updatePlaybackUI(state) {
+        this.iconPlay.style.display = state.isPlaying ? 'none' : 'block';
+        this.iconPause.style.display = state.isPlaying ? 'block' : 'none';
+        // Update tuning overlay WPM display if visible
+        this.tuningWpmSlider.value = state.wpm;
+        this.tuningWpmValue.textContent = `${state.wpm} wpm`;
+        // Speed changes (manual, ramp, pacing) all land here
+        this.updateTimeLeft();
+        // One reading session per play/pause span
+        if (state.isPlaying && !this.sessionTracker.active && this.currentDocument) {
+            this.sessionTracker.start(this.currentDocument.id, state.currentIndex, this.sessionSpeed());
+        } else if (!state.isPlaying && this.sessionTracker.active) {
+            this.saveSession(this.sessionTracker.stop(state.currentIndex));
+        }
+        // Pausing shows the paragraph that was playing
+        if (state.isPlaying) this.hideContextPeek();
+        else if (this.wasPlaying && this.settings.contextPeek) this.showContextPeek();
+        this.wasPlaying = state.isPlaying;
+        // Auto-hide controls: start timer when playing, restore when paused
+        if (state.isPlaying) {
+            this.resetAutoHideTimer();
+        } else {
+            // Paused - clear timer and restore controls/header
+            if (this.autoHideTimer) {
+                clearTimeout(this.autoHideTimer);
+                this.autoHideTimer = null;
+            }
+            this.readerControls?.classList.remove('auto-dimmed');
+            this.readerHeader?.classList.remove('auto-dimmed');
+        }
+    }
+
+    updateProgress(percent) {
+        this.progressSlider.value = percent;
+        const progress = this.playback.getProgress();
+        this.progressCurrent.textContent = progress.current;
+        this.progressTotal.textContent = progress.total;
+        if (this.playback.isPlaying && !this.ramp.isRamping) this.pacer.recordProgress(this.playback.currentIndex);
+        if (this.playback.isPlaying) this.sessionTracker.progress(this.playback.currentIndex, this.sessionSpeed());
+        // Check for chapter change
+        this.checkChapterChange(this.playback.currentIndex);
+        this.updateTimeLeft();
+        if (this.contextPeek.classList.contains('visible')) this.renderContextPeek();
+    }
+
+    updateTimeLeft() {
+        if (!this.tokens.length) return;
+        const current = this.playback.currentIndex;
+        const wpm = this.playback.wpm;
+        const bookMs = estimateRangeMs(this.timeIndex, current, this.tokens.length - 1, wpm);
+        const chapter = this.getChapterForWordIndex(current)?.chapter;
+        const text = chapter
+            ? `${formatDuration(estimateRangeMs(this.timeIndex, current, chapter.endWord, wpm))} left in chapter · ${formatDuration(bookMs)} in book`
+            : `${formatDuration(bookMs)} left`;
+        if (this.timeLeft.textContent !== text) this.timeLeft.textContent = text;
+    }
+
+    // ==================== CONTEXT PEEK ====================
+
+    showContextPeek() {
+        if (!this.tokens?.length || !this.readerView.classList.contains('active')) return;
+        this.renderContextPeek();
+        this.contextPeek.classList.add('visible');
+    }
+
+    hideContextPeek() {
+        this.contextPeek.classList.remove('visible');
+    }
+
+    renderContextPeek() {
+        const index = this.playback.currentIndex;
+        const { words, clippedStart, clippedEnd } = buildContextView(this.tokens, index);
+        const nodes = [];
+        if (clippedStart) nodes.push('… ');
+        for (const word of words) {
+            if (word.spaceBefore) nodes.push(' ');
+            const span = document.createElement('span');
+            span.className = word.index === index ? 'context-word current' : 'context-word';
+            span.dataset.index = word.index;
+            span.textContent = word.text;
+            nodes.push(span);
+        }
+        if (clippedEnd) nodes.push(' …');
+        this.contextPeekText.replaceChildren(...nodes);
+        this.centerContextPeek();
+    }
+
+    // Scroll the peek itself; scrollIntoView would also scroll the display
+    centerContextPeek() {
+        const current = this.contextPeekText.querySelector('.current');
+        if (!current) return;
+        this.contextPeek.scrollTop = current.offsetTop - (this.contextPeek.clientHeight - current.offsetHeight) / 2;
+    }
+
+    seekFromContextPeek(index) {
+        this.hideContextPeek();
+        if (index < this.playback.currentIndex) this.noteRewind();
+        this.playback.seek(index);
+        this.checkChapterChange(index);
+    }
+
+    // Find which chapter contains the given word index
+    getChapterForWordIndex(wordIndex) {
+        const chapters = this.currentDocument?.chapters;
+        if (!chapters || chapters.length === 0) return null;
+        for (let i = 0; i < chapters.length; i++) {
+            if (wordIndex >= chapters[i].startWord && wordIndex <= chapters[i].endWord) {
+                return { index: i, chapter: chapters[i] };
+            }
+        }
+        return null;
+    }
+
+    // Check if we've entered a new chapter and show overlay if so
+    checkChapterChange(wordIndex) {
+        const result = this.getChapterForWordIndex(wordIndex);
+        if (!result) {
+            // No chapters - update button visibility
+            this.updateChapterButtonState();
+            return;
+        }
+
+        const { index, chapter } = result;
+        if (index !== this.currentChapterIndex) {
+            // Reading on into the next chapter ends the previous one
+            const finishedChapter = this.playback.isPlaying && index === this.currentChapterIndex + 1;
+            this.currentChapterIndex = index;
+            if (finishedChapter && !this.ramp.isRamping && this.pacer.shouldCheckIn()) this.showCheckIn();
+            this.showChapterOverlay(chapter.title);
+            this.updateChapterButtonState();
+        }
+    }
+
+    // Show chapter title overlay with fade animation
+    showChapterOverlay(title) {
+        if (!this.chapterOverlay || !title) return;
+
+        // Cancel any existing fade timer
+        if (this.chapterFadeTimer) {
+            clearTimeout(this.chapterFadeTimer);
+            this.chapterFadeTimer = null;
+        }
+
+        // Reset classes and set content
+        this.chapterOverlay.classList.remove('visible', 'fading');
+        this.chapterOverlay.textContent = title;
+
+        // Force reflow to restart animation
+        void this.chapterOverlay.offsetWidth;
+
+        // Show immediately
+        this.chapterOverlay.classList.add('visible');
+
+        // Start fade after 0.5s, fade takes 1.5s (total ~2s visible)
+        this.chapterFadeTimer = setTimeout(() => {
+            this.chapterOverlay.classList.remove('visible');
+            this.chapterOverlay.classList.add('fading');
+            // Clean up after fade completes
+            this.chapterFadeTimer = setTimeout(() => {
+                this.chapterOverlay.classList.remove('fading');
+                this.chapterFadeTimer = null;
+            }, 1500);
+        }, 500);
+    }
+
+    // Reset chapter tracking (called when opening a new document)
+    resetChapterTracking() {
+        this.currentChapterIndex = -1;
+        if (this.chapterFadeTimer) {
+            clearTimeout(this.chapterFadeTimer);
+            this.chapterFadeTimer = null;
+        }
+        if (this.chapterOverlay) {
+            this.chapterOverlay.classList.remove('visible', 'fading');
+            this.chapterOverlay.textContent = '';
+        }
+    }
+
+    // Jump to previous/next chapter
+    jumpToChapter(direction) {
+        const chapters = this.currentDocument?.chapters;
+        if (!chapters || chapters.length === 0) return;
+
+        const newIndex = this.currentChapterIndex + direction;
+        if (newIndex < 0 || newIndex >= chapters.length) return;
+
+        const chapter = chapters[newIndex];
+        const wasPlaying = this.playback.isPlaying;
+
+        // Seek to start of chapter
+        this.playback.seek(chapter.startWord);
+        this.currentChapterIndex = newIndex;
+
+        // Show chapter overlay
+        this.showChapterOverlay(chapter.title);
+
+        // Update button states
+        this.updateChapterButtonState();
+
+        // Resume playback if it was playing
+        if (wasPlaying) {
+            this.playback.play();
+        }
+    }
+
+    // ==================== TABLE OF CONTENTS ====================
+
+    // Nested TOC from import; documents without one (or imported before it
+    // existed) fall back to a flat list of their chapters
+    getTocEntries() {
+        const doc = this.currentDocument;
+        if (doc?.toc?.length) return doc.toc;
+        return (doc?.chapters || []).map(c => ({ title: c.title, wordIndex: c.startWord, children: [] }));
+    }
+
+    openToc() {
+        this.renderToc();
+        this.tocPanel.classList.add('open');
+        this.tocList.querySelector('.toc-entry.current')?.scrollIntoView({ block: 'center' });
+    }
+
+    closeToc() { this.tocPanel.classList.remove('open'); }
+
+    renderToc() {
+        const current = this.playback.currentIndex;
+        const wpm = this.playback.wpm;
+        const timeIndex = this.timeIndex;
+        const lastIndex = this.tokens.length - 1;
+
+        // Reading-order list; an entry runs until the next entry at its level or above
+        const flat = [];
+        const walk = (entries, depth) => entries.forEach(entry => {
+            flat.push({ entry, depth });
+            walk(entry.children, depth + 1);
+        });
+        walk(this.getTocEntries(), 0);
+        flat.forEach((item, i) => {
+            if (item.entry.wordIndex === null) return;
+            const next = flat.slice(i + 1).find(other => other.depth <= item.depth && other.entry.wordIndex > item.entry.wordIndex);
+            item.start = item.entry.wordIndex;
+            item.end = next ? next.entry.wordIndex - 1 : lastIndex;
+        });
+
+        // Deepest entry containing the current word
+        const currentItem = flat.filter(item => item.start !== undefined && item.start <= current).pop();
+
+        const buildList = (list, depth) => {
+            while (flat.length && flat[0].depth === depth) {
+                const item = flat.shift();
+                const li = document.createElement('li');
+                li.appendChild(this.createTocEntry(item, current, wpm, timeIndex, item === currentItem));
+                if (flat.length && flat[0].depth > depth) {
+                    const childList = document.createElement('ol');
+                    buildList(childList, depth + 1);
+                    li.appendChild(childList);
+                }
+                list.appendChild(li);
+            }
+        };
+        this.tocList.replaceChildren();
+        buildList(this.tocList, 0);
+    }
+
+    createTocEntry(item, current, wpm, timeIndex, isCurrent) {
+        const btn = document.createElement('button');
+        btn.className = 'toc-entry';
+        btn.style.setProperty('--depth', item.depth);
+        btn.dir = 'auto';
+
+        const title = document.createElement('span');
+        title.className = 'toc-title';
+        title.textContent = item.entry.title;
+        btn.appendChild(title);
+
+        if (item.start === undefined) {
+            // Target file was skipped on import (front matter, navigation)
+            btn.disabled = true;
+            return btn;
+        }
+
+        const length = item.end - item.start + 1;
+        const read = Math.min(Math.max(current - item.start, 0), length);
+        const percent = Math.round(read / length * 100);
+        const remainingMs = estimateRangeMs(timeIndex, Math.max(current, item.start), item.end, wpm);
+
+        const meta = document.createElement('span');
+        meta.className = 'toc-meta';
+        if (percent >= 100) meta.textContent = 'Read';
+        else if (percent > 0) meta.textContent = `${percent}% · ${formatDuration(remainingMs)} left`;
+        else meta.textContent = formatDuration(remainingMs);
+        btn.appendChild(meta);
+
+        const bar = document.createElement('span');
+        bar.className = 'toc-progress';
+        const fill = document.createElement('span');
+        fill.style.width = `${percent}%`;
+        bar.appendChild(fill);
+        btn.appendChild(bar);
+
+        btn.classList.toggle('current', isCurrent);
+        btn.classList.toggle('done', percent >= 100);
+        btn.addEventListener('click', () => {
+            Haptics.tap();
+            this.closeToc();
+            this.playback.seek(item.start);
+            this.checkChapterChange(item.start);
+        });
+        return btn;
+    }
+
+    // ==================== SEARCH ====================
+
+    // Index the newly opened document and forget the previous one's results
+    resetSearch() {
+        this.documentSearch.load(this.tokens);
+        this.searchInput.value = '';
+        this.searchStatus.textContent = SEARCH_HINT;
+        this.searchResults.replaceChildren();
+    }
+
+    openSearch() {
+        if (!this.currentDocument) return;
+        this.playback.pause();
+        this.searchPanel.classList.add('open');
+        this.searchInput.focus();
+        this.searchInput.select();
+    }
+
+    closeSearch() {
+        clearTimeout(this.searchTimer);
+        this.searchPanel.classList.remove('open');
+        this.searchInput.blur();
+    }
+
+    async runSearch() {
+        const query = this.searchInput.value;
+        if (!query.trim()) {
+            this.searchStatus.textContent = SEARCH_HINT;
+            this.searchResults.replaceChildren();
+            return;
+        }
+        const result = await this.documentSearch.search(query);
+        if (!result) return; // Superseded by a newer query
+        const { matches, total } = result;
+        this.searchStatus.textContent = total === 0 ? 'No matches'
+            : total > matches.length ? `First ${matches.length} of ${total} matches`
+            : `${total} match${total === 1 ? '' : 'es'}`;
+        this.searchResults.replaceChildren(...matches.map(match => this.createSearchResult(match)));
+    }
+
+    createSearchResult(match) {
+        const li = document.createElement('li');
+        li.className = 'bookmark-item search-result';
+
+        const jump = document.createElement('button');
+        jump.className = 'bookmark-jump';
+        const snippet = document.createElement('span');
+        snippet.className = 'bookmark-snippet';
+        snippet.dir = 'auto';
+        snippet.textContent = buildSnippet(this.tokens, match.start - SEARCH_CONTEXT_WORDS, match.end + SEARCH_CONTEXT_WORDS);
+        const meta = document.createElement('span');
+        meta.className = 'bookmark-meta';
+        const percent = Math.round(match.start / Math.max(1, this.tokens.length - 1) * 100);
+        const chapter = this.getChapterForWordIndex(match.start)?.chapter;
+        meta.textContent = [chapter?.title, `${percent}%`].filter(Boolean).join(' · ');
+        jump.append(snippet, meta);
+        jump.addEventListener('click', () => {
+            Haptics.tap();
+            this.closeSearch();
+            const target = leadInIndex(this.tokens, match.start);
+            this.playback.seek(target);
+            this.checkChapterChange(target);
+        });
+
+        li.append(jump);
+        return li;
+    }
+
+    // ==================== BOOKMARKS & HIGHLIGHTS ====================
+
+    // Capture the word on screen (or its sentence) without interrupting playback
+    async addAnnotation(type) {
+        if (!this.currentDocument || this.tokens.length === 0) return;
+        const annotation = createAnnotation(this.tokens, this.currentDocument.id, type, this.playback.currentIndex);
+        const existing = await this.persistence.getAnnotations(this.currentDocument.id);
+        const duplicate = existing.some(a => a.type === type && a.startIndex === annotation.startIndex && a.endIndex === annotation.endIndex);
+        if (!duplicate) await this.persistence.saveAnnotation(annotation);
+        Haptics.tap();
+        this.showChapterOverlay(type === 'highlight' ? 'Sentence highlighted' : 'Bookmarked');
+    }
+
+    async openBookmarks() {
+        await this.renderBookmarks();
+        this.bookmarksPanel.classList.add('open');
+    }
+
+    closeBookmarks() { this.bookmarksPanel.classList.remove('open'); }
+
+    async renderBookmarks() {
+        const annotations = await this.persistence.getAnnotations(this.currentDocument.id);
+        this.bookmarkList.replaceChildren(...annotations.map(a => this.createBookmarkItem(a)));
+        this.bookmarkEmpty.hidden = annotations.length > 0;
+    }
+
+    createBookmarkItem(annotation) {
+        const li = document.createElement('li');
+        li.className = `bookmark-item ${annotation.type}`;
+
+        const jump = document.createElement('button');
+        jump.className = 'bookmark-jump';
+        const snippet = document.createElement('span');
+        snippet.className = 'bookmark-snippet';
+        snippet.dir = 'auto';
+        snippet.textContent = annotation.snippet;
+        const meta = document.createElement('span');
+        meta.className = 'bookmark-meta';
+        const percent = Math.round(annotation.startIndex / Math.max(1, this.tokens.length - 1) * 100);
+        const chapter = this.getChapterForWordIndex(annotation.startIndex)?.chapter;
+        meta.textContent = [annotation.type === 'highlight' ? 'Highlight' : 'Bookmark', chapter?.title, `${percent}%`]
+            .filter(Boolean).join(' · ');
+        jump.append(snippet, meta);
+        jump.addEventListener('click', () => {
+            Haptics.tap();
+            this.closeBookmarks();
+            this.playback.seek(annotation.startIndex);
+            this.checkChapterChange(annotation.startIndex);
+        });
+
+        const remove = document.createElement('button');
+        remove.className = 'bookmark-delete';
+        remove.setAttribute('aria-label', 'Delete');
+        remove.textContent = '×';
+        remove.addEventListener('click', async () => {
+            Haptics.tap();
+            await this.persistence.deleteAnnotation(annotation.id);
+            this.renderBookmarks();
+        });
+
+        li.append(jump, remove);
+        return li;
+    }
+
+    // Update chapter button visibility and enabled state
+    updateChapterButtonState() {
+        const chapters = this.currentDocument?.chapters;
+        const hasChapters = chapters && chapters.length > 1;
+
+        // Show/hide buttons based on whether document has chapters
+        // Use both class and inline style for maximum WebKit compatibility
+        if (hasChapters) {
+            // Remove hidden class and set inline display
+            this.prevChapterBtn.classList.remove('chapter-hidden');
+            this.nextChapterBtn.classList.remove('chapter-hidden');
+            this.prevChapterBtn.style.display = 'flex';
+            this.nextChapterBtn.style.display = 'flex';
+
+            // Force layout recalculation for older WebKit
+            void this.prevChapterBtn.offsetHeight;
+            void this.nextChapterBtn.offsetHeight;
+
+            // Enable/disable based on current position
+            this.prevChapterBtn.disabled = this.currentChapterIndex <= 0;
+            this.nextChapterBtn.disabled = this.currentChapterIndex >= chapters.length - 1;
+        } else {
+            // Add hidden class and clear inline style
+            this.prevChapterBtn.classList.add('chapter-hidden');
+            this.nextChapterBtn.classList.add('chapter-hidden');
+            this.prevChapterBtn.style.display = '';
+            this.nextChapterBtn.style.display = '';
+        }
+    }
+
+    async loadLibrary() {
+        try {
+            // Search matches words anywhere in title or author, which no index key range can, so filter in memory
+            this.libraryDocs = await this.persistence.getAllRecords('library');
+            this.renderShelfOptions();
+            this.renderLibrary(queryLibrary(this.libraryDocs, this.libraryQuery));
+        } catch (error) {
+            console.error('Error loading library:', error);
+        }
+    }
+
+    updateLibraryQuery(changes) {
+        this.libraryQuery = { ...this.libraryQuery, ...changes };
+        this.renderLibrary(queryLibrary(this.libraryDocs, this.libraryQuery));
+    }
+
+    // Collections and tags in use; a shelf that no longer exists falls back to all documents
+    renderShelfOptions() {
+        const collections = this.settings.collections || [];
+        const tags = collectTags(this.libraryDocs);
+        const option = (value, label) => {
+            const el = document.createElement('option');
+            el.value = value;
+            el.textContent = label;
+            return el;
+        };
+        const group = (label, options) => {
+            const el = document.createElement('optgroup');
+            el.label = label;
+            el.append(...options);
+            return el;
+        };
+        const countIn = (id) => this.libraryDocs.filter(doc => doc.collections?.includes(id)).length;
+
+        const options = [option('all', 'All documents')];
+        if (collections.length > 0) {
+            options.push(group('Collections', collections.map(c => option(`collection:${c.id}`, `${c.name} (${countIn(c.id)})`))));
+        }
+        if (tags.length > 0) {
+            options.push(group('Tags', tags.map(({ tag, count }) => option(`tag:${tag}`, `#${tag} (${count})`))));
+        }
+        this.libraryShelf.replaceChildren(...options);
+        const exists = [...this.libraryShelf.options].some(el => el.value === this.libraryQuery.shelf);
+        if (!exists) this.libraryQuery.shelf = 'all';
+        this.libraryShelf.value = this.libraryQuery.shelf;
+    }
+
+    renderLibrary(docs) {
+        const total = this.libraryDocs.length;
+        this.libraryCount.textContent = total === 0 ? '' : docs.length === total ? `${total}` : `${docs.length} of ${total}`;
+        if (docs.length === 0) {
+            this.recentList.innerHTML = `<p class="empty-state">${total === 0 ? 'No documents yet' : 'No documents match'}</p>`;
+            return;
+        }
+        // Titles, authors and chapter names come from imported files, backups and the
+        // sync endpoint, so they are set as text below rather than written into the markup
+        this.recentList.innerHTML = docs.map(doc => {
+            const percent = doc.wordCount > 0 ? Math.round((doc.progress?.currentIndex || 0) / doc.wordCount * 100) : 0;
+            const hasChapters = doc.chapters && doc.chapters.length > 1;
+            // Get current chapter index from progress or default to chapter containing current word
+            const currentChapterIdx = this.getChapterIndexForDoc(doc);
+            return `
+                <div class="recent-item" data-chapter-idx="${currentChapterIdx}">
+                    <div class="recent-item-header">
+                        <div class="recent-item-title"></div>
+                        <button class="btn-delete" data-action="delete" aria-label="Delete document">
+                            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                <line x1="18" y1="6" x2="6" y2="18"/>
+                                <line x1="6" y1="6" x2="18" y2="18"/>
+                            </svg>
+                        </button>
+                    </div>
+                    <div class="recent-item-meta"></div>
+                    <div class="recent-item-tags"></div>
+                    ${hasChapters ? `
+                    <div class="chapter-selector">
+                        <button class="chapter-nav chapter-prev" data-action="chapter-prev" aria-label="Previous chapter" ${currentChapterIdx === 0 ? 'disabled' : ''}>
+                            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5">
+                                <polyline points="15 18 9 12 15 6"/>
+                            </svg>
+                        </button>
+                        <span class="chapter-label"></span>
+                        <button class="chapter-nav chapter-next" data-action="chapter-next" aria-label="Next chapter" ${currentChapterIdx >= doc.chapters.length - 1 ? 'disabled' : ''}>
+                            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5">
+                                <polyline points="9 6 15 12 9 18"/>
+                            </svg>
+                        </button>
+                    </div>
+                    ` : ''}
+                    <div class="recent-item-progress">
+                        <div class="progress-bar-bg"><div class="progress-bar-fill" style="width: ${percent}%"></div></div>
+                        <span>${percent}%</span>
+                    </div>
+                    <div class="recent-item-actions">
+                        <button class="btn-resume" data-action="resume">Resume</button>
+                        <button class="btn-restart" data-action="restart">Restart</button>
+                        <button class="btn-export" data-action="export">Export</button>
+                        <button class="btn-organize" data-action="organize">Organize</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        this.recentList.querySelectorAll('.recent-item').forEach((item, i) => {
+            const doc = docs[i];
+            const docId = doc.id;
+            item.querySelector('.recent-item-title').textContent = doc.title;
+            const meta = [doc.author || String(doc.sourceType || '').toUpperCase(), formatWordCount(doc.wordCount), this.formatDocumentTimeLeft(doc)];
+            item.querySelector('.recent-item-meta').append(...meta.filter(Boolean).map(text => {
+                const span = document.createElement('span');
+                span.textContent = text;
+                return span;
+            }));
+            const chapterLabel = item.querySelector('.chapter-label');
+            if (chapterLabel) {
+                const chapterIdx = parseInt(item.dataset.chapterIdx) || 0;
+                chapterLabel.textContent = this.formatChapterLabel(doc.chapters[chapterIdx], chapterIdx);
+            }
+            item.querySelector('.btn-resume').addEventListener('click', (e) => { e.stopPropagation(); this.openDocumentAtChapter(docId, parseInt(item.dataset.chapterIdx) || 0); });
+            item.querySelector('.btn-restart').addEventListener('click', (e) => { e.stopPropagation(); this.openDocumentById(docId, false); });
+            item.querySelector('.btn-delete').addEventListener('click', (e) => { e.stopPropagation(); this.deleteDocument(docId); });
+            item.querySelector('.btn-export').addEventListener('click', (e) => { e.stopPropagation(); this.showExportModal(doc); });
+            item.querySelector('.btn-organize').addEventListener('click', (e) => { e.stopPropagation(); this.showOrganizeModal(doc); });
+            item.querySelector('.recent-item-tags').append(...this.createTagChips(doc));
+            // Chapter navigation
+            const prevBtn = item.querySelector('.chapter-prev');
+            const nextBtn = item.querySelector('.chapter-next');
+            if (prevBtn && doc?.chapters) {
+                prevBtn.addEventListener('click', (e) => { e.stopPropagation(); this.navigateChapter(item, doc, -1); });
+            }
+            if (nextBtn && doc?.chapters) {
+                nextBtn.addEventListener('click', (e) => { e.stopPropagation(); this.navigateChapter(item, doc, 1); });
+            }
+        });
+    }
+
+    // "2 h 5 min" before starting, "40 min left" part way, nothing once finished or never timed
+    formatDocumentTimeLeft(doc) {
+        if (isFinished(doc)) return '';
+        const remainingMs = estimateDocumentMs(doc, this.startingWpm());
+        if (remainingMs === null) return '';
+        return doc.progress?.currentIndex > 0 ? `${formatDuration(remainingMs)} left` : formatDuration(remainingMs);
+    }
+
+    // Get chapter index for a document based on current progress
+    getChapterIndexForDoc(doc) {
+        if (!doc.chapters || doc.chapters.length === 0) return 0;
+        const wordIndex = doc.progress?.currentIndex || 0;
+        for (let i = 0; i < doc.chapters.length; i++) {
+            if (wordIndex >= doc.chapters[i].startWord && wordIndex <= doc.chapters[i].endWord) {
+                return i;
+            }
+        }
+        return 0;
+    }
+
+    // Format chapter label for display
+    formatChapterLabel(chapter, index) {
+        if (!chapter) return '';
+        const title = chapter.title || `Chapter ${index + 1}`;
+        // If title already contains chapter/part number, just use it
+        if (/^(chapter|part|book|section)\s+/i.test(title)) {
+            return title;
+        }
+        return `${index + 1}. ${title}`;
+    }
+
+    // Navigate chapter selector
+    navigateChapter(item, doc, direction) {
+        const currentIdx = parseInt(item.dataset.chapterIdx) || 0;
+        const newIdx = Math.max(0, Math.min(doc.chapters.length - 1, currentIdx + direction));
+        if (newIdx === currentIdx) return;
+
+        item.dataset.chapterIdx = newIdx;
+        const label = item.querySelector('.chapter-label');
+        const prevBtn = item.querySelector('.chapter-prev');
+        const nextBtn = item.querySelector('.chapter-next');
+
+        if (label) label.textContent = this.formatChapterLabel(doc.chapters[newIdx], newIdx);
+        if (prevBtn) prevBtn.disabled = newIdx === 0;
+        if (nextBtn) nextBtn.disabled = newIdx >= doc.chapters.length - 1;
+    }
+
+    // Open document at specific chapter
+    async openDocumentAtChapter(docId, chapterIdx) {
+        this.showLoading('Loading...');
+        try {
+            const doc = await this.persistence.getDocument(docId);
+            if (!doc) throw new Error('Document not found');
+            const tokens = await this.persistence.getTokens(docId);
+            if (!tokens || tokens.length === 0) {
+                throw new Error('Document data not found or empty. Please re-import.');
+            }
+
+            this.tokens = tokens;
+            this.currentDocument = doc;
+
+            // Determine start index from chapter
+            let startIndex = 0;
+            if (doc.chapters && doc.chapters[chapterIdx]) {
+                startIndex = doc.chapters[chapterIdx].startWord;
+            } else if (doc.progress?.currentIndex) {
+                startIndex = doc.progress.currentIndex;
+            }
+
+            // Update lastOpened
+            doc.lastOpened = Date.now();
+            await this.persistence.saveDocument(doc);
+
+            this.hideLoading();
+            this.openReaderAtIndex(doc, startIndex);
+        } catch (error) {
+            console.error('[openDocumentAtChapter] Error:', error);
+            this.hideLoading();
+            alert(error.message);
+        }
+    }
+
+    // Open reader at specific word index
+    openReaderAtIndex(doc, startIndex) {
+        this.currentDocument = doc;
+        this.docTitle.textContent = doc.title;
+        const wpm = this.startingWpm();
+        console.log(`[openReaderAtIndex] tokens: ${this.tokens.length}, startIndex: ${startIndex}, wpm: ${wpm}`);
+        // Cached multipliers were computed for whichever mode was active at import
+        this.retime();
+        this.recordTimeUnits(doc);
+        this.playback.setMode(this.settings.mode);
+        this.playback.load(this.tokens, startIndex);
+        this.playback.setWPM(wpm);
+        this.resetSearch();
+        this.pacer.reset(doc.id, this.playback.currentIndex);
+        this.ramp.stop(); // Reset ramp state for new document
+        this.offerRampResume(doc);
+        this.progressTotal.textContent = this.tokens.length;
+        this.progressCurrent.textContent = startIndex + 1;
+        this.resetChapterTracking();
+        this.tocBtn.hidden = this.getTocEntries().length === 0;
+        this.checkChapterChange(startIndex);
         this.showReader();
     }
 
-    onPlaybackComplete() {
-        // Optionally show completion message
-        this.saveProgress();
+    // ==================== TAGS & COLLECTIONS ====================
+
+    // Built as elements: tags and collection names are user text
+    createTagChips(doc) {
+        const chip = (text, className) => {
+            const el = document.createElement('span');
+            el.className = className;
+            el.textContent = text;
+            return el;
+        };
+        const collections = (this.settings.collections || []).filter(c => doc.collections?.includes(c.id));
+        return [
+            ...collections.map(c => chip(c.name, 'tag-chip collection')),
+            ...(doc.tags || []).map(tag => chip(`#${tag}`, 'tag-chip'))
+        ];
+    }
+
+    showOrganizeModal(doc) {
+        this.organizeDoc = doc;
+        this.organizeTitle.textContent = doc.title;
+        this.organizeTags.value = (doc.tags || []).join(', ');
+        this.newCollectionInput.value = '';
+        this.renderOrganizeCollections(new Set(doc.collections || []));
+        this.organizeModal.classList.remove('hidden');
+    }
+
+    hideOrganizeModal() {
+        this.organizeModal.classList.add('hidden');
+        this.organizeDoc = null;
+    }
+
+    // Checked state comes from the open form, so adding or deleting a collection keeps unsaved ticks
+    checkedCollections() {
+        return new Set([...this.organizeCollections.querySelectorAll('input:checked')].map(input => input.value));
+    }
+
+    renderOrganizeCollections(checked) {
+        const items = (this.settings.collections || []).map(collection => {
+            const li = document.createElement('li');
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = collection.id;
+            checkbox.checked = checked.has(collection.id);
+            label.append(checkbox, collection.name);
+
+            const remove = document.createElement('button');
+            remove.className = 'collection-delete';
+            remove.setAttribute('aria-label', `Delete collection ${collection.name}`);
+            remove.textContent = '×';
+            remove.addEventListener('click', () => this.deleteCollection(collection));
+
+            li.append(label, remove);
+            return li;
+        });
+        this.organizeCollections.replaceChildren(...items);
+    }
+
+    async createCollection() {
+        const collections = this.settings.collections || [];
+        const updated = addCollection(collections, this.newCollectionInput.value);
+        if (updated === collections) return;
+        Haptics.tap();
+        const checked = this.checkedCollections();
+        // A collection created from a document's form starts with that document in it
+        checked.add(updated[updated.length - 1].id);
+        this.settings.collections = updated;
+        await this.saveSetting('collections', updated);
+        this.newCollectionInput.value = '';
+        this.renderOrganizeCollections(checked);
+    }
+
+    // Documents keep the id; it is ignored once the collection is gone
+    async deleteCollection(collection) {
+        if (!confirm(`Delete the collection "${collection.name}"? Its documents stay in the library.`)) return;
+        const checked = this.checkedCollections();
+        this.settings.collections = (this.settings.collections || []).filter(c => c.id !== collection.id);
+        await this.saveSetting('collections', this.settings.collections);
+        this.renderOrganizeCollections(checked);
+        this.loadLibrary();
+    }
+
+    async saveOrganize() {
+        const doc = this.organizeDoc;
+        if (!doc) return;
+        const known = new Set((this.settings.collections || []).map(c => c.id));
+        doc.tags = parseTags(this.organizeTags.value);
+        doc.collections = [...this.checkedCollections()].filter(id => known.has(id));
+        doc.updatedAt = Date.now();
+        this.hideOrganizeModal();
+        await this.persistence.saveDocument(doc);
+        this.sync.trackDocument(doc);
+        this.loadLibrary();
+    }
+
+    // ==================== EXPORT ====================
+
+    showExportModal(doc) {
+        this.exportDocId = doc.id;
+        this.exportTitle.textContent = doc.title;
+        this.exportModal.classList.remove('hidden');
+    }
+
+    hideExportModal() {
+        this.exportModal.classList.add('hidden');
+        this.exportDocId = null;
+    }
+
+    async exportCurrentSelection(format) {
+        const docId = this.exportDocId;
+        this.hideExportModal();
+        if (!docId) return;
+        this.showLoading('Exporting...');
+        try {
+            const doc = await this.persistence.getDocument(docId);
+            if (!doc) throw new Error('Document not found');
+            const source = await this.persistence.getSource(docId);
+            let sections;
+            if (source) {
+                sections = sectionsFromSource(source, doc.chapters);
+            } else {
+                // Imported before source text was kept: rebuild from tokens
+                const tokens = await this.persistence.getTokens(docId);
+                if (!tokens) throw new Error('No cached text for this document');
+                sections = sectionsFromTokens(tokens, doc.chapters);
+            }
+            const contents = await exportDocument(doc, sections, format);
+            this.downloadFile(contents, exportFileName(doc.title, format), EXPORT_FORMATS[format].mimeType);
+            this.hideLoading();
+            if (!source) alert('This document was imported before export was available, so punctuation could not be restored. Re-import it for a clean copy.');
+        } catch (error) {
+            console.error('Export error:', error);
+            this.hideLoading();
+            alert('Error exporting document: ' + error.message);
+        }
+    }
+
+    downloadFile(contents, fileName, mimeType) {
+        const url = URL.createObjectURL(new Blob([contents], { type: mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    async deleteDocument(docId) {
+        await this.persistence.deleteDocument(docId);
+        this.loadLibrary();
+    }
+
+    async openDocumentById(docId, resume = true) {
+        this.showLoading('Loading...');
+        try {
+            let doc = await this.persistence.getDocument(docId);
+            if (!doc) throw new Error('Document not found');
+            const record = await this.persistence.getTokenRecord(docId);
+            let tokens = record?.tokens;
+            console.log(`[openDocumentById] loaded tokens:`, tokens ? tokens.length : 'null');
+
+            // Caches freed from the storage manager, or from an older tokenizer
+            // (e.g. restored from an old backup)
+            if (!record || isStaleTokenRecord(record)) {
+                ({ doc, tokens } = await this.rebuildTokens(doc, record));
+            }
+
+            if (!tokens || tokens.length === 0) {
+                throw new Error('Document data not found or empty. Please re-import.');
+            }
+
+            this.tokens = tokens;
+            this.currentDocument = doc;
+            doc.lastOpened = Date.now();
+            await this.persistence.saveDocument(doc);
+            this.hideLoading();
+            this.openReader(doc, resume);
+        } catch (error) {
+            console.error('[openDocumentById] Error:', error);
+            this.hideLoading();
+            alert(error.message);
+        }
+    }
+
+    // Re-tokenize a stale or freed cache and move progress, chapters and annotations onto it
+    async rebuildTokens(doc, record) {
+        console.log(record ? `[Migration] Rebuilding tokens cached in format ${record.format ?? 1}` : '[Storage] Rebuilding freed tokens');
+        this.showLoading(record ? 'Updating document...' : 'Preparing document...');
+        const rebuilt = rebuildTokenCache({
+            doc,
+            tokens: record?.tokens ?? null,
+            source: await this.persistence.getSource(doc.id),
+            annotations: await this.persistence.getAnnotations(doc.id)
+        }, this.settings.mode, { profile: this.getTimingProfile() });
+        if (rebuilt.tokens.length === 0) throw new Error('Document data not found or empty. Please re-import.');
+
+        await this.persistence.saveTokens(doc.id, rebuilt.tokens);
+        if (rebuilt.source) await this.persistence.saveSource(doc.id, rebuilt.source);
+        for (const annotation of rebuilt.annotations) await this.persistence.saveAnnotation(annotation);
+        console.log(`[openDocumentById] rebuilt ${rebuilt.tokens.length} tokens`);
+        return rebuilt;
+    }
+
+    openReader(doc, resume = true) {
+        this.currentDocument = doc;
+        this.docTitle.textContent = doc.title;
+        const startIndex = resume && doc.progress ? doc.progress.currentIndex : 0;
+        // Always use global default WPM - never restore per-document WPM
+        const wpm = this.startingWpm();
+        console.log(`[openReader] tokens: ${this.tokens.length}, startIndex: ${startIndex}, wpm: ${wpm}`);
+        // Cached multipliers were computed for whichever mode was active at import
+        this.retime();
+        this.recordTimeUnits(doc);
+        this.playback.setMode(this.settings.mode);
+        this.playback.load(this.tokens, startIndex);
+        this.playback.setWPM(wpm);
+        this.resetSearch();
+        this.pacer.reset(doc.id, this.playback.currentIndex);
+        this.ramp.stop(); // Reset ramp state for new document
+        this.offerRampResume(doc);
+        console.log(`[openReader] using WPM: ${this.playback.wpm}, source: default`);
+        this.progressTotal.textContent = this.tokens.length;
+        this.progressCurrent.textContent = startIndex + 1;
+        // Reset chapter tracking and check initial chapter
+        this.resetChapterTracking();
+        this.tocBtn.hidden = this.getTocEntries().length === 0;
+        this.checkChapterChange(startIndex);
+        this.showReader();
+    }
+
+    // Apply the active timing profile to the open document's tokens
+    retime() {
+        retimeTokens(this.tokens, this.getTimingProfile());
+        this.timeIndex = buildTimeIndex(this.tokens);
+    }
+
+    // Library cards estimate time left from the total, without loading tokens
+    recordTimeUnits(doc) {
+        const timeUnits = Math.round(this.timeIndex[this.timeIndex.length - 1]);
+        if (doc.timeUnits === timeUnits) return;
+        doc.timeUnits = timeUnits;
+        this.persistence.saveDocument(doc).catch(error => console.warn('[Estimate] Could not save time units:', error.message));
+    }
+
+    async saveProgress() {
+        if (!this.currentDocument) return;
+        const state = this.playback.getState();
+        const doc = await this.persistence.updateProgress(this.currentDocument.id, { currentIndex: state.currentIndex, wpm: state.wpm, mode: state.mode });
+        if (doc) this.sync.trackProgress(doc);
+    }
+
+    showLibrary() {
+        this.saveProgress();
+        this.playback.pause();
+        this.saveRampState();
+        this.ramp.stop(); // Stop ramp when leaving reader
+        this.rampResumePrompt.classList.remove('visible');
+        this.updateRampStateIndicator();
+        this.hideContextPeek();
+        this.libraryView.classList.add('active');
+        this.readerView.classList.remove('active');
+        this.loadLibrary();
+    }
+
+    showReader() {
+        this.libraryView.classList.remove('active');
+        this.readerView.classList.add('active');
+        // Align word and position guides after view transition
+        requestAnimationFrame(() => {
+            this.alignWordToPivot();
+            this.updateGuidePositions();
+        });
+    }
+
+    async loadSettings() {
+        try {
+            const saved = await this.persistence.getAllSettings();
+            this.settings = { ...this.settings, ...saved };
+            this.pacer.setHistory(await this.persistence.getPacingEvents(PACING_HISTORY_LIMIT));
+            this.applySettings();
+            this.libraryQuery.sort = LIBRARY_SORTS[this.settings.librarySort] ? this.settings.librarySort : 'recent';
+            this.librarySort.value = this.libraryQuery.sort;
+            // Load ramp settings
+            this.loadRampSettings();
+            this.syncEndpointSetting.value = this.settings.syncEndpoint || '';
+            this.syncTokenSetting.value = this.settings.syncToken || '';
+            this.sync.configure({ endpoint: this.settings.syncEndpoint, token: this.settings.syncToken });
+        } catch (error) { console.error('Error loading settings:', error); }
+    }
+
+    // Every settings write goes through here so sync can pick up reading preferences
+    async saveSetting(key, value) {
+        await this.persistence.saveSetting(key, value);
+        this.sync.trackSetting(key, value);
+    }
+
+    applySettings() {
+        document.documentElement.style.setProperty('--word-font-size', `${this.settings.fontSize}px`);
+        this.fontSizeSetting.value = this.settings.fontSize;
+        this.fontSizeLabel.textContent = `${this.settings.fontSize}px`;
+        // Apply font family to RSVP word only (via CSS variable)
+        const fontFamily = this.settings.fontFamily || "'Lexend'";
+        document.documentElement.style.setProperty('--rsvp-word-font', fontFamily);
+        this.fontFamilySetting.value = fontFamily;
+        this.defaultWpmSetting.value = this.settings.defaultWPM;
+        this.showGuidesSetting.checked = this.settings.showGuides;
+        this.rsvpDisplay?.classList.toggle('hide-guides', !this.settings.showGuides);
+        this.flowModeSetting.checked = this.settings.flowMode;
+        this.readerView?.classList.toggle('flow-mode', this.settings.flowMode);
+        this.contextPeekSetting.checked = this.settings.contextPeek;
+        this.rewindOnResumeSetting.checked = this.settings.rewindOnResume;
+        this.playback.rewindOnResume = this.settings.rewindOnResume;
+        this.applyPacingSettings();
+        this.renderModeToggles();
+        this.applyChunking();
+        // Apply font scale
+        const scale = this.settings.fontScale ?? this.getDefaultScale();
+        document.documentElement.style.setProperty('--rsvp-scale', scale);
+        this.tuningScaleSlider.value = scale;
+        this.tuningScaleValue.textContent = `${scale.toFixed(1)}×`;
+        // Apply WPM to tuning slider
+        this.tuningWpmSlider.value = this.settings.defaultWPM;
+        this.tuningWpmValue.textContent = `${this.settings.defaultWPM} wpm`;
+    }
+
+    // ==================== TIMING PROFILES ====================
+
+    getTimingProfile(mode = this.settings.mode) {
+        return resolveTimingProfile(mode, this.settings.customTimingProfiles);
+    }
+
+    getActiveCustomProfile() {
+        return this.settings.customTimingProfiles.find(profile => profile.id === this.settings.mode) || null;
+    }
+
+    renderModeToggles() {
+        this.modeToggleGroup.querySelectorAll('.toggle-btn[data-custom]').forEach(btn => btn.remove());
+        for (const profile of this.settings.customTimingProfiles) {
+            const btn = document.createElement('button');
+            btn.className = 'toggle-btn';
+            btn.dataset.mode = profile.id;
+            btn.dataset.custom = 'true';
+            btn.textContent = profile.name;
+            this.modeToggleGroup.insertBefore(btn, this.addProfileBtn);
+        }
+        this.modeToggleBtns = this.modeToggleGroup.querySelectorAll('.toggle-btn[data-mode]');
+        this.modeToggleBtns.forEach(btn => btn.classList.toggle('active', btn.dataset.mode === this.settings.mode));
+        this.updateProfileEditor();
+    }
+
+    updateProfileEditor() {
+        const profile = this.getActiveCustomProfile();
+        this.profileEditor.classList.toggle('hidden', !profile);
+        if (!profile) return;
+        const values = this.getTimingProfile();
+        this.profileNameInput.value = profile.name;
+        this.profileInputs.forEach(input => { input.value = values[input.dataset.key]; });
+    }
+
+    async saveCustomProfiles() {
+        await this.saveSetting('customTimingProfiles', this.settings.customTimingProfiles);
+    }
+
+    // New profiles start from the active one so small tweaks are easy
+    async createCustomProfile() {
+        const current = this.getTimingProfile();
+        const multipliers = {};
+        for (const key of TIMING_PROFILE_KEYS) multipliers[key] = current[key];
+        const profile = {
+            id: `custom-${Date.now()}`,
+            name: `Custom ${this.settings.customTimingProfiles.length + 1}`,
+            multipliers
+        };
+        this.settings.customTimingProfiles = [...this.settings.customTimingProfiles, profile];
+        await this.saveCustomProfiles();
+        this.renderModeToggles();
+        await this.setMode(profile.id);
+    }
+
+    async renameCustomProfile(name) {
+        const profile = this.getActiveCustomProfile();
+        if (!profile) return;
+        profile.name = name.trim() || profile.name;
+        await this.saveCustomProfiles();
+        this.renderModeToggles();
+    }
+
+    async updateCustomProfile(key, value) {
+        const profile = this.getActiveCustomProfile();
+        if (!profile || !TIMING_PROFILE_KEYS.includes(key)) return;
+        const parsed = parseFloat(value);
+        // Multipliers below 1 would shorten words past the WPM base; cap at 3x
+        if (!isNaN(parsed)) profile.multipliers[key] = Math.max(1, Math.min(3, parsed));
+        await this.saveCustomProfiles();
+        await this.setMode(profile.id);
+    }
+
+    async deleteCustomProfile() {
+        const profile = this.getActiveCustomProfile();
+        if (!profile) return;
+        if (!confirm(`Delete the "${profile.name}" profile?`)) return;
+        this.settings.customTimingProfiles = this.settings.customTimingProfiles.filter(p => p.id !== profile.id);
+        await this.saveCustomProfiles();
+        this.renderModeToggles();
+        await this.setMode('reading');
+    }
+
+    // ==================== RAMP MODE ====================
+
+    async loadRampSettings() {
+        const rampEnabled = await this.persistence.getSetting('rampEnabled', false);
+        const rampStartWpm = await this.persistence.getSetting('rampStartWpm', 200);
+        const rampTargetWpm = await this.persistence.getSetting('rampTargetWpm', 400);
+        const rampDuration = await this.persistence.getSetting('rampDuration', 5);
+        const rampProgram = await this.persistence.getSetting('rampProgram', null);
+        this.settings.rampPresets = (await this.persistence.getSetting('rampPresets', [])).map(normalizeProgram).filter(Boolean);
+
+        this.ramp.configure({
+            enabled: rampEnabled,
+            startWpm: rampStartWpm,
+            targetWpm: rampTargetWpm,
+            durationMinutes: rampDuration,
+            program: rampProgram
+        });
+
+        this.applyRampSettings();
+    }
+
+    applyRampSettings() {
+        const config = this.ramp.getConfig();
+
+        // Update modal inputs
+        this.rampEnabled.checked = config.enabled;
+        this.rampStartWpm.value = config.startWpm;
+        this.rampTargetWpm.value = config.targetWpm;
+        this.rampDurationBtns.forEach(btn => {
+            btn.classList.toggle('active', parseInt(btn.dataset.duration) === config.durationMinutes);
+        });
+
+        // Update settings panel inputs
+        this.settingsRampEnabled.checked = config.enabled;
+        this.settingsRampStart.value = config.startWpm;
+        this.settingsRampTarget.value = config.targetWpm;
+        this.settingsRampDurBtns.forEach(btn => {
+            btn.classList.toggle('active', parseInt(btn.dataset.duration) === config.durationMinutes);
+        });
+        this.fillRampProgramSelect(this.settingsRampProgram, config.program);
+        this.settingsRampSimpleRows.forEach(row => { row.hidden = config.program !== null; });
+
+        // Update UI indicators
+        this.updateRampIndicator();
+    }
+
+    async saveRampSettings() {
+        const config = this.ramp.getConfig();
+        await this.saveSetting('rampEnabled', config.enabled);
+        await this.saveSetting('rampStartWpm', config.startWpm);
+        await this.saveSetting('rampTargetWpm', config.targetWpm);
+        await this.saveSetting('rampDuration', config.durationMinutes);
+        await this.saveSetting('rampProgram', config.program);
+        this.updateRampIndicator();
     }
 
-    async saveProgress() {
-        if (!this.currentDocument) return;
+    updateRampIndicator() {
+        const config = this.ramp.getConfig();
+        if (config.enabled) {
+            this.rampIndicator.style.display = '';
+            this.rampIndicatorText.textContent = config.program
+                ? `Ramp: ${config.program.name} (${formatDuration(this.ramp.getTotalMs())})`
+                : `Ramp: ${config.startWpm} → ${config.targetWpm} (${config.durationMinutes}m)`;
+            this.rampBtn.classList.add('ramp-active');
+        } else {
+            this.rampIndicator.style.display = 'none';
+            this.rampBtn.classList.remove('ramp-active');
+        }
+        // Update reader control bar state indicator
+        this.updateRampStateIndicator();
+    }
 
-        const state = this.playback.getState();
-        await this.persistence.updateProgress(this.currentDocument.id, {
-            currentIndex: state.currentIndex,
-            wpm: state.wpm,
-            mode: state.mode
-        });
+    updateRampStateIndicator() {
+        if (!this.rampStateIndicator) return;
+        const config = this.ramp.getConfig();
+        const isRamping = this.ramp.isRamping;
+
+        this.rampStateIndicator.classList.remove('enabled', 'active');
+        if (!isRamping) this.rampStage.hidden = true;
+        if (isRamping) {
+            this.rampStateIndicator.classList.add('active');
+        } else if (config.enabled) {
+            this.rampStateIndicator.classList.add('enabled');
+        }
+        // When disabled: no class, shows neutral gray
     }
 
-    // ============ View Navigation ============
+    openRampModal() {
+        // Sync modal with current settings
+        this.applyRampSettings();
+        const { program } = this.ramp.getConfig();
+        this.rampDraft = program ? structuredClone(program) : null;
+        this.renderRampEditor();
+        this.rampModal.classList.remove('hidden');
+    }
 
-    showLibrary() {
-        // Save progress before leaving
-        this.saveProgress();
-        this.playback.pause();
+    closeRampModal() {
+        this.rampModal.classList.add('hidden');
+    }
 
-        this.libraryView.classList.add('active');
-        this.readerView.classList.remove('active');
+    saveRampFromModal() {
+        // Read modal values
+        const enabled = this.rampEnabled.checked;
+        const startWpm = parseInt(this.rampStartWpm.value) || 200;
+        const targetWpm = parseInt(this.rampTargetWpm.value) || 400;
+        const activeBtn = document.querySelector('.ramp-duration-btn:not(.settings-ramp-dur).active');
+        const duration = activeBtn ? parseInt(activeBtn.dataset.duration) : 5;
+        const program = this.rampDraft ? normalizeProgram(this.rampDraft) : null;
+        if (this.rampDraft && !program) {
+            alert('Add at least one stage to the program.');
+            return;
+        }
 
-        // Refresh library
-        this.loadLibrary();
+        this.ramp.configure({ enabled, startWpm, targetWpm, durationMinutes: duration, program });
+        this.saveRampSettings();
+        this.closeRampModal();
     }
 
-    showReader() {
-        this.libraryView.classList.remove('active');
-        this.readerView.classList.add('active');
+    saveRampFromSettings() {
+        // Read settings panel values
+        const enabled = this.settingsRampEnabled.checked;
+        const startWpm = parseInt(this.settingsRampStart.value) || 200;
+        const targetWpm = parseInt(this.settingsRampTarget.value) || 400;
+        const activeBtn = document.querySelector('.settings-ramp-dur.active');
+        const duration = activeBtn ? parseInt(activeBtn.dataset.duration) : 5;
+        const choice = this.settingsRampProgram.value;
+        const program = choice === 'current' ? this.ramp.getConfig().program : this.findRampProgram(choice);
+
+        this.ramp.configure({ enabled, startWpm, targetWpm, durationMinutes: duration, program });
+        this.saveRampSettings();
+        this.applyRampSettings();
     }
 
-    // ============ Settings ============
+    // ==================== RAMP PROGRAMS ====================
 
-    async loadSettings() {
-        try {
-            const saved = await this.persistence.getAllSettings();
-            this.settings = { ...this.settings, ...saved };
+    // Option values: 'simple', 'builtin:<i>', 'preset:<i>', or 'current' for a program matching no preset
+    findRampProgram(value) {
+        const [kind, i] = value.split(':');
+        if (kind === 'builtin') return RAMP_PRESETS[i] || null;
+        if (kind === 'preset') return this.settings.rampPresets[i] || null;
+        return null;
+    }
 
-            // Apply settings to UI
-            this.applySettings();
+    fillRampProgramSelect(select, program) {
+        const option = (value, label) => {
+            const el = document.createElement('option');
+            el.value = value;
+            el.textContent = label;
+            return el;
+        };
+        const group = (label, programs, kind) => {
+            const el = document.createElement('optgroup');
+            el.label = label;
+            programs.forEach((preset, i) => el.appendChild(option(`${kind}:${i}`, preset.name)));
+            return el;
+        };
+        select.replaceChildren(option('simple', 'Single ramp'), group('Presets', RAMP_PRESETS, 'builtin'));
+        if (this.settings.rampPresets.length > 0) select.appendChild(group('My presets', this.settings.rampPresets, 'preset'));
+
+        // A program shows as its preset only while the stages still match
+        const same = (preset) => preset.name === program?.name && JSON.stringify(preset.stages) === JSON.stringify(program.stages);
+        const userIndex = this.settings.rampPresets.findIndex(same);
+        const builtinIndex = RAMP_PRESETS.findIndex(same);
+        if (!program) select.value = 'simple';
+        else if (userIndex >= 0) select.value = `preset:${userIndex}`;
+        else if (builtinIndex >= 0) select.value = `builtin:${builtinIndex}`;
+        else {
+            select.insertBefore(option('current', `${program.name} (edited)`), select.children[1]);
+            select.value = 'current';
+        }
+    }
+
+    selectRampDraft(value) {
+        if (value === 'current') return;
+        const program = this.findRampProgram(value);
+        this.rampDraft = program ? structuredClone(program) : null;
+        this.renderRampEditor();
+    }
+
+    renderRampEditor() {
+        const draft = this.rampDraft;
+        this.fillRampProgramSelect(this.rampProgramSelect, draft);
+        this.rampSimpleFields.hidden = draft !== null;
+        this.rampProgramEditor.hidden = draft === null;
+        if (!draft) return;
+        this.rampPresetName.value = draft.name;
+        this.rampDeletePresetBtn.disabled = !this.settings.rampPresets.some(preset => preset.name === draft.name);
+        this.rampStageList.replaceChildren(...draft.stages.map((stage, i) => this.createRampStageItem(stage, i)));
+    }
+
+    createRampStageItem(stage, index) {
+        const li = document.createElement('li');
+        li.className = 'ramp-stage-item';
+
+        const header = document.createElement('div');
+        header.className = 'ramp-stage-header';
+        const title = document.createElement('span');
+        title.textContent = RAMP_STAGE_TITLES[stage.type];
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'ramp-stage-remove';
+        removeBtn.dataset.action = 'remove-stage';
+        removeBtn.dataset.stage = index;
+        removeBtn.setAttribute('aria-label', `Remove ${RAMP_STAGE_TITLES[stage.type].toLowerCase()} stage`);
+        removeBtn.textContent = '×';
+        header.append(title, removeBtn);
+        li.appendChild(header);
+
+        const fields = document.createElement('div');
+        fields.className = 'ramp-stage-fields';
+        for (const [field, label] of RAMP_STAGE_FIELDS[stage.type]) {
+            const wrapper = document.createElement('label');
+            wrapper.className = 'ramp-inline-label';
+            wrapper.textContent = label;
+            let input;
+            if (field === 'curve') {
+                input = document.createElement('select');
+                for (const [value, name] of Object.entries(RAMP_CURVE_NAMES)) {
+                    const option = document.createElement('option');
+                    option.value = value;
+                    option.textContent = name;
+                    input.appendChild(option);
+                }
+            } else {
+                input = document.createElement('input');
+                input.type = 'number';
+                input.min = 1;
+            }
+            input.className = 'ramp-inline-input';
+            input.dataset.stage = index;
+            input.dataset.field = field;
+            input.value = stage[field];
+            wrapper.appendChild(input);
+            fields.appendChild(wrapper);
+        }
+        li.appendChild(fields);
+        return li;
+    }
+
+    addRampStage(type) {
+        const stages = this.rampDraft.stages;
+        const last = stages[stages.length - 1];
+        // New stages pick up from where the program ends
+        const lastWpm = !last ? 300 : last.type === 'ramp' ? last.toWpm : last.type === 'hold' ? last.wpm : last.recoveryWpm;
+        const defaults = {
+            ramp: { type: 'ramp', fromWpm: lastWpm, toWpm: Math.min(900, lastWpm + 100), curve: 'linear', minutes: 3 },
+            hold: { type: 'hold', wpm: lastWpm, minutes: 5 },
+            interval: { type: 'interval', sprintWpm: Math.min(900, lastWpm + 150), recoveryWpm: lastWpm, sprintSeconds: 60, recoverySeconds: 120, rounds: 4 }
+        };
+        stages.push(defaults[type]);
+        this.renderRampEditor();
+    }
+
+    // Values are checked on save; the row shows what was typed until then
+    updateRampStage(input) {
+        const { stage, field } = input.dataset;
+        if (stage === undefined) return;
+        const target = this.rampDraft.stages[parseInt(stage)];
+        target[field] = field === 'curve' ? input.value : Number(input.value);
+        this.fillRampProgramSelect(this.rampProgramSelect, this.rampDraft);
+    }
+
+    removeRampStage(index) {
+        this.rampDraft.stages.splice(index, 1);
+        this.renderRampEditor();
+    }
+
+    async saveRampPreset() {
+        const program = normalizeProgram({ ...this.rampDraft, name: this.rampPresetName.value });
+        if (!program) {
+            alert('Add at least one stage to the program.');
+            return;
+        }
+        // Same name replaces the preset
+        const presets = this.settings.rampPresets.filter(preset => preset.name !== program.name);
+        this.settings.rampPresets = [...presets, program];
+        await this.saveSetting('rampPresets', this.settings.rampPresets);
+        this.rampDraft = structuredClone(program);
+        this.renderRampEditor();
+        this.fillRampProgramSelect(this.settingsRampProgram, this.ramp.getConfig().program);
+    }
+
+    async deleteRampPreset() {
+        const name = this.rampDraft?.name;
+        if (!this.settings.rampPresets.some(preset => preset.name === name)) return;
+        if (!confirm(`Delete the "${name}" preset?`)) return;
+        this.settings.rampPresets = this.settings.rampPresets.filter(preset => preset.name !== name);
+        await this.saveSetting('rampPresets', this.settings.rampPresets);
+        this.renderRampEditor();
+        this.fillRampProgramSelect(this.settingsRampProgram, this.ramp.getConfig().program);
+    }
+
+    formatRampStage(progress) {
+        const clock = formatClock(progress.stageRemainingSeconds);
+        const next = progress.nextStage ? `next ${progress.nextStage.label} at ${progress.nextStage.wpm}` : 'last stage';
+        return `${progress.stage} · ${clock} · ${next}`;
+    }
+
+    updateRampProgress(progress) {
+        // Could show a subtle progress indicator in the reader
+        // For now, just sync the WPM display
+        this.tuningWpmSlider.value = progress.currentWpm;
+        this.tuningWpmValue.textContent = `${progress.currentWpm} wpm`;
+        this.quickWpmLabel.textContent = progress.currentWpm;
+        this.quickWpmSlider.value = progress.currentWpm;
+        this.rampStage.hidden = !progress.isRamping;
+        this.rampStage.textContent = this.formatRampStage(progress);
+        if (progress.isRamping && this.playback.isPlaying && Date.now() - this.lastRampSave >= RAMP_SAVE_INTERVAL_MS) this.saveRampState();
+    }
+
+    onRampComplete() {
+        console.log('[App] Ramp complete');
+        // Ramp is done, now running at target WPM
+        this.clearRampState();
+        this.updateRampStateIndicator();
+    }
+
+    onRampCancel() {
+        console.log('[App] Ramp cancelled');
+        // User manually changed WPM, ramp is cancelled
+        this.clearRampState();
+        this.updateRampStateIndicator();
+    }
+
+    // ==================== RAMP PROGRESS ====================
+
+    // Kept per document so a reload, a killed tab or a reopen can carry on
+    saveRampState() {
+        if (!this.currentDocument || this.ramp.elapsedMs <= 0) return;
+        this.lastRampSave = Date.now();
+        this.persistence.saveRampState(this.currentDocument.id, this.ramp.getState())
+            .catch(error => console.warn('[Ramp] Could not save progress:', error.message));
+    }
+
+    clearRampState() {
+        if (!this.currentDocument) return;
+        this.persistence.deleteRampState(this.currentDocument.id)
+            .catch(error => console.warn('[Ramp] Could not clear progress:', error.message));
+    }
+
+    // Leaving the app while ramping: stop the clock until the reader is back
+    checkpointRamp() {
+        if (!this.ramp.isRamping) return;
+        this.ramp.pause();
+        this.saveRampState();
+    }
+
+    // Reopening a document part-way through its ramp: continue there or start over
+    async offerRampResume(doc) {
+        let state = null;
+        try {
+            state = await this.persistence.getRampState(doc.id);
         } catch (error) {
-            console.error('Error loading settings:', error);
+            console.warn('[Ramp] Could not load progress:', error.message);
+        }
+        // Another document may have been opened while loading
+        if (this.currentDocument?.id !== doc.id || this.playback.isPlaying || !this.ramp.enabled) return;
+        if (!this.ramp.canRestore(state)) {
+            if (state) this.clearRampState(); // Finished, or the ramp settings changed since
+            return;
         }
+        this.ramp.restore(state);
+        this.updateRampStateIndicator();
+        this.rampResumeText.textContent = `Ramp left off at ${this.describeRampPosition()}.`;
+        this.rampResumePrompt.classList.add('visible');
     }
 
-    applySettings() {
-        // Font size
-        document.documentElement.style.setProperty('--word-font-size', `${this.settings.fontSize}px`);
-        this.fontSizeSetting.value = this.settings.fontSize;
-        this.fontSizeLabel.textContent = `${this.settings.fontSize}px`;
+    answerRampResume(restart) {
+        this.rampResumePrompt.classList.remove('visible');
+        if (!restart) return;
+        this.ramp.stop();
+        this.clearRampState();
+        this.playback.setWPM(this.startingWpm());
+        this.updateRampStateIndicator();
+    }
 
-        // Default WPM
-        this.defaultWpmSetting.value = this.settings.defaultWPM;
+    // "Sprint 2/4 at 600 wpm, 8:30 of 18:00"
+    describeRampPosition() {
+        const progress = this.ramp.getProgress();
+        return `${progress.stage} at ${progress.currentWpm} wpm, ${formatClock(progress.elapsedSeconds)} of ${formatClock(progress.totalSeconds)}`;
+    }
 
-        // Guides
-        this.showGuidesSetting.checked = this.settings.showGuides;
-        this.rsvpDisplay?.classList.toggle('hide-guides', !this.settings.showGuides);
+    // Handle play/pause with ramp integration
+    handlePlayPause() {
+        if (this.playback.isPlaying) {
+            // Pausing
+            this.playback.pause();
+            if (!this.ramp.isRamping) this.pacer.recordPause();
+            this.ramp.pause();
+            this.saveRampState();
+        } else {
+            // Playing past the reopen prompt continues the restored ramp
+            this.rampResumePrompt.classList.remove('visible');
+            // Starting/resuming
+            if (this.ramp.enabled && !this.ramp.isRamping) {
+                // Fresh start with ramp enabled - begin ramp
+                this.ramp.start();
+                this.updateRampStateIndicator();
+            } else if (this.ramp.isRamping) {
+                // Resuming a paused ramp
+                this.ramp.resume();
+            }
+            this.playback.play();
+        }
+    }
 
-        // Flow mode
-        this.flowModeSetting.checked = this.settings.flowMode;
-        this.readerView?.classList.toggle('flow-mode', this.settings.flowMode);
+    // Called when user manually changes WPM (via slider/tuning overlay)
+    handleManualWpmChange(wpm) {
+        // Cancel any active ramp
+        if (this.ramp.isRamping) {
+            this.ramp.cancel();
+        }
+        this.playback.setWPM(wpm);
+        this.pacer.recordManual();
+    }
 
-        // Mode toggle
-        this.modeToggleBtns.forEach(btn => {
-            btn.classList.toggle('active', btn.dataset.mode === this.settings.mode);
+    // Toggle ramp on/off during playback via indicator button
+    toggleRampDuringPlayback() {
+        // Only toggle if ramp is enabled in settings
+        if (!this.ramp.enabled) {
+            return; // Gray state - no action, no haptic
+        }
+
+        Haptics.mode(); // State change haptic (double tick)
+
+        if (this.ramp.isRamping) {
+            // ON → OFF: freeze ramp at current WPM
+            this.ramp.pause();
+            this.ramp.isRamping = false;
+            console.log('[App] Ramp toggled OFF at', this.playback.wpm, 'WPM');
+        } else if (this.ramp.elapsedMs > 0) {
+            // OFF → ON: resume from where we paused
+            this.ramp.isRamping = true;
+            if (this.playback.isPlaying) {
+                this.ramp.resume();
+            }
+            console.log('[App] Ramp toggled ON, resuming from', this.ramp.elapsedMs, 'ms');
+        } else {
+            // OFF → ON: start fresh (never ran before)
+            this.ramp.isRamping = true;
+            if (this.playback.isPlaying) {
+                this.ramp.start();
+            }
+            console.log('[App] Ramp toggled ON, starting fresh');
+        }
+
+        this.saveRampState();
+        this.updateRampStateIndicator();
+    }
+
+    // ==================== ADAPTIVE PACING ====================
+
+    // The speed adaptive pacing settled on last time, else the default
+    startingWpm() {
+        return (this.pacer.enabled && this.pacer.learnedWpm()) || this.settings.defaultWPM;
+    }
+
+    applyPacingSettings() {
+        this.pacer.configure({
+            enabled: this.settings.adaptivePacing,
+            minWpm: this.settings.pacingMinWpm,
+            maxWpm: this.settings.pacingMaxWpm,
+            checkIns: this.settings.pacingCheckIns
+        });
+        const config = this.pacer.getConfig();
+        this.pacingEnabledSetting.checked = config.enabled;
+        this.pacingMinSetting.value = config.minWpm;
+        this.pacingMaxSetting.value = config.maxWpm;
+        this.pacingCheckInsSetting.checked = config.checkIns;
+        this.updatePacingStatus();
+    }
+
+    async savePacingSettings() {
+        this.pacer.configure({
+            enabled: this.pacingEnabledSetting.checked,
+            minWpm: parseInt(this.pacingMinSetting.value) || 150,
+            maxWpm: parseInt(this.pacingMaxSetting.value) || 600,
+            checkIns: this.pacingCheckInsSetting.checked
         });
+        const config = this.pacer.getConfig();
+        // Show the bounds after clamping and ordering
+        this.pacingMinSetting.value = config.minWpm;
+        this.pacingMaxSetting.value = config.maxWpm;
+        this.settings.adaptivePacing = config.enabled;
+        this.settings.pacingMinWpm = config.minWpm;
+        this.settings.pacingMaxWpm = config.maxWpm;
+        this.settings.pacingCheckIns = config.checkIns;
+        this.updatePacingStatus();
+        await this.saveSetting('adaptivePacing', config.enabled);
+        await this.saveSetting('pacingMinWpm', config.minWpm);
+        await this.saveSetting('pacingMaxWpm', config.maxWpm);
+        await this.saveSetting('pacingCheckIns', config.checkIns);
+    }
+
+    savePacingEvent(event) {
+        this.persistence.savePacingEvent(event).catch(error => console.warn('[Pacing] Could not save event:', error.message));
+    }
+
+    updatePacingStatus() {
+        const week = summarizePacing(this.pacer.history, Date.now() - 7 * 24 * 60 * 60 * 1000);
+        const learned = this.pacer.learnedWpm();
+        this.pacingStatus.textContent = learned === null
+            ? 'Speeds up after smooth stretches and slows down after repeated rewinds.'
+            : `Settled at ${learned} wpm. Past week: ${week.smooth} speed-ups, ${week.rewind} rewinds, ${week.pause} pauses, ${week['check-in']} check-ins.`;
+    }
+
+    onPacingAdjust({ wpm, change, type }) {
+        console.log(`[Pacing] ${change > 0 ? '+' : ''}${change} → ${wpm} WPM (${type})`);
+        this.quickWpmLabel.textContent = wpm;
+        this.quickWpmSlider.value = wpm;
+    }
+
+    // Moving back counts against the current speed unless a ramp sets it
+    noteRewind() {
+        if (!this.ramp.isRamping) this.pacer.recordRewind();
+    }
+
+    showCheckIn() {
+        this.playback.pause();
+        this.checkInPrompt.classList.add('visible');
+    }
+
+    /** @param {string|null} answer - null when dismissed */
+    answerCheckIn(answer) {
+        this.checkInPrompt.classList.remove('visible');
+        if (answer) this.pacer.recordCheckIn(answer);
+        else this.pacer.skipCheckIn();
+        this.playback.play();
     }
 
     async setFontSize(size) {
         this.settings.fontSize = parseInt(size);
         document.documentElement.style.setProperty('--word-font-size', `${size}px`);
         this.fontSizeLabel.textContent = `${size}px`;
-        await this.persistence.saveSetting('fontSize', this.settings.fontSize);
+        await this.saveSetting('fontSize', this.settings.fontSize);
+        // Re-align word after font size change
+        requestAnimationFrame(() => this.alignWordToPivot());
+    }
+
+    async setDefaultWPM(wpm) { this.settings.defaultWPM = parseInt(wpm); await this.saveSetting('defaultWPM', this.settings.defaultWPM); }
+    async setShowGuides(show) { this.settings.showGuides = show; this.rsvpDisplay.classList.toggle('hide-guides', !show); await this.saveSetting('showGuides', show); }
+    async setRewindOnResume(enabled) { this.settings.rewindOnResume = enabled; this.playback.rewindOnResume = enabled; await this.saveSetting('rewindOnResume', enabled); }
+    async setContextPeek(enabled) { this.settings.contextPeek = enabled; if (!enabled) this.hideContextPeek(); await this.saveSetting('contextPeek', enabled); }
+    async setFlowMode(enabled) { this.settings.flowMode = enabled; this.readerView.classList.toggle('flow-mode', enabled); await this.saveSetting('flowMode', enabled); }
+    async setMode(mode) {
+        this.settings.mode = mode;
+        // Re-time the open document in place so the switch applies mid-read
+        this.retime();
+        this.playback.setMode(mode);
+        this.modeToggleBtns.forEach(btn => btn.classList.toggle('active', btn.dataset.mode === mode));
+        this.updateProfileEditor();
+        await this.saveSetting('mode', mode);
+    }
+    applyChunking() {
+        const { chunkWords, chunkMaxChars } = this.settings;
+        this.chunkWordsBtns.forEach(btn => btn.classList.toggle('active', parseInt(btn.dataset.chunkWords) === chunkWords));
+        this.chunkWidthSetting.value = chunkMaxChars;
+        this.chunkWidthLabel.textContent = `Up to ${chunkMaxChars} characters`;
+        this.chunkWidthSetting.disabled = chunkWords <= 1;
+        this.playback.setChunking({ maxWords: chunkWords, maxChars: chunkMaxChars });
     }
 
-    async setDefaultWPM(wpm) {
-        this.settings.defaultWPM = parseInt(wpm);
-        await this.persistence.saveSetting('defaultWPM', this.settings.defaultWPM);
+    async setChunkWords(count) { this.settings.chunkWords = parseInt(count); this.applyChunking(); await this.saveSetting('chunkWords', this.settings.chunkWords); }
+    async setChunkMaxChars(chars) { this.settings.chunkMaxChars = parseInt(chars); this.applyChunking(); await this.saveSetting('chunkMaxChars', this.settings.chunkMaxChars); }
+    async setFontFamily(fontFamily) { this.settings.fontFamily = fontFamily; document.documentElement.style.setProperty('--rsvp-word-font', fontFamily); await this.saveSetting('fontFamily', fontFamily); }
+
+    getDefaultScale() {
+        const width = window.innerWidth;
+        // iPhone: larger default for one-handed readability
+        if (width <= 428) return 1.15;
+        // iPad: slightly smaller
+        if (width <= 1024) return 1.0;
+        // Desktop: standard
+        return 1.0;
     }
 
-    async setShowGuides(show) {
-        this.settings.showGuides = show;
-        this.rsvpDisplay.classList.toggle('hide-guides', !show);
-        await this.persistence.saveSetting('showGuides', show);
+    // Snap WPM to nearest detent (25 for slow speeds, 50 for fast)
+    snapWpm(wpm) {
+        if (wpm <= 200) {
+            // Slow speeds: snap to 25
+            return Math.round(wpm / 25) * 25;
+        } else if (wpm <= 400) {
+            // Medium speeds: snap to 25
+            return Math.round(wpm / 25) * 25;
+        } else {
+            // Fast speeds: snap to 50
+            return Math.round(wpm / 50) * 50;
+        }
     }
 
-    async setFlowMode(enabled) {
-        this.settings.flowMode = enabled;
-        this.readerView.classList.toggle('flow-mode', enabled);
-        await this.persistence.saveSetting('flowMode', enabled);
+    // Show brief jump indicator
+    // Sentence or paragraph move by PlaybackController method name
+    navigate(command) {
+        this.playback[command]();
+        if (command.startsWith('previous')) this.noteRewind();
+        this.showJumpIndicator(NAVIGATION_LABELS[command]);
     }
 
-    async setMode(mode) {
-        this.settings.mode = mode;
-        this.playback.setMode(mode);
+    showJumpIndicator(label) {
+        // Create temporary indicator if not exists
+        let indicator = document.getElementById('jump-indicator');
+        if (!indicator) {
+            indicator = document.createElement('div');
+            indicator.id = 'jump-indicator';
+            indicator.className = 'jump-indicator';
+            this.rsvpDisplay.appendChild(indicator);
+        }
+        indicator.textContent = label;
+        indicator.classList.add('visible');
+        setTimeout(() => indicator.classList.remove('visible'), 600);
+    }
 
-        this.modeToggleBtns.forEach(btn => {
-            btn.classList.toggle('active', btn.dataset.mode === mode);
-        });
+    async setScale(scale) {
+        this.settings.fontScale = Math.max(0.5, Math.min(1.8, scale));
+        document.documentElement.style.setProperty('--rsvp-scale', this.settings.fontScale);
+        this.tuningScaleSlider.value = this.settings.fontScale;
+        this.tuningScaleValue.textContent = `${this.settings.fontScale.toFixed(1)}×`;
+        await this.saveSetting('fontScale', this.settings.fontScale);
+        // Re-align word after scale change
+        requestAnimationFrame(() => this.alignWordToPivot());
+    }
+
+    // Position guide system according to strict rules:
+    // - Two continuous horizontal lines (no gaps)
+    // - Two very short vertical ticks at ORP anchor, pointing inward
+    // - Word aligns to guides, not vice versa
+    updateGuidePositions() {
+        if (!this.wordPivot || !this.rsvpDisplay || !this.settings.showGuides) return;
+
+        const stageRect = this.rsvpDisplay.getBoundingClientRect();
+        const pivotRect = this.wordPivot.getBoundingClientRect();
+
+        // Word vertical bounds from pivot element. RTL scripts carry vowel marks
+        // above/below the whole word, so use the union of all three parts there
+        let wordTop = pivotRect.top - stageRect.top;
+        let wordBottom = pivotRect.bottom - stageRect.top;
+        if (this.wordContainer?.classList.contains('rtl')) {
+            for (const part of [this.wordBefore, this.wordAfter]) {
+                const rect = part.getBoundingClientRect();
+                if (rect.height === 0) continue;
+                wordTop = Math.min(wordTop, rect.top - stageRect.top);
+                wordBottom = Math.max(wordBottom, rect.bottom - stageRect.top);
+            }
+        }
+        const wordHeight = wordBottom - wordTop;
+
+        // Padding scales with font size (proportional to word height)
+        const pad = wordHeight * 0.35;
+
+        // Horizontal line Y positions
+        const topLineY = wordTop - pad;
+        const bottomLineY = wordBottom + pad;
+
+        // ORP anchor X is fixed at 50% of stage (constant) in both directions:
+        // RTL mirrors the word around the pivot, not the pivot itself
+        const orpAnchorX = stageRect.width / 2;
+
+        // Tick dimensions - very short notches
+        const tickHeight = 8;
+        const tickWidth = 1;
+
+        // === HORIZONTAL LINES ===
+        // Continuous, full-width, no gaps
+
+        this.guideTop.style.top = `${topLineY}px`;
+        this.guideTop.style.left = '0';
+        this.guideTop.style.width = '100%';
+        this.guideTop.style.height = '1px';
+
+        this.guideBottom.style.top = `${bottomLineY}px`;
+        this.guideBottom.style.left = '0';
+        this.guideBottom.style.width = '100%';
+        this.guideBottom.style.height = '1px';
+
+        // === VERTICAL TICKS ===
+        // Very short, attached to horizontals, pointing inward toward ORP
+        // Centered on ORP anchor X, do NOT move
+
+        // Top tick: hangs down from top line
+        this.guideTickTop.style.left = `${orpAnchorX}px`;
+        this.guideTickTop.style.top = `${topLineY}px`;
+        this.guideTickTop.style.width = `${tickWidth}px`;
+        this.guideTickTop.style.height = `${tickHeight}px`;
+        this.guideTickTop.style.transform = 'translateX(-50%)';
+
+        // Bottom tick: extends up from bottom line
+        this.guideTickBottom.style.left = `${orpAnchorX}px`;
+        this.guideTickBottom.style.top = `${bottomLineY - tickHeight}px`;
+        this.guideTickBottom.style.width = `${tickWidth}px`;
+        this.guideTickBottom.style.height = `${tickHeight}px`;
+        this.guideTickBottom.style.transform = 'translateX(-50%)';
+    }
+
+    // Long press handling
+    startLongPress(e) {
+        // Don't trigger on controls, overlays, or header
+        if (e.target.closest('.reader-controls') || e.target.closest('.reader-header') || e.target.closest('.tuning-overlay') || e.target.closest('.quick-adjust-overlay')) {
+            return;
+        }
+        this.longPressTimer = setTimeout(() => {
+            this.showTuningOverlay();
+        }, this.longPressDuration);
+    }
+
+    cancelLongPress() {
+        if (this.longPressTimer) {
+            clearTimeout(this.longPressTimer);
+            this.longPressTimer = null;
+        }
+    }
+
+    showTuningOverlay() {
+        // Pause playback while tuning
+        if (this.playback.isPlaying) {
+            this.playback.pause();
+        }
+        // Sync slider values with current state
+        this.tuningWpmSlider.value = this.playback.wpm;
+        this.tuningWpmValue.textContent = `${this.playback.wpm} wpm`;
+        this.tuningScaleSlider.value = this.settings.fontScale;
+        this.tuningScaleValue.textContent = `${this.settings.fontScale.toFixed(1)}×`;
+
+        // Show/hide "Skip to Content" button
+        const hasSkipTarget = this.currentDocument?.firstProseWordIndex > 0 &&
+                              this.playback.currentIndex < this.currentDocument.firstProseWordIndex;
+        this.skipToContentBtn.style.display = hasSkipTarget ? 'block' : 'none';
+
+        // Show overlay
+        this.tuningOverlay.classList.add('visible');
+        // Auto-hide after 3 seconds of inactivity
+        this.resetTuningTimeout();
+    }
+
+    skipToContent() {
+        if (!this.currentDocument?.firstProseWordIndex) return;
+        const targetIndex = this.currentDocument.firstProseWordIndex;
+        this.playback.seek(targetIndex);
+        this.showJumpIndicator(`→ Ch.1`);
+    }
+
+    hideTuningOverlay() {
+        this.tuningOverlay.classList.remove('visible');
+        if (this.tuningTimeout) {
+            clearTimeout(this.tuningTimeout);
+            this.tuningTimeout = null;
+        }
+    }
 
-        await this.persistence.saveSetting('mode', mode);
+    resetTuningTimeout() {
+        if (this.tuningTimeout) clearTimeout(this.tuningTimeout);
+        this.tuningTimeout = setTimeout(() => {
+            this.hideTuningOverlay();
+        }, 3000);
     }
 
     openSettings() {
         this.settingsPanel.classList.add('open');
+        this.updateStorageStatus();
+        this.updatePacingStatus();
+    }
+    closeSettings() { this.settingsPanel.classList.remove('open'); }
+
+    toggleQuickAdjust() {
+        const isHidden = this.quickAdjustOverlay.classList.contains('hidden');
+        if (isHidden) {
+            // Hide tuning overlay if visible
+            this.hideTuningOverlay();
+            // Show overlay - sync current values
+            this.quickFontSlider.value = this.settings.fontSize;
+            this.quickFontLabel.textContent = `${this.settings.fontSize}px`;
+            this.quickWpmSlider.value = this.playback.wpm;
+            this.quickWpmLabel.textContent = this.playback.wpm;
+            this.quickAdjustOverlay.classList.remove('hidden');
+            this.quickAdjustBtn.classList.add('active');
+        } else {
+            // Hide overlay
+            this.quickAdjustOverlay.classList.add('hidden');
+            this.quickAdjustBtn.classList.remove('active');
+        }
     }
 
-    closeSettings() {
-        this.settingsPanel.classList.remove('open');
+    hideQuickAdjust() {
+        this.quickAdjustOverlay.classList.add('hidden');
+        this.quickAdjustBtn.classList.remove('active');
     }
 
-    async clearLibrary() {
-        if (!confirm('This will delete all documents from your library. Continue?')) {
+    // Fullscreen / Focus Mode
+    // Track focus mode state separately from browser fullscreen
+    focusModeActive = false;
+
+    toggleFullscreen() {
+        // Check if real fullscreen is supported and enabled
+        const fullscreenSupported = document.fullscreenEnabled || document.webkitFullscreenEnabled;
+        const isRealFullscreen = this.isFullscreen();
+
+        if (isRealFullscreen) {
+            // Currently in real fullscreen - exit it
+            this.exitFullscreen();
+        } else if (fullscreenSupported) {
+            // Fullscreen supported - try to enter it
+            this.enterFullscreen();
+        } else {
+            // Fullscreen not supported (iOS Safari) - toggle Focus Mode instead
+            this.toggleFocusMode();
+        }
+    }
+
+    isFullscreen() {
+        return !!(document.fullscreenElement || document.webkitFullscreenElement);
+    }
+
+    enterFullscreen() {
+        const elem = document.documentElement;
+        const request = elem.requestFullscreen || elem.webkitRequestFullscreen;
+        if (request) {
+            request.call(elem).then(() => {
+                // Successfully entered fullscreen - enable focus mode
+                this.enableFocusMode();
+            }).catch(() => {
+                // Fullscreen request failed - fall back to focus mode toggle
+                this.toggleFocusMode();
+            });
+        } else {
+            // No fullscreen API - fall back to focus mode toggle
+            this.toggleFocusMode();
+        }
+    }
+
+    exitFullscreen() {
+        if (document.exitFullscreen) {
+            document.exitFullscreen().catch(() => {});
+        } else if (document.webkitExitFullscreen) {
+            document.webkitExitFullscreen();
+        }
+        // Focus mode will be disabled by updateFullscreenUI via fullscreenchange event
+    }
+
+    updateFullscreenUI() {
+        const isFullscreen = this.isFullscreen();
+        // When exiting real fullscreen, also disable focus mode
+        if (!isFullscreen && this.focusModeActive) {
+            this.disableFocusMode();
+        }
+        this.updateFocusModeIcons();
+    }
+
+    toggleFocusMode() {
+        if (this.focusModeActive) {
+            this.disableFocusMode();
+        } else {
+            this.enableFocusMode();
+        }
+    }
+
+    enableFocusMode() {
+        this.focusModeActive = true;
+        this.readerView?.classList.add('focus-mode');
+        this.updateFocusModeIcons();
+    }
+
+    disableFocusMode() {
+        this.focusModeActive = false;
+        this.readerView?.classList.remove('focus-mode');
+        this.updateFocusModeIcons();
+    }
+
+    updateFocusModeIcons() {
+        const showCollapse = this.focusModeActive || this.isFullscreen();
+        this.iconExpand.style.display = showCollapse ? 'none' : 'block';
+        this.iconCollapse.style.display = showCollapse ? 'block' : 'none';
+    }
+
+    // Auto-hide controls and header during playback
+    resetAutoHideTimer() {
+        // Always restore visibility immediately
+        this.readerControls?.classList.remove('auto-dimmed');
+        this.readerHeader?.classList.remove('auto-dimmed');
+
+        // Clear any existing timer
+        if (this.autoHideTimer) {
+            clearTimeout(this.autoHideTimer);
+            this.autoHideTimer = null;
+        }
+
+        // Only set new timer if playing and no overlays open
+        if (this.playback?.isPlaying && !this.isAnyOverlayOpen()) {
+            this.autoHideTimer = setTimeout(() => {
+                this.dimControls();
+            }, this.autoHideDelay);
+        }
+    }
+
+    dimControls() {
+        // Only dim if still playing and no overlays open
+        if (this.playback?.isPlaying && !this.isAnyOverlayOpen()) {
+            this.readerControls?.classList.add('auto-dimmed');
+            this.readerHeader?.classList.add('auto-dimmed');
+        }
+    }
+
+    isAnyOverlayOpen() {
+        return this.settingsPanel?.classList.contains('open') ||
+               this.tocPanel?.classList.contains('open') ||
+               this.bookmarksPanel?.classList.contains('open') ||
+               this.searchPanel?.classList.contains('open') ||
+               this.tuningOverlay?.classList.contains('visible') ||
+               !this.quickAdjustOverlay?.classList.contains('hidden');
+    }
+
+    // ==================== SYNC ====================
+
+    async saveSyncConfig() {
+        this.settings.syncEndpoint = this.syncEndpointSetting.value.trim();
+        this.settings.syncToken = this.syncTokenSetting.value.trim();
+        await this.persistence.saveSetting('syncEndpoint', this.settings.syncEndpoint);
+        await this.persistence.saveSetting('syncToken', this.settings.syncToken);
+        this.sync.configure({ endpoint: this.settings.syncEndpoint, token: this.settings.syncToken });
+        this.sync.flush();
+    }
+
+    updateSyncStatus(status, state) {
+        const waiting = state?.queue.length ? ` · ${state.queue.length} change${state.queue.length === 1 ? '' : 's'} waiting` : '';
+        const lastSynced = state?.lastSyncedAt
+            ? `Synced ${new Date(state.lastSyncedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`
+            : 'Not synced yet';
+        const labels = {
+            disabled: 'Off',
+            syncing: 'Syncing…',
+            offline: `Offline${waiting}`,
+            error: `Can't reach the sync server${waiting}`,
+            idle: lastSynced + waiting
+        };
+        this.syncStatus.textContent = labels[status] || '';
+        this.syncNowBtn.disabled = status === 'disabled';
+    }
+
+    // Remote progress, metadata or settings were written to the local stores
+    async handleRemoteChanges(records) {
+        if (records.some(record => record.kind === 'setting')) await this.loadSettings();
+        if (this.libraryView.classList.contains('active')) this.loadLibrary();
+    }
+
+    // ==================== STORAGE ====================
+
+    async updateStorageStatus() {
+        const estimate = await getStorageEstimate();
+        if (!estimate) {
+            this.storageStatus.textContent = 'Storage usage is not available in this browser.';
             return;
         }
+        const used = `Using ${formatBytes(estimate.usage)} of ${formatBytes(estimate.quota)}`;
+        this.storageStatus.textContent = `${used}. ${estimate.persisted ? 'Protected from automatic clearing.' : 'The browser may clear it when space runs low.'}`;
+    }
+
+    async openStorageManager() {
+        this.storageModal.classList.remove('hidden');
+        await this.renderStorageList();
+    }
+
+    hideStorageModal() {
+        this.storageModal.classList.add('hidden');
+    }
+
+    async renderStorageList() {
+        const [docs, sizes] = await Promise.all([
+            this.persistence.getAllRecords('library'),
+            this.persistence.getDocumentSizes()
+        ]);
+        const rows = docs.map(doc => {
+            const size = sizes.get(doc.id) || { tokens: 0, source: 0, annotations: 0 };
+            return { doc, size, total: size.tokens + size.source + size.annotations };
+        }).sort((a, b) => b.total - a.total);
+
+        const total = rows.reduce((sum, row) => sum + row.total, 0);
+        this.storageSummary.textContent = `${rows.length} document${rows.length === 1 ? '' : 's'}, about ${formatBytes(total)}`;
+        this.storageFreeFinishedBtn.disabled = !rows.some(row => isFinished(row.doc) && this.canFreeTokens(row.doc, row.size));
+        this.storageList.replaceChildren(...rows.map(row => this.createStorageItem(row)));
+    }
+
+    // Only caches that can be rebuilt: the source text must be stored alongside
+    canFreeTokens(doc, size) {
+        return size.tokens > 0 && size.source > 0 && doc.id !== this.currentDocument?.id;
+    }
+
+    createStorageItem({ doc, size, total }) {
+        const li = document.createElement('li');
+        li.className = 'storage-item';
+
+        const info = document.createElement('div');
+        info.className = 'storage-info';
+        const title = document.createElement('span');
+        title.className = 'storage-title';
+        title.dir = 'auto';
+        title.textContent = doc.title;
+        const meta = document.createElement('span');
+        meta.className = 'storage-meta';
+        meta.textContent = [
+            formatBytes(total),
+            size.tokens > 0 ? `word list ${formatBytes(size.tokens)}` : 'word list freed',
+            isFinished(doc) ? 'finished' : null
+        ].filter(Boolean).join(' · ');
+        info.append(title, meta);
+        li.append(info);
+
+        if (this.canFreeTokens(doc, size)) {
+            const free = document.createElement('button');
+            free.className = 'storage-free';
+            free.textContent = 'Free';
+            free.addEventListener('click', async () => {
+                Haptics.tap();
+                await this.persistence.deleteTokens(doc.id);
+                await this.renderStorageList();
+                this.updateStorageStatus();
+            });
+            li.append(free);
+        }
+        return li;
+    }
+
+    async freeFinishedCaches() {
+        const [docs, sizes] = await Promise.all([
+            this.persistence.getAllRecords('library'),
+            this.persistence.getDocumentSizes()
+        ]);
+        const finished = docs.filter(doc => isFinished(doc) && this.canFreeTokens(doc, sizes.get(doc.id) || {}));
+        for (const doc of finished) await this.persistence.deleteTokens(doc.id);
+        console.log(`[Storage] Freed ${finished.length} finished document caches`);
+        await this.renderStorageList();
+        this.updateStorageStatus();
+    }
+
+    // ==================== READING STATS ====================
+
+    sessionSpeed() {
+        return { wpm: this.playback.wpm, ramping: this.ramp.isRamping };
+    }
+
+    saveSession(session) {
+        if (!session) return;
+        this.persistence.saveSession(session).catch(error => console.warn('[Stats] Could not save session:', error.message));
+    }
+
+    // The tab may be closed while playing: save the open session, which carries on under the same id
+    checkpointSession() {
+        if (!this.sessionTracker.active) return;
+        const docId = this.sessionTracker.session.docId;
+        this.saveSession(this.sessionTracker.stop(this.playback.currentIndex));
+        this.sessionTracker.start(docId, this.playback.currentIndex, this.sessionSpeed());
+    }
 
+    async openStats() {
+        this.statsModal.classList.remove('hidden');
         try {
-            const docs = await this.persistence.getRecentDocuments(100);
-            for (const doc of docs) {
-                await this.persistence.deleteDocument(doc.id);
-            }
-            this.loadLibrary();
-            this.closeSettings();
+            const [sessions, docs] = await Promise.all([
+                this.persistence.getSessions(),
+                this.persistence.getAllRecords('library')
+            ]);
+            this.renderStats(sessions, docs);
         } catch (error) {
-            console.error('Error clearing library:', error);
+            console.error('Stats error:', error);
+            this.hideStats();
+            alert('Error loading reading stats: ' + error.message);
         }
     }
 
-    // ============ Utilities ============
+    hideStats() {
+        this.statsModal.classList.add('hidden');
+    }
+
+    renderStats(sessions, docs) {
+        this.statsEmpty.hidden = sessions.length > 0;
+        this.statsDetails.hidden = sessions.length === 0;
+        if (sessions.length === 0) return;
+
+        const summary = summarizeSessions(sessions);
+        const days = (n) => `${n} day${n === 1 ? '' : 's'}`;
+        const tiles = [
+            ['Streak', days(summary.streak)],
+            ['Longest', days(summary.longestStreak)],
+            ['Sessions', String(summary.sessions)],
+            ['Words', summary.words >= 1000 ? `${(summary.words / 1000).toFixed(1)}k` : String(summary.words)],
+            ['Time', formatDuration(summary.durationMs)],
+            ['Speed', `${summary.wpm} wpm`]
+        ];
+        this.statsSummary.replaceChildren(...tiles.map(([label, value]) => {
+            const tile = document.createElement('div');
+            const dt = document.createElement('dt');
+            dt.textContent = label;
+            const dd = document.createElement('dd');
+            dd.textContent = value;
+            tile.append(dt, dd);
+            return tile;
+        }));
+
+        const daily = dailyActivity(sessions, 14);
+        this.renderStatsBars(this.statsDaily, daily.map(d => ({ value: d.words, label: `${d.day}: ${d.words} words` })));
+        const weekly = weeklySpeed(sessions, 8);
+        this.renderStatsBars(this.statsSpeed, weekly.map(w => ({
+            value: w.wpm,
+            label: `Week of ${new Date(w.weekStart).toLocaleDateString()}: ${w.wpm ? `${w.wpm} wpm` : 'no reading'}`
+        })));
+
+        this.statsBooks.replaceChildren(...bookStats(sessions, docs).map(book => this.createStatsBookItem(book)));
+    }
+
+    renderStatsBars(container, bars) {
+        const max = Math.max(1, ...bars.map(bar => bar.value));
+        container.replaceChildren(...bars.map(({ value, label }) => {
+            const bar = document.createElement('div');
+            bar.className = value > 0 ? 'stats-bar' : 'stats-bar empty';
+            bar.style.height = `${value / max * 100}%`;
+            bar.title = label;
+            bar.setAttribute('aria-label', label);
+            return bar;
+        }));
+    }
+
+    createStatsBookItem({ doc, durationMs, wpm, finished, remainingMs }) {
+        const li = document.createElement('li');
+        li.className = 'storage-item';
+        const info = document.createElement('div');
+        info.className = 'storage-info';
+        const title = document.createElement('span');
+        title.className = 'storage-title';
+        title.dir = 'auto';
+        title.textContent = doc.title;
+        const meta = document.createElement('span');
+        meta.className = 'storage-meta';
+        meta.textContent = [
+            finished ? `finished in ${formatDuration(durationMs)}` : `${formatDuration(durationMs)} so far`,
+            wpm > 0 ? `${wpm} wpm` : null,
+            remainingMs !== null ? `about ${formatDuration(remainingMs)} to finish` : null
+        ].filter(Boolean).join(' · ');
+        info.append(title, meta);
+        li.append(info);
+        return li;
+    }
+
+    // ==================== LIBRARY BACKUP ====================
+
+    async readAllStores() {
+        const data = {};
+        for (const store of BACKUP_STORES) data[store] = await this.persistence.getAllRecords(store);
+        return data;
+    }
 
-    showLoading(text = 'Loading...') {
-        this.loadingText.textContent = text;
-        this.loadingOverlay.classList.add('show');
+    async exportLibrary() {
+        this.showLoading('Packing library...');
+        try {
+            const archive = await buildBackupArchive(await this.readAllStores());
+            this.downloadFile(archive, backupFileName(), 'application/zip');
+        } catch (error) {
+            console.error('Library export error:', error);
+            alert('Error exporting library: ' + error.message);
+        }
+        this.hideLoading();
     }
 
-    hideLoading() {
-        this.loadingOverlay.classList.remove('show');
+    async openBackupFile(file) {
+        this.showLoading('Reading backup...');
+        try {
+            this.pendingBackup = await readBackupArchive(file);
+            const count = this.pendingBackup.library.length;
+            this.restoreSummary.textContent = `Backup contains ${count} document${count === 1 ? '' : 's'}.`;
+            this.restoreModal.classList.remove('hidden');
+        } catch (error) {
+            console.error('Library import error:', error);
+            alert('Error reading backup: ' + error.message);
+        }
+        this.hideLoading();
     }
 
-    escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+    hideRestoreModal() {
+        this.restoreModal.classList.add('hidden');
+        this.pendingBackup = null;
     }
 
-    formatWordCount(count) {
-        if (count >= 1000) {
-            return (count / 1000).toFixed(1) + 'k words';
+    async restoreLibrary(mode) {
+        const backup = this.pendingBackup;
+        this.hideRestoreModal();
+        if (!backup) return;
+        if (mode === 'replace' && !confirm('Replace the whole library with this backup?')) return;
+        this.showLoading('Restoring library...');
+        try {
+            // Replace needs the local stores too, to keep this device's sync settings
+            const plan = planRestore(await this.readAllStores(), backup, mode);
+            await this.persistence.restoreRecords(plan.records, plan.clear);
+            console.log('[restoreLibrary]', mode, plan.documents);
+            // Merged settings are this device's newest values; queue them like any other settings write
+            if (!plan.clear) plan.records.settings.forEach(({ key, value, updatedAt }) => this.sync.trackSetting(key, value, updatedAt));
+            await this.sync.loadState();
+            await this.loadSettings();
+            await this.loadLibrary();
+            this.hideLoading();
+            const { added, updated, kept } = plan.documents;
+            alert(mode === 'replace'
+                ? `Restored ${added} document${added === 1 ? '' : 's'}.`
+                : `Added ${added}, updated ${updated}, kept ${kept} newer local document${kept === 1 ? '' : 's'}.`);
+        } catch (error) {
+            console.error('Library restore error:', error);
+            this.hideLoading();
+            alert('Error restoring library: ' + error.message);
         }
-        return count + ' words';
     }
+
+    async clearLibrary() {
+        if (!confirm('Delete all documents from library?')) return;
+        const docs = await this.persistence.getAllRecords('library');
+        console.log(`[clearLibrary] Deleting ${docs.length} documents...`);
+        for (const doc of docs) await this.persistence.deleteDocument(doc.id);
+        console.log('[clearLibrary] Library cleared');
+        this.loadLibrary();
+        this.closeSettings();
+    }
+
+    showLoading(text = 'Loading...') { this.loadingText.textContent = text; this.loadingOverlay.classList.add('show'); }
+    hideLoading() { this.loadingOverlay.classList.remove('show'); }
 }
 
-// Initialize app when DOM is ready
+// Initialize
 document.addEventListener('DOMContentLoaded', () => {
     window.app = new SpeedReaderApp();
 });
+
+// Register Service Worker for PWA/offline support
+if ('serviceWorker' in navigator) {
+    let refreshing = false;
+    // Auto-reload when new SW takes control
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (!refreshing) {
+            refreshing = true;
+            console.log('New version activated, reloading...');
+            window.location.reload();
+        }
+    });
+
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('/sw.js')
+            .then(registration => {
+                console.log('SW registered:', registration.scope);
+                // Check for updates
+                registration.addEventListener('updatefound', () => {
+                    const newWorker = registration.installing;
+                    newWorker.addEventListener('statechange', () => {
+                        if (newWorker.state === 'installed' && navigator.serviceWorker.controller) {
+                            // New version available, tell it to activate
+                            console.log('New version available, activating...');
+                            newWorker.postMessage('skipWaiting');
+                        }
+                    });
+                });
+                // Check for waiting SW on page load (in case update happened while tab was closed)
+                if (registration.waiting) {
+                    console.log('Update waiting, activating...');
+                    registration.waiting.postMessage('skipWaiting');
+                }
+            })
+            .catch(err => console.log('SW registration failed:', err));
+    });
+}
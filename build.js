@@ -1,17 +1,23 @@
 #!/usr/bin/env node
 /**
  * Build script for Red Read PWA
- * Copies all necessary files to dist/ for static deployment
+ * Copies all necessary files to dist/ for static deployment and bundles the
+ * ES modules behind app.js into one classic script (works from file:// too)
  *
- * Usage: node build.js
+ * Usage: npm run build (or node build.js)
  * Output: dist/ folder ready for Cloudflare Pages / Netlify / GitHub Pages
  */
 
-const fs = require('fs');
-const path = require('path');
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
 
-const SOURCE_DIR = __dirname;
-const DIST_DIR = path.join(__dirname, 'dist');
+const SOURCE_DIR = path.dirname(fileURLToPath(import.meta.url));
+const DIST_DIR = path.join(SOURCE_DIR, 'dist');
+
+// Module entry point, bundled into dist/app.<hash>.js
+const ENTRY = 'app.js';
 
 // Files to copy to dist
 const FILES = [
@@ -78,14 +84,118 @@ function copyDir(dirname) {
     return true;
 }
 
-// Update cache version in service worker
-function updateCacheVersion() {
+// ============================================================
+// MODULE BUNDLER
+// ============================================================
+// Supports what the app uses: named imports and exports of relative files.
+// Each module body runs in its own function scope, so private helpers with
+// the same name in two modules cannot collide.
+
+const IMPORT_PATTERN = /^import\s*\{([^}]*)\}\s*from\s*'([^']+)';?[ \t]*\n?/gm;
+const EXPORT_LIST_PATTERN = /^export\s*\{([^}]*)\};?[ \t]*\n?/gm;
+const EXPORT_DECLARATION_PATTERN = /^export\s+((?:async\s+)?(?:function\*?|class|const|let|var)\s+([\w$]+))/gm;
+
+// "a, b as c" -> [['a', 'a'], ['b', 'c']]
+function parseSpecifiers(list) {
+    return list.split(',')
+        .map(spec => spec.trim())
+        .filter(Boolean)
+        .map(spec => {
+            const [name, alias] = spec.split(/\s+as\s+/);
+            return [name, alias || name];
+        });
+}
+
+function moduleVar(file) {
+    return `__module_${file.replace(/\.js$/, '').replace(/[^\w]/g, '_')}`;
+}
+
+// Depth-first walk of the import graph; dependencies come before dependents
+function collectModules(file, modules = new Map(), visiting = new Set()) {
+    if (modules.has(file)) return modules;
+    if (visiting.has(file)) throw new Error(`Circular import: ${file}`);
+    visiting.add(file);
+
+    const src = fs.readFileSync(path.join(SOURCE_DIR, file), 'utf8');
+    if (/^\s*(import\s+[^{\s]|export\s+(default|\*))/m.test(src)) {
+        throw new Error(`Unsupported import/export form in ${file} (named only)`);
+    }
+
+    const imports = [];
+    let body = src.replace(IMPORT_PATTERN, (match, list, from) => {
+        const dep = path.posix.join(path.posix.dirname(file), from);
+        imports.push({ dep, specifiers: parseSpecifiers(list) });
+        return '';
+    });
+
+    const exports = [];
+    body = body.replace(EXPORT_LIST_PATTERN, (match, list) => {
+        exports.push(...parseSpecifiers(list));
+        return '';
+    });
+    body = body.replace(EXPORT_DECLARATION_PATTERN, (match, declaration, name) => {
+        exports.push([name, name]);
+        return declaration;
+    });
+
+    for (const { dep } of imports) collectModules(dep, modules, visiting);
+    visiting.delete(file);
+    modules.set(file, { imports, exports, body: body.trimEnd() });
+    return modules;
+}
+
+function bundle(entry) {
+    const modules = collectModules(entry);
+    const parts = [`// Generated by build.js from ${entry} - do not edit`, '(() => {', "'use strict';", ''];
+
+    for (const [file, { imports, exports, body }] of modules) {
+        const bindings = imports.map(({ dep, specifiers }) => {
+            const names = specifiers.map(([name, local]) => name === local ? name : `${name}: ${local}`);
+            return `const { ${names.join(', ')} } = ${moduleVar(dep)};`;
+        });
+        const returned = exports.map(([local, name]) => name === local ? name : `${name}: ${local}`);
+        parts.push(
+            `// ---- ${file} ----`,
+            `const ${moduleVar(file)} = (() => {`,
+            ...bindings,
+            body,
+            `return { ${returned.join(', ')} };`,
+            '})();',
+            ''
+        );
+    }
+
+    parts.push('})();', '');
+    return { code: parts.join('\n'), files: [...modules.keys()] };
+}
+
+// Bundle the app and point index.html at it (classic script, so file:// works)
+function bundleApp() {
+    const { code, files } = bundle(ENTRY);
+    const hash = crypto.createHash('sha256').update(code).digest('hex').slice(0, 8);
+    const bundleName = ENTRY.replace(/\.js$/, `.${hash}.js`);
+    fs.writeFileSync(path.join(DIST_DIR, bundleName), code);
+    console.log(`✓ Bundled ${files.length} modules into ${bundleName}`);
+
+    const indexPath = path.join(DIST_DIR, 'index.html');
+    const moduleTag = `<script type="module" src="${ENTRY}"></script>`;
+    const html = fs.readFileSync(indexPath, 'utf8');
+    if (!html.includes(moduleTag)) throw new Error(`index.html does not load ${ENTRY} as a module`);
+    fs.writeFileSync(indexPath, html.replace(moduleTag, `<script src="${bundleName}" defer></script>`));
+    console.log(`✓ Pointed index.html at ${bundleName}`);
+
+    return bundleName;
+}
+
+// Update cache version and cached module list in service worker
+function updateServiceWorker(bundleName) {
     const swPath = path.join(DIST_DIR, 'sw.js');
     if (!fs.existsSync(swPath)) return;
 
     let content = fs.readFileSync(swPath, 'utf8');
     const version = `v${Date.now()}`;
-    content = content.replace(/speed-reader-v\d+/, `speed-reader-${version}`);
+    content = content.replace(/red-reader-v\d+/, `red-reader-${version}`);
+    content = content.replace(/const APP_MODULES = \[[^\]]*\];/, `const APP_MODULES = ['/${bundleName}'];`);
     fs.writeFileSync(swPath, content);
     console.log(`✓ Updated cache version to ${version}`);
 }
@@ -139,7 +249,8 @@ function build() {
     }
 
     // Post-processing
-    updateCacheVersion();
+    const bundleName = bundleApp();
+    updateServiceWorker(bundleName);
     createHeaders();
     createRedirects();
 
@@ -1,3 +1,4 @@
 @echo off
 cd /d "%~dp0"
-start "" index.html
+rem index.html loads ES modules, which browsers block on file://; open the bundled build instead
+node build.js && start "" dist\index.html
@@ -0,0 +1,207 @@
+/**
+ * Library Backup
+ * Packs every PersistenceLayer store into one zip archive and plans restores
+ * Requires the JSZip global (loaded from CDN by index.html)
+ */
+
+const BACKUP_FORMAT = 'red-reader-backup';
+const BACKUP_VERSION = 1;
+
+// Stores written to the archive; tokens and sources get one file per document
+const BACKUP_STORES = ['library', 'tokens', 'sources', 'annotations', 'sessions', 'pacingEvents', 'settings'];
+const PER_DOCUMENT_STORES = ['tokens', 'sources'];
+
+// Sync identity, cursor and credentials belong to one device: never exported,
+// and kept through a replace restore
+const DEVICE_SETTINGS = ['syncState', 'syncEndpoint', 'syncToken'];
+const portableSettings = (settings = []) => settings.filter(setting => !DEVICE_SETTINGS.includes(setting.key));
+
+/**
+ * @typedef {Object} BackupData
+ * @property {DocumentMeta[]} library
+ * @property {Object[]} tokens - { docId, tokens, format, cachedAt }
+ * @property {Object[]} sources - { docId, sections, savedAt }
+ * @property {Object[]} annotations
+ * @property {ReadingSession[]} sessions
+ * @property {PacingEvent[]} pacingEvents
+ * @property {Object[]} settings - { key, value }, without DEVICE_SETTINGS
+ */
+
+/**
+ * @typedef {Object} RestorePlan
+ * @property {boolean} clear - Empty every store before writing
+ * @property {BackupData} records - Records to put, per store
+ * @property {{ added: number, updated: number, kept: number }} documents
+ */
+
+// docIds come from file names and URLs; keep archive paths flat and safe
+const documentPath = (store, docId) => `${store}/${encodeURIComponent(docId)}.json`;
+
+/**
+ * @param {BackupData} data
+ * @returns {Promise<Uint8Array>} Zip archive
+ */
+async function buildBackupArchive(data) {
+    const zip = new JSZip();
+    zip.file('manifest.json', JSON.stringify({
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        createdAt: Date.now(),
+        documents: data.library.length
+    }, null, 2));
+    for (const store of BACKUP_STORES) {
+        if (PER_DOCUMENT_STORES.includes(store)) {
+            for (const record of data[store]) zip.file(documentPath(store, record.docId), JSON.stringify(record));
+        } else {
+            zip.file(`${store}.json`, JSON.stringify(store === 'settings' ? portableSettings(data[store]) : data[store]));
+        }
+    }
+    return zip.generateAsync({ type: 'uint8array', compression: 'DEFLATE' });
+}
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const hasDocId = (record) => isObject(record) && typeof record.docId === 'string';
+
+// Minimal shape per store, so a hand-edited or damaged archive is refused
+// before any of it is written
+const RECORD_CHECKS = {
+    library: (doc) => isObject(doc) && typeof doc.id === 'string' && typeof doc.title === 'string' && Number.isFinite(doc.wordCount),
+    tokens: hasDocId,
+    sources: hasDocId,
+    annotations: (annotation) => hasDocId(annotation) && typeof annotation.id === 'string',
+    sessions: (session) => hasDocId(session) && typeof session.id === 'string',
+    pacingEvents: (event) => isObject(event) && typeof event.id === 'string' && Number.isFinite(event.at),
+    settings: (setting) => isObject(setting) && typeof setting.key === 'string'
+};
+
+/**
+ * @param {Blob|ArrayBuffer|Uint8Array} archive
+ * @returns {Promise<BackupData>}
+ */
+async function readBackupArchive(archive) {
+    let zip;
+    try {
+        zip = await JSZip.loadAsync(archive);
+    } catch (e) {
+        throw new Error('Not a library backup (unreadable archive)');
+    }
+    const manifestFile = zip.file('manifest.json');
+    const manifest = manifestFile ? JSON.parse(await manifestFile.async('string')) : null;
+    if (manifest?.format !== BACKUP_FORMAT) throw new Error('Not a library backup');
+    if (manifest.version > BACKUP_VERSION) throw new Error('This backup was made by a newer version of the app');
+
+    const data = {};
+    try {
+        for (const store of BACKUP_STORES) {
+            if (PER_DOCUMENT_STORES.includes(store)) {
+                const files = zip.file(new RegExp(`^${store}/[^/]+\\.json$`));
+                data[store] = await Promise.all(files.map(async file => JSON.parse(await file.async('string'))));
+            } else {
+                const file = zip.file(`${store}.json`);
+                data[store] = file ? JSON.parse(await file.async('string')) : [];
+            }
+        }
+    } catch (e) {
+        throw new Error('Not a library backup (unreadable records)');
+    }
+    if (!BACKUP_STORES.every(store => Array.isArray(data[store]) && data[store].every(RECORD_CHECKS[store]))) {
+        throw new Error('Not a library backup (malformed records)');
+    }
+    return data;
+}
+
+const progressTime = (doc) => doc?.progress?.updatedAt || 0;
+
+// Settings holding lists of { id } items, merged rather than skipped
+const MERGED_LIST_SETTINGS = ['customTimingProfiles', 'collections'];
+
+// Union by id; on clashes the local item wins
+function mergeById(local = [], incoming = []) {
+    const ids = new Set(local.map(item => item.id));
+    return [...local, ...incoming.filter(item => !ids.has(item.id))];
+}
+
+/**
+ * Decide what a restore writes.
+ * replace: the backup becomes the whole library, apart from this device's
+ * sync settings, and saved ramp progress is cleared.
+ * merge: new documents are added; a document in both keeps its local record,
+ * tokens and sources, taking only the backup's progress when that was read
+ * more recently (progress.updatedAt). Annotations, sessions and pacing events are unioned,
+ * and settings only fill keys this device does not have yet, except the
+ * custom profile and collection lists, which are merged by id. Merged
+ * settings are stamped with now, so last-writer-wins sync treats them as
+ * this device's latest change.
+ * @param {BackupData} local - Current contents of the stores
+ * @param {BackupData} incoming - From readBackupArchive()
+ * @param {'merge'|'replace'} mode
+ * @param {number} [now]
+ * @returns {RestorePlan}
+ */
+function planRestore(local, incoming, mode, now = Date.now()) {
+    if (mode === 'replace') {
+        const deviceSettings = (local?.settings || []).filter(setting => DEVICE_SETTINGS.includes(setting.key));
+        return {
+            clear: true,
+            // Ramp progress is never backed up; clearing it drops rows for documents the backup lacks
+            records: { ...incoming, settings: [...portableSettings(incoming.settings), ...deviceSettings], rampStates: [] },
+            documents: { added: incoming.library.length, updated: 0, kept: 0 }
+        };
+    }
+
+    const localDocs = new Map(local.library.map(doc => [doc.id, doc]));
+    const addedIds = new Set();
+    const library = [];
+    const documents = { added: 0, updated: 0, kept: 0 };
+    for (const doc of incoming.library) {
+        const existing = localDocs.get(doc.id);
+        if (!existing) {
+            documents.added++;
+            addedIds.add(doc.id);
+            library.push(doc);
+        } else if (progressTime(doc) > progressTime(existing)) {
+            // Ids hash the file, so the backup's position fits the local tokens
+            documents.updated++;
+            library.push({ ...existing, progress: doc.progress });
+        } else {
+            documents.kept++;
+        }
+    }
+
+    const localAnnotationIds = new Set(local.annotations.map(a => a.id));
+    const localSessionIds = new Set(local.sessions.map(s => s.id));
+    const localPacingIds = new Set(local.pacingEvents.map(e => e.id));
+    const localSettings = new Map(local.settings.map(s => [s.key, s.value]));
+    const settings = portableSettings(incoming.settings)
+        .filter(s => !localSettings.has(s.key))
+        .map(({ key, value }) => ({ key, value, updatedAt: now }));
+    for (const key of MERGED_LIST_SETTINGS) {
+        if (!localSettings.has(key)) continue;
+        const incomingList = incoming.settings.find(s => s.key === key)?.value;
+        settings.push({ key, value: mergeById(localSettings.get(key), incomingList), updatedAt: now });
+    }
+
+    return {
+        clear: false,
+        records: {
+            library,
+            tokens: incoming.tokens.filter(record => addedIds.has(record.docId)),
+            sources: incoming.sources.filter(record => addedIds.has(record.docId)),
+            annotations: incoming.annotations.filter(a => !localAnnotationIds.has(a.id)),
+            sessions: incoming.sessions.filter(s => !localSessionIds.has(s.id)),
+            pacingEvents: incoming.pacingEvents.filter(e => !localPacingIds.has(e.id)),
+            settings
+        },
+        documents
+    };
+}
+
+/**
+ * @param {number} [now]
+ * @returns {string} e.g. red-reader-library-2026-10-19.zip
+ */
+function backupFileName(now = Date.now()) {
+    return `red-reader-library-${new Date(now).toISOString().slice(0, 10)}.zip`;
+}
+
+export { BACKUP_STORES, buildBackupArchive, readBackupArchive, planRestore, backupFileName };
@@ -0,0 +1,61 @@
+/**
+ * Device Integrations
+ * Haptic feedback and screen wake lock, both no-ops where unsupported
+ */
+
+// ============================================================
+// HAPTIC FEEDBACK
+// ============================================================
+// Minimal haptics for touch confirmation on supported devices
+// Uses navigator.vibrate (Android) - iOS Safari doesn't support vibrate API
+// but we keep the interface for future WebKit support
+
+const Haptics = {
+    supported: typeof navigator !== 'undefined' && 'vibrate' in navigator,
+
+    // Light tap - button presses, navigation
+    tap() {
+        if (this.supported) navigator.vibrate(10);
+    },
+
+    // Double pulse - mode changes, state toggles
+    mode() {
+        if (this.supported) navigator.vibrate([8, 40, 8]);
+    },
+
+    // Heavier pulse - warnings, destructive actions
+    warn() {
+        if (this.supported) navigator.vibrate(25);
+    }
+};
+
+// ============================================================
+// SCREEN WAKE LOCK
+// ============================================================
+const WakeLock = {
+    lock: null,
+    supported: typeof navigator !== 'undefined' && 'wakeLock' in navigator,
+
+    async acquire() {
+        if (!this.supported || this.lock) return;
+        try {
+            this.lock = await navigator.wakeLock.request('screen');
+            console.log('[WakeLock] Acquired');
+            this.lock.addEventListener('release', () => {
+                this.lock = null;
+            });
+        } catch (e) {
+            console.log('[WakeLock] Failed:', e.message);
+        }
+    },
+
+    release() {
+        if (this.lock) {
+            this.lock.release();
+            this.lock = null;
+            console.log('[WakeLock] Released');
+        }
+    }
+};
+
+export { Haptics, WakeLock };
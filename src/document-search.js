@@ -0,0 +1,113 @@
+/**
+ * Document Search
+ * Runs findMatches() in a worker so searching a long book does not stall
+ * playback. The worker is built from the matcher functions' own source (a
+ * Blob URL), which survives bundling and works from file://. Where workers
+ * are unavailable or fail to start, searches run on the main thread.
+ */
+
+import { MAX_RESULTS, foldSearchWord, searchTerms, findMatches } from './engine/search.js';
+
+/**
+ * Worker script: the matcher functions plus a message loop.
+ *   { type: 'load', words: string[] }               index a document
+ *   { type: 'search', id, query, limit }  →  { id, matches, total }
+ * @returns {string}
+ */
+function searchWorkerSource() {
+    return [foldSearchWord, searchTerms, findMatches].map(fn => fn.toString()).join('\n\n') + `
+
+let words = [];
+self.onmessage = (event) => {
+    const message = event.data;
+    if (message.type === 'load') {
+        words = message.words.map(foldSearchWord);
+    } else if (message.type === 'search') {
+        self.postMessage({ id: message.id, ...findMatches(words, message.query, message.limit) });
+    }
+};
+`;
+}
+
+class DocumentSearch {
+    constructor() {
+        this.worker = null;
+        this.workerUrl = null;
+        this.words = [];       // Raw display words of the loaded document
+        this.folded = null;    // Main-thread index, built on first fallback search
+        this.latestId = 0;
+        this.pending = new Map();
+    }
+
+    /**
+     * Index a document's tokens, replacing the previous document
+     * @param {Token[]} tokens
+     */
+    load(tokens) {
+        this.words = tokens.map(token => token.word);
+        this.folded = null;
+        this.resolvePending(null);
+        if (!this.worker) this.worker = this.startWorker();
+        this.worker?.postMessage({ type: 'load', words: this.words });
+    }
+
+    startWorker() {
+        if (typeof Worker === 'undefined' || typeof Blob === 'undefined' || typeof URL.createObjectURL !== 'function') return null;
+        try {
+            this.workerUrl = URL.createObjectURL(new Blob([searchWorkerSource()], { type: 'text/javascript' }));
+            const worker = new Worker(this.workerUrl);
+            worker.onmessage = (event) => this.settle(event.data.id, event.data);
+            worker.onerror = (event) => {
+                event.preventDefault?.();
+                console.warn('[Search] Worker failed, searching on the main thread:', event.message);
+                this.stopWorker();
+                // Answer what the worker left unanswered
+                for (const [id, { query }] of this.pending) this.settle(id, this.searchHere(query));
+            };
+            return worker;
+        } catch (error) {
+            console.warn('[Search] Worker unavailable:', error.message);
+            return null;
+        }
+    }
+
+    stopWorker() {
+        this.worker?.terminate();
+        this.worker = null;
+        if (this.workerUrl) URL.revokeObjectURL(this.workerUrl);
+        this.workerUrl = null;
+    }
+
+    searchHere(query) {
+        if (!this.folded) this.folded = this.words.map(foldSearchWord);
+        return findMatches(this.folded, query, MAX_RESULTS);
+    }
+
+    /**
+     * @param {string} query
+     * @returns {Promise<SearchResult|null>} null if a newer search or document replaced this one
+     */
+    search(query) {
+        const id = ++this.latestId;
+        this.resolvePending(null);
+        if (!this.worker) return Promise.resolve(this.searchHere(query));
+        return new Promise(resolve => {
+            this.pending.set(id, { query, resolve });
+            this.worker.postMessage({ type: 'search', id, query, limit: MAX_RESULTS });
+        });
+    }
+
+    settle(id, result) {
+        const entry = this.pending.get(id);
+        if (!entry) return;
+        this.pending.delete(id);
+        entry.resolve(id === this.latestId ? { matches: result.matches, total: result.total } : null);
+    }
+
+    resolvePending(value) {
+        for (const { resolve } of this.pending.values()) resolve(value);
+        this.pending.clear();
+    }
+}
+
+export { DocumentSearch, searchWorkerSource };
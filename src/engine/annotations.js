@@ -0,0 +1,87 @@
+/**
+ * Bookmarks and Highlights
+ * Annotations are token ranges captured during playback: a bookmark marks
+ * the word on screen, a highlight covers the sentence around it
+ */
+
+import { joinChunkWords } from './chunking.js';
+
+/**
+ * @typedef {Object} Annotation
+ * @property {string} id - Unique annotation identifier
+ * @property {string} docId - Owning document
+ * @property {'bookmark'|'highlight'} type
+ * @property {number} startIndex - First token index
+ * @property {number} endIndex - Last token index (inclusive)
+ * @property {string} snippet - Context text shown in the bookmarks list
+ * @property {number} createdAt - Timestamp
+ */
+
+const SNIPPET_CONTEXT_WORDS = 6;  // Words either side of a bookmark
+const SNIPPET_MAX_WORDS = 40;     // Long highlights are cut off in the list
+
+// "Dr." is terminal punctuation but does not end the sentence
+function endsSentence(token) {
+    const flags = token.flags || {};
+    return (flags.punctuation === 'terminal' && !flags.isAbbreviation) || !!flags.isParagraphEnd;
+}
+
+/**
+ * Sentence containing tokens[index], bounded by terminal punctuation and paragraphs
+ * @param {Token[]} tokens
+ * @param {number} index
+ * @returns {{start: number, end: number}} Inclusive token range
+ */
+function getSentenceRange(tokens, index) {
+    let start = index;
+    while (start > 0 && !endsSentence(tokens[start - 1]) && !tokens[start].flags?.isParagraphStart) start--;
+    let end = index;
+    while (end < tokens.length - 1 && !endsSentence(tokens[end]) && !tokens[end + 1].flags?.isParagraphStart) end++;
+    return { start, end };
+}
+
+/**
+ * Display text for tokens[start..end], with ellipses where text was cut
+ * @param {Token[]} tokens
+ * @param {number} start
+ * @param {number} end - Inclusive
+ * @returns {string}
+ */
+function buildSnippet(tokens, start, end) {
+    const from = Math.max(0, start);
+    const to = Math.min(tokens.length - 1, end, from + SNIPPET_MAX_WORDS - 1);
+    if (to < from) return '';
+    const text = joinChunkWords(tokens.slice(from, to + 1).map(token => token.word));
+    return (from > 0 && !endsSentence(tokens[from - 1]) ? '…' : '') +
+           text +
+           (to < tokens.length - 1 && !endsSentence(tokens[to]) ? '…' : '');
+}
+
+/**
+ * Build a bookmark on tokens[index] or a highlight of its sentence
+ * @param {Token[]} tokens
+ * @param {string} docId
+ * @param {'bookmark'|'highlight'} type
+ * @param {number} index - Token on screen
+ * @returns {Annotation}
+ */
+function createAnnotation(tokens, docId, type, index) {
+    const { start, end } = type === 'highlight'
+        ? getSentenceRange(tokens, index)
+        : { start: index, end: index };
+    const snippet = type === 'highlight'
+        ? buildSnippet(tokens, start, end)
+        : buildSnippet(tokens, index - SNIPPET_CONTEXT_WORDS, index + SNIPPET_CONTEXT_WORDS);
+    const createdAt = Date.now();
+    return {
+        id: `${type}_${createdAt.toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+        docId,
+        type,
+        startIndex: start,
+        endIndex: end,
+        snippet,
+        createdAt
+    };
+}
+
+export { getSentenceRange, buildSnippet, createAnnotation };
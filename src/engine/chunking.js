@@ -0,0 +1,80 @@
+/**
+ * Phrase Chunking
+ * Groups adjacent tokens into one flash (e.g. "of the", "in a way").
+ * A chunk never continues past sentence-ending punctuation or a paragraph
+ * end, and never reaches into the next paragraph.
+ */
+
+/**
+ * @typedef {Object} ChunkOptions
+ * @property {number} maxWords - Words per flash (1 disables chunking)
+ * @property {number} maxChars - Combined width in graphemes, spaces included
+ */
+
+import { UNSPACED_SCRIPT, splitGraphemes, calculateORP, getDisplayDuration } from './tokenizer.js';
+
+function getChunkLength(tokens, index, options = {}) {
+    const maxWords = options.maxWords || 1;
+    const maxChars = options.maxChars || Infinity;
+    let count = 0;
+    let width = 0;
+
+    while (index + count < tokens.length && count < maxWords) {
+        const token = tokens[index + count];
+        const flags = token.flags || {};
+        const length = flags.wordLength ?? splitGraphemes(token.word).length;
+
+        if (count > 0) {
+            if (flags.isParagraphStart) break;
+            // A single long word always gets its own flash
+            if (width + 1 + length > maxChars) break;
+            width += 1;
+        }
+        width += length;
+        count++;
+
+        if (flags.punctuation === 'terminal' || flags.isParagraphEnd) break;
+    }
+    return Math.max(1, count);
+}
+
+// Unspaced scripts (CJK, Thai) join without a space, like the source text
+function joinChunkWords(words) {
+    let text = words[0];
+    for (let i = 1; i < words.length; i++) {
+        const joined = UNSPACED_SCRIPT.test(text.slice(-1)) && UNSPACED_SCRIPT.test(words[i][0]);
+        text += (joined ? '' : ' ') + words[i];
+    }
+    return text;
+}
+
+// Display token for a chunk: members joined, one pivot for the whole phrase
+function buildChunkToken(tokens, index, length) {
+    if (length <= 1) return tokens[index];
+    const members = tokens.slice(index, index + length);
+    const word = joinChunkWords(members.map(token => token.word));
+
+    // Never pivot on the gap between words
+    const graphemes = splitGraphemes(word);
+    let orpIndex = calculateORP(word);
+    if (graphemes[orpIndex] === ' ') orpIndex++;
+
+    const last = members[members.length - 1];
+    return {
+        word,
+        orpIndex,
+        flags: { ...last.flags, isParagraphStart: members[0].flags?.isParagraphStart || false },
+        chunkLength: length
+    };
+}
+
+// A chunk stays on screen as long as its words would have one by one
+function getChunkDuration(tokens, index, length, wpm) {
+    let duration = 0;
+    for (let i = index; i < index + length; i++) {
+        duration += getDisplayDuration(tokens[i], wpm);
+    }
+    return duration;
+}
+
+export { getChunkLength, joinChunkWords, buildChunkToken, getChunkDuration };
@@ -0,0 +1,76 @@
+/**
+ * Context Peek
+ * Rebuilds the paragraph around a token from the paragraph flags, so a paused
+ * reader can see the text they were just flashed
+ */
+
+import { UNSPACED_SCRIPT } from './tokenizer.js';
+import { getSentenceRange } from './annotations.js';
+
+/**
+ * @typedef {Object} ContextWord
+ * @property {number} index - Token index, for seeking
+ * @property {string} text
+ * @property {boolean} spaceBefore - False at the start and between unspaced-script words
+ */
+
+/**
+ * @typedef {Object} ContextView
+ * @property {number} start - First token shown
+ * @property {number} end - Last token shown (inclusive)
+ * @property {ContextWord[]} words
+ * @property {boolean} clippedStart - The paragraph continues before start
+ * @property {boolean} clippedEnd - The paragraph continues after end
+ */
+
+// Plain text without blank lines is one huge paragraph
+const CONTEXT_MAX_WORDS = 150;
+
+/**
+ * Paragraph containing tokens[index], from isParagraphStart/isParagraphEnd
+ * @param {Token[]} tokens
+ * @param {number} index
+ * @returns {{start: number, end: number}} Inclusive token range
+ */
+function getParagraphRange(tokens, index) {
+    let start = index;
+    while (start > 0 && !tokens[start].flags?.isParagraphStart && !tokens[start - 1].flags?.isParagraphEnd) start--;
+    let end = index;
+    while (end < tokens.length - 1 && !tokens[end].flags?.isParagraphEnd && !tokens[end + 1].flags?.isParagraphStart) end++;
+    return { start, end };
+}
+
+/**
+ * The paragraph around tokens[index]; a long one is cut to a window around
+ * the index, at sentence boundaries where the window allows
+ * @param {Token[]} tokens
+ * @param {number} index
+ * @param {number} [maxWords]
+ * @returns {ContextView}
+ */
+function buildContextView(tokens, index, maxWords = CONTEXT_MAX_WORDS) {
+    const paragraph = getParagraphRange(tokens, index);
+    let start = Math.max(paragraph.start, index - Math.floor(maxWords / 2));
+    let end = Math.min(paragraph.end, start + maxWords - 1);
+    start = Math.max(paragraph.start, end - maxWords + 1);
+
+    if (start > paragraph.start) {
+        const sentence = getSentenceRange(tokens, start);
+        if (sentence.start < start && sentence.end < index) start = sentence.end + 1;
+    }
+    if (end < paragraph.end) {
+        const sentence = getSentenceRange(tokens, end);
+        if (sentence.end > end && sentence.start > index) end = sentence.start - 1;
+    }
+
+    const words = [];
+    for (let i = start; i <= end; i++) {
+        const text = tokens[i].word;
+        const previous = words[words.length - 1]?.text;
+        const joined = previous !== undefined && UNSPACED_SCRIPT.test(previous.slice(-1)) && UNSPACED_SCRIPT.test(text[0]);
+        words.push({ index: i, text, spaceBefore: previous !== undefined && !joined });
+    }
+    return { start, end, words, clippedStart: start > paragraph.start, clippedEnd: end < paragraph.end };
+}
+
+export { getParagraphRange, buildContextView };
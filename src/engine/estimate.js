@@ -0,0 +1,83 @@
+/**
+ * Reading Time Estimates
+ * Prefix sums of token multipliers make the time for any token range O(1).
+ * The sums follow playback's smoothing clamp, which scales with the base
+ * duration, so one index serves every WPM.
+ */
+
+import { DURATION_CLAMP_MIN, DURATION_CLAMP_MAX, isHardStop } from './tokenizer.js';
+
+/**
+ * @param {Token[]} tokens
+ * @returns {Float64Array} index[i] = sum of the clamped multipliers of tokens[0..i-1]
+ */
+function buildTimeIndex(tokens) {
+    const index = new Float64Array(tokens.length + 1);
+    let previous = null;
+    for (let i = 0; i < tokens.length; i++) {
+        let multiplier = tokens[i].multiplier ?? 1.0;
+        // Same rule as getDisplayDuration(), in multiples of the base duration
+        if (previous !== null && !isHardStop(tokens[i].flags || {})) {
+            multiplier = Math.max(previous * DURATION_CLAMP_MIN, Math.min(previous * DURATION_CLAMP_MAX, multiplier));
+        }
+        previous = multiplier;
+        index[i + 1] = index[i] + multiplier;
+    }
+    return index;
+}
+
+/**
+ * Estimated time to read tokens[start..end] (inclusive) at wpm
+ * @param {Float64Array} timeIndex - From buildTimeIndex()
+ * @param {number} start
+ * @param {number} end
+ * @param {number} wpm
+ * @returns {number} Milliseconds
+ */
+function estimateRangeMs(timeIndex, start, end, wpm) {
+    const from = Math.max(0, start);
+    const to = Math.min(end, timeIndex.length - 2);
+    if (to < from) return 0;
+    return (timeIndex[to + 1] - timeIndex[from]) * 60000 / wpm;
+}
+
+/**
+ * Time left in a library document without loading its tokens: the
+ * multiplier total saved when it was last opened, spread evenly over the
+ * words not yet read
+ * @param {DocumentMeta} doc
+ * @param {number} wpm
+ * @returns {number|null} Milliseconds, null if the document was never timed
+ */
+function estimateDocumentMs(doc, wpm) {
+    if (!doc.timeUnits || !doc.wordCount) return null;
+    const remainingWords = Math.max(0, doc.wordCount - (doc.progress?.currentIndex || 0));
+    return doc.timeUnits * (remainingWords / doc.wordCount) * 60000 / wpm;
+}
+
+/**
+ * Format a duration for display: "45 sec", "12 min", "1 h 5 min"
+ * @param {number} ms
+ * @returns {string}
+ */
+function formatDuration(ms) {
+    const seconds = Math.round(ms / 1000);
+    if (seconds < 60) return `${seconds} sec`;
+    const minutes = Math.round(seconds / 60);
+    if (minutes < 60) return `${minutes} min`;
+    const hours = Math.floor(minutes / 60);
+    const rest = minutes % 60;
+    return rest > 0 ? `${hours} h ${rest} min` : `${hours} h`;
+}
+
+/**
+ * Format a countdown or position: "0:45", "12:05", "75:00"
+ * @param {number} seconds
+ * @returns {string}
+ */
+function formatClock(seconds) {
+    const whole = Math.max(0, Math.round(seconds));
+    return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+}
+
+export { buildTimeIndex, estimateRangeMs, estimateDocumentMs, formatDuration, formatClock };
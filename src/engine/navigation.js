@@ -0,0 +1,81 @@
+/**
+ * Structural Navigation
+ * Sentence and paragraph starts for rewind and skip, from the terminal
+ * punctuation and paragraph flags on each token
+ */
+
+import { getSentenceRange } from './annotations.js';
+import { getParagraphRange } from './context.js';
+
+// "Previous" pressed this close to a start means the one before it,
+// as with a music player's back button
+const NAV_GRACE_WORDS = 2;
+
+// Resuming never replays more than this; long unpunctuated runs keep their place
+const RESUME_REWIND_MAX_WORDS = 60;
+
+// Forward moves larger than this between position updates are seeks, not reading
+const MAX_PROGRESS_JUMP = 50;
+
+function previousStart(tokens, index, getRange) {
+    if (tokens.length === 0) return 0;
+    const { start } = getRange(tokens, index);
+    if (index - start > NAV_GRACE_WORDS || start === 0) return start;
+    return getRange(tokens, start - 1).start;
+}
+
+function nextStart(tokens, index, getRange) {
+    if (tokens.length === 0) return 0;
+    const { end } = getRange(tokens, index);
+    return end < tokens.length - 1 ? end + 1 : index;
+}
+
+/**
+ * @param {Token[]} tokens
+ * @param {number} index
+ * @returns {number} Start of this sentence, or of the previous one near the start
+ */
+function previousSentenceStart(tokens, index) {
+    return previousStart(tokens, index, getSentenceRange);
+}
+
+/**
+ * @param {Token[]} tokens
+ * @param {number} index
+ * @returns {number} Start of the next sentence; index itself in the last one
+ */
+function nextSentenceStart(tokens, index) {
+    return nextStart(tokens, index, getSentenceRange);
+}
+
+/**
+ * @param {Token[]} tokens
+ * @param {number} index
+ * @returns {number} Start of this paragraph, or of the previous one near the start
+ */
+function previousParagraphStart(tokens, index) {
+    return previousStart(tokens, index, getParagraphRange);
+}
+
+/**
+ * @param {Token[]} tokens
+ * @param {number} index
+ * @returns {number} Start of the next paragraph; index itself in the last one
+ */
+function nextParagraphStart(tokens, index) {
+    return nextStart(tokens, index, getParagraphRange);
+}
+
+/**
+ * Where to pick up after a pause: the start of the interrupted sentence
+ * @param {Token[]} tokens
+ * @param {number} index
+ * @returns {number}
+ */
+function resumeIndex(tokens, index) {
+    if (tokens.length === 0) return index;
+    const { start } = getSentenceRange(tokens, index);
+    return index - start <= RESUME_REWIND_MAX_WORDS ? start : index;
+}
+
+export { previousSentenceStart, nextSentenceStart, previousParagraphStart, nextParagraphStart, resumeIndex, MAX_PROGRESS_JUMP };
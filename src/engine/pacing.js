@@ -0,0 +1,229 @@
+/**
+ * Adaptive Pacing
+ * Adjusts WPM from how reading is going: a long enough stretch without
+ * rewinds (and with few pauses) raises the speed, repeated rewinds back it
+ * off, and end-of-chapter check-ins move it either way. Like RampController
+ * it only calls playback.setWPM(); the app reports the signals.
+ */
+
+import { MAX_PROGRESS_JUMP } from './navigation.js';
+
+/**
+ * @typedef {Object} PacingConfig
+ * @property {boolean} enabled
+ * @property {number} minWpm - Never backs off below this
+ * @property {number} maxWpm - Never speeds up past this
+ * @property {boolean} checkIns - Ask how a chapter went when it ends
+ */
+
+/**
+ * @typedef {'all'|'most'|'lost'} CheckInAnswer
+ */
+
+/**
+ * @typedef {Object} PacingEvent
+ * @property {string} id
+ * @property {number} at - Timestamp
+ * @property {'pause'|'rewind'|'smooth'|'check-in'|'manual'} type
+ * @property {number} wpm - Speed after the event
+ * @property {number} change - WPM change the pacer made (0 for none)
+ * @property {string|null} docId
+ * @property {CheckInAnswer} [answer] - Check-in events only
+ */
+
+const SMOOTH_WORDS = 300;            // Words read since the last rewind or change before a raise
+const MAX_SMOOTH_PAUSES = 1;         // More pauses than this in the stretch: hold speed
+const RAISE_STEP = 10;
+const REWIND_WINDOW_WORDS = 200;     // Rewinds this close together count as repeated
+const REWINDS_TO_BACK_OFF = 2;
+const LOWER_STEP = 25;
+const CHECK_IN_MIN_WORDS = 500;      // Skimmed-through chapters get no check-in
+const PACING_HISTORY_LIMIT = 500;   // Events kept in memory for the learned speed and summary
+const MANUAL_MERGE_MS = 5000;        // One slider drag is one manual change
+
+/** @type {Object<CheckInAnswer, number>} */
+const CHECK_IN_CHANGES = { all: 25, most: 0, lost: -50 };
+
+class AdaptivePacer {
+    /**
+     * @param {PlaybackController} playback
+     * @param {{ onAdjust?: function({wpm: number, change: number, type: string}): void, onEvent?: function(PacingEvent): void }} callbacks
+     * @param {{ now: function(): number }} clock
+     */
+    constructor(playback, callbacks = {}, clock = Date) {
+        this.playback = playback;
+        this.clock = clock;
+        this.onAdjust = callbacks.onAdjust || (() => {});
+        // Called with each new event; a merged manual change comes again under the same id
+        this.onEvent = callbacks.onEvent || (() => {});
+
+        this.enabled = false;
+        this.minWpm = 150;
+        this.maxWpm = 600;
+        this.checkIns = true;
+
+        /** @type {PacingEvent[]} */
+        this.history = [];
+        this.docId = null;
+        this.lastIndex = null;
+        this.wordsRead = 0;          // Odometer for the open document
+        this.windowWords = 0;
+        this.windowPauses = 0;
+        this.rewindsAt = [];         // Odometer readings of recent rewinds
+        this.lastRewindAt = null;
+        this.wordsSinceCheckIn = 0;
+    }
+
+    /** @param {Partial<PacingConfig>} config */
+    configure({ enabled, minWpm, maxWpm, checkIns }) {
+        if (enabled !== undefined) this.enabled = enabled;
+        if (minWpm !== undefined) this.minWpm = Math.max(100, Math.min(900, minWpm));
+        if (maxWpm !== undefined) this.maxWpm = Math.max(100, Math.min(900, maxWpm));
+        if (this.maxWpm < this.minWpm) [this.minWpm, this.maxWpm] = [this.maxWpm, this.minWpm];
+        if (checkIns !== undefined) this.checkIns = checkIns;
+    }
+
+    /** @returns {PacingConfig} */
+    getConfig() {
+        return { enabled: this.enabled, minWpm: this.minWpm, maxWpm: this.maxWpm, checkIns: this.checkIns };
+    }
+
+    /** @param {PacingEvent[]} events - Persisted history, oldest first */
+    setHistory(events) {
+        this.history = Array.isArray(events) ? events.slice(-PACING_HISTORY_LIMIT) : [];
+    }
+
+    /**
+     * Speed the last session settled on, to start the next one from
+     * @returns {number|null}
+     */
+    learnedWpm() {
+        const last = this.history[this.history.length - 1];
+        return last ? Math.max(this.minWpm, Math.min(this.maxWpm, last.wpm)) : null;
+    }
+
+    /**
+     * Start counting for a document; signals from the previous one are dropped
+     * @param {string} docId
+     * @param {number} index - Current token index
+     */
+    reset(docId, index) {
+        this.docId = docId;
+        this.lastIndex = index;
+        this.wordsRead = 0;
+        this.rewindsAt = [];
+        this.lastRewindAt = null;
+        this.wordsSinceCheckIn = 0;
+        this.startWindow();
+    }
+
+    startWindow() {
+        this.windowWords = 0;
+        this.windowPauses = 0;
+    }
+
+    /**
+     * Playback reached index; forward moves of reading size count as words read
+     * @param {number} index
+     */
+    recordProgress(index) {
+        const delta = this.lastIndex === null ? 0 : index - this.lastIndex;
+        this.lastIndex = index;
+        if (!this.enabled || delta <= 0 || delta > MAX_PROGRESS_JUMP) return;
+        this.wordsRead += delta;
+        this.windowWords += delta;
+        this.wordsSinceCheckIn += delta;
+        if (this.windowWords < SMOOTH_WORDS) return;
+
+        // A rewind restarts the stretch, so only pauses can spoil it here
+        if (this.windowPauses <= MAX_SMOOTH_PAUSES) {
+            this.log('smooth', this.adjust(RAISE_STEP, 'smooth'));
+        }
+        this.startWindow();
+    }
+
+    recordPause() {
+        if (!this.enabled) return;
+        this.windowPauses++;
+        this.log('pause', 0);
+    }
+
+    recordRewind() {
+        // Several presses without reading in between are one rewind
+        if (!this.enabled || this.lastRewindAt === this.wordsRead) return;
+        this.lastRewindAt = this.wordsRead;
+        this.rewindsAt = this.rewindsAt.filter(at => this.wordsRead - at <= REWIND_WINDOW_WORDS);
+        this.rewindsAt.push(this.wordsRead);
+        let change = 0;
+        if (this.rewindsAt.length >= REWINDS_TO_BACK_OFF) {
+            this.rewindsAt = [];
+            change = this.adjust(-LOWER_STEP, 'rewind');
+        }
+        this.startWindow();
+        this.log('rewind', change);
+    }
+
+    /** @param {CheckInAnswer} answer */
+    recordCheckIn(answer) {
+        if (!this.enabled || !(answer in CHECK_IN_CHANGES)) return;
+        this.wordsSinceCheckIn = 0;
+        const change = this.adjust(CHECK_IN_CHANGES[answer], 'check-in');
+        this.startWindow();
+        this.log('check-in', change, { answer });
+    }
+
+    // Dismissed without an answer: the next chapter is asked about on its own
+    skipCheckIn() {
+        this.wordsSinceCheckIn = 0;
+    }
+
+    // The reader picked a speed themselves: judge the new speed from scratch
+    recordManual() {
+        if (!this.enabled) return;
+        this.rewindsAt = [];
+        this.startWindow();
+        const last = this.history[this.history.length - 1];
+        const merged = last?.type === 'manual' && this.clock.now() - last.at < MANUAL_MERGE_MS;
+        if (merged) this.history.pop();
+        this.log('manual', 0, merged ? { id: last.id } : {});
+    }
+
+    /** @returns {boolean} Whether enough of the ending chapter was read to ask about it */
+    shouldCheckIn() {
+        return this.enabled && this.checkIns && this.wordsSinceCheckIn >= CHECK_IN_MIN_WORDS;
+    }
+
+    // Returns the change actually made, after the min/max bounds
+    adjust(delta, type) {
+        const current = this.playback.wpm;
+        const wpm = Math.max(this.minWpm, Math.min(this.maxWpm, current + delta));
+        if (delta === 0 || wpm === current) return 0;
+        this.playback.setWPM(wpm);
+        this.onAdjust({ wpm, change: wpm - current, type });
+        return wpm - current;
+    }
+
+    log(type, change, extra = {}) {
+        const at = this.clock.now();
+        const event = { id: `pacing_${at.toString(36)}${Math.random().toString(36).slice(2, 6)}`, at, type, wpm: this.playback.wpm, change, docId: this.docId, ...extra };
+        this.history.push(event);
+        if (this.history.length > PACING_HISTORY_LIMIT) this.history.splice(0, this.history.length - PACING_HISTORY_LIMIT);
+        this.onEvent(event);
+    }
+}
+
+/**
+ * Counts of each signal since a time, for the settings summary
+ * @param {PacingEvent[]} history
+ * @param {number} since - Timestamp
+ * @returns {{ pause: number, rewind: number, smooth: number, 'check-in': number, manual: number }}
+ */
+function summarizePacing(history, since) {
+    const counts = { pause: 0, rewind: 0, smooth: 0, 'check-in': 0, manual: 0 };
+    for (const event of history) {
+        if (event.at >= since && event.type in counts) counts[event.type]++;
+    }
+    return counts;
+}
+
+export { AdaptivePacer, summarizePacing, CHECK_IN_CHANGES, PACING_HISTORY_LIMIT };
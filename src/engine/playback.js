@@ -3,12 +3,17 @@
  * Manages RSVP playback with proper timing, seeking, and iOS visibility recovery
  */
 
+import { resetDurationClamp } from './tokenizer.js';
+import { getChunkLength, buildChunkToken, getChunkDuration } from './chunking.js';
+import { previousSentenceStart, nextSentenceStart, previousParagraphStart, nextParagraphStart, resumeIndex } from './navigation.js';
+import { WakeLock } from '../device.js';
+
 /**
  * @typedef {Object} PlaybackState
  * @property {boolean} isPlaying
  * @property {number} currentIndex
  * @property {number} wpm
- * @property {string} mode - 'reading' | 'skim'
+ * @property {string} mode - 'reading' | 'skim' | custom profile id
  */
 
 /**
@@ -17,350 +22,221 @@
  * @property {function(): void} onComplete - Called when finished
  * @property {function(PlaybackState): void} onStateChange - Called on state changes
  * @property {function(number): void} onProgress - Called with progress percentage
+ * @property {function(): void} onInterrupted - Called when returning to a page hidden mid-playback
  */
 
-import { getDisplayDuration } from './tokenizer.js';
+/**
+ * @typedef {Object} FrameScheduler
+ * @property {function(function(number): void): *} request - Schedule a frame callback (receives a ms timestamp)
+ * @property {function(*): void} cancel - Cancel a scheduled frame by the id request returned
+ */
+
+// Browser frame scheduler; tests drive tick() with a fake clock instead
+const animationFrameScheduler = {
+    request: (callback) => requestAnimationFrame(callback),
+    cancel: (id) => cancelAnimationFrame(id)
+};
 
 class PlaybackController {
-    constructor(callbacks = {}) {
+    /**
+     * @param {PlaybackCallbacks} callbacks
+     * @param {FrameScheduler} scheduler
+     */
+    constructor(callbacks = {}, scheduler = animationFrameScheduler) {
+        this.scheduler = scheduler;
         this.tokens = [];
         this.currentIndex = 0;
         this.isPlaying = false;
         this.wpm = 300;
         this.mode = 'reading';
-
-        // Callbacks
+        this.chunking = { maxWords: 1, maxChars: 0 };
+        this.currentChunkLength = 1;
+        this.rewindOnResume = false;  // play() after a pause restarts the sentence
+        this.resumePending = false;   // Paused mid-playback, not moved since
         this.onTick = callbacks.onTick || (() => {});
         this.onComplete = callbacks.onComplete || (() => {});
         this.onStateChange = callbacks.onStateChange || (() => {});
         this.onProgress = callbacks.onProgress || (() => {});
-
-        // Timing state
+        this.onInterrupted = callbacks.onInterrupted || (() => {}); // iOS visibility callback
         this.rafId = null;
         this.lastTimestamp = null;
         this.accumulatedTime = 0;
         this.currentTokenDuration = 0;
-
-        // Visibility handling for iOS
         this.wasPlayingBeforeHidden = false;
-        this.boundVisibilityHandler = this.handleVisibilityChange.bind(this);
-        document.addEventListener('visibilitychange', this.boundVisibilityHandler);
 
-        // Page lifecycle for more aggressive iOS backgrounding
-        if ('onfreeze' in document) {
-            document.addEventListener('freeze', () => this.handleFreeze());
-            document.addEventListener('resume', () => this.handleResume());
-        }
+        if (typeof document === 'undefined') return; // headless (tests)
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) {
+                this.wasPlayingBeforeHidden = this.isPlaying;
+                if (this.isPlaying) {
+                    this.pause();
+                }
+            } else {
+                // Re-acquire wake lock if reading is active
+                if (this.isPlaying) WakeLock.acquire();
+                if (this.wasPlayingBeforeHidden) {
+                    // Don't auto-resume, notify app to show "tap to resume"
+                    this.onInterrupted();
+                    this.wasPlayingBeforeHidden = false;
+                }
+            }
+        });
     }
 
-    /**
-     * Load tokens for playback
-     * @param {Token[]} tokens
-     * @param {number} startIndex - Optional starting position
-     */
     load(tokens, startIndex = 0) {
         this.stop();
-        this.tokens = tokens;
-        this.currentIndex = Math.max(0, Math.min(startIndex, tokens.length - 1));
+        this.tokens = tokens || [];
+        if (this.tokens.length === 0) {
+            console.warn('[PlaybackController.load] No tokens to load');
+            this.currentIndex = 0;
+        } else {
+            this.currentIndex = Math.max(0, Math.min(startIndex, this.tokens.length - 1));
+        }
+        resetDurationClamp(); // Reset smoothing on load
         this.emitTick();
         this.emitStateChange();
     }
 
-    /**
-     * Set WPM
-     * @param {number} wpm
-     */
     setWPM(wpm) {
-        this.wpm = Math.max(50, Math.min(2000, wpm));
-
-        // Recalculate current token duration if playing
-        if (this.isPlaying && this.tokens[this.currentIndex]) {
-            this.currentTokenDuration = getDisplayDuration(this.tokens[this.currentIndex], this.wpm);
+        const newWpm = Math.max(50, Math.min(2000, wpm));
+        console.log(`[setWPM] requested: ${wpm}, clamped: ${newWpm}, isPlaying: ${this.isPlaying}`);
+        this.wpm = newWpm;
+        // Always recalculate duration for current token (not just when playing)
+        // Don't apply smoothing clamp when WPM changes - reset baseline
+        if (this.tokens[this.currentIndex]) {
+            resetDurationClamp();
+            this.currentTokenDuration = this.getCurrentDuration();
+            console.log(`[setWPM] new duration: ${this.currentTokenDuration}ms for token at index ${this.currentIndex}`);
         }
-
         this.emitStateChange();
     }
 
-    /**
-     * Adjust WPM by delta
-     * @param {number} delta
-     */
-    adjustWPM(delta) {
-        this.setWPM(this.wpm + delta);
-    }
-
-    /**
-     * Set reading mode
-     * @param {'reading' | 'skim'} mode
-     */
+    adjustWPM(delta) { this.setWPM(this.wpm + delta); }
     setMode(mode) {
         this.mode = mode;
+        // Tokens are re-timed in place on mode change, so refresh the current one
+        if (this.tokens[this.currentIndex]) {
+            resetDurationClamp();
+            this.currentTokenDuration = this.getCurrentDuration();
+        }
         this.emitStateChange();
     }
 
-    /**
-     * Start playback
-     */
+    // Words per flash; applies from the next flash, current word is re-rendered
+    setChunking(options) {
+        this.chunking = { ...this.chunking, ...options };
+        if (this.tokens[this.currentIndex]) {
+            resetDurationClamp();
+            this.currentTokenDuration = this.getCurrentDuration();
+            this.emitTick();
+        }
+    }
+
+    // Sizes the flash starting at currentIndex and returns its duration
+    getCurrentDuration() {
+        this.currentChunkLength = getChunkLength(this.tokens, this.currentIndex, this.chunking);
+        return getChunkDuration(this.tokens, this.currentIndex, this.currentChunkLength, this.wpm);
+    }
+
     play() {
         if (this.tokens.length === 0) return;
-
-        // If at end, restart
         if (this.currentIndex >= this.tokens.length - 1) {
             this.currentIndex = 0;
+            resetDurationClamp(); // Reset smoothing when restarting
+        } else if (this.rewindOnResume && this.resumePending) {
+            this.currentIndex = resumeIndex(this.tokens, this.currentIndex);
+            this.emitTick();
+            this.emitProgress();
         }
-
+        this.resumePending = false;
         this.isPlaying = true;
         this.accumulatedTime = 0;
         this.lastTimestamp = null;
-
-        // Calculate duration for current token
-        this.currentTokenDuration = getDisplayDuration(this.tokens[this.currentIndex], this.wpm);
-
-        // Start the animation frame loop
-        this.rafId = requestAnimationFrame((ts) => this.tick(ts));
-
+        this.currentTokenDuration = this.getCurrentDuration();
+        this.rafId = this.scheduler.request((ts) => this.tick(ts));
+        WakeLock.acquire();
         this.emitStateChange();
     }
 
-    /**
-     * Pause playback
-     */
     pause() {
+        if (this.isPlaying) this.resumePending = true;
         this.isPlaying = false;
-
-        if (this.rafId) {
-            cancelAnimationFrame(this.rafId);
-            this.rafId = null;
-        }
-
+        if (this.rafId) { this.scheduler.cancel(this.rafId); this.rafId = null; }
         this.lastTimestamp = null;
+        WakeLock.release();
         this.emitStateChange();
     }
 
-    /**
-     * Stop playback and reset
-     */
-    stop() {
-        this.pause();
-        this.currentIndex = 0;
-        this.accumulatedTime = 0;
-        this.emitStateChange();
-    }
+    stop() { this.pause(); this.resumePending = false; this.currentIndex = 0; this.accumulatedTime = 0; this.emitStateChange(); }
+    toggle() { this.isPlaying ? this.pause() : this.play(); }
 
-    /**
-     * Toggle play/pause
-     */
-    toggle() {
-        if (this.isPlaying) {
-            this.pause();
-        } else {
-            this.play();
-        }
-    }
-
-    /**
-     * Step forward or backward
-     * @param {number} delta - Positive for forward, negative for backward
-     */
     step(delta) {
         const wasPlaying = this.isPlaying;
-        if (wasPlaying) {
-            this.pause();
-        }
-
+        if (wasPlaying) this.pause();
+        this.resumePending = false; // Moved on purpose: play from here
         this.currentIndex = Math.max(0, Math.min(this.currentIndex + delta, this.tokens.length - 1));
         this.accumulatedTime = 0;
-
+        resetDurationClamp(); // Reset smoothing on step
         this.emitTick();
         this.emitProgress();
         this.emitStateChange();
     }
 
-    /**
-     * Seek to specific index
-     * @param {number} index
-     */
     seek(index) {
         const wasPlaying = this.isPlaying;
-        if (wasPlaying) {
-            this.pause();
-        }
-
+        if (wasPlaying) this.pause();
+        this.resumePending = false; // Moved on purpose: play from here
         this.currentIndex = Math.max(0, Math.min(index, this.tokens.length - 1));
         this.accumulatedTime = 0;
-
+        resetDurationClamp(); // Reset smoothing on seek
         this.emitTick();
         this.emitProgress();
-
-        if (wasPlaying) {
-            this.play();
-        } else {
-            this.emitStateChange();
-        }
+        if (wasPlaying) this.play(); else this.emitStateChange();
     }
 
-    /**
-     * Seek to percentage (0-100)
-     * @param {number} percent
-     */
-    seekPercent(percent) {
-        const index = Math.floor((percent / 100) * this.tokens.length);
-        this.seek(index);
-    }
+    seekPercent(percent) { this.seek(Math.floor((percent / 100) * this.tokens.length)); }
+    rewind(words = 10) { this.step(-words); }
 
-    /**
-     * Quick rewind (jump back N words)
-     * @param {number} words - Default 10
-     */
-    rewind(words = 10) {
-        this.step(-words);
-    }
+    // Sentence and paragraph moves keep playing, like seek()
+    previousSentence() { this.seek(previousSentenceStart(this.tokens, this.currentIndex)); }
+    nextSentence() { this.seek(nextSentenceStart(this.tokens, this.currentIndex)); }
+    previousParagraph() { this.seek(previousParagraphStart(this.tokens, this.currentIndex)); }
+    nextParagraph() { this.seek(nextParagraphStart(this.tokens, this.currentIndex)); }
 
-    /**
-     * Main animation frame tick
-     * Uses delta timing for accuracy regardless of frame rate
-     * @param {number} timestamp
-     */
     tick(timestamp) {
         if (!this.isPlaying) return;
-
-        // Calculate delta time
-        if (this.lastTimestamp === null) {
-            this.lastTimestamp = timestamp;
-        }
-
-        const deltaTime = timestamp - this.lastTimestamp;
+        if (this.lastTimestamp === null) this.lastTimestamp = timestamp;
+        this.accumulatedTime += timestamp - this.lastTimestamp;
         this.lastTimestamp = timestamp;
 
-        // Accumulate time
-        this.accumulatedTime += deltaTime;
+        // DEBUG: Log timing info
+        console.log(`[Timing] WPM: ${this.wpm}, delay: ${this.currentTokenDuration}ms`);
 
-        // Check if we should advance to next word
         if (this.accumulatedTime >= this.currentTokenDuration) {
             this.accumulatedTime -= this.currentTokenDuration;
-            this.currentIndex++;
-
-            // Check for completion
+            this.currentIndex += this.currentChunkLength;
             if (this.currentIndex >= this.tokens.length) {
                 this.currentIndex = this.tokens.length - 1;
                 this.pause();
                 this.onComplete();
                 return;
             }
-
-            // Update duration for new token
-            this.currentTokenDuration = getDisplayDuration(this.tokens[this.currentIndex], this.wpm);
-
+            this.currentTokenDuration = this.getCurrentDuration();
             this.emitTick();
             this.emitProgress();
         }
-
-        // Schedule next frame
-        this.rafId = requestAnimationFrame((ts) => this.tick(ts));
-    }
-
-    /**
-     * Handle page visibility change (iOS backgrounding)
-     */
-    handleVisibilityChange() {
-        if (document.hidden) {
-            // Page is hidden - pause and remember state
-            this.wasPlayingBeforeHidden = this.isPlaying;
-            if (this.isPlaying) {
-                this.pause();
-            }
-        } else {
-            // Page is visible again
-            // Reset timing to avoid jumps
-            this.lastTimestamp = null;
-            this.accumulatedTime = 0;
-
-            // Optionally auto-resume (user preference)
-            // For now, don't auto-resume - let user tap play
-        }
-    }
-
-    /**
-     * Handle page freeze (aggressive iOS backgrounding)
-     */
-    handleFreeze() {
-        this.wasPlayingBeforeHidden = this.isPlaying;
-        this.pause();
+        this.rafId = this.scheduler.request((ts) => this.tick(ts));
     }
 
-    /**
-     * Handle page resume
-     */
-    handleResume() {
-        this.lastTimestamp = null;
-        this.accumulatedTime = 0;
-    }
-
-    /**
-     * Emit tick callback
-     */
     emitTick() {
-        if (this.tokens[this.currentIndex]) {
-            this.onTick(this.tokens[this.currentIndex], this.currentIndex);
-        }
-    }
-
-    /**
-     * Emit progress callback
-     */
-    emitProgress() {
-        const percent = this.tokens.length > 0
-            ? (this.currentIndex / this.tokens.length) * 100
-            : 0;
-        this.onProgress(percent);
-    }
-
-    /**
-     * Emit state change callback
-     */
-    emitStateChange() {
-        this.onStateChange({
-            isPlaying: this.isPlaying,
-            currentIndex: this.currentIndex,
-            wpm: this.wpm,
-            mode: this.mode
-        });
-    }
-
-    /**
-     * Get current state
-     * @returns {PlaybackState}
-     */
-    getState() {
-        return {
-            isPlaying: this.isPlaying,
-            currentIndex: this.currentIndex,
-            wpm: this.wpm,
-            mode: this.mode
-        };
-    }
-
-    /**
-     * Get progress info
-     * @returns {{current: number, total: number, percent: number}}
-     */
-    getProgress() {
-        return {
-            current: this.currentIndex + 1,
-            total: this.tokens.length,
-            percent: this.tokens.length > 0
-                ? (this.currentIndex / this.tokens.length) * 100
-                : 0
-        };
-    }
-
-    /**
-     * Clean up event listeners
-     */
-    destroy() {
-        this.pause();
-        document.removeEventListener('visibilitychange', this.boundVisibilityHandler);
-    }
+        if (!this.tokens[this.currentIndex]) return;
+        this.currentChunkLength = getChunkLength(this.tokens, this.currentIndex, this.chunking);
+        this.onTick(buildChunkToken(this.tokens, this.currentIndex, this.currentChunkLength), this.currentIndex);
+    }
+    emitProgress() { this.onProgress(this.tokens.length > 0 ? (this.currentIndex / this.tokens.length) * 100 : 0); }
+    emitStateChange() { this.onStateChange({ isPlaying: this.isPlaying, currentIndex: this.currentIndex, wpm: this.wpm, mode: this.mode }); }
+    getState() { return { isPlaying: this.isPlaying, currentIndex: this.currentIndex, wpm: this.wpm, mode: this.mode }; }
+    getProgress() { return { current: this.currentIndex + 1, total: this.tokens.length, percent: this.tokens.length > 0 ? (this.currentIndex / this.tokens.length) * 100 : 0 }; }
 }
 
 export { PlaybackController };
@@ -0,0 +1,388 @@
+/**
+ * Ramp Controller (Training Mode)
+ * Thin wrapper that periodically updates WPM from start to target over duration,
+ * or through the stages of a ramp program (ramps, holds, sprint intervals)
+ * Does NOT touch the timing engine - just calls playback.setWPM() periodically
+ */
+
+/**
+ * @typedef {Object} RampStage
+ * @property {'ramp'|'hold'|'interval'} type
+ * @property {number} [fromWpm] - ramp
+ * @property {number} [toWpm] - ramp
+ * @property {'linear'|'ease-in'|'step'} [curve] - ramp; ease-in starts slowly, step climbs in RAMP_STEPS plateaus
+ * @property {number} [wpm] - hold
+ * @property {number} [minutes] - ramp, hold
+ * @property {number} [sprintWpm] - interval
+ * @property {number} [recoveryWpm] - interval
+ * @property {number} [sprintSeconds] - interval
+ * @property {number} [recoverySeconds] - interval
+ * @property {number} [rounds] - interval: sprint/recovery pairs
+ */
+
+/**
+ * @typedef {Object} RampProgram
+ * @property {string} name
+ * @property {RampStage[]} stages
+ */
+
+/**
+ * @typedef {Object} RampSegment - One constant-shape span of an expanded program
+ * @property {string} label - e.g. "Ramp 250→400", "Hold 400", "Sprint 2/4"
+ * @property {number} startWpm
+ * @property {number} endWpm
+ * @property {number} durationMs
+ * @property {'linear'|'ease-in'|'step'} curve
+ */
+
+/**
+ * @typedef {Object} RampState - Runtime state saved per document
+ * @property {number} elapsedMs - Ramp time played so far
+ * @property {string} signature - Shape of the ramp it belongs to, from getSignature()
+ */
+
+const RAMP_CURVES = ['linear', 'ease-in', 'step'];
+const RAMP_STEPS = 4;
+const MAX_STAGES = 12;
+const MAX_ROUNDS = 20;
+
+/** @type {RampProgram[]} Built in; user presets are saved next to them */
+const RAMP_PRESETS = [
+    {
+        name: 'Warm-up and hold',
+        stages: [
+            { type: 'ramp', fromWpm: 250, toWpm: 400, curve: 'linear', minutes: 3 },
+            { type: 'hold', wpm: 400, minutes: 10 }
+        ]
+    },
+    {
+        name: 'Staircase',
+        stages: [
+            { type: 'ramp', fromWpm: 250, toWpm: 500, curve: 'step', minutes: 8 },
+            { type: 'hold', wpm: 500, minutes: 5 }
+        ]
+    },
+    {
+        name: 'Sprint intervals',
+        stages: [
+            { type: 'ramp', fromWpm: 250, toWpm: 350, curve: 'ease-in', minutes: 2 },
+            { type: 'interval', sprintWpm: 600, recoveryWpm: 350, sprintSeconds: 60, recoverySeconds: 120, rounds: 4 }
+        ]
+    }
+];
+
+const clampWpm = (wpm, fallback) => Math.max(100, Math.min(900, Math.round(Number(wpm) || fallback)));
+const clampNumber = (value, min, max, fallback) => Math.max(min, Math.min(max, Number(value) || fallback));
+
+/**
+ * Copy of a stage with every field in range, so saved and synced programs
+ * can be trusted
+ * @param {RampStage} stage
+ * @returns {RampStage|null} null for an unknown type
+ */
+function normalizeStage(stage) {
+    switch (stage?.type) {
+        case 'ramp':
+            return {
+                type: 'ramp',
+                fromWpm: clampWpm(stage.fromWpm, 200),
+                toWpm: clampWpm(stage.toWpm, 400),
+                curve: RAMP_CURVES.includes(stage.curve) ? stage.curve : 'linear',
+                minutes: clampNumber(stage.minutes, 1, 60, 5)
+            };
+        case 'hold':
+            return { type: 'hold', wpm: clampWpm(stage.wpm, 400), minutes: clampNumber(stage.minutes, 1, 60, 5) };
+        case 'interval':
+            return {
+                type: 'interval',
+                sprintWpm: clampWpm(stage.sprintWpm, 600),
+                recoveryWpm: clampWpm(stage.recoveryWpm, 350),
+                sprintSeconds: Math.round(clampNumber(stage.sprintSeconds, 10, 600, 60)),
+                recoverySeconds: Math.round(clampNumber(stage.recoverySeconds, 10, 600, 120)),
+                rounds: Math.round(clampNumber(stage.rounds, 1, MAX_ROUNDS, 4))
+            };
+        default:
+            return null;
+    }
+}
+
+/**
+ * @param {RampProgram} program
+ * @returns {RampProgram|null} null if no stage survives
+ */
+function normalizeProgram(program) {
+    if (!program || !Array.isArray(program.stages)) return null;
+    const stages = program.stages.map(normalizeStage).filter(Boolean).slice(0, MAX_STAGES);
+    if (stages.length === 0) return null;
+    return { name: String(program.name || '').trim() || 'Custom program', stages };
+}
+
+/**
+ * Flatten stages into segments; each interval round becomes a sprint and a recovery
+ * @param {RampStage[]} stages - Normalized
+ * @returns {RampSegment[]}
+ */
+function expandProgram(stages) {
+    const segments = [];
+    for (const stage of stages) {
+        if (stage.type === 'ramp') {
+            segments.push({ label: `Ramp ${stage.fromWpm}→${stage.toWpm}`, startWpm: stage.fromWpm, endWpm: stage.toWpm, durationMs: stage.minutes * 60000, curve: stage.curve });
+        } else if (stage.type === 'hold') {
+            segments.push({ label: `Hold ${stage.wpm}`, startWpm: stage.wpm, endWpm: stage.wpm, durationMs: stage.minutes * 60000, curve: 'linear' });
+        } else if (stage.type === 'interval') {
+            for (let round = 1; round <= stage.rounds; round++) {
+                const of = `${round}/${stage.rounds}`;
+                segments.push({ label: `Sprint ${of}`, startWpm: stage.sprintWpm, endWpm: stage.sprintWpm, durationMs: stage.sprintSeconds * 1000, curve: 'linear' });
+                segments.push({ label: `Recovery ${of}`, startWpm: stage.recoveryWpm, endWpm: stage.recoveryWpm, durationMs: stage.recoverySeconds * 1000, curve: 'linear' });
+            }
+        }
+    }
+    return segments;
+}
+
+// Share of the way from startWpm to endWpm at progress p (0..1) through a segment
+function curveAt(curve, p) {
+    if (curve === 'ease-in') return p * p;
+    if (curve === 'step') return Math.min(1, Math.floor(p * RAMP_STEPS) / (RAMP_STEPS - 1));
+    return p;
+}
+
+/**
+ * Where a program is after elapsedMs
+ * @param {RampSegment[]} segments
+ * @param {number} elapsedMs
+ * @returns {{ index: number, wpm: number, segmentElapsedMs: number, done: boolean }}
+ */
+function rampPosition(segments, elapsedMs) {
+    let offset = 0;
+    for (let index = 0; index < segments.length; index++) {
+        const segment = segments[index];
+        if (elapsedMs < offset + segment.durationMs) {
+            const segmentElapsedMs = Math.max(0, elapsedMs - offset);
+            const share = curveAt(segment.curve, segmentElapsedMs / segment.durationMs);
+            const wpm = Math.round(segment.startWpm + (segment.endWpm - segment.startWpm) * share);
+            return { index, wpm, segmentElapsedMs, done: false };
+        }
+        offset += segment.durationMs;
+    }
+    const last = segments.length - 1;
+    return { index: last, wpm: segments[last]?.endWpm ?? 0, segmentElapsedMs: segments[last]?.durationMs ?? 0, done: true };
+}
+
+class RampController {
+    constructor(playback, callbacks = {}) {
+        this.playback = playback;
+        this.onUpdate = callbacks.onUpdate || (() => {});
+        this.onComplete = callbacks.onComplete || (() => {});
+        this.onCancel = callbacks.onCancel || (() => {});
+
+        // Ramp configuration (persisted separately)
+        this.enabled = false;
+        this.startWpm = 200;
+        this.targetWpm = 400;
+        this.durationMinutes = 5;
+        /** @type {RampProgram|null} Replaces start/target/duration when set */
+        this.program = null;
+        this.segments = this.buildSegments();
+
+        // Runtime state
+        this.isRamping = false;
+        this.elapsedMs = 0;
+        this.lastTickTime = null;
+        this.intervalId = null;
+
+        // Update interval: small enough to respect clamp, ~500ms for smooth UX
+        this.updateIntervalMs = 500;
+    }
+
+    // Configure ramp settings; program: null switches back to the single ramp
+    configure({ enabled, startWpm, targetWpm, durationMinutes, program }) {
+        if (enabled !== undefined) this.enabled = enabled;
+        if (startWpm !== undefined) this.startWpm = Math.max(100, Math.min(900, startWpm));
+        if (targetWpm !== undefined) this.targetWpm = Math.max(100, Math.min(900, targetWpm));
+        if (durationMinutes !== undefined) this.durationMinutes = Math.max(1, Math.min(60, durationMinutes));
+        if (program !== undefined) this.program = normalizeProgram(program);
+        this.segments = this.buildSegments();
+        console.log(this.program
+            ? `[Ramp] Configured: enabled=${this.enabled}, program "${this.program.name}" (${this.segments.length} segments)`
+            : `[Ramp] Configured: enabled=${this.enabled}, ${this.startWpm}→${this.targetWpm} over ${this.durationMinutes}m`);
+    }
+
+    // The single ramp is a one-segment program
+    buildSegments() {
+        if (this.program) return expandProgram(this.program.stages);
+        return [{ label: `Ramp ${this.startWpm}→${this.targetWpm}`, startWpm: this.startWpm, endWpm: this.targetWpm, durationMs: this.durationMinutes * 60000, curve: 'linear' }];
+    }
+
+    // Get current config
+    getConfig() {
+        return {
+            enabled: this.enabled,
+            startWpm: this.startWpm,
+            targetWpm: this.targetWpm,
+            durationMinutes: this.durationMinutes,
+            program: this.program
+        };
+    }
+
+    // Length of the whole ramp or program
+    getTotalMs() {
+        return this.segments.reduce((total, segment) => total + segment.durationMs, 0);
+    }
+
+    // Identifies the ramp shape an elapsed time belongs to; changing the settings changes it
+    getSignature() {
+        return this.segments.map(segment => `${segment.label}/${segment.durationMs}/${segment.curve}`).join('|');
+    }
+
+    /** @returns {RampState} */
+    getState() {
+        return { elapsedMs: Math.round(this.elapsedMs), signature: this.getSignature() };
+    }
+
+    /**
+     * @param {RampState|null} state
+     * @returns {boolean} Whether state is a part-way point of the ramp as configured now
+     */
+    canRestore(state) {
+        return this.enabled && !!state && state.signature === this.getSignature() &&
+            state.elapsedMs > 0 && state.elapsedMs < this.getTotalMs();
+    }
+
+    /**
+     * Pick up a saved ramp, paused at its speed there; resume() carries on
+     * @param {RampState} state
+     * @returns {boolean} False if the state does not fit the current ramp
+     */
+    restore(state) {
+        if (!this.canRestore(state)) return false;
+        this.stop();
+        this.isRamping = true;
+        this.elapsedMs = state.elapsedMs;
+        this.playback.setWPM(rampPosition(this.segments, this.elapsedMs).wpm);
+        console.log(`[Ramp] Restored at ${this.elapsedMs}ms`);
+        this.onUpdate(this.getProgress());
+        return true;
+    }
+
+    // Start ramping (called when playback starts)
+    start() {
+        if (!this.enabled) return;
+        if (this.isRamping) return;
+
+        this.isRamping = true;
+        this.elapsedMs = 0;
+        this.lastTickTime = performance.now();
+
+        // Set initial WPM
+        this.playback.setWPM(this.segments[0].startWpm);
+        console.log(`[Ramp] Started: ${this.segments.map(segment => segment.label).join(', ')}`);
+
+        // Start update interval
+        this.intervalId = setInterval(() => this.tick(), this.updateIntervalMs);
+        this.onUpdate(this.getProgress());
+    }
+
+    // Pause ramping (called when playback pauses)
+    pause() {
+        if (!this.isRamping) return;
+        if (this.intervalId) {
+            clearInterval(this.intervalId);
+            this.intervalId = null;
+        }
+        // Keep elapsedMs to resume from same point
+        this.lastTickTime = null;
+        console.log(`[Ramp] Paused at ${this.elapsedMs}ms`);
+    }
+
+    // Resume ramping (called when playback resumes)
+    resume() {
+        if (!this.enabled || !this.isRamping) return;
+        if (this.intervalId) return; // Already running
+
+        this.lastTickTime = performance.now();
+        this.intervalId = setInterval(() => this.tick(), this.updateIntervalMs);
+        console.log(`[Ramp] Resumed from ${this.elapsedMs}ms`);
+    }
+
+    // Stop and reset ramping
+    stop() {
+        if (this.intervalId) {
+            clearInterval(this.intervalId);
+            this.intervalId = null;
+        }
+        this.isRamping = false;
+        this.elapsedMs = 0;
+        this.lastTickTime = null;
+        console.log('[Ramp] Stopped');
+    }
+
+    // Cancel ramp (user manually changed WPM)
+    cancel() {
+        if (!this.isRamping) return;
+        this.stop();
+        this.onCancel();
+        console.log('[Ramp] Cancelled by user');
+    }
+
+    // Periodic tick to update WPM
+    tick() {
+        if (!this.isRamping) return;
+
+        const now = performance.now();
+        if (this.lastTickTime) {
+            this.elapsedMs += now - this.lastTickTime;
+        }
+        this.lastTickTime = now;
+
+        const position = rampPosition(this.segments, this.elapsedMs);
+
+        // Check if ramp complete
+        if (position.done) {
+            this.playback.setWPM(position.wpm);
+            this.stop();
+            this.onComplete();
+            console.log(`[Ramp] Complete at ${position.wpm} WPM`);
+            return;
+        }
+
+        // Calculate current WPM from the segment's curve
+        const currentWpm = position.wpm;
+
+        // Only update if WPM changed
+        if (currentWpm !== this.playback.wpm) {
+            this.playback.setWPM(currentWpm);
+        }
+
+        this.onUpdate(this.getProgress());
+    }
+
+    // Get current ramp progress, with the stage under way and the one after it
+    getProgress() {
+        const totalMs = this.getTotalMs();
+        const progress = Math.min(1, this.elapsedMs / totalMs);
+        const position = rampPosition(this.segments, this.elapsedMs);
+        const remainingMs = Math.max(0, totalMs - this.elapsedMs);
+        const remainingSeconds = Math.ceil(remainingMs / 1000);
+        const stage = this.segments[position.index];
+        const next = this.segments[position.index + 1] || null;
+
+        return {
+            isRamping: this.isRamping,
+            progress,
+            currentWpm: position.wpm,
+            remainingSeconds,
+            startWpm: this.segments[0].startWpm,
+            targetWpm: this.segments[this.segments.length - 1].endWpm,
+            elapsedSeconds: Math.floor(Math.min(this.elapsedMs, totalMs) / 1000),
+            totalSeconds: Math.round(totalMs / 1000),
+            stageIndex: position.index,
+            stageCount: this.segments.length,
+            stage: stage.label,
+            stageRemainingSeconds: Math.ceil(Math.max(0, stage.durationMs - position.segmentElapsedMs) / 1000),
+            nextStage: next ? { label: next.label, wpm: next.startWpm } : null
+        };
+    }
+}
+
+export { RampController, RAMP_PRESETS, RAMP_CURVES, normalizeStage, normalizeProgram, expandProgram, rampPosition };
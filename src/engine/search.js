@@ -0,0 +1,84 @@
+/**
+ * Search Engine
+ * Finds a typed phrase in the token stream. foldSearchWord, searchTerms and
+ * findMatches use nothing but each other and built-ins, so their source can
+ * run in a worker as is (see src/document-search.js).
+ */
+
+import { getSentenceRange } from './annotations.js';
+
+/**
+ * @typedef {Object} SearchMatch
+ * @property {number} start - First matching token index
+ * @property {number} end - Last matching token index (inclusive)
+ */
+
+/**
+ * @typedef {Object} SearchResult
+ * @property {SearchMatch[]} matches - In document order, at most the requested limit
+ * @property {number} total - Every match, including those past the limit
+ */
+
+const MAX_RESULTS = 200;
+const LEAD_IN_WORDS = 4;
+
+/**
+ * Comparable form of a word: no case, accents, punctuation or apostrophe style
+ * @param {string} word
+ * @returns {string}
+ */
+function foldSearchWord(word) {
+    return word
+        .normalize('NFD')
+        .replace(/\p{M}/gu, '')
+        .replace(/[\u2018\u2019`]/g, "'")
+        .replace(/[^\p{L}\p{N}']/gu, '')
+        .toLowerCase();
+}
+
+/**
+ * Query words, split where the tokenizer splits (spaces and dashes)
+ * @param {string} query
+ * @returns {string[]}
+ */
+function searchTerms(query) {
+    return query.split(/[\s\u2013\u2014\u2015\-]+/).map(foldSearchWord).filter(term => term.length > 0);
+}
+
+/**
+ * Consecutive tokens equal to the query words; the last word may be
+ * unfinished, so it only has to start the token
+ * @param {string[]} words - foldSearchWord() of every token
+ * @param {string} query
+ * @param {number} limit - Matches to return
+ * @returns {SearchResult}
+ */
+function findMatches(words, query, limit) {
+    const terms = searchTerms(query);
+    const matches = [];
+    let total = 0;
+    if (terms.length === 0) return { matches, total };
+
+    const last = terms.length - 1;
+    for (let i = 0; i + last < words.length; i++) {
+        let k = 0;
+        while (k < last && words[i + k] === terms[k]) k++;
+        if (k < last || !words[i + last].startsWith(terms[last])) continue;
+        total++;
+        if (matches.length < limit) matches.push({ start: i, end: i + last });
+    }
+    return { matches, total };
+}
+
+/**
+ * Where to resume for a match: a few words earlier for context, but not
+ * back into the previous sentence
+ * @param {Token[]} tokens
+ * @param {number} index - Match start
+ * @returns {number}
+ */
+function leadInIndex(tokens, index) {
+    return Math.max(getSentenceRange(tokens, index).start, index - LEAD_IN_WORDS, 0);
+}
+
+export { MAX_RESULTS, foldSearchWord, searchTerms, findMatches, leadInIndex };
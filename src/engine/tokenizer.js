@@ -6,8 +6,8 @@
 /**
  * @typedef {Object} Token
  * @property {string} word - The display word
- * @property {number} orpIndex - Index of pivot character (0-based)
- * @property {number} baseDurationMs - Base display time (before WPM scaling)
+ * @property {number} orpIndex - Index of pivot grapheme cluster (0-based)
+ * @property {number} multiplier - Display time as a multiple of 60000 / wpm
  * @property {TokenFlags} flags - Metadata for timing adjustments
  */
 
@@ -16,76 +16,206 @@
  * @property {boolean} isParagraphStart
  * @property {boolean} isParagraphEnd
  * @property {'none'|'minor'|'major'|'terminal'} punctuation
- * @property {boolean} isLongWord - > 8 chars
- * @property {boolean} isNumeric
+ * @property {number} wordLength - Display length in grapheme clusters
  * @property {boolean} isAbbreviation
+ * @property {boolean} isNumeric
  */
 
-// Punctuation classification
-const TERMINAL_PUNCT = /[.!?…]+$/;
-const MAJOR_PUNCT = /[:;—–]+$/;
-const MINOR_PUNCT = /[,()'""\-]+$/;
+// Shape of cached tokens, stamped on every tokens record. Bump it whenever
+// tokenize() output changes meaning; caches with another version are rebuilt.
+// 1: raw words, some with baseDurationMs instead of multiplier (unstamped caches)
+// 2: display words with multiplier and full flags
+const TOKEN_FORMAT_VERSION = 2;
+
+const TERMINAL_PUNCT = /[.!?…؟。！？]+$/;
+const MAJOR_PUNCT = /[:;—–؛：；]+$/;
+const MINOR_PUNCT = /[,()'""\-،«»“”„，、」』）》]+$/;
+
+// Word characters in any script: letters and numbers (Unicode classes)
+const WORD_CHAR = /[\p{L}\p{N}]/u;
+// Display keeps letters, combining marks (diacritics), numbers, apostrophes
+// and ZWNJ/ZWJ (required for correct Persian/Indic shaping)
+const NON_DISPLAY_CHARS = /[^\p{L}\p{M}\p{N}'\u200C\u200D]/gu;
+
+// Grapheme segmentation: a user-perceived character may span several code
+// units ("é" as e + U+0301, emoji, surrogate pairs)
+const graphemeSegmenter = typeof Intl !== 'undefined' && Intl.Segmenter
+    ? new Intl.Segmenter(undefined, { granularity: 'grapheme' })
+    : null;
+
+function splitGraphemes(word) {
+    if (!word) return [];
+    if (graphemeSegmenter) {
+        return Array.from(graphemeSegmenter.segment(word), s => s.segment);
+    }
+    // Fallback: base character followed by its combining marks
+    return word.match(/\P{M}\p{M}*|\p{M}+/gu) || [];
+}
 
-// Patterns
-const ABBREVIATION_PATTERN = /^([A-Z]\.)+$/;
-const NUMERIC_PATTERN = /^[\d,.$%]+$/;
-const LONG_WORD_THRESHOLD = 8;
+// ------------------------------------------------------------
+// Text direction (Hebrew, Arabic and other right-to-left scripts)
+// ------------------------------------------------------------
 
-/**
- * Calculate the Optimal Recognition Point (ORP) index for a word
- * Research suggests fixation point is slightly left of center (~25-30%)
- *
- * @param {string} word
- * @returns {number} 0-based index of the pivot character
- */
-function calculateORP(word) {
-    // Strip any trailing punctuation for length calculation
-    const cleanWord = word.replace(/[^a-zA-Z0-9]/g, '');
-    const len = cleanWord.length;
+const RTL_CHAR = /[\p{Script=Hebrew}\p{Script=Arabic}\p{Script=Syriac}\p{Script=Thaana}\p{Script=Nko}\p{Script=Adlam}]/u;
+// Arabic letters that only connect to the preceding letter (alef, dal, reh, waw, ...)
+const ARABIC_RIGHT_JOINING = /[\u0622-\u0625\u0627\u0629\u062F-\u0632\u0648\u0671-\u0673\u0675-\u0677\u0688-\u0699\u06C0\u06C3-\u06CB\u06CD\u06CF\u06D2\u06D3\u06D5\u06EE\u06EF]/;
+const ZWJ = '\u200D';
 
-    if (len <= 1) return 0;
-    if (len <= 3) return 0;
-    if (len <= 5) return 1;
-    if (len <= 9) return 2;
-    if (len <= 13) return 3;
-    return 4;
+// Base direction of a word from its first strong (letter) character,
+// the same rule the Unicode bidi algorithm uses for dir="auto"
+function getTextDirection(word) {
+    for (const ch of word) {
+        if (/\p{L}/u.test(ch)) return RTL_CHAR.test(ch) ? 'rtl' : 'ltr';
+    }
+    return 'ltr';
+}
 
-    // Alternative formula: Math.max(0, Math.floor((len - 2) / 4))
+function isArabicJoiningLetter(ch) {
+    return ch !== '\u0621' && /\p{Script=Arabic}/u.test(ch) && /\p{L}/u.test(ch);
 }
 
-/**
- * Find the ORP index in the original word (accounting for leading punctuation)
- * @param {string} word
- * @returns {number}
- */
-function findORPInWord(word) {
-    // Find where the actual letters start (skip leading punctuation/quotes)
-    const leadingMatch = word.match(/^[^a-zA-Z0-9]*/);
-    const leadingOffset = leadingMatch ? leadingMatch[0].length : 0;
-
-    // Calculate ORP on the clean word
-    const cleanWord = word.slice(leadingOffset).replace(/[^a-zA-Z0-9]/g, '');
-    const orpInClean = calculateORP(cleanWord);
-
-    // Map back to original word position
-    let cleanIndex = 0;
-    for (let i = leadingOffset; i < word.length; i++) {
-        if (/[a-zA-Z0-9]/.test(word[i])) {
-            if (cleanIndex === orpInClean) {
-                return i;
+// Whether two adjacent graphemes are drawn connected in cursive Arabic script
+// Splitting such a pair across spans needs a ZWJ on both sides of the cut
+function joinsAcross(prev, next) {
+    if (!prev || !next) return false;
+    const a = prev.charAt(0);
+    const b = next.charAt(0);
+    return isArabicJoiningLetter(a) && !ARABIC_RIGHT_JOINING.test(a) && isArabicJoiningLetter(b);
+}
+
+// ------------------------------------------------------------
+// Word segmentation for scripts written without spaces (CJK, Thai)
+// ------------------------------------------------------------
+
+// Languages (BCP 47 primary subtag) that do not separate words with spaces
+const UNSPACED_LANGUAGES = /^(zh|ja|th|lo|km|my)(-|_|$)/i;
+const UNSPACED_SCRIPT = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}]/u;
+const SOUTHEAST_ASIAN_SCRIPT = /[\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}]/u;
+// Opening brackets/quotes belong to the word that follows them
+const OPENING_PUNCT = /^[\p{Ps}\p{Pi}]+$/u;
+
+// Fallback chunk sizes in graphemes, roughly the average word length:
+// ~2 characters for Chinese/Japanese, ~4 for Thai-family scripts
+const CJK_CHUNK_SIZE = 2;
+const SEA_CHUNK_SIZE = 4;
+
+const wordSegmenters = new Map();
+
+// Decide whether a text needs word segmentation
+// Uses the document language when known (EPUB dc:language), otherwise sniffs the script
+function needsSegmentation(text, language) {
+    if (language) return UNSPACED_LANGUAGES.test(language);
+    const sample = text.substring(0, 2000);
+    const letters = (sample.match(/\p{L}/gu) || []).length;
+    const unspaced = (sample.match(new RegExp(UNSPACED_SCRIPT.source, 'gu')) || []).length;
+    return letters > 0 && unspaced / letters > 0.3;
+}
+
+// Split a paragraph into words with Intl.Segmenter (dictionary-based)
+// Punctuation is attached to the neighbouring word so it still drives timing
+function segmentWords(paragraph, language) {
+    const key = language || '';
+    if (!wordSegmenters.has(key)) {
+        wordSegmenters.set(key, new Intl.Segmenter(language || undefined, { granularity: 'word' }));
+    }
+
+    const words = [];
+    let leading = '';
+    for (const { segment, isWordLike } of wordSegmenters.get(key).segment(paragraph)) {
+        if (isWordLike) {
+            words.push(leading + segment);
+            leading = '';
+        } else if (/^\s+$/.test(segment)) {
+            continue;
+        } else if (OPENING_PUNCT.test(segment) || words.length === 0) {
+            leading += segment;
+        } else {
+            words[words.length - 1] += segment;
+        }
+    }
+    if (leading) words.push(leading);
+    return words;
+}
+
+// Dictionary-free fallback: chunk unspaced runs by character count
+// Spaced scripts (Latin words mixed into the text) are left intact
+function chunkByCharacters(paragraph) {
+    const words = [];
+    for (const rawWord of paragraph.split(/\s+/)) {
+        if (!rawWord) continue;
+        let chunk = '';
+        let count = 0;         // word graphemes in the current chunk
+        let chunkKind = null;  // 'cjk' | 'sea' | 'spaced'
+        let closed = false;    // trailing punctuation ends the chunk
+        for (const g of splitGraphemes(rawWord)) {
+            if (!WORD_CHAR.test(g)) {
+                // Opening punctuation starts the next chunk, everything else trails
+                if (OPENING_PUNCT.test(g) && count > 0) {
+                    words.push(chunk);
+                    chunk = '';
+                    count = 0;
+                }
+                chunk += g;
+                closed = count > 0;
+                continue;
             }
-            cleanIndex++;
+            const kind = !UNSPACED_SCRIPT.test(g) ? 'spaced'
+                : SOUTHEAST_ASIAN_SCRIPT.test(g) ? 'sea' : 'cjk';
+            const size = kind === 'sea' ? SEA_CHUNK_SIZE : CJK_CHUNK_SIZE;
+            if (count > 0 && (closed || kind !== chunkKind || (kind !== 'spaced' && count >= size))) {
+                words.push(chunk);
+                chunk = '';
+                count = 0;
+            }
+            chunk += g;
+            count++;
+            chunkKind = kind;
+            closed = false;
         }
+        if (chunk) words.push(chunk);
     }
+    return words;
+}
 
-    return leadingOffset; // Fallback
+function splitIntoWords(paragraph, segment, language) {
+    if (!segment) {
+        return paragraph.replace(/\s+/g, ' ').trim().split(' ').filter(w => w.length > 0);
+    }
+    if (typeof Intl !== 'undefined' && Intl.Segmenter) {
+        return segmentWords(paragraph, language);
+    }
+    return chunkByCharacters(paragraph);
+}
+
+// Classic ORP: standard length-based table with minimum-index guardrail
+// Guardrail: For words 7+ chars, enforce ORP >= floor((len-1) * 0.3) to prevent
+// right-heavy display (few chars left, huge tail right).
+// ORP computed on cleanWord which is what gets displayed.
+// Length and result are in grapheme clusters, not UTF-16 code units.
+function calculateORP(cleanWord) {
+    const len = splitGraphemes(cleanWord).length;
+
+    if (len <= 1) return 0;
+    if (len === 2) return 0;
+
+    // Standard classic ORP table
+    let orp;
+    if (len <= 3) orp = 0;
+    else if (len <= 5) orp = 1;
+    else if (len <= 9) orp = 2;
+    else if (len <= 13) orp = 3;
+    else orp = 4;
+
+    // Guardrail: for longer words, ensure ORP isn't too far left
+    if (len >= 7) {
+        const minOrp = Math.floor((len - 1) * 0.3);
+        orp = Math.max(orp, minOrp);
+    }
+
+    // Clamp to valid range [1, len-2]
+    return Math.max(1, Math.min(orp, len - 2));
 }
 
-/**
- * Classify punctuation type at end of word
- * @param {string} word
- * @returns {'none'|'minor'|'major'|'terminal'}
- */
 function classifyPunctuation(word) {
     if (TERMINAL_PUNCT.test(word)) return 'terminal';
     if (MAJOR_PUNCT.test(word)) return 'major';
@@ -93,202 +223,300 @@ function classifyPunctuation(word) {
     return 'none';
 }
 
-/**
- * Create flags for a token
- * @param {string} word
- * @param {boolean} isParagraphStart
- * @param {boolean} isParagraphEnd
- * @returns {TokenFlags}
- */
-function createFlags(word, isParagraphStart, isParagraphEnd) {
-    const cleanWord = word.replace(/[^a-zA-Z0-9]/g, '');
-
-    return {
-        isParagraphStart,
-        isParagraphEnd,
-        punctuation: classifyPunctuation(word),
-        isLongWord: cleanWord.length > LONG_WORD_THRESHOLD,
-        isNumeric: NUMERIC_PATTERN.test(word),
-        isAbbreviation: ABBREVIATION_PATTERN.test(word)
-    };
-}
-
-/**
- * Timing configuration for different modes
- */
+// Timing profiles: multipliers on the 60000 / wpm base duration
+// Punctuation and paragraph pauses take the largest applicable value,
+// word characteristics scale it, and maxMultiplier bounds the total
 const TIMING_CONFIGS = {
     reading: {
-        // Base duration multipliers
-        longWordMultiplier: 1.2,
-        minorPunctMultiplier: 1.3,
-        majorPunctMultiplier: 1.6,
-        terminalPunctMultiplier: 2.0,
-        paragraphEndMultiplier: 2.5,
-        paragraphStartMultiplier: 1.3,
-        // Abbreviations and numbers get extra time
-        abbreviationMultiplier: 1.4,
-        numericMultiplier: 1.3
+        longWordMultiplier: 1.0,
+        minorPunctMultiplier: 1.12,    // comma
+        majorPunctMultiplier: 1.18,    // colon, semicolon
+        terminalPunctMultiplier: 1.25, // period, !, ?
+        paragraphEndMultiplier: 1.35,
+        paragraphStartMultiplier: 1.0,
+        abbreviationMultiplier: 1.0,
+        numericMultiplier: 1.0,
+        maxMultiplier: 1.35
     },
     skim: {
         longWordMultiplier: 1.0,
-        minorPunctMultiplier: 1.1,
-        majorPunctMultiplier: 1.2,
-        terminalPunctMultiplier: 1.4,
-        paragraphEndMultiplier: 1.6,
-        paragraphStartMultiplier: 1.1,
-        abbreviationMultiplier: 1.1,
-        numericMultiplier: 1.1
+        minorPunctMultiplier: 1.0,
+        majorPunctMultiplier: 1.05,
+        terminalPunctMultiplier: 1.08,
+        paragraphEndMultiplier: 1.12,
+        paragraphStartMultiplier: 1.0,
+        abbreviationMultiplier: 1.0,
+        numericMultiplier: 1.0,
+        maxMultiplier: 1.12
     }
 };
+const TIMING_PROFILE_KEYS = Object.keys(TIMING_CONFIGS.reading);
+const LONG_WORD_THRESHOLD = 8; // graphemes
+const ABBREVIATION_PATTERN = /^(\p{Lu}\.)+$/u;
+const NUMERIC_PATTERN = /^[\p{N}.,']+$/u;
+
+// Resolve a mode to its profile: built-in name, or the id of a custom profile
+// Custom profiles only store the values the user changed, reading fills the rest
+function resolveTimingProfile(mode, customProfiles = []) {
+    const custom = customProfiles.find(profile => profile.id === mode);
+    if (custom) return { ...TIMING_CONFIGS.reading, ...custom.multipliers };
+    return TIMING_CONFIGS[mode] || TIMING_CONFIGS.reading;
+}
 
-/**
- * Calculate base duration for a token (at "1x" speed, ~200 WPM baseline)
- * Actual display time = baseDuration * (200 / currentWPM)
- *
- * @param {TokenFlags} flags
- * @param {string} mode - 'reading' | 'skim'
- * @returns {number} Duration in ms at baseline speed
- */
-function calculateBaseDuration(flags, mode = 'reading') {
-    const config = TIMING_CONFIGS[mode] || TIMING_CONFIGS.reading;
-
-    // Base: 300ms at 200 WPM
-    const BASE_MS = 300;
+// Timing multipliers: punctuation-as-timing-only
+function calculateMultiplier(flags, profile = TIMING_CONFIGS.reading) {
     let multiplier = 1.0;
 
-    // Word characteristics
-    if (flags.isLongWord) multiplier *= config.longWordMultiplier;
-    if (flags.isAbbreviation) multiplier *= config.abbreviationMultiplier;
-    if (flags.isNumeric) multiplier *= config.numericMultiplier;
-
-    // Punctuation (applied cumulatively with paragraph)
+    // Punctuation pauses (timing only - not displayed)
     switch (flags.punctuation) {
-        case 'minor':
-            multiplier *= config.minorPunctMultiplier;
-            break;
-        case 'major':
-            multiplier *= config.majorPunctMultiplier;
-            break;
-        case 'terminal':
-            multiplier *= config.terminalPunctMultiplier;
-            break;
+        case 'minor': multiplier = profile.minorPunctMultiplier; break;
+        case 'major': multiplier = profile.majorPunctMultiplier; break;
+        case 'terminal': multiplier = profile.terminalPunctMultiplier; break;
     }
 
-    // Paragraph boundaries
-    if (flags.isParagraphEnd) multiplier *= config.paragraphEndMultiplier;
-    if (flags.isParagraphStart) multiplier *= config.paragraphStartMultiplier;
+    // Paragraph end: real paragraph breaks only (not just terminal punctuation)
+    // isParagraphEnd is set based on actual newline/paragraph boundaries in tokenize()
+    if (flags.isParagraphEnd) {
+        multiplier = Math.max(multiplier, profile.paragraphEndMultiplier);
+    }
+    if (flags.isParagraphStart) {
+        multiplier = Math.max(multiplier, profile.paragraphStartMultiplier);
+    }
 
-    return Math.round(BASE_MS * multiplier);
-}
+    // Word characteristics
+    if (flags.wordLength > LONG_WORD_THRESHOLD) multiplier *= profile.longWordMultiplier;
+    if (flags.isAbbreviation) multiplier *= profile.abbreviationMultiplier;
+    if (flags.isNumeric) multiplier *= profile.numericMultiplier;
 
-/**
- * Split text into paragraphs
- * @param {string} text
- * @returns {string[]}
- */
-function splitIntoParagraphs(text) {
-    // Normalize line endings and split on double newlines
-    return text
-        .replace(/\r\n/g, '\n')
-        .replace(/\r/g, '\n')
-        .split(/\n\s*\n/)
-        .map(p => p.trim())
-        .filter(p => p.length > 0);
+    return Math.min(multiplier, profile.maxMultiplier);
 }
 
-/**
- * Split a paragraph into words
- * Handles hyphenation, numbers, abbreviations
- * @param {string} paragraph
- * @returns {string[]}
- */
-function splitIntoWords(paragraph) {
-    // Normalize whitespace
-    const normalized = paragraph.replace(/\s+/g, ' ').trim();
-
-    // Split on spaces but keep punctuation attached to words
-    return normalized.split(' ').filter(w => w.length > 0);
+// Recompute multipliers in place from the stored flags (no re-tokenizing)
+function retimeTokens(tokens, profile) {
+    for (const token of tokens) {
+        if (token.flags) token.multiplier = calculateMultiplier(token.flags, profile);
+    }
 }
 
-/**
- * Main tokenization function
- * @param {string} text - Raw text to tokenize
- * @param {string} mode - 'reading' | 'skim'
- * @returns {Token[]}
- */
-function tokenize(text, mode = 'reading') {
-    const tokens = [];
-    const paragraphs = splitIntoParagraphs(text);
-
-    for (let pIdx = 0; pIdx < paragraphs.length; pIdx++) {
-        const paragraph = paragraphs[pIdx];
-        const words = splitIntoWords(paragraph);
-
-        for (let wIdx = 0; wIdx < words.length; wIdx++) {
-            const word = words[wIdx];
-            const isParagraphStart = wIdx === 0;
-            const isParagraphEnd = wIdx === words.length - 1;
+// Check if token has a "hard stop" (exempt from duration clamping)
+function isHardStop(flags) {
+    return flags.punctuation === 'terminal' ||
+           flags.punctuation === 'major' ||
+           flags.isParagraphEnd ||
+           flags.isParagraphStart;
+}
 
-            const flags = createFlags(word, isParagraphStart, isParagraphEnd);
+// Normalize words to prevent orphan punctuation flashes
+function normalizeWords(words) {
+    const result = [];
+    for (let i = 0; i < words.length; i++) {
+        let word = words[i];
+
+        // Skip empty words
+        if (!word) continue;
+
+        // Check if this is orphan punctuation (only punctuation, no letters)
+        const hasLetters = WORD_CHAR.test(word);
+        if (!hasLetters && word.length <= 3) {
+            // Merge orphan punctuation with previous word if possible
+            if (result.length > 0) {
+                result[result.length - 1] += ' ' + word;
+                continue;
+            }
+            // Or merge with next word
+            if (i + 1 < words.length) {
+                words[i + 1] = word + ' ' + words[i + 1];
+                continue;
+            }
+        }
 
-            tokens.push({
-                word,
-                orpIndex: findORPInWord(word),
-                baseDurationMs: calculateBaseDuration(flags, mode),
-                flags
-            });
+        // Handle em-dashes and other connectors that split words
+        // e.g., "well—" followed by standalone "—known"
+        if (word.match(/^[—–-]+$/) && result.length > 0 && i + 1 < words.length) {
+            // Merge dash with previous word
+            result[result.length - 1] += word;
+            continue;
         }
+
+        result.push(word);
     }
+    return result;
+}
 
-    return tokens;
+// Clean word for display: keep letters, marks, numbers, and apostrophes (for contractions)
+// Normalize curly apostrophes to straight for consistency
+function cleanForDisplay(word) {
+    // Compose accents (NFC) so "é" is one code point where possible, then
+    // normalize curly apostrophes (U+2018, U+2019) and backtick to straight
+    const normalized = word.normalize('NFC').replace(/[\u2018\u2019`]/g, "'");
+    // Keep only letters, combining marks, numbers, and apostrophes
+    return normalized.replace(NON_DISPLAY_CHARS, '');
 }
 
-/**
- * Calculate actual display duration for a token at a given WPM
- * @param {Token} token
- * @param {number} wpm
- * @returns {number} Duration in milliseconds
- */
-function getDisplayDuration(token, wpm) {
-    // baseDurationMs is calibrated for 200 WPM
-    // Scale inversely with WPM
-    const BASE_WPM = 200;
-    return Math.round(token.baseDurationMs * (BASE_WPM / wpm));
+// options.language: BCP 47 tag (e.g. EPUB dc:language), selects CJK/Thai segmentation
+// options.profile: resolved timing profile, overrides the built-in one for mode
+function tokenize(text, mode = 'reading', options = {}) {
+    return tokenizeSections([text], mode, options).tokens;
 }
 
 /**
- * Estimate total reading time
- * @param {Token[]} tokens
- * @param {number} wpm
- * @returns {number} Time in seconds
+ * Tokenize consecutive sections (e.g. EPUB spine items) as one token stream,
+ * recording the token index where each section starts. Chapter anchors built
+ * from these indexes match the tokens exactly, whatever tokenization merged
+ * or dropped along the way.
+ * @param {string[]} sections
+ * @param {string} mode - 'reading' | 'skim' | custom profile id
+ * @param {{ language?: string, profile?: Object }} options - Same as tokenize()
+ * @returns {{ tokens: Token[], sectionStarts: number[] }}
  */
-function estimateReadingTime(tokens, wpm) {
-    const totalMs = tokens.reduce((sum, token) => sum + getDisplayDuration(token, wpm), 0);
-    return Math.round(totalMs / 1000);
+function tokenizeSections(sections, mode = 'reading', options = {}) {
+    const tokens = [];
+    const sectionStarts = [];
+    const profile = options.profile || TIMING_CONFIGS[mode] || TIMING_CONFIGS.reading;
+    // Normalize dashes to spaces so they act as word boundaries (e.g., "faster—we're" → "faster we're")
+    const texts = sections.map(text => text.replace(/[\u2013\u2014\u2015\-]/g, ' '));
+    const segment = needsSegmentation(texts.join('\n\n'), options.language);
+
+    for (const text of texts) {
+        sectionStarts.push(tokens.length);
+        const paragraphs = text.replace(/\r\n/g, '\n').replace(/\r/g, '\n').split(/\n\s*\n/).map(p => p.trim()).filter(p => p.length > 0);
+
+        for (const paragraph of paragraphs) {
+            const rawWords = splitIntoWords(paragraph, segment, options.language);
+            const words = normalizeWords(rawWords);
+
+            for (let i = 0; i < words.length; i++) {
+                const word = words[i];
+                // displayWord: cleaned for display, keeps apostrophes for contractions
+                const displayWord = cleanForDisplay(word);
+
+                // Skip if no letters or numbers after cleaning
+                if (!displayWord || !WORD_CHAR.test(displayWord)) continue;
+
+                // Punctuation from original word drives timing only
+                const flags = {
+                    isParagraphStart: i === 0,
+                    isParagraphEnd: i === words.length - 1,
+                    punctuation: classifyPunctuation(word),
+                    wordLength: splitGraphemes(displayWord).length,
+                    isAbbreviation: ABBREVIATION_PATTERN.test(word),
+                    isNumeric: NUMERIC_PATTERN.test(displayWord)
+                };
+
+                // ORP computed on displayWord (what is shown)
+                const orpIndex = calculateORP(displayWord);
+
+                tokens.push({
+                    word: displayWord,
+                    orpIndex,
+                    multiplier: calculateMultiplier(flags, profile),
+                    flags
+                });
+            }
+        }
+    }
+    return { tokens, sectionStarts };
 }
 
 /**
- * Format seconds as MM:SS or HH:MM:SS
- * @param {number} seconds
- * @returns {string}
+ * Bring tokens cached in an older format up to the current one without the
+ * source text. Raw words are cleaned and their punctuation moved into flags;
+ * tokens left with nothing displayable are dropped, so indexes can shift.
+ * @param {Object[]} tokens
+ * @param {Object} profile - Timing profile for the new multipliers
+ * @param {number[]} [indexMap] - Filled with the new index of each old token
+ *   (a dropped token maps to the token after it)
+ * @returns {Token[]}
  */
-function formatTime(seconds) {
-    const hrs = Math.floor(seconds / 3600);
-    const mins = Math.floor((seconds % 3600) / 60);
-    const secs = seconds % 60;
+function upgradeTokens(tokens, profile = TIMING_CONFIGS.reading, indexMap = []) {
+    const upgraded = [];
+    for (const token of tokens) {
+        indexMap.push(upgraded.length);
+        const original = token.word || '';
+        const displayWord = cleanForDisplay(original);
+        if (!displayWord || !WORD_CHAR.test(displayWord)) continue;
+
+        // Raw words still carry their punctuation; clean ones already moved it to flags
+        const raw = displayWord !== original;
+        const previous = token.flags || {};
+        const flags = {
+            isParagraphStart: previous.isParagraphStart || false,
+            isParagraphEnd: previous.isParagraphEnd || false,
+            punctuation: raw ? classifyPunctuation(original) : (previous.punctuation || 'none'),
+            wordLength: splitGraphemes(displayWord).length,
+            isAbbreviation: raw ? ABBREVIATION_PATTERN.test(original) : !!previous.isAbbreviation,
+            isNumeric: NUMERIC_PATTERN.test(displayWord)
+        };
+        upgraded.push({
+            word: displayWord,
+            orpIndex: calculateORP(displayWord),
+            multiplier: calculateMultiplier(flags, profile),
+            flags
+        });
+    }
+    return upgraded;
+}
 
-    if (hrs > 0) {
-        return `${hrs}:${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+// Duration calculation with smoothing clamp
+// Base timing: 60000 / wpm (e.g., 900 WPM = 66.67ms base)
+// Clamp prevents sudden jumps between consecutive non-punctuation words
+const DURATION_CLAMP_MIN = 0.85;
+const DURATION_CLAMP_MAX = 1.15;
+let prevDuration = null;
+
+function getDisplayDuration(token, wpm, applyClamp = true) {
+    const baseMs = 60000 / wpm;
+
+    // Cached tokens are upgraded to the current format before playback
+    const multiplier = token.multiplier;
+    let duration = Math.round(baseMs * multiplier);
+
+    // Apply smoothing clamp for non-hard-stop words
+    const flags = token.flags || {};
+    if (applyClamp && prevDuration !== null && !isHardStop(flags)) {
+        const minDuration = Math.round(prevDuration * DURATION_CLAMP_MIN);
+        const maxDuration = Math.round(prevDuration * DURATION_CLAMP_MAX);
+        duration = Math.max(minDuration, Math.min(maxDuration, duration));
     }
-    return `${mins}:${secs.toString().padStart(2, '0')}`;
+
+    // DEBUG: Log calculation
+    console.log(`[getDisplayDuration] base: ${baseMs.toFixed(1)}ms, mult: ${multiplier.toFixed(2)}, result: ${duration}ms, clamped: ${applyClamp && !isHardStop(flags)}`);
+
+    prevDuration = duration;
+    return duration;
+}
+
+// Reset duration clamp (call when seeking or starting fresh)
+function resetDurationClamp() {
+    prevDuration = null;
 }
 
 export {
-    tokenize,
+    TOKEN_FORMAT_VERSION,
+    TIMING_CONFIGS,
+    TIMING_PROFILE_KEYS,
+    ABBREVIATION_PATTERN,
+    NUMERIC_PATTERN,
+    UNSPACED_SCRIPT,
+    ZWJ,
+    DURATION_CLAMP_MIN,
+    DURATION_CLAMP_MAX,
+    splitGraphemes,
+    getTextDirection,
+    joinsAcross,
+    needsSegmentation,
+    splitIntoWords,
     calculateORP,
-    findORPInWord,
+    classifyPunctuation,
+    resolveTimingProfile,
+    calculateMultiplier,
+    retimeTokens,
+    isHardStop,
+    normalizeWords,
+    cleanForDisplay,
+    tokenize,
+    tokenizeSections,
+    upgradeTokens,
     getDisplayDuration,
-    estimateReadingTime,
-    formatTime,
-    TIMING_CONFIGS
+    resetDurationClamp
 };
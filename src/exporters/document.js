@@ -0,0 +1,223 @@
+/**
+ * Document Exporter
+ * Writes an imported document back out as plain text, Markdown or a minimal EPUB 3
+ * Requires the JSZip global (loaded from CDN by index.html) for EPUB output
+ */
+
+import { joinChunkWords } from '../engine/chunking.js';
+
+/**
+ * @typedef {Object} ExportSection
+ * @property {string|null} title - Chapter heading, null for untitled text
+ * @property {string} text - Paragraphs separated by blank lines
+ */
+
+/**
+ * @typedef {Object} ExportFormat
+ * @property {string} extension
+ * @property {string} mimeType
+ */
+
+/** @type {Object<string, ExportFormat>} */
+const EXPORT_FORMATS = {
+    epub: { extension: 'epub', mimeType: 'application/epub+zip' },
+    markdown: { extension: 'md', mimeType: 'text/markdown' },
+    text: { extension: 'txt', mimeType: 'text/plain' }
+};
+
+// Characters XML 1.0 does not allow (PDF text layers occasionally contain them)
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+const escapeXml = (text) => text
+    .replace(INVALID_XML_CHARS, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const splitParagraphs = (text) => text.split(/\n\s*\n/).map(p => p.trim()).filter(p => p.length > 0);
+
+/**
+ * Pair stored section texts with their chapter titles
+ * @param {string[]} texts - One per chapter, or a single text without chapters
+ * @param {Array<{title: string}>|null} chapters - doc.chapters
+ * @returns {ExportSection[]}
+ */
+function sectionsFromSource(texts, chapters) {
+    return texts.map((text, i) => ({ title: chapters?.[i]?.title ?? null, text }));
+}
+
+/**
+ * Rebuild text from cached tokens, for documents imported before sources were kept.
+ * Tokens hold display words only, so punctuation is lost.
+ * @param {Token[]} tokens
+ * @param {Array<{title: string, startWord: number, endWord: number}>|null} chapters
+ * @returns {ExportSection[]}
+ */
+function sectionsFromTokens(tokens, chapters) {
+    const ranges = chapters?.length
+        ? chapters.map(c => ({ title: c.title, start: c.startWord, end: c.endWord }))
+        : [{ title: null, start: 0, end: tokens.length - 1 }];
+
+    return ranges.map(({ title, start, end }) => {
+        const paragraphs = [];
+        let words = [];
+        for (let i = start; i <= end && i < tokens.length; i++) {
+            if (tokens[i].flags?.isParagraphStart && words.length > 0) {
+                paragraphs.push(joinChunkWords(words));
+                words = [];
+            }
+            words.push(tokens[i].word);
+        }
+        if (words.length > 0) paragraphs.push(joinChunkWords(words));
+        return { title, text: paragraphs.join('\n\n') };
+    });
+}
+
+/**
+ * @param {{title: string, author?: string}} meta
+ * @param {ExportSection[]} sections
+ * @returns {string}
+ */
+function toPlainText(meta, sections) {
+    const header = [meta.title, meta.author].filter(Boolean).join('\n');
+    const body = sections.map(s => [s.title, ...splitParagraphs(s.text)].filter(Boolean).join('\n\n'));
+    return [header, ...body].join('\n\n\n') + '\n';
+}
+
+// Keep prose lines from turning into headings, quotes or lists
+function escapeMarkdownLine(line) {
+    return line
+        .replace(/^(\s*)([#>+*-])(?=\s|$)/, '$1\\$2')
+        .replace(/^(\s*)(\d+)([.)])(?=\s)/, '$1$2\\$3');
+}
+
+/**
+ * @param {{title: string, author?: string}} meta
+ * @param {ExportSection[]} sections
+ * @returns {string}
+ */
+function toMarkdown(meta, sections) {
+    const parts = [`# ${meta.title}`];
+    if (meta.author) parts.push(`*${meta.author}*`);
+    for (const section of sections) {
+        if (section.title) parts.push(`## ${section.title}`);
+        for (const paragraph of splitParagraphs(section.text)) {
+            parts.push(paragraph.split('\n').map(escapeMarkdownLine).join('\n'));
+        }
+    }
+    return parts.join('\n\n') + '\n';
+}
+
+function xhtmlDocument(title, body, language) {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${escapeXml(language)}" lang="${escapeXml(language)}">
+<head>
+<meta charset="UTF-8"/>
+<title>${escapeXml(title)}</title>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+/**
+ * Minimal valid EPUB 3: one XHTML file per section plus a nav document
+ * @param {{id: string, title: string, author?: string, language?: string}} meta
+ * @param {ExportSection[]} sections
+ * @returns {Promise<Uint8Array>}
+ */
+async function buildEpubFile(meta, sections) {
+    const language = meta.language || 'und';
+    const zip = new JSZip();
+    // mimetype must be the first entry and stored uncompressed
+    zip.file('mimetype', 'application/epub+zip', { compression: 'STORE' });
+    zip.file('META-INF/container.xml', `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+<rootfiles><rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/></rootfiles>
+</container>
+`);
+
+    const files = sections.map((section, i) => {
+        const label = section.title || (sections.length === 1 ? meta.title : `Section ${i + 1}`);
+        const heading = section.title ? `<h1>${escapeXml(section.title)}</h1>\n` : '';
+        const paragraphs = splitParagraphs(section.text).map(p => `<p>${escapeXml(p).replace(/\n/g, '<br/>')}</p>`);
+        const name = `section-${String(i + 1).padStart(3, '0')}.xhtml`;
+        zip.file(`OEBPS/${name}`, xhtmlDocument(label, heading + paragraphs.join('\n'), language));
+        return { id: `s${i + 1}`, name, label };
+    });
+
+    const navItems = files.map(f => `<li><a href="${f.name}">${escapeXml(f.label)}</a></li>`).join('\n');
+    zip.file('OEBPS/nav.xhtml', xhtmlDocument('Contents', `<nav epub:type="toc" id="toc">
+<h1>Contents</h1>
+<ol>
+${navItems}
+</ol>
+</nav>`, language));
+
+    // dcterms:modified is required, to the second
+    const modified = new Date().toISOString().replace(/\.\d{3}Z$/, 'Z');
+    zip.file('OEBPS/content.opf', `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="uid" xml:lang="${escapeXml(language)}">
+<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+<dc:identifier id="uid">urn:red-reader:${escapeXml(meta.id)}</dc:identifier>
+<dc:title>${escapeXml(meta.title)}</dc:title>
+${meta.author ? `<dc:creator>${escapeXml(meta.author)}</dc:creator>\n` : ''}<dc:language>${escapeXml(language)}</dc:language>
+<meta property="dcterms:modified">${modified}</meta>
+</metadata>
+<manifest>
+<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+${files.map(f => `<item id="${f.id}" href="${f.name}" media-type="application/xhtml+xml"/>`).join('\n')}
+</manifest>
+<spine>
+${files.map(f => `<itemref idref="${f.id}"/>`).join('\n')}
+</spine>
+</package>
+`);
+
+    return zip.generateAsync({ type: 'uint8array', mimeType: 'application/epub+zip', compression: 'DEFLATE' });
+}
+
+/**
+ * Safe download name from the document title
+ * @param {string} title
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @returns {string}
+ */
+function exportFileName(title, format) {
+    const base = (title || '')
+        .replace(/[\\/:*?"<>|\u0000-\u001F]+/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .slice(0, 80) || 'document';
+    return `${base}.${EXPORT_FORMATS[format].extension}`;
+}
+
+/**
+ * @param {{id: string, title: string, author?: string, language?: string}} meta
+ * @param {ExportSection[]} sections
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @returns {Promise<Uint8Array|string>} File contents
+ */
+async function exportDocument(meta, sections, format) {
+    switch (format) {
+        case 'epub': return buildEpubFile(meta, sections);
+        case 'markdown': return toMarkdown(meta, sections);
+        case 'text': return toPlainText(meta, sections);
+        default: throw new Error('Unsupported export format: ' + format);
+    }
+}
+
+export {
+    EXPORT_FORMATS,
+    sectionsFromSource,
+    sectionsFromTokens,
+    toPlainText,
+    toMarkdown,
+    buildEpubFile,
+    exportFileName,
+    exportDocument
+};
@@ -1,328 +1,709 @@
 /**
  * EPUB Importer
- * Extracts clean reading text from EPUB files in proper reading order
+ * Extracts clean reading text and chapter structure from EPUB files in reading order
+ * Requires the JSZip global (loaded from CDN by index.html)
  */
 
 /**
  * @typedef {Object} EpubMetadata
  * @property {string} title
  * @property {string} author
- * @property {string} language
- * @property {string} publisher
- * @property {string} description
+ * @property {string} language - BCP 47 tag from dc:language, '' if missing
  */
 
 /**
- * @typedef {Object} EpubContent
- * @property {EpubMetadata} metadata
- * @property {string} text - Full extracted text
- * @property {number} wordCount
+ * @typedef {Object} EpubSection
+ * @property {number} index
+ * @property {string} title
+ * @property {string} text
+ * @property {{ id: string, offset: number }[]} anchors - TOC #fragment targets, by text offset
  */
 
 /**
- * Parse an EPUB file and extract text content
- * @param {File} file - EPUB file from file picker
- * @returns {Promise<EpubContent>}
+ * @typedef {Object} EpubTocEntry
+ * @property {string} title
+ * @property {number} section - Index into sections, -1 if the file was skipped
+ * @property {string} fragment - Anchor id inside the section, '' for its start
+ * @property {EpubTocEntry[]} children
  */
-async function parseEpub(file) {
-    // Dynamically load JSZip if not present
-    if (typeof JSZip === 'undefined') {
-        throw new Error('JSZip library required for EPUB parsing');
-    }
 
-    const zip = await JSZip.loadAsync(file);
+/**
+ * @typedef {Object} EpubPiece
+ * @property {number} section - Index into sections
+ * @property {string[]} ids - Anchor ids starting at this piece
+ * @property {string} text
+ */
 
-    // Step 1: Find and parse container.xml
-    const containerPath = 'META-INF/container.xml';
-    const containerXml = await zip.file(containerPath)?.async('string');
+/**
+ * @typedef {Object} TocEntry
+ * @property {string} title
+ * @property {number|null} wordIndex - Token index, null when the target was not imported
+ * @property {TocEntry[]} children
+ */
 
-    if (!containerXml) {
-        throw new Error('Invalid EPUB: missing container.xml');
-    }
+/**
+ * @typedef {Object} Chapter
+ * @property {number} index
+ * @property {string} title
+ * @property {number} startWord - Token index of the chapter's first word
+ * @property {number} endWord - Token index of the chapter's last word
+ */
 
-    const parser = new DOMParser();
-    const containerDoc = parser.parseFromString(containerXml, 'text/xml');
-    const rootfilePath = containerDoc.querySelector('rootfile')?.getAttribute('full-path');
+/**
+ * @typedef {Object} EpubContent
+ * @property {EpubMetadata} metadata
+ * @property {string} text - Full extracted text, sections separated by blank lines
+ * @property {number} wordCount - Whitespace-separated words (approximate)
+ * @property {EpubSection[]} sections - Spine sections in reading order
+ * @property {EpubTocEntry[]} toc - Nested table of contents (nav, else NCX)
+ * @property {number} firstProseSection - Section index where the prose starts (skips front matter)
+ * @property {number} sectionCount
+ */
 
-    if (!rootfilePath) {
-        throw new Error('Invalid EPUB: cannot locate content file');
-    }
+// Patterns for detecting front matter / nav content
+const NAV_FILENAME_PATTERNS = /^(toc|nav|contents|copyright|titlepage|cover|halftitle|frontmatter|dedication|acknowledgments?|preface|foreword|introduction|about)/i;
+const CHAPTER_PATTERNS = /^(chapter|part|book|prologue|epilogue|section|\d+[.:]\s)/i;
 
-    // Step 2: Parse the OPF (Open Packaging Format) file
-    const opfContent = await zip.file(rootfilePath)?.async('string');
+// Check if content is likely navigation (high link density)
+function isNavigationContent(doc) {
+    const body = doc.body || doc.documentElement;
+    const allText = body.textContent || '';
+    const totalChars = allText.replace(/\s+/g, '').length;
 
-    if (!opfContent) {
-        throw new Error('Invalid EPUB: cannot read OPF file');
-    }
+    if (totalChars < 50) return true; // Too short, likely front matter
 
-    const opfDoc = parser.parseFromString(opfContent, 'text/xml');
+    // Count link text characters
+    const links = body.querySelectorAll('a');
+    let linkChars = 0;
+    links.forEach(a => {
+        linkChars += (a.textContent || '').replace(/\s+/g, '').length;
+    });
+
+    // High link density = likely TOC/nav
+    const linkRatio = linkChars / totalChars;
+    if (linkRatio > 0.5) return true;
+
+    // Check for nav elements with epub:type="toc"
+    const navToc = doc.querySelector('nav[epub\\:type="toc"], nav[*|type="toc"]');
+    if (navToc) return true;
 
-    // Get base path for resolving relative URLs
-    const basePath = rootfilePath.substring(0, rootfilePath.lastIndexOf('/') + 1);
+    // Check if mostly list items (another TOC indicator)
+    const listItems = body.querySelectorAll('li');
+    if (listItems.length > 5 && linkRatio > 0.3) return true;
 
-    // Step 3: Extract metadata
-    const metadata = extractMetadata(opfDoc);
+    return false;
+}
 
-    // Step 4: Build manifest (id -> href mapping)
-    const manifest = buildManifest(opfDoc);
+// Check if section is likely prose content
+function isProseContent(text) {
+    const words = text.split(/\s+/).filter(w => w.length > 0);
+    if (words.length < 30) return false; // Too short
 
-    // Step 5: Get spine items in reading order
-    const spineItems = getSpineItems(opfDoc, manifest);
+    // Check for paragraph-like structure (sentences)
+    const sentences = text.split(/[.!?]+/).filter(s => s.trim().length > 10);
+    if (sentences.length < 2) return false;
 
-    // Step 6: Extract text from each spine item
-    const textParts = [];
+    // Average sentence length check
+    const avgSentenceLen = words.length / Math.max(sentences.length, 1);
+    if (avgSentenceLen < 5) return false; // Likely headings/lists, not prose
 
-    for (const item of spineItems) {
-        const filePath = resolvePath(basePath, item.href);
-        const content = await zip.file(filePath)?.async('string');
+    return true;
+}
 
-        if (content) {
-            const text = extractTextFromXhtml(content);
-            if (text.trim()) {
-                textParts.push(text);
-            }
+// Find the first likely prose chapter index
+function findFirstProseIndex(sections) {
+    for (let i = 0; i < sections.length; i++) {
+        const text = sections[i].text;
+        // Check for chapter markers
+        if (CHAPTER_PATTERNS.test(text.substring(0, 100))) {
+            return i;
+        }
+        // Check for substantial prose
+        if (isProseContent(text) && text.split(/\s+/).length > 200) {
+            return i;
         }
     }
+    // Fallback: skip first 10% as front matter
+    return Math.min(Math.floor(sections.length * 0.1), sections.length - 1);
+}
 
-    const fullText = textParts.join('\n\n');
-    const wordCount = fullText.split(/\s+/).filter(w => w.length > 0).length;
-
-    return {
-        metadata,
-        text: fullText,
-        wordCount
-    };
+// ============================================================
+// CHAPTER TITLE EXTRACTION
+// ============================================================
+
+// Junk titles to reject (case-insensitive)
+const JUNK_TITLES = /^(contents|table of contents|toc|cover|title page|titlepage|copyright|copyright page|dedication|acknowledgements?|about the author|publisher|isbn|colophon|also by|other books|frontmatter|backmatter|half title|halftitle|epigraph|untitled|chapter|section|part)$/i;
+
+// Sanity filter for chapter titles
+function isValidChapterTitle(title) {
+    if (!title) return false;
+    // Trim and collapse whitespace
+    const cleaned = title.trim().replace(/\s+/g, ' ');
+    if (cleaned.length < 3) return false;
+    if (JUNK_TITLES.test(cleaned)) return false;
+    // Reject if mostly non-letters (>50% non-letter chars)
+    const letters = cleaned.replace(/[^\p{L}]/gu, '').length;
+    if (letters < cleaned.length * 0.5) return false;
+    return true;
 }
 
-/**
- * Extract metadata from OPF document
- * @param {Document} opfDoc
- * @returns {EpubMetadata}
- */
-function extractMetadata(opfDoc) {
-    // Handle both EPUB 2 and EPUB 3 namespaces
-    const dcNS = 'http://purl.org/dc/elements/1.1/';
+// Clean and normalize a chapter title
+function cleanChapterTitle(title) {
+    if (!title) return null;
+    let cleaned = title.trim().replace(/\s+/g, ' ');
+    // Truncate very long titles
+    if (cleaned.length > 60) {
+        cleaned = cleaned.substring(0, 57) + '...';
+    }
+    return isValidChapterTitle(cleaned) ? cleaned : null;
+}
 
-    const getMetaValue = (tagName) => {
-        // Try with namespace
-        let el = opfDoc.getElementsByTagNameNS(dcNS, tagName)[0];
-        // Fallback to non-namespaced
-        if (!el) {
-            el = opfDoc.querySelector(`metadata ${tagName}, metadata dc\\:${tagName}`);
+// Normalize href for matching: strip fragment, decode, lowercase
+function normalizeHref(href, basePath = '') {
+    if (!href) return '';
+    let normalized = decodeURIComponent(href).split('#')[0];
+    // Resolve relative paths
+    if (basePath && !normalized.startsWith('/')) {
+        if (normalized.startsWith('../')) {
+            const baseParts = basePath.split('/').filter(p => p);
+            const hrefParts = normalized.split('/');
+            while (hrefParts[0] === '..') {
+                baseParts.pop();
+                hrefParts.shift();
+            }
+            normalized = [...baseParts, ...hrefParts].join('/');
+        } else {
+            normalized = basePath + normalized;
         }
-        return el?.textContent?.trim() || '';
-    };
+    }
+    return normalized.toLowerCase();
+}
 
-    return {
-        title: getMetaValue('title') || 'Untitled',
-        author: getMetaValue('creator') || 'Unknown Author',
-        language: getMetaValue('language') || 'en',
-        publisher: getMetaValue('publisher') || '',
-        description: getMetaValue('description') || ''
-    };
+// Get basename of a path for fallback matching
+function getBasename(path) {
+    return path.split('/').pop().toLowerCase();
 }
 
-/**
- * Build manifest from OPF document
- * @param {Document} opfDoc
- * @returns {Map<string, {href: string, mediaType: string}>}
- */
-function buildManifest(opfDoc) {
-    const manifest = new Map();
-    const items = opfDoc.querySelectorAll('manifest item');
+// Split a TOC href into a normalized spine path and its #fragment (ids are case-sensitive)
+function splitTocHref(href, baseDir) {
+    const hashIndex = href.indexOf('#');
+    const fragment = hashIndex >= 0 ? decodeURIComponent(href.substring(hashIndex + 1)) : '';
+    return { path: normalizeHref(href, baseDir), fragment };
+}
 
-    items.forEach(item => {
-        const id = item.getAttribute('id');
-        const href = item.getAttribute('href');
-        const mediaType = item.getAttribute('media-type');
+function childElements(el, ...names) {
+    return [...el.children].filter(child => names.includes(child.localName));
+}
 
-        if (id && href) {
-            manifest.set(id, { href, mediaType });
+// Parse nested <ol><li><a href>label</a><ol>...</ol></li></ol> into TOC entries
+// Label-less items are dropped, their children move up a level
+function parseNavList(list, navDir) {
+    const entries = [];
+    for (const li of childElements(list, 'li')) {
+        const label = childElements(li, 'a', 'span')[0];
+        const childList = childElements(li, 'ol', 'ul')[0];
+        const children = childList ? parseNavList(childList, navDir) : [];
+        const title = label?.textContent?.trim().replace(/\s+/g, ' ');
+        const href = label?.getAttribute('href');
+        if (!title) {
+            entries.push(...children);
+            continue;
         }
-    });
-
-    return manifest;
+        const target = href ? splitTocHref(href, navDir) : { path: null, fragment: '' };
+        entries.push({ title, ...target, children });
+    }
+    return entries;
 }
 
-/**
- * Get spine items in reading order
- * @param {Document} opfDoc
- * @param {Map} manifest
- * @returns {Array<{href: string, linear: boolean}>}
- */
-function getSpineItems(opfDoc, manifest) {
-    const items = [];
-    const itemrefs = opfDoc.querySelectorAll('spine itemref');
+// Build the TOC tree from the EPUB3 nav document (nav.xhtml)
+async function buildNavToc(zip, manifest, opfDir, parser) {
+    // Find nav document in manifest
+    let navHref = null;
+    for (const [id, item] of manifest) {
+        if (item.isNav && item.href) {
+            navHref = item.href;
+            break;
+        }
+    }
+    if (!navHref) return [];
+
+    const navPath = opfDir + navHref;
+    const navFile = zip.file(navPath);
+    if (!navFile) return [];
+
+    try {
+        const navContent = await navFile.async('string');
+        const navDoc = parser.parseFromString(navContent, 'text/html');
+        // Find toc nav element
+        const tocNav = navDoc.querySelector('nav[epub\\:type="toc"], nav[*|type="toc"], nav');
+        const list = tocNav && childElements(tocNav, 'ol', 'ul')[0];
+        if (!list) return [];
+
+        const navDir = navPath.substring(0, navPath.lastIndexOf('/') + 1);
+        const toc = parseNavList(list, navDir);
+        console.log(`[EPUB] Nav TOC: ${toc.length} top-level entries`);
+        return toc;
+    } catch (e) {
+        console.warn('[EPUB] Failed to parse nav document:', e);
+        return [];
+    }
+}
 
-    itemrefs.forEach(itemref => {
-        const idref = itemref.getAttribute('idref');
-        const linear = itemref.getAttribute('linear') !== 'no';
-
-        const manifestItem = manifest.get(idref);
-        if (manifestItem && isTextContent(manifestItem.mediaType)) {
-            items.push({
-                href: manifestItem.href,
-                linear
-            });
+// Parse nested NCX navPoints into TOC entries
+function parseNavPoints(parent, ncxDir) {
+    const entries = [];
+    for (const np of childElements(parent, 'navPoint')) {
+        const label = childElements(np, 'navLabel')[0];
+        const content = childElements(np, 'content')[0];
+        const children = parseNavPoints(np, ncxDir);
+        const title = label?.textContent?.trim().replace(/\s+/g, ' ');
+        const src = content?.getAttribute('src');
+        if (!title) {
+            entries.push(...children);
+            continue;
         }
-    });
+        const target = src ? splitTocHref(src, ncxDir) : { path: null, fragment: '' };
+        entries.push({ title, ...target, children });
+    }
+    return entries;
+}
 
-    return items;
+// Build the TOC tree from the EPUB2 NCX (toc.ncx)
+async function buildNcxToc(zip, opfDoc, opfDir, parser) {
+    // Find NCX file reference in spine or manifest
+    const spine = opfDoc.querySelector('spine, *|spine');
+    const ncxId = spine?.getAttribute('toc');
+    if (!ncxId) return [];
+
+    const ncxItem = opfDoc.querySelector(`manifest item[id="${ncxId}"], *|manifest *|item[id="${ncxId}"]`);
+    const ncxHref = ncxItem?.getAttribute('href');
+    if (!ncxHref) return [];
+
+    const ncxPath = opfDir + ncxHref;
+    const ncxFile = zip.file(ncxPath);
+    if (!ncxFile) return [];
+
+    try {
+        const ncxContent = await ncxFile.async('string');
+        const ncxDoc = parser.parseFromString(ncxContent, 'text/xml');
+        const navMap = ncxDoc.querySelector('navMap, *|navMap');
+        if (!navMap) return [];
+
+        const ncxDir = ncxPath.substring(0, ncxPath.lastIndexOf('/') + 1);
+        const toc = parseNavPoints(navMap, ncxDir);
+        console.log(`[EPUB] NCX TOC: ${toc.length} top-level entries`);
+        return toc;
+    } catch (e) {
+        console.warn('[EPUB] Failed to parse NCX:', e);
+        return [];
+    }
 }
 
-/**
- * Check if media type is text content we should extract
- * @param {string} mediaType
- * @returns {boolean}
- */
-function isTextContent(mediaType) {
-    const textTypes = [
-        'application/xhtml+xml',
-        'text/html',
-        'application/html',
-        'text/xml'
-    ];
-    return textTypes.includes(mediaType);
+// Depth-first (reading order) walk of a TOC tree
+function* walkToc(entries) {
+    for (const entry of entries) {
+        yield entry;
+        yield* walkToc(entry.children);
+    }
 }
 
-/**
- * Resolve a potentially relative path against a base
- * @param {string} base
- * @param {string} href
- * @returns {string}
- */
-function resolvePath(base, href) {
-    // Handle absolute paths
-    if (href.startsWith('/')) {
-        return href.slice(1);
+// Flatten a TOC tree to one chapter title per spine file (first valid label wins)
+function buildTitleMap(toc) {
+    const titleMap = new Map();
+    for (const entry of walkToc(toc)) {
+        if (!entry.path || titleMap.has(entry.path)) continue;
+        const cleaned = cleanChapterTitle(entry.title);
+        if (cleaned) titleMap.set(entry.path, cleaned);
     }
+    return titleMap;
+}
 
-    // Handle relative paths
-    if (href.startsWith('../')) {
-        // Go up directories
-        const baseParts = base.split('/').filter(p => p);
-        const hrefParts = href.split('/');
+// Find the section a TOC path points at: exact path, then basename (like lookupChapterTitle)
+function findSectionForPath(sections, path) {
+    if (!path) return -1;
+    const exact = sections.findIndex(s => s.resolvedPath.toLowerCase() === path);
+    if (exact >= 0) return exact;
+    const basename = getBasename(path);
+    return sections.findIndex(s => getBasename(s.resolvedPath) === basename);
+}
 
-        while (hrefParts[0] === '..') {
-            baseParts.pop();
-            hrefParts.shift();
+// Character offset of an element's start within the document's body text
+function textOffsetOf(doc, element) {
+    const range = doc.createRange();
+    range.setStart(doc.body || doc.documentElement, 0);
+    range.setEndBefore(element);
+    return range.toString().length;
+}
+
+// Extract first meaningful heading from XHTML content
+function extractFirstHeading(doc) {
+    // Try h1, h2, h3 in order
+    for (const tag of ['h1', 'h2', 'h3']) {
+        const heading = doc.querySelector(tag);
+        if (heading) {
+            const text = heading.textContent?.trim();
+            const cleaned = cleanChapterTitle(text);
+            if (cleaned) return cleaned;
+        }
+    }
+    return null;
+}
+
+// Lookup title for a spine href using title maps with fallbacks
+function lookupChapterTitle(href, resolvedPath, navMap, ncxMap, headingTitle, index) {
+    const normalizedResolved = resolvedPath.toLowerCase();
+    const basename = getBasename(resolvedPath);
+
+    // Priority 1: Nav map (exact match)
+    if (navMap.has(normalizedResolved)) {
+        return navMap.get(normalizedResolved);
+    }
+    // Priority 1b: Nav map (basename match)
+    for (const [key, value] of navMap) {
+        if (getBasename(key) === basename) {
+            return value;
+        }
+    }
+
+    // Priority 2: NCX map (exact match)
+    if (ncxMap.has(normalizedResolved)) {
+        return ncxMap.get(normalizedResolved);
+    }
+    // Priority 2b: NCX map (basename match)
+    for (const [key, value] of ncxMap) {
+        if (getBasename(key) === basename) {
+            return value;
         }
+    }
 
-        return [...baseParts, ...hrefParts].join('/');
+    // Priority 3: First heading from document
+    if (headingTitle) {
+        return headingTitle;
     }
 
-    return base + href;
+    // Priority 4: Fallback
+    return `Chapter ${index + 1}`;
 }
 
-/**
- * Extract clean text from XHTML content
- * @param {string} xhtml
- * @returns {string}
- */
-function extractTextFromXhtml(xhtml) {
+async function parseEpub(file) {
+    const zip = await JSZip.loadAsync(file);
+    const containerXml = await zip.file('META-INF/container.xml')?.async('string');
+    if (!containerXml) throw new Error('Invalid EPUB: missing container.xml');
+
     const parser = new DOMParser();
-    const doc = parser.parseFromString(xhtml, 'text/html');
-
-    // Remove elements that shouldn't be read
-    const removeSelectors = [
-        'script',
-        'style',
-        'nav',
-        'aside',
-        'figure figcaption',  // Keep figures, remove captions
-        '.pagebreak',
-        '.page-break',
-        '[role="navigation"]',
-        '[role="contentinfo"]',
-        '[epub\\:type="pagebreak"]',
-        '[epub\\:type="footnote"]'
-    ];
-
-    removeSelectors.forEach(selector => {
-        try {
-            doc.querySelectorAll(selector).forEach(el => el.remove());
-        } catch (e) {
-            // Some selectors may not be valid in all browsers
-        }
+    const containerDoc = parser.parseFromString(containerXml, 'text/xml');
+    const rootfilePath = containerDoc.querySelector('rootfile')?.getAttribute('full-path');
+    if (!rootfilePath) throw new Error('Invalid EPUB: cannot locate content file');
+
+    const opfContent = await zip.file(rootfilePath)?.async('string');
+    if (!opfContent) throw new Error('Invalid EPUB: cannot read OPF file');
+
+    const opfDoc = parser.parseFromString(opfContent, 'text/xml');
+
+    // Metadata
+    const getMetaValue = (tagName) => {
+        const el = opfDoc.querySelector(`metadata ${tagName}, metadata dc\\:${tagName}, metadata *|${tagName}`);
+        return el?.textContent?.trim() || '';
+    };
+    const metadata = {
+        title: getMetaValue('title') || 'Untitled',
+        author: getMetaValue('creator') || '',
+        language: getMetaValue('language') || ''
+    };
+
+    // Build manifest with properties (namespace-safe selectors)
+    const manifest = new Map();
+    opfDoc.querySelectorAll('manifest item, *|manifest *|item').forEach(item => {
+        const id = item.getAttribute('id');
+        if (!id) return;
+        const properties = item.getAttribute('properties') || '';
+        manifest.set(id, {
+            href: item.getAttribute('href'),
+            mediaType: item.getAttribute('media-type'),
+            properties: properties,
+            isNav: properties.includes('nav') // EPUB 3 nav document
+        });
     });
+    console.log(`[EPUB] manifest items: ${manifest.size}`);
 
-    // Process the body
-    const body = doc.body || doc.documentElement;
+    // Spine - skip nav documents (namespace-safe selectors)
+    const textTypes = ['application/xhtml+xml', 'text/html'];
+    const spineItems = [];
+    opfDoc.querySelectorAll('spine itemref, *|spine *|itemref').forEach(itemref => {
+        const idref = itemref.getAttribute('idref');
+        const item = manifest.get(idref);
+        if (!item) return;
+        if (!textTypes.includes(item.mediaType)) return;
+        if (item.isNav) return; // Skip EPUB 3 nav document
 
-    // Convert to text with proper paragraph handling
-    return extractTextWithParagraphs(body);
-}
+        // Skip by filename pattern (toc.xhtml, nav.xhtml, etc.)
+        const filename = item.href.split('/').pop().toLowerCase();
+        if (NAV_FILENAME_PATTERNS.test(filename)) return;
 
-/**
- * Extract text preserving paragraph structure
- * @param {Element} element
- * @returns {string}
- */
-function extractTextWithParagraphs(element) {
-    const blocks = [];
-    const blockElements = new Set(['p', 'div', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'li', 'blockquote', 'section', 'article']);
-
-    function processNode(node) {
-        if (node.nodeType === Node.TEXT_NODE) {
-            const text = node.textContent.trim();
-            if (text) {
-                return text;
+        spineItems.push({ href: item.href, id: idref });
+    });
+    console.log(`[EPUB] spineItems: ${spineItems.length}`);
+
+    // Guardrail: if spine is empty, OPF selectors likely failed
+    if (spineItems.length === 0) {
+        console.error('[EPUB] Spine is empty — OPF selectors likely failed (namespace issue).');
+        throw new Error('Could not extract content from EPUB. The file may use an unsupported format.');
+    }
+
+    // Compute OPF directory for resolving relative paths
+    const opfDir = rootfilePath.substring(0, rootfilePath.lastIndexOf('/') + 1);
+
+    // Helper: resolve href relative to OPF directory
+    function resolveHref(href) {
+        // Decode URL encoding
+        let decoded = decodeURIComponent(href);
+
+        // If href is absolute (starts with /), use as-is minus the leading /
+        if (decoded.startsWith('/')) {
+            return decoded.substring(1);
+        }
+
+        // Handle ../ navigation
+        if (decoded.startsWith('../')) {
+            const baseParts = opfDir.split('/').filter(p => p);
+            const hrefParts = decoded.split('/');
+            while (hrefParts[0] === '..') {
+                baseParts.pop();
+                hrefParts.shift();
             }
-            return '';
+            return [...baseParts, ...hrefParts].join('/');
         }
 
-        if (node.nodeType === Node.ELEMENT_NODE) {
-            const tagName = node.tagName.toLowerCase();
+        // Simple relative path
+        return opfDir + decoded;
+    }
 
-            // Skip hidden elements
-            if (node.hidden || node.style?.display === 'none') {
-                return '';
+    // Helper: case-insensitive file lookup with filename fallback
+    function findFileInZip(zip, targetPath) {
+        // Try exact match first
+        let file = zip.file(targetPath);
+        if (file) return { file, path: targetPath, fallback: false };
+
+        // Try case-insensitive full path match
+        const targetLower = targetPath.toLowerCase();
+        const allFiles = Object.keys(zip.files);
+        for (const filePath of allFiles) {
+            if (filePath.toLowerCase() === targetLower) {
+                console.log(`[EPUB] Case-insensitive match: "${targetPath}" -> "${filePath}"`);
+                return { file: zip.file(filePath), path: filePath, fallback: false };
             }
+        }
 
-            const childTexts = [];
-            for (const child of node.childNodes) {
-                const text = processNode(child);
-                if (text) {
-                    childTexts.push(text);
-                }
+        // Fallback: search for any file ending with the same filename (case-insensitive)
+        const targetFilename = targetPath.split('/').pop().toLowerCase();
+        for (const filePath of allFiles) {
+            const filename = filePath.split('/').pop().toLowerCase();
+            if (filename === targetFilename && !zip.files[filePath].dir) {
+                console.log(`[EPUB] Filename fallback: "${targetPath}" -> "${filePath}"`);
+                return { file: zip.file(filePath), path: filePath, fallback: true };
             }
+        }
 
-            const combined = childTexts.join(' ').replace(/\s+/g, ' ').trim();
+        return { file: null, path: targetPath, fallback: false };
+    }
 
-            if (blockElements.has(tagName) && combined) {
-                blocks.push(combined);
-                return '';
-            }
+    // Build the TOC from nav.xhtml (EPUB3) and toc.ncx (EPUB2), plus the
+    // per-file chapter title maps derived from them
+    const navToc = await buildNavToc(zip, manifest, opfDir, parser);
+    const ncxToc = await buildNcxToc(zip, opfDoc, opfDir, parser);
+    const navTitleMap = buildTitleMap(navToc);
+    const ncxTitleMap = buildTitleMap(ncxToc);
+    const toc = navToc.length > 0 ? navToc : ncxToc;
+    const tocEntries = [...walkToc(toc)];
+
+    // Extract text with section tracking
+    const sections = [];
+    for (let i = 0; i < spineItems.length; i++) {
+        const { href, id } = spineItems[i];
+        const resolvedPath = resolveHref(href);
+        const { file, path: actualPath } = findFileInZip(zip, resolvedPath);
+
+        // Debug logging
+        let skipReason = null;
+        let textLen = 0;
+
+        if (!file) {
+            skipReason = 'file not found';
+            console.log(`[EPUB] spine[${i}] href="${href}" resolved="${resolvedPath}" found=false skipped=true reason="${skipReason}"`);
+            continue;
+        }
+
+        const content = await file.async('string');
+        if (!content) {
+            skipReason = 'empty content';
+            console.log(`[EPUB] spine[${i}] href="${href}" resolved="${actualPath}" found=true textLen=0 skipped=true reason="${skipReason}"`);
+            continue;
+        }
 
-            return combined;
+        const doc = parser.parseFromString(content, 'text/html');
+
+        // Extract heading BEFORE removing elements (headings might be in removed sections)
+        const headingTitle = extractFirstHeading(doc);
+
+        // Remove non-content elements first (before checking)
+        ['script', 'style', 'nav', 'aside'].forEach(tag =>
+            doc.querySelectorAll(tag).forEach(el => el.remove())
+        );
+
+        // Remove elements with nav-related epub:type
+        doc.querySelectorAll('[epub\\:type*="toc"], [epub\\:type*="landmarks"], [epub\\:type*="page-list"]')
+            .forEach(el => el.remove());
+
+        const text = (doc.body || doc.documentElement).textContent || '';
+        const trimmed = text.trim();
+        textLen = trimmed.length;
+
+        // Where the TOC's #fragment targets in this file start within the trimmed text
+        const leadingSpace = text.length - text.trimStart().length;
+        const anchors = [];
+        for (const entry of tocEntries) {
+            if (!entry.fragment || !entry.path || getBasename(entry.path) !== getBasename(resolvedPath)) continue;
+            if (anchors.some(a => a.id === entry.fragment)) continue;
+            const target = doc.getElementById(entry.fragment);
+            if (!target) continue;
+            const offset = Math.min(Math.max(0, textOffsetOf(doc, target) - leadingSpace), trimmed.length);
+            anchors.push({ id: entry.fragment, offset });
         }
+        anchors.sort((a, b) => a.offset - b.offset);
 
-        return '';
+        // Only check isNavigationContent for obvious nav candidates (by filename)
+        // Do NOT run nav filtering for normal chapter files like *_c01_*.xhtml
+        const filenameLower = href.split('/').pop().toLowerCase();
+        const navCandidate = /toc|nav|contents/.test(filenameLower) && !/[_-]c\d+[_-]/.test(filenameLower);
+
+        if (navCandidate && isNavigationContent(doc)) {
+            skipReason = 'navigation content';
+            console.log(`[EPUB] spine[${i}] href="${href}" resolved="${actualPath}" found=true textLen=${textLen} skipped=true reason="${skipReason}"`);
+            continue;
+        }
+
+        // Accept any non-empty content
+        if (trimmed.length > 0) {
+            // Look up chapter title using priority cascade
+            const chapterTitle = lookupChapterTitle(href, resolvedPath, navTitleMap, ncxTitleMap, headingTitle, sections.length);
+            sections.push({ id, href, text: trimmed, title: chapterTitle, resolvedPath, anchors });
+            console.log(`[EPUB] spine[${i}] href="${href}" resolved="${actualPath}" found=true textLen=${textLen} skipped=false title="${chapterTitle}"`);
+        } else {
+            skipReason = 'empty after trim';
+            console.log(`[EPUB] spine[${i}] href="${href}" resolved="${actualPath}" found=true textLen=0 skipped=true reason="${skipReason}"`);
+        }
     }
+    console.log(`[EPUB] sections: ${sections.length}`);
+
+    // Find first prose chapter for "skip to content" feature
+    const firstProseIndex = findFirstProseIndex(sections);
+    const textParts = sections.map(s => s.text);
 
-    processNode(element);
+    return {
+        metadata,
+        text: textParts.join('\n\n'),
+        wordCount: textParts.join(' ').split(/\s+/).filter(w => w).length,
+        // Word anchors come from tokenizing these (see splitAtAnchors)
+        sections: sections.map((s, i) => ({ index: i, title: s.title, text: s.text, anchors: s.anchors })),
+        toc: resolveToc(toc, sections),
+        firstProseSection: firstProseIndex,
+        sectionCount: sections.length
+    };
+}
 
-    // Join blocks with double newlines to preserve paragraph structure
-    return blocks.join('\n\n');
+// Point TOC entries at sections; entries whose file was skipped get section -1
+function resolveToc(entries, sections) {
+    return entries.map(entry => ({
+        title: entry.title,
+        section: findSectionForPath(sections, entry.path),
+        fragment: entry.fragment,
+        children: resolveToc(entry.children, sections)
+    }));
 }
 
 /**
- * Validate that a file is an EPUB
- * @param {File} file
- * @returns {boolean}
+ * Split section texts at their TOC anchors so each anchor starts its own
+ * piece; tokenizing the pieces in order yields the token index of every anchor
+ * @param {EpubSection[]} sections
+ * @returns {EpubPiece[]}
  */
-function isEpubFile(file) {
-    // Check extension
-    if (file.name.toLowerCase().endsWith('.epub')) {
-        return true;
+function splitAtAnchors(sections) {
+    const pieces = [];
+    for (const section of sections) {
+        let start = 0;
+        let ids = [];
+        for (const anchor of section.anchors || []) {
+            if (anchor.offset > start) {
+                pieces.push({ section: section.index, ids, text: section.text.substring(start, anchor.offset) });
+                start = anchor.offset;
+                ids = [];
+            }
+            ids.push(anchor.id);
+        }
+        pieces.push({ section: section.index, ids, text: section.text.substring(start) });
     }
+    return pieces;
+}
+
+/**
+ * Map section starts and anchor ids to token indexes
+ * @param {EpubPiece[]} pieces
+ * @param {number[]} pieceStarts - From tokenizeSections(pieces.map(p => p.text))
+ * @returns {{ sectionStarts: number[], fragmentStarts: Map<string, number> }} fragment keys are "section#id"
+ */
+function locateAnchors(pieces, pieceStarts) {
+    const sectionStarts = [];
+    const fragmentStarts = new Map();
+    pieces.forEach((piece, i) => {
+        if (sectionStarts[piece.section] === undefined) sectionStarts[piece.section] = pieceStarts[i];
+        for (const id of piece.ids) fragmentStarts.set(`${piece.section}#${id}`, pieceStarts[i]);
+    });
+    return { sectionStarts, fragmentStarts };
+}
 
-    // Check MIME type
-    if (file.type === 'application/epub+zip') {
-        return true;
+/**
+ * Turn sections into chapters anchored on token indexes
+ * Sections that produced no tokens (symbols only) are dropped
+ * @param {EpubSection[]} sections
+ * @param {number[]} sectionStarts - From tokenizeSections(), one per section
+ * @param {number} tokenCount
+ * @returns {Chapter[]}
+ */
+function anchorChapters(sections, sectionStarts, tokenCount) {
+    const chapters = [];
+    for (let i = 0; i < sections.length; i++) {
+        const startWord = sectionStarts[i];
+        const endWord = (i + 1 < sections.length ? sectionStarts[i + 1] : tokenCount) - 1;
+        if (endWord < startWord) continue;
+        chapters.push({ index: chapters.length, title: sections[i].title, startWord, endWord });
     }
+    console.log(`[EPUB] chapters: ${chapters.length}`, chapters.map(c => `${c.startWord}-${c.endWord}: ${c.title}`));
+    return chapters;
+}
 
-    return false;
+/**
+ * Anchor the TOC tree on token indexes
+ * Fragments missing from the text fall back to their section's start;
+ * entries for skipped files get wordIndex null
+ * @param {EpubTocEntry[]} toc
+ * @param {number[]} sectionStarts
+ * @param {Map<string, number>} fragmentStarts
+ * @param {number} tokenCount
+ * @returns {TocEntry[]}
+ */
+function anchorToc(toc, sectionStarts, fragmentStarts, tokenCount) {
+    return toc.map(entry => {
+        let wordIndex = null;
+        if (entry.section >= 0) {
+            wordIndex = fragmentStarts.get(`${entry.section}#${entry.fragment}`) ?? sectionStarts[entry.section];
+            wordIndex = Math.min(wordIndex, tokenCount - 1);
+        }
+        return {
+            title: entry.title,
+            wordIndex,
+            children: anchorToc(entry.children, sectionStarts, fragmentStarts, tokenCount)
+        };
+    });
 }
 
-export { parseEpub, isEpubFile };
+export { parseEpub, splitAtAnchors, locateAnchors, anchorChapters, anchorToc };
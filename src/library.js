@@ -0,0 +1,147 @@
+/**
+ * Library Queries
+ * Search, filters, sort orders, tags and collections over library documents
+ */
+
+import { isFinished } from './storage.js';
+
+/**
+ * @typedef {Object} LibraryQuery
+ * @property {string} search - Words that must all appear in the title or author
+ * @property {string} sort - Key of LIBRARY_SORTS
+ * @property {'all'|ReadingStatus} status
+ * @property {string} shelf - 'all', 'tag:<tag>' or 'collection:<collection id>'
+ */
+
+/**
+ * @typedef {'unread'|'in-progress'|'finished'} ReadingStatus
+ */
+
+/**
+ * @typedef {Object} Collection
+ * @property {string} id
+ * @property {string} name
+ */
+
+const MAX_TAG_LENGTH = 40;
+
+const DEFAULT_QUERY = { search: '', sort: 'recent', status: 'all', shelf: 'all' };
+
+const collator = new Intl.Collator(undefined, { sensitivity: 'base', numeric: true });
+
+const progressRatio = (doc) => doc.wordCount > 0 ? (doc.progress?.currentIndex || 0) / doc.wordCount : 0;
+
+/** @type {Object<string, { label: string, compare: function(DocumentMeta, DocumentMeta): number }>} */
+const LIBRARY_SORTS = {
+    recent: { label: 'Last opened', compare: (a, b) => (b.lastOpened || 0) - (a.lastOpened || 0) },
+    title: { label: 'Title', compare: (a, b) => collator.compare(a.title || '', b.title || '') },
+    // Documents without an author go last
+    author: { label: 'Author', compare: (a, b) => (!a.author - !b.author) || collator.compare(a.author || '', b.author || '') || collator.compare(a.title || '', b.title || '') },
+    progress: { label: 'Progress', compare: (a, b) => progressRatio(b) - progressRatio(a) },
+    added: { label: 'Date added', compare: (a, b) => (b.addedAt || 0) - (a.addedAt || 0) }
+};
+
+/**
+ * @param {DocumentMeta} doc
+ * @returns {ReadingStatus}
+ */
+function readingStatus(doc) {
+    if (isFinished(doc)) return 'finished';
+    return (doc.progress?.currentIndex || 0) > 0 ? 'in-progress' : 'unread';
+}
+
+// Case- and accent-insensitive: "Muller" finds "Müller"
+const foldText = (text) => (text || '').normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+
+/**
+ * @param {DocumentMeta} doc
+ * @param {string} search
+ * @returns {boolean}
+ */
+function matchesSearch(doc, search) {
+    const terms = foldText(search).split(/\s+/).filter(Boolean);
+    if (terms.length === 0) return true;
+    const haystack = foldText(`${doc.title} ${doc.author}`);
+    return terms.every(term => haystack.includes(term));
+}
+
+function matchesShelf(doc, shelf) {
+    if (!shelf || shelf === 'all') return true;
+    const separator = shelf.indexOf(':');
+    const kind = shelf.slice(0, separator);
+    const value = shelf.slice(separator + 1);
+    if (kind === 'tag') return (doc.tags || []).some(tag => foldText(tag) === foldText(value));
+    if (kind === 'collection') return (doc.collections || []).includes(value);
+    return true;
+}
+
+/**
+ * Documents matching every part of the query, in its sort order
+ * @param {DocumentMeta[]} docs
+ * @param {Partial<LibraryQuery>} query
+ * @returns {DocumentMeta[]}
+ */
+function queryLibrary(docs, query = {}) {
+    const { search, sort, status, shelf } = { ...DEFAULT_QUERY, ...query };
+    const compare = (LIBRARY_SORTS[sort] || LIBRARY_SORTS.recent).compare;
+    return docs
+        .filter(doc => matchesSearch(doc, search) &&
+            (status === 'all' || readingStatus(doc) === status) &&
+            matchesShelf(doc, shelf))
+        .sort(compare);
+}
+
+/**
+ * Parse comma-separated tags, dropping blanks and case-insensitive duplicates
+ * @param {string} input
+ * @returns {string[]}
+ */
+function parseTags(input) {
+    const tags = [];
+    for (const raw of (input || '').split(',')) {
+        const tag = raw.trim().replace(/\s+/g, ' ').slice(0, MAX_TAG_LENGTH);
+        if (tag && !tags.some(existing => foldText(existing) === foldText(tag))) tags.push(tag);
+    }
+    return tags;
+}
+
+/**
+ * Every tag in use, with how many documents carry it
+ * @param {DocumentMeta[]} docs
+ * @returns {Array<{ tag: string, count: number }>} Alphabetical
+ */
+function collectTags(docs) {
+    const counts = new Map();
+    for (const doc of docs) {
+        for (const tag of doc.tags || []) {
+            const key = foldText(tag);
+            const entry = counts.get(key) || { tag, count: 0 };
+            entry.count++;
+            counts.set(key, entry);
+        }
+    }
+    return [...counts.values()].sort((a, b) => collator.compare(a.tag, b.tag));
+}
+
+/**
+ * @param {Collection[]} collections
+ * @param {string} name
+ * @returns {Collection[]} With the new collection, or unchanged if the name is blank or taken
+ */
+function addCollection(collections, name) {
+    const trimmed = (name || '').trim();
+    if (!trimmed || collections.some(c => foldText(c.name) === foldText(trimmed))) return collections;
+    const id = `col-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+    return [...collections, { id, name: trimmed }];
+}
+
+export {
+    DEFAULT_QUERY,
+    LIBRARY_SORTS,
+    readingStatus,
+    matchesSearch,
+    queryLibrary,
+    parseTags,
+    collectTags,
+    addCollection
+};
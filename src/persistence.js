@@ -1,10 +1,140 @@
 /**
  * Persistence Layer
- * IndexedDB-backed storage for library, tokens cache, and settings
+ * IndexedDB-backed storage for library, tokens cache, source text, annotations, reading sessions,
+ * ramp progress, pacing events, and settings
  */
 
+import { isStaleTokenRecord, packTokenRecord, unpackTokenRecord, rebuildTokenCache } from './token-cache.js';
+import { estimateBytes } from './storage.js';
+
 const DB_NAME = 'speed-reader-db';
-const DB_VERSION = 1;
+
+/**
+ * @typedef {Object} Migration
+ * @property {number} version - Database version this step upgrades to
+ * @property {string} description
+ * @property {function(IDBDatabase, IDBTransaction): void} upgrade - Runs inside the versionchange transaction
+ */
+
+/**
+ * Schema and data upgrades, oldest first. Opening the database runs every step
+ * above the stored version in order; append new steps, never edit shipped ones.
+ * @type {Migration[]}
+ */
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'library, token cache and settings stores',
+        upgrade(db) {
+            const libraryStore = db.createObjectStore('library', { keyPath: 'id' });
+            libraryStore.createIndex('lastOpened', 'lastOpened', { unique: false });
+            db.createObjectStore('tokens', { keyPath: 'docId' });
+            db.createObjectStore('settings', { keyPath: 'key' });
+        }
+    },
+    {
+        version: 2,
+        description: 'bookmarks and highlights',
+        upgrade(db) {
+            const annotationStore = db.createObjectStore('annotations', { keyPath: 'id' });
+            annotationStore.createIndex('docId', 'docId', { unique: false });
+        }
+    },
+    {
+        version: 3,
+        description: 'cleaned source text for export',
+        upgrade(db) {
+            db.createObjectStore('sources', { keyPath: 'docId' });
+        }
+    },
+    {
+        version: 4,
+        description: 'rebuild token caches without a format stamp',
+        upgrade(db, tx) {
+            rebuildStaleTokenCaches(tx);
+        }
+    },
+    {
+        version: 5,
+        description: 'compact token caches',
+        upgrade(db, tx) {
+            // Stale caches are left to step 4, which writes them compact
+            tx.objectStore('tokens').openCursor().onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor) return;
+                const record = cursor.value;
+                if (!record.columns && !isStaleTokenRecord(record)) {
+                    cursor.update(packTokenRecord(record.docId, record.tokens, record.cachedAt));
+                }
+                cursor.continue();
+            };
+        }
+    },
+    {
+        version: 6,
+        description: 'adaptive pacing events',
+        upgrade(db) {
+            const eventStore = db.createObjectStore('pacingEvents', { keyPath: 'id' });
+            eventStore.createIndex('docId', 'docId', { unique: false });
+            eventStore.createIndex('at', 'at', { unique: false });
+        }
+    },
+    {
+        version: 7,
+        description: 'reading sessions for statistics',
+        upgrade(db) {
+            const sessionStore = db.createObjectStore('sessions', { keyPath: 'id' });
+            sessionStore.createIndex('docId', 'docId', { unique: false });
+            sessionStore.createIndex('startedAt', 'startedAt', { unique: false });
+        }
+    },
+    {
+        version: 8,
+        description: 'training ramp progress per document',
+        upgrade(db) {
+            db.createObjectStore('rampStates', { keyPath: 'docId' });
+        }
+    }
+];
+
+const DB_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Rebuild every stale token cache with the document's source, progress and
+// annotations, all inside tx. Tokenization is synchronous, so the transaction
+// stays alive between requests. A document that cannot be rebuilt keeps its
+// stale cache for the rebuild on open; throwing here would abort the upgrade.
+function rebuildStaleTokenCaches(tx) {
+    const tokenStore = tx.objectStore('tokens');
+    tx.objectStore('library').openCursor().onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) return;
+        const doc = cursor.value;
+        tokenStore.get(doc.id).onsuccess = (tokenEvent) => {
+            const record = tokenEvent.target.result;
+            if (!isStaleTokenRecord(record)) return;
+            tx.objectStore('sources').get(doc.id).onsuccess = (sourceEvent) => {
+                const source = sourceEvent.target.result?.sections || null;
+                tx.objectStore('annotations').index('docId').getAll(doc.id).onsuccess = (annotationEvent) => {
+                    let rebuilt;
+                    try {
+                        rebuilt = rebuildTokenCache(
+                            { doc, tokens: record.tokens, source, annotations: annotationEvent.target.result },
+                            doc.progress?.mode
+                        );
+                    } catch (error) {
+                        console.warn(`[rebuildStaleTokenCaches] Left token cache of ${doc.id} for rebuild on open:`, error.message);
+                        return;
+                    }
+                    tokenStore.put(packTokenRecord(doc.id, rebuilt.tokens));
+                    tx.objectStore('library').put(rebuilt.doc);
+                    if (rebuilt.source) tx.objectStore('sources').put({ ...sourceEvent.target.result, sections: rebuilt.source });
+                    for (const annotation of rebuilt.annotations) tx.objectStore('annotations').put(annotation);
+                };
+            };
+        };
+        cursor.continue();
+    };
+}
 
 class PersistenceLayer {
     constructor() {
@@ -15,80 +145,49 @@ class PersistenceLayer {
     async init() {
         return new Promise((resolve, reject) => {
             const request = indexedDB.open(DB_NAME, DB_VERSION);
-
             request.onerror = () => reject(request.error);
             request.onsuccess = () => {
                 this.db = request.result;
                 resolve();
             };
-
             request.onupgradeneeded = (event) => {
                 const db = event.target.result;
-
-                // Library store: document metadata
-                if (!db.objectStoreNames.contains('library')) {
-                    const libraryStore = db.createObjectStore('library', { keyPath: 'id' });
-                    libraryStore.createIndex('lastOpened', 'lastOpened', { unique: false });
-                    libraryStore.createIndex('title', 'title', { unique: false });
-                }
-
-                // Tokens cache: pre-tokenized documents
-                if (!db.objectStoreNames.contains('tokens')) {
-                    db.createObjectStore('tokens', { keyPath: 'docId' });
-                }
-
-                // Settings store
-                if (!db.objectStoreNames.contains('settings')) {
-                    db.createObjectStore('settings', { keyPath: 'key' });
+                const tx = event.target.transaction;
+                for (const migration of MIGRATIONS) {
+                    if (migration.version <= event.oldVersion) continue;
+                    console.log(`[DB] Migration ${migration.version}: ${migration.description}`);
+                    migration.upgrade(db, tx);
                 }
             };
         });
     }
 
-    // ============ Library Operations ============
-
-    /**
-     * Save or update a document in the library
-     * @param {DocumentMeta} doc
-     */
     async saveDocument(doc) {
         await this.ready;
         return new Promise((resolve, reject) => {
             const tx = this.db.transaction('library', 'readwrite');
-            const store = tx.objectStore('library');
-            const request = store.put(doc);
+            const request = tx.objectStore('library').put(doc);
             request.onsuccess = () => resolve(doc);
             request.onerror = () => reject(request.error);
         });
     }
 
-    /**
-     * Get a document by ID
-     * @param {string} id
-     */
     async getDocument(id) {
         await this.ready;
         return new Promise((resolve, reject) => {
             const tx = this.db.transaction('library', 'readonly');
-            const store = tx.objectStore('library');
-            const request = store.get(id);
+            const request = tx.objectStore('library').get(id);
             request.onsuccess = () => resolve(request.result);
             request.onerror = () => reject(request.error);
         });
     }
 
-    /**
-     * Get all documents, sorted by lastOpened (most recent first)
-     * @param {number} limit
-     */
     async getRecentDocuments(limit = 20) {
         await this.ready;
         return new Promise((resolve, reject) => {
             const tx = this.db.transaction('library', 'readonly');
-            const store = tx.objectStore('library');
-            const index = store.index('lastOpened');
+            const index = tx.objectStore('library').index('lastOpened');
             const request = index.openCursor(null, 'prev');
-
             const results = [];
             request.onsuccess = (event) => {
                 const cursor = event.target.result;
@@ -103,166 +202,436 @@ class PersistenceLayer {
         });
     }
 
-    /**
-     * Delete a document from the library
-     * @param {string} id
-     */
     async deleteDocument(id) {
         await this.ready;
-
-        // Delete from both library and tokens cache
-        const tx = this.db.transaction(['library', 'tokens'], 'readwrite');
-
+        const tx = this.db.transaction(['library', 'tokens', 'sources', 'annotations', 'rampStates'], 'readwrite');
         return new Promise((resolve, reject) => {
             tx.objectStore('library').delete(id);
             tx.objectStore('tokens').delete(id);
+            tx.objectStore('sources').delete(id);
+            tx.objectStore('rampStates').delete(id);
+            // Reading sessions stay: statistics outlive the documents
+            const cursorRequest = tx.objectStore('annotations').index('docId').openKeyCursor(IDBKeyRange.only(id));
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (!cursor) return;
+                tx.objectStore('annotations').delete(cursor.primaryKey);
+                cursor.continue();
+            };
             tx.oncomplete = () => resolve();
             tx.onerror = () => reject(tx.error);
         });
     }
 
-    /**
-     * Update reading progress for a document
-     * @param {string} docId
-     * @param {ProgressData} progress
-     */
     async updateProgress(docId, progress) {
         await this.ready;
         const doc = await this.getDocument(docId);
         if (!doc) return null;
-
-        doc.progress = {
-            ...doc.progress,
-            ...progress,
-            updatedAt: Date.now()
-        };
+        doc.progress = { ...doc.progress, ...progress, updatedAt: Date.now() };
         doc.lastOpened = Date.now();
-
         return this.saveDocument(doc);
     }
 
-    // ============ Tokens Cache Operations ============
-
-    /**
-     * Save tokenized document to cache
-     * @param {string} docId
-     * @param {Token[]} tokens
-     */
     async saveTokens(docId, tokens) {
         await this.ready;
         return new Promise((resolve, reject) => {
             const tx = this.db.transaction('tokens', 'readwrite');
-            const store = tx.objectStore('tokens');
-            const request = store.put({ docId, tokens, cachedAt: Date.now() });
+            const request = tx.objectStore('tokens').put(packTokenRecord(docId, tokens));
             request.onsuccess = () => resolve();
             request.onerror = () => reject(request.error);
         });
     }
 
     /**
-     * Get cached tokens for a document
      * @param {string} docId
+     * @returns {Promise<TokenRecord|null>} Tokens with their format stamp
      */
-    async getTokens(docId) {
+    async getTokenRecord(docId) {
         await this.ready;
         return new Promise((resolve, reject) => {
             const tx = this.db.transaction('tokens', 'readonly');
-            const store = tx.objectStore('tokens');
-            const request = store.get(docId);
-            request.onsuccess = () => {
-                const result = request.result;
-                resolve(result ? result.tokens : null);
-            };
+            const request = tx.objectStore('tokens').get(docId);
+            request.onsuccess = () => resolve(unpackTokenRecord(request.result));
             request.onerror = () => reject(request.error);
         });
     }
 
-    // ============ Settings Operations ============
+    async getTokens(docId) {
+        const record = await this.getTokenRecord(docId);
+        return record ? record.tokens : null;
+    }
+
+    // Drop a token cache; the document is re-tokenized from its source when opened
+    async deleteTokens(docId) {
+        await this.ready;
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction('tokens', 'readwrite');
+            const request = tx.objectStore('tokens').delete(docId);
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    }
 
     /**
-     * Save a setting
-     * @param {string} key
-     * @param {any} value
+     * Approximate bytes each document occupies, by store
+     * @returns {Promise<Map<string, { tokens: number, source: number, annotations: number }>>}
      */
-    async saveSetting(key, value) {
+    async getDocumentSizes() {
+        await this.ready;
+        const sizes = new Map();
+        const add = (docId, part, bytes) => {
+            if (!sizes.has(docId)) sizes.set(docId, { tokens: 0, source: 0, annotations: 0 });
+            sizes.get(docId)[part] += bytes;
+        };
+        // Stored records as they are, without decoding token columns
+        const readAll = (storeName) => new Promise((resolve, reject) => {
+            const request = this.db.transaction(storeName, 'readonly').objectStore(storeName).getAll();
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        for (const record of await readAll('tokens')) add(record.docId, 'tokens', estimateBytes(record));
+        for (const record of await readAll('sources')) add(record.docId, 'source', estimateBytes(record));
+        for (const record of await readAll('annotations')) add(record.docId, 'annotations', estimateBytes(record));
+        return sizes;
+    }
+
+    // sections: cleaned text per chapter (aligned with doc.chapters), or one entry
+    async saveSource(docId, sections) {
         await this.ready;
         return new Promise((resolve, reject) => {
-            const tx = this.db.transaction('settings', 'readwrite');
-            const store = tx.objectStore('settings');
-            const request = store.put({ key, value });
+            const tx = this.db.transaction('sources', 'readwrite');
+            const request = tx.objectStore('sources').put({ docId, sections, savedAt: Date.now() });
             request.onsuccess = () => resolve();
             request.onerror = () => reject(request.error);
         });
     }
 
+    async getSource(docId) {
+        await this.ready;
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction('sources', 'readonly');
+            const request = tx.objectStore('sources').get(docId);
+            request.onsuccess = () => resolve(request.result ? request.result.sections : null);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async saveAnnotation(annotation) {
+        await this.ready;
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction('annotations', 'readwrite');
+            const request = tx.objectStore('annotations').put(annotation);
+            request.onsuccess = () => resolve(annotation);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Annotations for one document in reading order
+    async getAnnotations(docId) {
+        await this.ready;
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction('annotations', 'readonly');
+            const request = tx.objectStore('annotations').index('docId').getAll(IDBKeyRange.only(docId));
+            request.onsuccess = () => resolve(request.result.sort((a, b) => a.startIndex - b.startIndex || a.createdAt - b.createdAt));
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async deleteAnnotation(id) {
+        await this.ready;
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction('annotations', 'readwrite');
+            const request = tx.objectStore('annotations').delete(id);
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // A continued session is saved again under the same id
+    async saveSession(session) {
+        await this.ready;
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction('sessions', 'readwrite');
+            const request = tx.objectStore('sessions').put(session);
+            request.onsuccess = () => resolve(session);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Sessions in the order they started, optionally only from a timestamp on
+    async getSessions(since = 0) {
+        await this.ready;
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction('sessions', 'readonly');
+            const request = tx.objectStore('sessions').index('startedAt').getAll(IDBKeyRange.lowerBound(since));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
     /**
-     * Get a setting
-     * @param {string} key
-     * @param {any} defaultValue
+     * Where the training ramp was in a document; stays on this device
+     * @param {string} docId
+     * @param {RampState} state
      */
-    async getSetting(key, defaultValue = null) {
+    async saveRampState(docId, state) {
         await this.ready;
         return new Promise((resolve, reject) => {
-            const tx = this.db.transaction('settings', 'readonly');
-            const store = tx.objectStore('settings');
-            const request = store.get(key);
+            const tx = this.db.transaction('rampStates', 'readwrite');
+            const request = tx.objectStore('rampStates').put({ ...state, docId, savedAt: Date.now() });
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async getRampState(docId) {
+        await this.ready;
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction('rampStates', 'readonly');
+            const request = tx.objectStore('rampStates').get(docId);
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async deleteRampState(docId) {
+        await this.ready;
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction('rampStates', 'readwrite');
+            const request = tx.objectStore('rampStates').delete(docId);
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Append-only; a merged manual change is saved again under the same id
+    async savePacingEvent(event) {
+        await this.ready;
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction('pacingEvents', 'readwrite');
+            const request = tx.objectStore('pacingEvents').put(event);
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // The most recent events, oldest first
+    async getPacingEvents(limit) {
+        await this.ready;
+        return new Promise((resolve, reject) => {
+            const events = [];
+            const tx = this.db.transaction('pacingEvents', 'readonly');
+            const request = tx.objectStore('pacingEvents').index('at').openCursor(null, 'prev');
             request.onsuccess = () => {
-                const result = request.result;
-                resolve(result ? result.value : defaultValue);
+                const cursor = request.result;
+                if (!cursor || events.length >= limit) return resolve(events.reverse());
+                events.push(cursor.value);
+                cursor.continue();
             };
             request.onerror = () => reject(request.error);
         });
     }
 
-    /**
-     * Get all settings as an object
-     */
+    // updatedAt lets sync decide which device changed a setting last
+    async saveSetting(key, value, updatedAt = Date.now()) {
+        await this.ready;
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction('settings', 'readwrite');
+            const request = tx.objectStore('settings').put({ key, value, updatedAt });
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async getSetting(key, defaultValue = null) {
+        await this.ready;
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction('settings', 'readonly');
+            const request = tx.objectStore('settings').get(key);
+            request.onsuccess = () => resolve(request.result ? request.result.value : defaultValue);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async getSettingRecord(key) {
+        await this.ready;
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction('settings', 'readonly');
+            const request = tx.objectStore('settings').get(key);
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
     async getAllSettings() {
         await this.ready;
         return new Promise((resolve, reject) => {
             const tx = this.db.transaction('settings', 'readonly');
-            const store = tx.objectStore('settings');
-            const request = store.getAll();
+            const request = tx.objectStore('settings').getAll();
             request.onsuccess = () => {
                 const settings = {};
-                request.result.forEach(item => {
-                    settings[item.key] = item.value;
-                });
+                request.result.forEach(item => settings[item.key] = item.value);
                 resolve(settings);
             };
             request.onerror = () => reject(request.error);
         });
     }
+
+    // Move a document and everything keyed by it to a new ID in one transaction
+    async renameDocument(oldId, newId) {
+        await this.ready;
+        const tx = this.db.transaction(['library', 'tokens', 'sources', 'annotations', 'sessions', 'pacingEvents', 'rampStates'], 'readwrite');
+        return new Promise((resolve, reject) => {
+            const library = tx.objectStore('library');
+            library.get(oldId).onsuccess = (event) => {
+                const doc = event.target.result;
+                if (!doc) return;
+                library.delete(oldId);
+                library.put({ ...doc, id: newId });
+            };
+            for (const name of ['tokens', 'sources', 'rampStates']) {
+                const store = tx.objectStore(name);
+                store.get(oldId).onsuccess = (event) => {
+                    const record = event.target.result;
+                    if (!record) return;
+                    store.delete(oldId);
+                    store.put({ ...record, docId: newId });
+                };
+            }
+            for (const name of ['annotations', 'sessions', 'pacingEvents']) {
+                const cursorRequest = tx.objectStore(name).index('docId').openCursor(IDBKeyRange.only(oldId));
+                cursorRequest.onsuccess = () => {
+                    const cursor = cursorRequest.result;
+                    if (!cursor) return;
+                    cursor.update({ ...cursor.value, docId: newId });
+                    cursor.continue();
+                };
+            }
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    // Whole-store access for library backup and restore
+
+    async getAllRecords(storeName) {
+        await this.ready;
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(storeName, 'readonly');
+            const request = tx.objectStore(storeName).getAll();
+            // Token caches leave as token objects, whatever their stored shape
+            request.onsuccess = () => resolve(storeName === 'tokens' ? request.result.map(unpackTokenRecord) : request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // One transaction, so a failed restore leaves the library untouched
+    async restoreRecords(records, clear = false) {
+        await this.ready;
+        const storeNames = Object.keys(records);
+        const tx = this.db.transaction(storeNames, 'readwrite');
+        return new Promise((resolve, reject) => {
+            for (const name of storeNames) {
+                const store = tx.objectStore(name);
+                if (clear) store.clear();
+                records[name].forEach(record => store.put(name === 'tokens' && !isStaleTokenRecord(record)
+                    ? packTokenRecord(record.docId, record.tokens, record.cachedAt)
+                    : record));
+            }
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
 }
 
-// Generate a stable document ID from file content
+/**
+ * Content-derived document ID: the same bytes get the same ID whatever the
+ * file is called or when it was downloaded
+ * @param {Blob} file
+ * @returns {Promise<string>} doc_ followed by the hex SHA-256 of the contents
+ */
 async function generateDocumentId(file) {
-    // Use file name + size + last modified as a quick hash
-    // For true content-based hashing, we'd need to read the file
-    const input = `${file.name}-${file.size}-${file.lastModified}`;
+    if (typeof crypto === 'undefined' || !crypto.subtle) {
+        // SubtleCrypto needs a secure context; fall back rather than refuse the import
+        console.warn('[generateDocumentId] SubtleCrypto unavailable, using legacy ID');
+        return generateLegacyDocumentId(file);
+    }
+    const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+    return 'doc_' + Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// IDs from before content hashing: 32-bit hash of name, size and modification date
+const LEGACY_ID_PATTERN = /^doc_[0-9a-f]{1,8}$/;
+
+const isLegacyDocumentId = (id) => LEGACY_ID_PATTERN.test(id);
 
-    // Simple hash function
+function generateLegacyDocumentId(file) {
+    const input = `${file.name}-${file.size}-${file.lastModified}`;
     let hash = 0;
     for (let i = 0; i < input.length; i++) {
-        const char = input.charCodeAt(i);
-        hash = ((hash << 5) - hash) + char;
-        hash = hash & hash; // Convert to 32-bit integer
+        hash = ((hash << 5) - hash) + input.charCodeAt(i);
+        hash = hash & hash;
     }
-
     return `doc_${Math.abs(hash).toString(16)}`;
 }
 
+/**
+ * Library record a file was imported as under the legacy scheme, by its exact
+ * legacy ID. A renamed or re-downloaded copy has a different legacy ID; see
+ * findLegacyCandidates().
+ * @param {DocumentMeta[]} docs
+ * @param {File} file
+ * @returns {DocumentMeta|null}
+ */
+function findLegacyDocument(docs, file) {
+    const legacyId = generateLegacyDocumentId(file);
+    return docs.find(doc => doc.id === legacyId) || null;
+}
+
+/**
+ * Legacy records that may be an earlier import of file under another name or
+ * modification date. Size alone proves nothing; confirm each with
+ * isSameText() once the file's text is extracted.
+ * @param {DocumentMeta[]} docs
+ * @param {File} file
+ * @returns {DocumentMeta[]}
+ */
+function findLegacyCandidates(docs, file) {
+    return docs.filter(doc => isLegacyDocumentId(doc.id) && doc.fileSize === file.size);
+}
+
+// Letters and digits only, so token format changes (punctuation kept on the
+// word or split off into flags) compare equal
+const textFingerprint = (parts) => parts.join('').replace(/[^\p{L}\p{N}]/gu, '');
+
+/**
+ * Was a stored document built from the same text as a fresh import? Either the
+ * saved source text or the token cache, in whatever format it was saved, must match.
+ * @param {{ tokens: Token[], source: string[] }} imported
+ * @param {{ tokens: Token[]|null, source: string[]|null }} stored
+ * @returns {boolean}
+ */
+function isSameText(imported, stored) {
+    const words = (tokens) => tokens.map(t => t.word);
+    return (stored.source?.length > 0 && textFingerprint(stored.source) === textFingerprint(imported.source)) ||
+           (stored.tokens?.length > 0 && textFingerprint(words(stored.tokens)) === textFingerprint(words(imported.tokens)));
+}
+
 /**
  * @typedef {Object} DocumentMeta
- * @property {string} id - Unique document identifier
+ * @property {string} id - doc_<SHA-256 hex> for files (doc_<8 hex> if imported before content IDs), url-<timestamp> for web pages
  * @property {string} title - Document title
  * @property {string} author - Document author (if available)
+ * @property {string} language - BCP 47 language tag (EPUB dc:language), '' if unknown
  * @property {string} sourceType - 'epub' | 'pdf' | 'txt' | 'html'
  * @property {string} fileName - Original file name
  * @property {number} fileSize - File size in bytes
  * @property {number} wordCount - Total word count
+ * @property {number} [timeUnits] - Sum of clamped token multipliers when last opened, for library time estimates
  * @property {number} addedAt - Timestamp when added to library
  * @property {number} lastOpened - Timestamp of last access
+ * @property {number} [updatedAt] - Last metadata change (sync), addedAt if never changed
  * @property {ProgressData} progress - Reading progress
  */
 
@@ -274,4 +643,4 @@ async function generateDocumentId(file) {
  * @property {number} updatedAt - Last update timestamp
  */
 
-export { PersistenceLayer, generateDocumentId };
+export { PersistenceLayer, generateDocumentId, generateLegacyDocumentId, isLegacyDocumentId, findLegacyDocument, findLegacyCandidates, isSameText };
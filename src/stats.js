@@ -0,0 +1,256 @@
+/**
+ * Reading Statistics
+ * Records one session per play/pause span and works out the stats view:
+ * streaks, totals, speed over time and time spent per book
+ */
+
+import { isFinished } from './storage.js';
+import { MAX_PROGRESS_JUMP } from './engine/navigation.js';
+
+/**
+ * @typedef {Object} ReadingSession
+ * @property {string} id
+ * @property {string} docId
+ * @property {number} startedAt - Timestamp
+ * @property {number} endedAt - Timestamp
+ * @property {number} startIndex - Token index playback started from
+ * @property {number} endIndex - Token index it stopped at
+ * @property {number} wordsRead - Words played through, seeks excluded
+ * @property {number} durationMs - Time spent playing
+ * @property {number} wpm - Effective speed: wordsRead over durationMs
+ * @property {number} minWpm - Slowest speed setting during the span
+ * @property {number} maxWpm - Fastest speed setting during the span
+ * @property {boolean} ramp - The training ramp set the speed for some of the span
+ */
+
+/**
+ * @typedef {Object} BookStats
+ * @property {DocumentMeta} doc
+ * @property {number} durationMs - Time spent reading it
+ * @property {number} wordsRead
+ * @property {number} wpm - Effective speed over every session, 0 before any
+ * @property {boolean} finished
+ * @property {number|null} remainingMs - Time left at that speed, null if finished or unknown
+ * @property {number} lastReadAt
+ */
+
+const MERGE_GAP_MS = 2000;        // A seek pauses and resumes; that is still one session
+
+const effectiveWpm = (words, ms) => ms > 0 ? Math.round(words / (ms / 60000)) : 0;
+
+// ==================== RECORDING ====================
+
+class SessionTracker {
+    /** @param {{ now: function(): number }} clock */
+    constructor(clock = Date) {
+        this.clock = clock;
+        /** @type {ReadingSession|null} */
+        this.session = null;       // Open or most recently closed session
+        this.active = false;
+        this.lastIndex = 0;
+        this.resumedAt = 0;
+    }
+
+    /**
+     * Playback started; continues the last session after a brief stop
+     * @param {string} docId
+     * @param {number} index
+     * @param {{ wpm: number, ramping: boolean }} speed
+     */
+    start(docId, index, { wpm, ramping }) {
+        const now = this.clock.now();
+        const last = this.session;
+        if (!last || last.docId !== docId || now - last.endedAt > MERGE_GAP_MS) {
+            this.session = {
+                id: `session_${now.toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+                docId,
+                startedAt: now,
+                endedAt: now,
+                startIndex: index,
+                endIndex: index,
+                wordsRead: 0,
+                durationMs: 0,
+                wpm: 0,
+                minWpm: wpm,
+                maxWpm: wpm,
+                ramp: false
+            };
+        }
+        this.active = true;
+        this.lastIndex = index;
+        this.resumedAt = now;
+        this.progress(index, { wpm, ramping });
+    }
+
+    /**
+     * Playback reached index
+     * @param {number} index
+     * @param {{ wpm: number, ramping: boolean }} speed
+     */
+    progress(index, { wpm, ramping }) {
+        if (!this.active) return;
+        const session = this.session;
+        const delta = index - this.lastIndex;
+        if (delta > 0 && delta <= MAX_PROGRESS_JUMP) session.wordsRead += delta;
+        this.lastIndex = index;
+        session.endIndex = index;
+        session.minWpm = Math.min(session.minWpm, wpm);
+        session.maxWpm = Math.max(session.maxWpm, wpm);
+        session.ramp = session.ramp || ramping;
+    }
+
+    /**
+     * Playback stopped
+     * @param {number} index
+     * @returns {ReadingSession|null} Copy to save (same id if continued later), null if nothing was read
+     */
+    stop(index) {
+        if (!this.active) return null;
+        const session = this.session;
+        const now = this.clock.now();
+        const delta = index - this.lastIndex;
+        if (delta > 0 && delta <= MAX_PROGRESS_JUMP) session.wordsRead += delta;
+        session.endIndex = index;
+        session.durationMs += now - this.resumedAt;
+        session.endedAt = now;
+        session.wpm = effectiveWpm(session.wordsRead, session.durationMs);
+        this.active = false;
+        return session.wordsRead > 0 ? { ...session } : null;
+    }
+}
+
+// ==================== SUMMARIES ====================
+
+/**
+ * Local calendar day of a timestamp
+ * @param {number} timestamp
+ * @returns {string} YYYY-MM-DD
+ */
+function dayKey(timestamp) {
+    const date = new Date(timestamp);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+// Local midnight n days before the day of timestamp (DST-safe)
+function daysBefore(timestamp, n) {
+    const date = new Date(timestamp);
+    date.setHours(0, 0, 0, 0);
+    date.setDate(date.getDate() - n);
+    return date.getTime();
+}
+
+/**
+ * Consecutive days with reading. The current streak survives until a whole
+ * day passes without any, so it is not broken first thing in the morning.
+ * @param {ReadingSession[]} sessions
+ * @param {number} now
+ * @returns {{ current: number, longest: number }}
+ */
+function readingStreaks(sessions, now = Date.now()) {
+    const days = new Set(sessions.filter(s => s.wordsRead > 0).map(s => dayKey(s.startedAt)));
+    let current = 0;
+    let offset = days.has(dayKey(now)) ? 0 : 1;
+    while (days.has(dayKey(daysBefore(now, offset)))) {
+        current++;
+        offset++;
+    }
+
+    let longest = 0;
+    for (const day of days) {
+        const [year, month, date] = day.split('-').map(Number);
+        const start = new Date(year, month - 1, date).getTime();
+        if (days.has(dayKey(daysBefore(start, 1)))) continue; // Not the first day of a run
+        let length = 1;
+        while (days.has(dayKey(daysBefore(start, -length)))) length++;
+        longest = Math.max(longest, length);
+    }
+    return { current, longest };
+}
+
+/**
+ * @param {ReadingSession[]} sessions
+ * @param {number} now
+ * @returns {{ words: number, durationMs: number, sessions: number, wpm: number, streak: number, longestStreak: number }}
+ */
+function summarizeSessions(sessions, now = Date.now()) {
+    const words = sessions.reduce((total, s) => total + s.wordsRead, 0);
+    const durationMs = sessions.reduce((total, s) => total + s.durationMs, 0);
+    const { current, longest } = readingStreaks(sessions, now);
+    return { words, durationMs, sessions: sessions.length, wpm: effectiveWpm(words, durationMs), streak: current, longestStreak: longest };
+}
+
+/**
+ * Words and time per day, oldest first, today last
+ * @param {ReadingSession[]} sessions
+ * @param {number} days
+ * @param {number} now
+ * @returns {Array<{ day: string, words: number, durationMs: number }>}
+ */
+function dailyActivity(sessions, days, now = Date.now()) {
+    const totals = new Map();
+    for (let i = days - 1; i >= 0; i--) totals.set(dayKey(daysBefore(now, i)), { words: 0, durationMs: 0 });
+    for (const session of sessions) {
+        const entry = totals.get(dayKey(session.startedAt));
+        if (!entry) continue;
+        entry.words += session.wordsRead;
+        entry.durationMs += session.durationMs;
+    }
+    return [...totals].map(([day, entry]) => ({ day, ...entry }));
+}
+
+/**
+ * Effective speed per week (weeks start on Monday), oldest first
+ * @param {ReadingSession[]} sessions
+ * @param {number} weeks
+ * @param {number} now
+ * @returns {Array<{ weekStart: number, words: number, wpm: number }>} wpm is 0 for weeks without reading
+ */
+function weeklySpeed(sessions, weeks, now = Date.now()) {
+    const thisWeek = daysBefore(now, (new Date(now).getDay() + 6) % 7);
+    const result = [];
+    for (let i = weeks - 1; i >= 0; i--) {
+        const weekStart = daysBefore(thisWeek, i * 7);
+        const weekEnd = daysBefore(thisWeek, (i - 1) * 7);
+        const inWeek = sessions.filter(s => s.startedAt >= weekStart && s.startedAt < weekEnd);
+        const words = inWeek.reduce((total, s) => total + s.wordsRead, 0);
+        const durationMs = inWeek.reduce((total, s) => total + s.durationMs, 0);
+        result.push({ weekStart, words, wpm: effectiveWpm(words, durationMs) });
+    }
+    return result;
+}
+
+/**
+ * Time spent per book, most recently read first. Documents without sessions
+ * are left out; sessions of deleted documents are still in the totals above.
+ * @param {ReadingSession[]} sessions
+ * @param {DocumentMeta[]} docs
+ * @returns {BookStats[]}
+ */
+function bookStats(sessions, docs) {
+    const byDoc = new Map();
+    for (const session of sessions) {
+        const entry = byDoc.get(session.docId) || { durationMs: 0, wordsRead: 0, lastReadAt: 0 };
+        entry.durationMs += session.durationMs;
+        entry.wordsRead += session.wordsRead;
+        entry.lastReadAt = Math.max(entry.lastReadAt, session.endedAt);
+        byDoc.set(session.docId, entry);
+    }
+    return docs
+        .filter(doc => byDoc.has(doc.id))
+        .map(doc => {
+            const entry = byDoc.get(doc.id);
+            const wpm = effectiveWpm(entry.wordsRead, entry.durationMs);
+            const finished = isFinished(doc);
+            const remainingWords = Math.max(0, doc.wordCount - (doc.progress?.currentIndex || 0));
+            return {
+                doc,
+                ...entry,
+                wpm,
+                finished,
+                remainingMs: finished || wpm === 0 ? null : remainingWords / wpm * 60000
+            };
+        })
+        .sort((a, b) => b.lastReadAt - a.lastReadAt);
+}
+
+export { SessionTracker, dayKey, readingStreaks, summarizeSessions, dailyActivity, weeklySpeed, bookStats };
@@ -0,0 +1,94 @@
+/**
+ * Storage Management
+ * Browser storage quota and persistence, plus size estimates for stored records
+ */
+
+/**
+ * @typedef {Object} StorageEstimate
+ * @property {number} usage - Bytes used by this origin
+ * @property {number} quota - Bytes available to this origin
+ * @property {boolean} persisted - Whether the browser has promised not to evict the data
+ */
+
+/**
+ * Rough size of a structured-cloned value: UTF-16 strings, typed arrays as
+ * their buffers, and every object key counted again per object
+ * @param {*} value
+ * @returns {number} Bytes
+ */
+function estimateBytes(value) {
+    if (typeof value === 'string') return value.length * 2;
+    if (typeof value === 'number') return 8;
+    if (typeof value === 'boolean') return 4;
+    if (value === null || value === undefined) return 0;
+    if (ArrayBuffer.isView(value)) return value.byteLength;
+    if (Array.isArray(value)) return value.reduce((total, item) => total + estimateBytes(item), 0);
+    if (typeof value === 'object') {
+        let total = 0;
+        for (const [key, item] of Object.entries(value)) total += key.length * 2 + estimateBytes(item);
+        return total;
+    }
+    return 0;
+}
+
+/**
+ * @returns {Promise<StorageEstimate|null>} null where the Storage API is missing
+ */
+async function getStorageEstimate() {
+    if (typeof navigator === 'undefined' || !navigator.storage?.estimate) return null;
+    const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+    const persisted = navigator.storage.persisted ? await navigator.storage.persisted() : false;
+    return { usage, quota, persisted };
+}
+
+/**
+ * Ask the browser to exempt this origin from eviction (Safari otherwise clears
+ * sites that have not been used for a while). Some browsers prompt, some decide
+ * from engagement; asking again after a refusal is harmless.
+ * @returns {Promise<boolean>} Whether storage is persistent now
+ */
+async function requestPersistentStorage() {
+    if (typeof navigator === 'undefined' || !navigator.storage?.persist) return false;
+    try {
+        if (navigator.storage.persisted && await navigator.storage.persisted()) return true;
+        return await navigator.storage.persist();
+    } catch (error) {
+        console.warn('[Storage] persist() failed:', error.message);
+        return false;
+    }
+}
+
+/**
+ * @param {DocumentMeta} doc
+ * @returns {boolean} Whether the reader reached the last word
+ */
+function isFinished(doc) {
+    return doc.wordCount > 0 && (doc.progress?.currentIndex || 0) >= doc.wordCount - 1;
+}
+
+/**
+ * @param {number} bytes
+ * @returns {string} e.g. "840 KB", "12.5 MB"
+ */
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    const units = ['KB', 'MB', 'GB'];
+    let value = bytes / 1024;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${value < 10 ? value.toFixed(1) : Math.round(value)} ${units[unit]}`;
+}
+
+/**
+ * @param {number} count
+ * @returns {string} e.g. "840 words", "12.5k words"
+ */
+function formatWordCount(count) {
+    if (count < 1000) return `${count} ${count === 1 ? 'word' : 'words'}`;
+    return `${(count / 1000).toFixed(1)}k words`;
+}
+
+export { estimateBytes, getStorageEstimate, requestPersistentStorage, isFinished, formatBytes, formatWordCount };
@@ -0,0 +1,377 @@
+/**
+ * Progress Sync
+ * Optional push/pull of reading progress, library metadata and settings to a
+ * self-hosted endpoint (reference server: sync-server.js). Changes queue
+ * locally and flush whenever the endpoint is reachable; conflicts resolve
+ * last-writer-wins on updatedAt.
+ *
+ * Protocol (JSON over HTTP):
+ *   POST {endpoint}/v1/sync
+ *   Authorization: Bearer <token>          (only if the server requires one)
+ *   { deviceId, cursor, changes: SyncRecord[] }
+ *   → { cursor, changes: SyncRecord[] }    (records stored since the request's cursor)
+ */
+
+/**
+ * @typedef {Object} SyncRecord
+ * @property {'progress'|'document'|'setting'} kind
+ * @property {string} id - Document id, or setting key
+ * @property {number} updatedAt - Timestamp of the change on the device that made it
+ * @property {*} value - ProgressData, synced DocumentMeta fields, or the setting value
+ */
+
+/**
+ * @typedef {Object} SyncState
+ * @property {string} deviceId
+ * @property {number} cursor - Server position already pulled
+ * @property {SyncRecord[]} queue - Local changes not yet pushed
+ * @property {Object<string, SyncRecord>} pending - Remote progress for documents not in this library
+ * @property {number|null} lastSyncedAt
+ */
+
+/**
+ * @typedef {Object} SyncCallbacks
+ * @property {function(SyncRecord[]): void} onApplied - Remote changes written locally
+ * @property {function(string, SyncState): void} onStatus - 'idle' | 'syncing' | 'offline' | 'error' | 'disabled'
+ */
+
+// Library fields that follow a document between devices (not tokens, not progress)
+const SYNCED_DOCUMENT_FIELDS = ['title', 'author', 'language', 'sourceType', 'fileName', 'fileSize', 'wordCount', 'addedAt', 'tags', 'collections'];
+
+const isString = (value) => typeof value === 'string';
+const isCount = (value) => Number.isFinite(value) && value >= 0;
+const isStringList = (value) => Array.isArray(value) && value.every(isString);
+const isBoolean = (value) => typeof value === 'boolean';
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+const isNamedList = (value) => Array.isArray(value) && value.every(item => isObject(item) && isString(item.id) && isString(item.name));
+
+// Shape each synced field must have; anything else from the endpoint is dropped
+const SYNCED_DOCUMENT_FIELD_TYPES = {
+    title: isString,
+    author: isString,
+    language: isString,
+    sourceType: isString,
+    fileName: isString,
+    fileSize: isCount,
+    wordCount: isCount,
+    addedAt: isCount,
+    tags: isStringList,
+    collections: isStringList
+};
+
+// Reading preferences; display size and the sync configuration stay per device
+const SYNCED_SETTINGS = [
+    'defaultWPM', 'mode', 'customTimingProfiles', 'chunkWords', 'chunkMaxChars',
+    'showGuides', 'flowMode', 'contextPeek', 'rewindOnResume', 'fontFamily',
+    'rampEnabled', 'rampStartWpm', 'rampTargetWpm', 'rampDuration', 'rampProgram', 'rampPresets',
+    'adaptivePacing', 'pacingMinWpm', 'pacingMaxWpm', 'pacingCheckIns',
+    'collections'
+];
+
+// Shape each synced setting must have; the app reads these on every settings load
+const SYNCED_SETTING_TYPES = {
+    defaultWPM: isCount,
+    mode: isString,
+    customTimingProfiles: isNamedList,
+    chunkWords: isCount,
+    chunkMaxChars: isCount,
+    showGuides: isBoolean,
+    flowMode: isBoolean,
+    contextPeek: isBoolean,
+    rewindOnResume: isBoolean,
+    fontFamily: isString,
+    rampEnabled: isBoolean,
+    rampStartWpm: isCount,
+    rampTargetWpm: isCount,
+    rampDuration: isCount,
+    rampProgram: (value) => value === null || isObject(value),
+    rampPresets: (value) => Array.isArray(value) && value.every(isObject),
+    adaptivePacing: isBoolean,
+    pacingMinWpm: isCount,
+    pacingMaxWpm: isCount,
+    pacingCheckIns: isBoolean,
+    collections: isNamedList
+};
+
+/**
+ * Can a remote progress value stand in for a document's progress?
+ * @param {*} value
+ * @returns {boolean}
+ */
+const isProgress = (value) => isObject(value) && isCount(value.currentIndex) && isCount(value.wpm);
+
+const STATE_KEY = 'syncState';
+const FLUSH_DELAY_MS = 2000;
+const RETRY_DELAY_MS = 30000;
+const REQUEST_TIMEOUT_MS = 10000;
+
+const recordKey = (record) => `${record.kind}:${record.id}`;
+
+/**
+ * Last-writer-wins: does incoming replace a local copy stamped localUpdatedAt?
+ * @param {SyncRecord} incoming
+ * @param {number|undefined} localUpdatedAt
+ * @returns {boolean}
+ */
+function isNewer(incoming, localUpdatedAt) {
+    return incoming.updatedAt > (localUpdatedAt || 0);
+}
+
+/**
+ * Add a change to the queue, replacing any older queued change to the same item
+ * @param {SyncRecord[]} queue
+ * @param {SyncRecord} record
+ * @returns {SyncRecord[]}
+ */
+function enqueue(queue, record) {
+    const existing = queue.find(queued => recordKey(queued) === recordKey(record));
+    if (existing && existing.updatedAt > record.updatedAt) return queue;
+    return [...queue.filter(queued => queued !== existing), record];
+}
+
+function progressRecord(doc) {
+    return { kind: 'progress', id: doc.id, updatedAt: doc.progress?.updatedAt || 0, value: doc.progress };
+}
+
+function documentRecord(doc) {
+    const value = {};
+    for (const field of SYNCED_DOCUMENT_FIELDS) {
+        if (doc[field] !== undefined) value[field] = doc[field];
+    }
+    return { kind: 'document', id: doc.id, updatedAt: doc.updatedAt || doc.addedAt || 0, value };
+}
+
+function createDeviceId() {
+    const random = typeof crypto !== 'undefined' && crypto.randomUUID
+        ? crypto.randomUUID()
+        : Math.random().toString(36).slice(2) + Date.now().toString(36);
+    return `device-${random}`;
+}
+
+class SyncManager {
+    /**
+     * @param {PersistenceLayer} persistence
+     * @param {SyncCallbacks} callbacks
+     * @param {function} fetchImpl - Injected for tests
+     */
+    constructor(persistence, callbacks = {}, fetchImpl = (...args) => fetch(...args)) {
+        this.persistence = persistence;
+        this.fetch = fetchImpl;
+        this.onApplied = callbacks.onApplied || (() => {});
+        this.onStatus = callbacks.onStatus || (() => {});
+        this.endpoint = '';
+        this.token = '';
+        this.state = null;
+        this.flushing = null;
+        this.flushAgain = false;
+        this.flushTimer = null;
+        this.retryTimer = null;
+        this.ready = this.loadState();
+
+        if (typeof window !== 'undefined') {
+            window.addEventListener('online', () => this.flush());
+        }
+    }
+
+    async loadState() {
+        const saved = await this.persistence.getSetting(STATE_KEY, null);
+        this.state = { cursor: 0, queue: [], pending: {}, lastSyncedAt: null, ...saved };
+        if (!this.state.deviceId) {
+            this.state.deviceId = createDeviceId();
+            await this.saveState();
+        }
+    }
+
+    // Sync bookkeeping lives in the settings store but is never itself synced
+    async saveState() {
+        await this.persistence.saveSetting(STATE_KEY, this.state);
+    }
+
+    get enabled() { return this.endpoint.length > 0; }
+
+    /**
+     * @param {{ endpoint: string, token?: string }} config
+     */
+    configure({ endpoint, token = '' }) {
+        this.endpoint = (endpoint || '').trim().replace(/\/+$/, '');
+        this.token = (token || '').trim();
+        if (!this.enabled) this.stop();
+        this.onStatus(this.enabled ? 'idle' : 'disabled', this.state);
+    }
+
+    // Cancel scheduled flushes and retries
+    stop() {
+        clearTimeout(this.flushTimer);
+        clearTimeout(this.retryTimer);
+    }
+
+    // ==================== LOCAL CHANGES ====================
+
+    trackProgress(doc) { return this.track(progressRecord(doc)); }
+
+    trackDocument(doc) { return this.track(documentRecord(doc)); }
+
+    trackSetting(key, value, updatedAt = Date.now()) {
+        if (!SYNCED_SETTINGS.includes(key)) return Promise.resolve();
+        return this.track({ kind: 'setting', id: key, updatedAt, value });
+    }
+
+    async track(record) {
+        await this.ready;
+        // Queue even while disabled, so enabling sync later pushes recent history
+        this.state.queue = enqueue(this.state.queue, record);
+        await this.saveState();
+        this.scheduleFlush();
+    }
+
+    scheduleFlush(delay = FLUSH_DELAY_MS) {
+        if (!this.enabled) return;
+        clearTimeout(this.flushTimer);
+        this.flushTimer = setTimeout(() => this.flush(), delay);
+    }
+
+    /**
+     * Remote progress for a document that was not in this library when it
+     * arrived. A fresh import has no reading history of its own, so it takes
+     * the remote position as is.
+     * @param {DocumentMeta} doc - Mutated in place
+     * @returns {Promise<boolean>} Whether progress was adopted
+     */
+    async adoptPending(doc) {
+        await this.ready;
+        const record = this.state.pending[recordKey({ kind: 'progress', id: doc.id })];
+        if (!record || !isProgress(record.value)) return false;
+        doc.progress = { ...record.value };
+        delete this.state.pending[recordKey(record)];
+        await this.saveState();
+        return true;
+    }
+
+    // ==================== EXCHANGE ====================
+
+    /**
+     * Push queued changes and pull everything newer than the cursor.
+     * Concurrent calls share one request; a call during a request runs again after it.
+     * @returns {Promise<void>}
+     */
+    async flush() {
+        if (this.flushing) {
+            this.flushAgain = true;
+            return this.flushing;
+        }
+        this.flushing = this.exchange().finally(() => {
+            this.flushing = null;
+            if (this.flushAgain) {
+                this.flushAgain = false;
+                this.flush();
+            }
+        });
+        return this.flushing;
+    }
+
+    async exchange() {
+        await this.ready;
+        if (!this.enabled) return;
+        if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+            this.onStatus('offline', this.state);
+            return;
+        }
+
+        clearTimeout(this.retryTimer);
+        this.onStatus('syncing', this.state);
+        const sent = this.state.queue;
+        try {
+            const response = await this.post({ deviceId: this.state.deviceId, cursor: this.state.cursor, changes: sent });
+            // Drop what the server now has; changes tracked during the request stay queued
+            this.state.queue = this.state.queue.filter(record => !sent.includes(record));
+            const applied = await this.applyRemote(response.changes || []);
+            this.state.cursor = response.cursor ?? this.state.cursor;
+            this.state.lastSyncedAt = Date.now();
+            await this.saveState();
+            this.onStatus('idle', this.state);
+            if (applied.length > 0) this.onApplied(applied);
+        } catch (error) {
+            console.warn('[Sync] Failed:', error.message);
+            this.onStatus('error', this.state);
+            this.retryTimer = setTimeout(() => this.flush(), RETRY_DELAY_MS);
+        }
+    }
+
+    async post(body) {
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+        try {
+            const headers = { 'Content-Type': 'application/json' };
+            if (this.token) headers.Authorization = `Bearer ${this.token}`;
+            const res = await this.fetch(`${this.endpoint}/v1/sync`, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify(body),
+                signal: controller.signal
+            });
+            if (!res.ok) throw new Error(`Sync server returned ${res.status}`);
+            return await res.json();
+        } finally {
+            clearTimeout(timeout);
+        }
+    }
+
+    // ==================== REMOTE CHANGES ====================
+
+    /**
+     * Write remote records that beat the local copy
+     * @param {SyncRecord[]} records
+     * @returns {Promise<SyncRecord[]>} The records that were applied
+     */
+    async applyRemote(records) {
+        const applied = [];
+        for (const record of records) {
+            // A newer local change still waiting to be pushed wins
+            const queued = this.state.queue.find(q => recordKey(q) === recordKey(record));
+            if (queued && queued.updatedAt >= record.updatedAt) continue;
+            if (await this.applyRecord(record)) applied.push(record);
+        }
+        return applied;
+    }
+
+    async applyRecord(record) {
+        switch (record.kind) {
+            case 'progress': {
+                if (!isProgress(record.value)) return false;
+                const doc = await this.persistence.getDocument(record.id);
+                if (!doc) {
+                    const key = recordKey(record);
+                    if (isNewer(record, this.state.pending[key]?.updatedAt)) this.state.pending[key] = record;
+                    return false;
+                }
+                if (!isNewer(record, doc.progress?.updatedAt)) return false;
+                doc.progress = { ...record.value };
+                await this.persistence.saveDocument(doc);
+                return true;
+            }
+            case 'document': {
+                const doc = await this.persistence.getDocument(record.id);
+                // Metadata alone cannot be read; it waits for the file to be imported here
+                if (!doc || !isNewer(record, doc.updatedAt || doc.addedAt)) return false;
+                const value = record.value && typeof record.value === 'object' ? record.value : {};
+                for (const field of SYNCED_DOCUMENT_FIELDS) {
+                    if (SYNCED_DOCUMENT_FIELD_TYPES[field](value[field])) doc[field] = value[field];
+                }
+                doc.updatedAt = record.updatedAt;
+                await this.persistence.saveDocument(doc);
+                return true;
+            }
+            case 'setting': {
+                if (!SYNCED_SETTINGS.includes(record.id) || !SYNCED_SETTING_TYPES[record.id](record.value)) return false;
+                const local = await this.persistence.getSettingRecord(record.id);
+                if (local && !isNewer(record, local.updatedAt)) return false;
+                await this.persistence.saveSetting(record.id, record.value, record.updatedAt);
+                return true;
+            }
+            default:
+                return false;
+        }
+    }
+}
+
+export { SyncManager, SYNCED_DOCUMENT_FIELDS, SYNCED_SETTINGS, isNewer, enqueue };
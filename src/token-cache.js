@@ -0,0 +1,243 @@
+/**
+ * Token Cache
+ * Token records are stamped with the TOKEN_FORMAT_VERSION that built them.
+ * A stale cache is rebuilt when its document opens: re-tokenized from the
+ * stored source text when there is one, otherwise upgraded in place. Word
+ * indexes held elsewhere (progress, chapters, TOC, annotations) move with it.
+ * Current caches are stored column by column rather than as token objects.
+ */
+
+import { TOKEN_FORMAT_VERSION, tokenizeSections, upgradeTokens } from './engine/tokenizer.js';
+
+/**
+ * @typedef {Object} TokenRecord
+ * @property {string} docId
+ * @property {Token[]} tokens
+ * @property {number} [format] - TOKEN_FORMAT_VERSION that built the tokens, missing before version 2
+ * @property {number} cachedAt
+ */
+
+/**
+ * @typedef {Object} TokenColumns
+ * @property {number} count
+ * @property {string} words - Display words joined by line breaks
+ * @property {Uint16Array} orp - orpIndex per token
+ * @property {Uint16Array} lengths - flags.wordLength per token
+ * @property {Uint8Array} flags - Boolean flags and punctuation class, bit-packed
+ * @property {Float64Array} multipliers
+ */
+
+// ==================== COMPACT STORAGE ====================
+
+const PUNCTUATION_CLASSES = ['none', 'minor', 'major', 'terminal'];
+const PARAGRAPH_START = 1;
+const PARAGRAPH_END = 2;
+const ABBREVIATION = 4;
+const NUMERIC = 8;
+const PUNCTUATION_SHIFT = 4;
+
+/**
+ * Token objects cost far more in IndexedDB than their contents (every key and
+ * flag is serialized per token); one string and a few typed arrays do not
+ * @param {Token[]} tokens
+ * @returns {TokenColumns}
+ */
+function encodeTokens(tokens) {
+    const count = tokens.length;
+    const orp = new Uint16Array(count);
+    const lengths = new Uint16Array(count);
+    const flags = new Uint8Array(count);
+    const multipliers = new Float64Array(count);
+    tokens.forEach((token, i) => {
+        const f = token.flags;
+        orp[i] = token.orpIndex;
+        lengths[i] = f.wordLength;
+        flags[i] = (f.isParagraphStart ? PARAGRAPH_START : 0) |
+            (f.isParagraphEnd ? PARAGRAPH_END : 0) |
+            (f.isAbbreviation ? ABBREVIATION : 0) |
+            (f.isNumeric ? NUMERIC : 0) |
+            (Math.max(0, PUNCTUATION_CLASSES.indexOf(f.punctuation)) << PUNCTUATION_SHIFT);
+        multipliers[i] = token.multiplier;
+    });
+    // Display words never contain line breaks
+    return { count, words: tokens.map(token => token.word).join('\n'), orp, lengths, flags, multipliers };
+}
+
+/**
+ * @param {TokenColumns} columns
+ * @returns {Token[]}
+ */
+function decodeTokens({ count, words, orp, lengths, flags, multipliers }) {
+    const list = count > 0 ? words.split('\n') : [];
+    const tokens = new Array(count);
+    for (let i = 0; i < count; i++) {
+        const bits = flags[i];
+        tokens[i] = {
+            word: list[i],
+            orpIndex: orp[i],
+            multiplier: multipliers[i],
+            flags: {
+                isParagraphStart: (bits & PARAGRAPH_START) !== 0,
+                isParagraphEnd: (bits & PARAGRAPH_END) !== 0,
+                punctuation: PUNCTUATION_CLASSES[bits >> PUNCTUATION_SHIFT],
+                wordLength: lengths[i],
+                isAbbreviation: (bits & ABBREVIATION) !== 0,
+                isNumeric: (bits & NUMERIC) !== 0
+            }
+        };
+    }
+    return tokens;
+}
+
+/**
+ * Shape of a tokens store record for current-format tokens
+ * @param {string} docId
+ * @param {Token[]} tokens
+ * @param {number} [cachedAt]
+ * @returns {{ docId: string, format: number, columns: TokenColumns, cachedAt: number }}
+ */
+function packTokenRecord(docId, tokens, cachedAt = Date.now()) {
+    return { docId, format: TOKEN_FORMAT_VERSION, columns: encodeTokens(tokens), cachedAt };
+}
+
+/**
+ * Read a tokens store record, compact or not (stale caches keep their objects)
+ * @param {Object|undefined} stored
+ * @returns {TokenRecord|null}
+ */
+function unpackTokenRecord(stored) {
+    if (!stored) return null;
+    if (!stored.columns) return stored;
+    const { columns, ...record } = stored;
+    return { ...record, tokens: decodeTokens(columns) };
+}
+
+// ==================== REBUILDING ====================
+
+/**
+ * @typedef {Object} CacheContents
+ * @property {DocumentMeta} doc
+ * @property {Token[]|null} tokens - Stale tokens, or null if the cache was dropped
+ * @property {string[]|null} source - Stored source sections, one per chapter (or one without chapters)
+ * @property {Annotation[]} annotations
+ */
+
+/**
+ * @typedef {Object} RebuiltCache
+ * @property {DocumentMeta} doc - Copy with indexes moved onto the new tokens
+ * @property {Token[]} tokens
+ * @property {string[]|null} source - Sections that still produce tokens
+ * @property {Annotation[]} annotations - Copies with indexes moved onto the new tokens
+ */
+
+/**
+ * @param {TokenRecord|null} record
+ * @returns {boolean} Whether the tokens were built by another tokenizer format
+ */
+function isStaleTokenRecord(record) {
+    return !!record && (record.format ?? 1) !== TOKEN_FORMAT_VERSION;
+}
+
+/**
+ * Map an index between two tokenizations of the same sections, keeping its
+ * relative position inside its section
+ * @param {number} index
+ * @param {number[]} oldStarts - Section start indexes in the old tokens
+ * @param {number} oldCount
+ * @param {number[]} newStarts - Section start indexes in the new tokens
+ * @param {number} newCount
+ * @returns {number}
+ */
+function remapIndex(index, oldStarts, oldCount, newStarts, newCount) {
+    if (newCount === 0) return 0;
+    let section = 0;
+    while (section + 1 < oldStarts.length && oldStarts[section + 1] <= index) section++;
+    const oldStart = oldStarts[section];
+    const oldLength = (oldStarts[section + 1] ?? oldCount) - oldStart;
+    const newStart = newStarts[section];
+    const newLength = (newStarts[section + 1] ?? newCount) - newStart;
+    const offset = oldLength > 0 ? Math.floor((index - oldStart) * newLength / oldLength) : 0;
+    return Math.min(newStart + offset, newCount - 1);
+}
+
+// Chapters from section starts; sections left without tokens are dropped
+function chaptersFromStarts(chapters, starts, tokenCount) {
+    const kept = [];
+    starts.forEach((startWord, i) => {
+        const endWord = (starts[i + 1] ?? tokenCount) - 1;
+        if (endWord < startWord) return;
+        kept.push({ index: kept.length, title: chapters[i].title, startWord, endWord, section: i });
+    });
+    return kept;
+}
+
+function remapToc(entries, map) {
+    return entries.map(entry => ({
+        ...entry,
+        wordIndex: entry.wordIndex === null ? null : map(entry.wordIndex),
+        children: remapToc(entry.children || [], map)
+    }));
+}
+
+/**
+ * Rebuild stale or dropped tokens in the current format
+ * @param {CacheContents} contents
+ * @param {string} mode - 'reading' | 'skim' | custom profile id
+ * @param {{ profile?: Object }} options - Same as tokenize()
+ * @returns {RebuiltCache}
+ */
+function rebuildTokenCache({ doc, tokens, source, annotations = [] }, mode = 'reading', options = {}) {
+    const oldChapters = doc.chapters?.length ? doc.chapters : null;
+    const oldCount = tokens ? tokens.length : doc.wordCount;
+    const tokenizeOptions = { language: doc.language || undefined, profile: options.profile };
+    const sectionsMatch = source?.length > 0 && source.length === (oldChapters ? oldChapters.length : 1);
+
+    let newTokens, map, chapters = null, newSource = source || null;
+    if (sectionsMatch) {
+        const { tokens: retokenized, sectionStarts } = tokenizeSections(source, mode, tokenizeOptions);
+        const oldStarts = oldChapters ? oldChapters.map(c => c.startWord) : [0];
+        newTokens = retokenized;
+        map = (index) => remapIndex(index, oldStarts, oldCount, sectionStarts, retokenized.length);
+        if (oldChapters) {
+            const kept = chaptersFromStarts(oldChapters, sectionStarts, retokenized.length);
+            newSource = kept.map(c => source[c.section]);
+            chapters = kept.map(({ section, ...chapter }) => chapter);
+        }
+    } else {
+        if (!tokens) throw new Error('No saved text to rebuild this document from. Please re-import.');
+        // No usable source text: transform the cached tokens themselves
+        const indexMap = [];
+        newTokens = upgradeTokens(tokens, options.profile, indexMap);
+        map = (index) => Math.min(indexMap[Math.min(index, indexMap.length - 1)] ?? 0, Math.max(newTokens.length - 1, 0));
+        if (oldChapters) {
+            const starts = oldChapters.map(c => indexMap[c.startWord] ?? newTokens.length);
+            chapters = chaptersFromStarts(oldChapters, starts, newTokens.length).map(({ section, ...chapter }) => chapter);
+        }
+    }
+
+    const rebuilt = {
+        ...doc,
+        wordCount: newTokens.length,
+        firstProseWordIndex: doc.firstProseWordIndex ? map(doc.firstProseWordIndex) : 0,
+        chapters,
+        toc: doc.toc ? remapToc(doc.toc, map) : doc.toc
+    };
+    if (doc.progress) rebuilt.progress = { ...doc.progress, currentIndex: map(doc.progress.currentIndex || 0) };
+
+    return {
+        doc: rebuilt,
+        tokens: newTokens,
+        source: newSource,
+        annotations: annotations.map(a => ({ ...a, startIndex: map(a.startIndex), endIndex: map(a.endIndex) }))
+    };
+}
+
+export {
+    isStaleTokenRecord,
+    encodeTokens,
+    decodeTokens,
+    packTokenRecord,
+    unpackTokenRecord,
+    remapIndex,
+    rebuildTokenCache
+};
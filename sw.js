@@ -3,7 +3,7 @@
  * Caches app shell for offline use. Document content is stored in IndexedDB.
  */
 
-const CACHE_NAME = 'red-reader-v30';
+const CACHE_NAME = 'red-reader-v33';
 const APP_SHELL = [
     '/',
     '/index.html',
@@ -13,6 +13,32 @@ const APP_SHELL = [
     '/icons/icon-512.png'
 ];
 
+// ES modules behind app.js; build.js replaces this list with the dist bundle
+const APP_MODULES = [
+    '/app.js',
+    '/src/persistence.js',
+    '/src/backup.js',
+    '/src/token-cache.js',
+    '/src/storage.js',
+    '/src/library.js',
+    '/src/stats.js',
+    '/src/engine/search.js',
+    '/src/document-search.js',
+    '/src/sync.js',
+    '/src/device.js',
+    '/src/engine/tokenizer.js',
+    '/src/engine/chunking.js',
+    '/src/engine/annotations.js',
+    '/src/engine/context.js',
+    '/src/engine/navigation.js',
+    '/src/engine/estimate.js',
+    '/src/engine/playback.js',
+    '/src/engine/ramp.js',
+    '/src/engine/pacing.js',
+    '/src/importers/epub.js',
+    '/src/exporters/document.js'
+];
+
 // External CDN resources to cache
 const CDN_RESOURCES = [
     'https://cdnjs.cloudflare.com/ajax/libs/jszip/3.10.1/jszip.min.js',
@@ -26,7 +52,7 @@ self.addEventListener('install', (event) => {
         caches.open(CACHE_NAME).then((cache) => {
             console.log('[SW] Caching app shell');
             // Cache local files
-            const localCaching = cache.addAll(APP_SHELL).catch(err => {
+            const localCaching = cache.addAll([...APP_SHELL, ...APP_MODULES]).catch(err => {
                 console.warn('[SW] Some local files failed to cache:', err);
             });
             // Cache CDN resources separately (they might fail due to CORS)
@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+/**
+ * Reference Sync Server
+ * Minimal, dependency-free implementation of the progress sync protocol
+ * (see src/sync.js) for local testing and self-hosting.
+ *
+ * Usage: node sync-server.js
+ *   PORT        Port to listen on (default 8787)
+ *   SYNC_DATA   JSON file to persist records in (default: memory only)
+ *   SYNC_TOKEN  If set, requests must send "Authorization: Bearer <token>"
+ *
+ * Endpoints:
+ *   GET  /v1/health  → { ok: true }
+ *   POST /v1/sync    { deviceId, cursor, changes: SyncRecord[] }
+ *                    → { cursor, changes: SyncRecord[] }
+ *
+ * Every stored record gets a sequence number. A sync stores each change that
+ * is newer (updatedAt) than the server's copy, then returns the records with a
+ * sequence above the client's cursor, minus the ones it just sent, plus the
+ * new cursor. Clients keep the cursor and send it with the next sync.
+ */
+
+import fs from 'fs';
+import http from 'http';
+import { fileURLToPath } from 'url';
+
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+const KINDS = ['progress', 'document', 'setting'];
+
+const recordKey = (record) => `${record.kind}:${record.id}`;
+
+function isValidRecord(record) {
+    return record !== null && typeof record === 'object' &&
+        KINDS.includes(record.kind) &&
+        typeof record.id === 'string' && record.id.length > 0 &&
+        Number.isFinite(record.updatedAt);
+}
+
+/**
+ * Record store with last-writer-wins merging
+ * @param {string|null} dataFile - Persist to this JSON file, or keep in memory
+ */
+function createStore(dataFile = null) {
+    let seq = 0;
+    const records = new Map();
+
+    if (dataFile && fs.existsSync(dataFile)) {
+        const saved = JSON.parse(fs.readFileSync(dataFile, 'utf8'));
+        seq = saved.seq || 0;
+        for (const record of saved.records || []) records.set(recordKey(record), record);
+    }
+
+    const save = () => {
+        if (!dataFile) return;
+        fs.writeFileSync(dataFile, JSON.stringify({ seq, records: [...records.values()] }));
+    };
+
+    return {
+        /**
+         * @param {{ deviceId: string, cursor: number, changes: Object[] }} request
+         * @returns {{ cursor: number, changes: Object[] }}
+         */
+        sync({ deviceId, cursor = 0, changes = [] }) {
+            const accepted = new Set();
+            for (const change of changes) {
+                const existing = records.get(recordKey(change));
+                if (existing && existing.updatedAt >= change.updatedAt) continue;
+                const stored = { kind: change.kind, id: change.id, updatedAt: change.updatedAt, value: change.value, deviceId, seq: ++seq };
+                records.set(recordKey(stored), stored);
+                accepted.add(stored);
+            }
+            if (accepted.size > 0) save();
+
+            const outgoing = [...records.values()]
+                .filter(record => record.seq > cursor && !accepted.has(record))
+                .sort((a, b) => a.seq - b.seq)
+                .map(({ kind, id, updatedAt, value }) => ({ kind, id, updatedAt, value }));
+            return { cursor: seq, changes: outgoing };
+        }
+    };
+}
+
+function send(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(Object.assign(new Error('Request too large'), { status: 413 }));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * @param {{ dataFile?: string|null, token?: string }} options
+ * @returns {http.Server}
+ */
+function createSyncServer({ dataFile = null, token = '' } = {}) {
+    const store = createStore(dataFile);
+
+    return http.createServer(async (req, res) => {
+        // The app is served from another origin
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+        if (req.method === 'OPTIONS') return send(res, 204);
+
+        const path = new URL(req.url, 'http://localhost').pathname;
+        if (req.method === 'GET' && path === '/v1/health') return send(res, 200, { ok: true });
+        if (path !== '/v1/sync') return send(res, 404, { error: 'Not found' });
+        if (req.method !== 'POST') return send(res, 405, { error: 'Method not allowed' });
+        if (token && req.headers.authorization !== `Bearer ${token}`) return send(res, 401, { error: 'Unauthorized' });
+
+        let body;
+        try {
+            body = JSON.parse(await readBody(req));
+        } catch (error) {
+            return send(res, error.status || 400, { error: error.status ? error.message : 'Invalid JSON' });
+        }
+        if (typeof body?.deviceId !== 'string' || !Array.isArray(body.changes) || !body.changes.every(isValidRecord)) {
+            return send(res, 400, { error: 'Expected { deviceId, cursor, changes: [{ kind, id, updatedAt, value }] }' });
+        }
+
+        const result = store.sync({ deviceId: body.deviceId, cursor: Number(body.cursor) || 0, changes: body.changes });
+        console.log(`[sync] ${body.deviceId}: ${body.changes.length} in, ${result.changes.length} out, cursor ${result.cursor}`);
+        send(res, 200, result);
+    });
+}
+
+// Run directly: node sync-server.js
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const port = Number(process.env.PORT) || 8787;
+    const server = createSyncServer({ dataFile: process.env.SYNC_DATA || null, token: process.env.SYNC_TOKEN || '' });
+    server.listen(port, () => {
+        console.log(`Sync server listening on http://localhost:${port}`);
+        console.log(`  data: ${process.env.SYNC_DATA || 'memory only'}`);
+        console.log(`  auth: ${process.env.SYNC_TOKEN ? 'bearer token' : 'none'}`);
+    });
+}
+
+export { createSyncServer, createStore };
@@ -0,0 +1,52 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { tokenize } from '../src/engine/tokenizer.js';
+import { getSentenceRange, buildSnippet, createAnnotation } from '../src/engine/annotations.js';
+
+const TEXT = 'The U.S. team arrived late. He said nothing at all.\n\nA new paragraph starts here';
+const tokens = tokenize(TEXT);
+const indexOf = (word) => tokens.findIndex(t => t.word === word);
+
+describe('getSentenceRange', () => {
+    it('spans terminal punctuation but not abbreviations', () => {
+        assert.deepEqual(getSentenceRange(tokens, indexOf('arrived')), { start: 0, end: 4 });
+        assert.deepEqual(getSentenceRange(tokens, indexOf('nothing')), { start: 5, end: 9 });
+    });
+
+    it('stops at paragraph boundaries without terminal punctuation', () => {
+        const { start, end } = getSentenceRange(tokens, indexOf('starts'));
+        assert.equal(tokens[start].word, 'A');
+        assert.equal(end, tokens.length - 1);
+    });
+});
+
+describe('buildSnippet', () => {
+    it('marks text cut mid-sentence with ellipses', () => {
+        // Display words carry no punctuation
+        assert.equal(buildSnippet(tokens, 2, 3), '…team arrived…');
+        assert.equal(buildSnippet(tokens, 5, 9), 'He said nothing at all');
+    });
+
+    it('clamps to the document', () => {
+        assert.equal(buildSnippet(tokens, -3, 1), 'The US…');
+    });
+});
+
+describe('createAnnotation', () => {
+    it('bookmarks one token with surrounding context', () => {
+        const index = indexOf('nothing');
+        const bookmark = createAnnotation(tokens, 'doc_1', 'bookmark', index);
+        assert.equal(bookmark.docId, 'doc_1');
+        assert.equal(bookmark.type, 'bookmark');
+        assert.equal(bookmark.startIndex, index);
+        assert.equal(bookmark.endIndex, index);
+        assert.ok(bookmark.snippet.includes('said nothing at'));
+        assert.match(bookmark.id, /^bookmark_/);
+    });
+
+    it('highlights the whole sentence around the token', () => {
+        const highlight = createAnnotation(tokens, 'doc_1', 'highlight', indexOf('said'));
+        assert.deepEqual([highlight.startIndex, highlight.endIndex], [5, 9]);
+        assert.equal(highlight.snippet, 'He said nothing at all');
+    });
+});
@@ -0,0 +1,165 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import JSZip from 'jszip';
+import './helpers/environment.js';
+import { buildBackupArchive, readBackupArchive, planRestore, backupFileName } from '../src/backup.js';
+
+const doc = (id, updatedAt) => ({ id, title: id, wordCount: 100, progress: { currentIndex: 10, updatedAt } });
+
+function library(docs, extra = {}) {
+    return {
+        library: docs,
+        tokens: docs.map(d => ({ docId: d.id, tokens: [{ word: d.id }], cachedAt: 1 })),
+        sources: docs.map(d => ({ docId: d.id, sections: [`Text of ${d.id}.`], savedAt: 1 })),
+        annotations: [],
+        sessions: [],
+        pacingEvents: [],
+        settings: [],
+        ...extra
+    };
+}
+
+describe('backup archive', () => {
+    it('round-trips every store, including document ids unsafe in paths', async () => {
+        const data = library([doc('doc_1', 5), doc('url-https://a/b?c', 7)], {
+            annotations: [{ id: 'bookmark_1', docId: 'doc_1', startIndex: 3 }],
+            settings: [{ key: 'rampEnabled', value: true }, { key: 'defaultWPM', value: 450 }]
+        });
+        const restored = await readBackupArchive(await buildBackupArchive(data));
+        assert.deepEqual(restored.library, data.library);
+        assert.deepEqual(restored.settings, data.settings);
+        assert.deepEqual(restored.annotations, data.annotations);
+        assert.deepEqual(restored.tokens.sort((a, b) => a.docId.localeCompare(b.docId)), data.tokens);
+        assert.equal(restored.sources.length, 2);
+    });
+
+    it('leaves the sync identity and credentials out', async () => {
+        const data = library([], {
+            settings: [
+                { key: 'syncState', value: { deviceId: 'device-1', cursor: 12, queue: [], pending: {} } },
+                { key: 'syncEndpoint', value: 'https://sync.example' },
+                { key: 'syncToken', value: 'secret' },
+                { key: 'defaultWPM', value: 450 }
+            ]
+        });
+        const zip = await JSZip.loadAsync(await buildBackupArchive(data));
+        const stored = JSON.parse(await zip.file('settings.json').async('string'));
+        assert.deepEqual(stored, [{ key: 'defaultWPM', value: 450 }]);
+    });
+
+    it('rejects archives that are not backups', async () => {
+        const zip = new JSZip();
+        zip.file('mimetype', 'application/epub+zip');
+        const other = await zip.generateAsync({ type: 'uint8array' });
+        await assert.rejects(readBackupArchive(other), /Not a library backup/);
+        await assert.rejects(readBackupArchive(new Uint8Array([1, 2, 3])), /Not a library backup/);
+    });
+
+    it('rejects backups with malformed records', async () => {
+        const zip = await JSZip.loadAsync(await buildBackupArchive(library([doc('doc_1', 5)])));
+        const edited = async (path, content) => {
+            const copy = await JSZip.loadAsync(await zip.generateAsync({ type: 'uint8array' }));
+            copy.file(path, content);
+            return copy.generateAsync({ type: 'uint8array' });
+        };
+        await assert.rejects(readBackupArchive(await edited('library.json', JSON.stringify([{ id: 'doc_1', title: 7, wordCount: 100 }]))), /Not a library backup/);
+        await assert.rejects(readBackupArchive(await edited('library.json', JSON.stringify([{ id: 'doc_1', title: 'T' }]))), /Not a library backup/);
+        await assert.rejects(readBackupArchive(await edited('tokens/doc_1.json', JSON.stringify({ tokens: [] }))), /Not a library backup/);
+        await assert.rejects(readBackupArchive(await edited('sources/doc_1.json', '{ not json')), /Not a library backup/);
+        await assert.rejects(readBackupArchive(await edited('settings.json', JSON.stringify({ defaultWPM: 450 }))), /Not a library backup/);
+    });
+
+    it('rejects backups from a newer format version', async () => {
+        const zip = new JSZip();
+        zip.file('manifest.json', JSON.stringify({ format: 'red-reader-backup', version: 99 }));
+        await assert.rejects(readBackupArchive(await zip.generateAsync({ type: 'uint8array' })), /newer version/);
+    });
+});
+
+describe('planRestore', () => {
+    it('replace clears the stores and writes the whole backup', () => {
+        const incoming = library([doc('a', 1)], { settings: [{ key: 'defaultWPM', value: 450 }] });
+        const plan = planRestore(library([doc('b', 2)]), incoming, 'replace');
+        assert.equal(plan.clear, true);
+        assert.deepEqual(plan.records, { ...incoming, rampStates: [] });
+    });
+
+    it('replace keeps this device\'s sync settings', () => {
+        const local = library([], {
+            settings: [
+                { key: 'syncState', value: { deviceId: 'device-here', cursor: 9 } },
+                { key: 'syncToken', value: 'secret-here' },
+                { key: 'defaultWPM', value: 300 }
+            ]
+        });
+        const incoming = library([], { settings: [{ key: 'syncState', value: { deviceId: 'device-there', cursor: 40 } }] });
+        const { records } = planRestore(local, incoming, 'replace');
+        assert.deepEqual(records.settings, [
+            { key: 'syncState', value: { deviceId: 'device-here', cursor: 9 } },
+            { key: 'syncToken', value: 'secret-here' }
+        ]);
+    });
+
+    it('merge adds new documents and resolves conflicts by progress.updatedAt', () => {
+        const local = library([doc('same-older', 100), doc('same-newer', 300), doc('local-only', 1)]);
+        const incoming = library([doc('same-older', 200), doc('same-newer', 250), doc('backup-only', 1)]);
+        const plan = planRestore(local, incoming, 'merge');
+
+        assert.equal(plan.clear, false);
+        assert.deepEqual(plan.documents, { added: 1, updated: 1, kept: 1 });
+        assert.deepEqual(plan.records.library.map(d => d.id), ['same-older', 'backup-only']);
+        assert.deepEqual(plan.records.tokens.map(t => t.docId), ['backup-only']);
+        assert.deepEqual(plan.records.sources.map(t => t.docId), ['backup-only']);
+    });
+
+    it('merge takes only newer progress onto the local record', () => {
+        const local = library([{ ...doc('book', 100), tags: ['fiction'], collections: ['c1'], timeUnits: 12 }]);
+        const incoming = library([{ ...doc('book', 200), title: 'Old title', tags: [] }]);
+        const [merged] = planRestore(local, incoming, 'merge').records.library;
+        assert.deepEqual(merged.tags, ['fiction']);
+        assert.deepEqual(merged.collections, ['c1']);
+        assert.equal(merged.timeUnits, 12);
+        assert.equal(merged.title, 'book');
+        assert.equal(merged.progress.updatedAt, 200);
+    });
+
+    it('merge unions annotations and sessions and only fills missing settings, stamped now', () => {
+        const local = library([], {
+            annotations: [{ id: 'x' }],
+            sessions: [{ id: 'session_1' }],
+            settings: [
+                { key: 'defaultWPM', value: 300 },
+                { key: 'customTimingProfiles', value: [{ id: 'custom-1', name: 'Mine' }] }
+            ]
+        });
+        const incoming = library([], {
+            annotations: [{ id: 'x' }, { id: 'y' }],
+            sessions: [{ id: 'session_1' }, { id: 'session_2' }],
+            settings: [
+                { key: 'defaultWPM', value: 600 },
+                { key: 'rampEnabled', value: true },
+                { key: 'customTimingProfiles', value: [{ id: 'custom-1', name: 'Theirs' }, { id: 'custom-2', name: 'New' }] }
+            ]
+        });
+        const { records } = planRestore(local, incoming, 'merge', 500);
+        assert.deepEqual(records.annotations, [{ id: 'y' }]);
+        assert.deepEqual(records.sessions, [{ id: 'session_2' }]);
+        assert.deepEqual(records.settings, [
+            { key: 'rampEnabled', value: true, updatedAt: 500 },
+            { key: 'customTimingProfiles', value: [{ id: 'custom-1', name: 'Mine' }, { id: 'custom-2', name: 'New' }], updatedAt: 500 }
+        ]);
+    });
+
+    it('merge unions pacing events by id', () => {
+        const event = (id) => ({ id, at: 1, type: 'pause', wpm: 300, change: 0, docId: null });
+        const local = library([], { pacingEvents: [event('pacing_a')] });
+        const incoming = library([], { pacingEvents: [event('pacing_a'), event('pacing_b')] });
+        assert.deepEqual(planRestore(local, incoming, 'merge').records.pacingEvents, [event('pacing_b')]);
+    });
+});
+
+describe('backupFileName', () => {
+    it('dates the archive', () => {
+        assert.equal(backupFileName(Date.UTC(2026, 9, 19)), 'red-reader-library-2026-10-19.zip');
+    });
+});
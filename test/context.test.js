@@ -0,0 +1,45 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { tokenize } from '../src/engine/tokenizer.js';
+import { getParagraphRange, buildContextView } from '../src/engine/context.js';
+
+const TEXT = 'First paragraph here.\n\nOne two three. Four five six. Seven eight nine.\n\nLast one';
+const tokens = tokenize(TEXT);
+const indexOf = (word) => tokens.findIndex(t => t.word === word);
+const text = (view) => view.words.map(w => (w.spaceBefore ? ' ' : '') + w.text).join('');
+
+describe('getParagraphRange', () => {
+    it('follows the paragraph flags', () => {
+        assert.deepEqual(getParagraphRange(tokens, indexOf('five')), { start: indexOf('One'), end: indexOf('nine') });
+        assert.deepEqual(getParagraphRange(tokens, 0), { start: 0, end: indexOf('here') });
+        assert.deepEqual(getParagraphRange(tokens, tokens.length - 1), { start: indexOf('Last'), end: tokens.length - 1 });
+    });
+});
+
+describe('buildContextView', () => {
+    it('shows the whole paragraph when it fits', () => {
+        const view = buildContextView(tokens, indexOf('five'));
+        assert.equal(text(view), 'One two three Four five six Seven eight nine');
+        assert.equal(view.words.find(w => w.index === indexOf('five')).text, 'five');
+        assert.equal(view.clippedStart, false);
+        assert.equal(view.clippedEnd, false);
+    });
+
+    it('cuts a long paragraph at sentences around the index', () => {
+        const view = buildContextView(tokens, indexOf('five'), 5);
+        assert.deepEqual([view.start, view.end], [indexOf('Four'), indexOf('six')]);
+        assert.equal(view.clippedStart, true);
+        assert.equal(view.clippedEnd, true);
+    });
+
+    it('keeps the index in view when no sentence boundary fits', () => {
+        const view = buildContextView(tokens, indexOf('five'), 2);
+        assert.ok(view.start <= indexOf('five') && view.end >= indexOf('five'));
+        assert.equal(view.words.length, 2);
+    });
+
+    it('joins unspaced scripts without spaces', () => {
+        const cjk = tokenize('我们去学校');
+        assert.equal(text(buildContextView(cjk, 0)), cjk.map(t => t.word).join(''));
+    });
+});
@@ -0,0 +1,250 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import JSZip from 'jszip';
+import { quietConsole } from './helpers/environment.js';
+import { buildEpub } from './helpers/epub-builder.js';
+import { tokenizeSections } from '../src/engine/tokenizer.js';
+import { parseEpub, splitAtAnchors, locateAnchors, anchorChapters, anchorToc } from '../src/importers/epub.js';
+
+quietConsole();
+
+const PROSE = 'The rain had not stopped for three days. Everyone in the village stayed inside and waited.';
+
+describe('parseEpub', () => {
+    it('reads metadata including the language', async () => {
+        const epub = await buildEpub({
+            title: 'Le Livre', author: 'A. Auteur', language: 'fr',
+            sections: [{ file: 'ch1.xhtml', body: PROSE }]
+        });
+        const { metadata } = await parseEpub(epub);
+        assert.deepEqual(metadata, { title: 'Le Livre', author: 'A. Auteur', language: 'fr' });
+    });
+
+    it('defaults missing metadata', async () => {
+        const epub = await buildEpub({ title: '', sections: [{ file: 'ch1.xhtml', body: PROSE }] });
+        const { metadata } = await parseEpub(epub);
+        assert.deepEqual(metadata, { title: 'Untitled', author: '', language: '' });
+    });
+
+    it('keeps spine order and separates sections by blank lines', async () => {
+        const epub = await buildEpub({
+            sections: [
+                { file: 'b.xhtml', body: 'Second file first.' },
+                { file: 'a.xhtml', body: 'First file second.' }
+            ]
+        });
+        const { text, sectionCount } = await parseEpub(epub);
+        assert.equal(text, 'Second file first.\n\nFirst file second.');
+        assert.equal(sectionCount, 2);
+    });
+
+    it('skips the nav document and front matter by file name', async () => {
+        const epub = await buildEpub({
+            nav: true,
+            sections: [
+                { file: 'copyright.xhtml', body: 'All rights reserved.' },
+                { file: 'ch1.xhtml', body: PROSE, navTitle: 'Rain' }
+            ]
+        });
+        const { text, sections } = await parseEpub(epub);
+        assert.equal(text, PROSE);
+        assert.equal(sections.length, 1);
+    });
+
+    it('returns each section with its text', async () => {
+        const epub = await buildEpub({
+            sections: [
+                { file: 'ch1.xhtml', body: 'One two three.' },
+                { file: 'ch2.xhtml', body: 'Four five.\n\nSix.' }
+            ]
+        });
+        const { sections, wordCount } = await parseEpub(epub);
+        assert.deepEqual(sections.map(s => s.text), ['One two three.', 'Four five.\nSix.']);
+        assert.equal(wordCount, 6);
+    });
+
+    it('reports the section where the prose starts after front matter', async () => {
+        const epub = await buildEpub({
+            sections: [
+                { file: 'front.xhtml', body: 'For my mother.' },
+                { file: 'ch1.xhtml', heading: 'Chapter One', body: PROSE }
+            ]
+        });
+        const { firstProseSection } = await parseEpub(epub);
+        assert.equal(firstProseSection, 1);
+    });
+
+    it('throws on a zip without container.xml', async () => {
+        const zip = new JSZip();
+        zip.file('mimetype', 'application/epub+zip');
+        const broken = await zip.generateAsync({ type: 'nodebuffer' });
+        await assert.rejects(parseEpub(broken), /missing container\.xml/);
+    });
+
+    it('throws when no spine item is readable text', async () => {
+        const epub = await buildEpub({ sections: [{ file: 'toc.xhtml', body: 'Only a table of contents.' }] });
+        await assert.rejects(parseEpub(epub), /Could not extract content/);
+    });
+});
+
+describe('parseEpub chapter titles', () => {
+    const titlesOf = async (book) => (await parseEpub(await buildEpub(book))).sections.map(s => s.title);
+
+    it('prefers the EPUB 3 nav document', async () => {
+        const titles = await titlesOf({
+            nav: true, ncx: true,
+            sections: [{ file: 'ch1.xhtml', heading: 'Heading Title', body: PROSE, navTitle: 'Nav Title' }]
+        });
+        assert.deepEqual(titles, ['Nav Title']);
+    });
+
+    it('uses the EPUB 2 NCX when there is no nav document', async () => {
+        const titles = await titlesOf({
+            ncx: true,
+            sections: [{ file: 'ch1.xhtml', heading: 'Heading Title', body: PROSE, navTitle: 'NCX Title' }]
+        });
+        assert.deepEqual(titles, ['NCX Title']);
+    });
+
+    it('falls back to the first heading', async () => {
+        const titles = await titlesOf({ sections: [{ file: 'ch1.xhtml', heading: 'The Storm', body: PROSE }] });
+        assert.deepEqual(titles, ['The Storm']);
+    });
+
+    it('rejects junk titles and falls through', async () => {
+        const titles = await titlesOf({
+            nav: true,
+            sections: [{ file: 'ch1.xhtml', heading: 'The Storm', body: PROSE, navTitle: 'Contents' }]
+        });
+        assert.deepEqual(titles, ['The Storm']);
+    });
+
+    it('numbers untitled sections "Chapter N" by position', async () => {
+        const titles = await titlesOf({
+            sections: [
+                { file: 'ch1.xhtml', heading: 'Prologue', body: PROSE },
+                { file: 'ch2.xhtml', body: PROSE },
+                { file: 'ch3.xhtml', heading: '12', body: PROSE }
+            ]
+        });
+        assert.deepEqual(titles, ['Prologue', 'Chapter 2', 'Chapter 3']);
+    });
+
+    it('truncates very long titles', async () => {
+        const long = 'A Very Long Chapter Title That Goes On And On Well Past Sixty Characters';
+        const [title] = await titlesOf({ sections: [{ file: 'ch1.xhtml', heading: long, body: PROSE }] });
+        assert.equal(title.length, 60);
+        assert.ok(title.endsWith('...'));
+    });
+});
+
+describe('anchorChapters', () => {
+    it('anchors chapters on the token stream, not raw whitespace words', async () => {
+        // Dashes split words, orphan punctuation merges, symbol-only words drop:
+        // raw whitespace counts would put chapter 2 at word 8, the tokens at 7
+        const epub = await buildEpub({
+            sections: [
+                { file: 'ch1.xhtml', heading: 'First Light', body: 'A well-known fact — * truly.' },
+                { file: 'ch2.xhtml', heading: 'Second Wind', body: 'Next words here.' }
+            ]
+        });
+        const { sections } = await parseEpub(epub);
+        const { tokens, sectionStarts } = tokenizeSections(sections.map(s => s.text));
+        const chapters = anchorChapters(sections, sectionStarts, tokens.length);
+
+        assert.deepEqual(chapters.map(c => [c.title, c.startWord, c.endWord]), [
+            ['First Light', 0, 6],
+            ['Second Wind', 7, 11]
+        ]);
+        assert.equal(tokens[chapters[1].startWord].word, 'Second');
+    });
+
+    it('drops sections that produced no tokens and renumbers the rest', () => {
+        const sections = [
+            { index: 0, title: 'One', text: 'Words here.' },
+            { index: 1, title: 'Ornament', text: '* * *' },
+            { index: 2, title: 'Two', text: 'More words.' }
+        ];
+        const { tokens, sectionStarts } = tokenizeSections(sections.map(s => s.text));
+        const chapters = anchorChapters(sections, sectionStarts, tokens.length);
+        assert.deepEqual(chapters, [
+            { index: 0, title: 'One', startWord: 0, endWord: 1 },
+            { index: 1, title: 'Two', startWord: 2, endWord: 3 }
+        ]);
+    });
+});
+
+describe('table of contents', () => {
+    const NESTED = {
+        nav: true, ncx: true,
+        sections: [
+            { file: 'ch1.xhtml', html: [
+                '<h1>Part One</h1>', '<p>Opening words here.</p>',
+                '<h2 id="s1">Scene One</h2>', '<p>The first scene.</p>',
+                '<h2 id="s2">Scene Two</h2>', '<p>The second scene ends.</p>'
+            ].join('\n') },
+            { file: 'ch2.xhtml', html: '<h1>Part Two</h1>\n<p>Closing words.</p>' }
+        ],
+        toc: [
+            { title: 'Part One', href: 'ch1.xhtml', children: [
+                { title: 'Scene One', href: 'ch1.xhtml#s1' },
+                { title: 'Scene Two', href: 'ch1.xhtml#s2' }
+            ] },
+            { title: 'Part Two', href: 'ch2.xhtml' }
+        ]
+    };
+
+    const shape = (entries) => entries.map(e => [e.title, e.section, e.fragment, shape(e.children)]);
+
+    it('keeps the nav hierarchy and fragment targets', async () => {
+        const { toc } = await parseEpub(await buildEpub(NESTED));
+        assert.deepEqual(shape(toc), [
+            ['Part One', 0, '', [['Scene One', 0, 's1', []], ['Scene Two', 0, 's2', []]]],
+            ['Part Two', 1, '', []]
+        ]);
+    });
+
+    it('reads the same hierarchy from nested NCX navPoints', async () => {
+        const { toc } = await parseEpub(await buildEpub({ ...NESTED, nav: false }));
+        assert.deepEqual(shape(toc), [
+            ['Part One', 0, '', [['Scene One', 0, 's1', []], ['Scene Two', 0, 's2', []]]],
+            ['Part Two', 1, '', []]
+        ]);
+    });
+
+    it('records fragment offsets within the section text', async () => {
+        const { sections } = await parseEpub(await buildEpub(NESTED));
+        const [first] = sections;
+        assert.deepEqual(first.anchors.map(a => a.id), ['s1', 's2']);
+        for (const anchor of first.anchors) {
+            assert.ok(first.text.slice(anchor.offset).startsWith(anchor.id === 's1' ? 'Scene One' : 'Scene Two'));
+        }
+    });
+
+    it('anchors sub-section entries on the exact token of their fragment', async () => {
+        const epub = await parseEpub(await buildEpub(NESTED));
+        const pieces = splitAtAnchors(epub.sections);
+        const { tokens, sectionStarts: pieceStarts } = tokenizeSections(pieces.map(p => p.text));
+        const { sectionStarts, fragmentStarts } = locateAnchors(pieces, pieceStarts);
+        const toc = anchorToc(epub.toc, sectionStarts, fragmentStarts, tokens.length);
+
+        const [partOne, partTwo] = toc;
+        assert.equal(tokens[partOne.wordIndex].word, 'Part');
+        assert.deepEqual(partOne.children.map(c => tokens[c.wordIndex].word), ['Scene', 'Scene']);
+        assert.equal(tokens[partOne.children[1].wordIndex + 1].word, 'Two');
+        assert.equal(tokens[partTwo.wordIndex].word, 'Part');
+        assert.equal(tokens[partTwo.wordIndex + 1].word, 'Two');
+    });
+
+    it('falls back to the section start for unknown fragments and skips missing sections', () => {
+        const toc = [
+            { title: 'Known', section: 1, fragment: 'missing', children: [] },
+            { title: 'Skipped', section: -1, fragment: '', children: [] }
+        ];
+        const anchored = anchorToc(toc, [0, 5], new Map(), 10);
+        assert.deepEqual(anchored, [
+            { title: 'Known', wordIndex: 5, children: [] },
+            { title: 'Skipped', wordIndex: null, children: [] }
+        ]);
+    });
+});
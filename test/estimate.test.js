@@ -0,0 +1,66 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { quietConsole } from './helpers/environment.js';
+import { tokenize, getDisplayDuration, resetDurationClamp } from '../src/engine/tokenizer.js';
+import { buildTimeIndex, estimateRangeMs, estimateDocumentMs, formatDuration, formatClock } from '../src/engine/estimate.js';
+
+quietConsole();
+
+// Hard stops keep their full multiplier, so these sum exactly
+const tokens = [1.0, 1.5, 1.0, 2.0].map(multiplier => ({ word: 'w', multiplier, flags: { punctuation: 'terminal' } }));
+
+describe('estimateRangeMs', () => {
+    const index = buildTimeIndex(tokens);
+
+    it('sums multipliers over an inclusive range at the given speed', () => {
+        // 60 wpm = 1000ms per unit multiplier
+        assert.equal(estimateRangeMs(index, 0, 3, 60), 5500);
+        assert.equal(estimateRangeMs(index, 1, 2, 60), 2500);
+    });
+
+    it('clamps the range to the document and returns 0 for empty ranges', () => {
+        assert.equal(estimateRangeMs(index, -5, 99, 60), 5500);
+        assert.equal(estimateRangeMs(index, 3, 2, 60), 0);
+    });
+
+    it('applies the smoothing clamp between ordinary words', () => {
+        const plain = [1.0, 2.0, 0.5].map(multiplier => ({ word: 'w', multiplier, flags: {} }));
+        // 2.0 is held to 1.15, then 0.5 to 1.15 * 0.85
+        assert.equal(estimateRangeMs(buildTimeIndex(plain), 0, 2, 60), 1000 + 1150 + 977.5);
+    });
+
+    it('matches the durations playback shows', () => {
+        const text = 'It was the best of times, it was the worst of times. Extraordinarily long words slow things; 1984 too.\n\nNext paragraph here.';
+        const words = tokenize(text);
+        resetDurationClamp();
+        const played = words.reduce((total, token) => total + getDisplayDuration(token, 60), 0);
+        const estimated = estimateRangeMs(buildTimeIndex(words), 0, words.length - 1, 60);
+        // Playback rounds each word to whole milliseconds
+        assert.ok(Math.abs(played - estimated) <= words.length, `${played} vs ${estimated}`);
+    });
+});
+
+describe('estimateDocumentMs', () => {
+    it('spreads the saved total over the words left', () => {
+        const doc = { wordCount: 1000, timeUnits: 1200, progress: { currentIndex: 250 } };
+        assert.equal(estimateDocumentMs(doc, 300), 900 / 300 * 60000);
+        assert.equal(estimateDocumentMs({ wordCount: 1000 }, 300), null);
+    });
+});
+
+describe('formatDuration', () => {
+    it('picks seconds, minutes or hours', () => {
+        assert.equal(formatDuration(45_000), '45 sec');
+        assert.equal(formatDuration(12 * 60_000), '12 min');
+        assert.equal(formatDuration(65 * 60_000), '1 h 5 min');
+        assert.equal(formatDuration(120 * 60_000), '2 h');
+    });
+});
+
+describe('formatClock', () => {
+    it('shows minutes and padded seconds', () => {
+        assert.equal(formatClock(45), '0:45');
+        assert.equal(formatClock(725), '12:05');
+        assert.equal(formatClock(4500), '75:00');
+    });
+});
@@ -0,0 +1,90 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import JSZip from 'jszip';
+import { quietConsole } from './helpers/environment.js';
+import { tokenize } from '../src/engine/tokenizer.js';
+import { parseEpub } from '../src/importers/epub.js';
+import {
+    sectionsFromSource,
+    sectionsFromTokens,
+    toPlainText,
+    toMarkdown,
+    buildEpubFile,
+    exportFileName
+} from '../src/exporters/document.js';
+
+quietConsole();
+
+const META = { id: 'doc_1', title: 'Storm Notes', author: 'A. Writer', language: 'en' };
+const SECTIONS = [
+    { title: 'The Rain', text: 'It rained for three days.\n\nNobody left the village.' },
+    { title: 'After', text: '# not a heading\n\n1. Not a list either & so on.' }
+];
+
+describe('sectionsFromSource', () => {
+    it('pairs texts with chapter titles', () => {
+        const sections = sectionsFromSource(['One.', 'Two.'], [{ title: 'A' }, { title: 'B' }]);
+        assert.deepEqual(sections, [{ title: 'A', text: 'One.' }, { title: 'B', text: 'Two.' }]);
+    });
+
+    it('leaves text without chapters untitled', () => {
+        assert.deepEqual(sectionsFromSource(['Just text.'], null), [{ title: null, text: 'Just text.' }]);
+    });
+});
+
+describe('sectionsFromTokens', () => {
+    it('rebuilds paragraphs and splits at chapter starts', () => {
+        const tokens = tokenize('First words here.\n\nSecond paragraph.\n\nNext chapter.');
+        const sections = sectionsFromTokens(tokens, [
+            { title: 'One', startWord: 0, endWord: 4 },
+            { title: 'Two', startWord: 5, endWord: 6 }
+        ]);
+        assert.deepEqual(sections, [
+            { title: 'One', text: 'First words here\n\nSecond paragraph' },
+            { title: 'Two', text: 'Next chapter' }
+        ]);
+    });
+});
+
+describe('toPlainText / toMarkdown', () => {
+    it('writes headings and paragraphs as plain text', () => {
+        assert.equal(toPlainText(META, SECTIONS), [
+            'Storm Notes\nA. Writer',
+            'The Rain\n\nIt rained for three days.\n\nNobody left the village.',
+            'After\n\n# not a heading\n\n1. Not a list either & so on.'
+        ].join('\n\n\n') + '\n');
+    });
+
+    it('writes chapter headings and escapes prose that looks like Markdown', () => {
+        const markdown = toMarkdown(META, SECTIONS);
+        assert.ok(markdown.startsWith('# Storm Notes\n\n*A. Writer*\n\n## The Rain\n\nIt rained'));
+        assert.ok(markdown.includes('\n\\# not a heading\n'));
+        assert.ok(markdown.includes('\n1\\. Not a list'));
+    });
+});
+
+describe('buildEpubFile', () => {
+    it('stores an uncompressed mimetype as the first entry', async () => {
+        const zip = await JSZip.loadAsync(await buildEpubFile(META, SECTIONS));
+        const [first] = Object.keys(zip.files);
+        assert.equal(first, 'mimetype');
+        assert.equal(await zip.file('mimetype').async('string'), 'application/epub+zip');
+        assert.match(await zip.file('OEBPS/content.opf').async('string'), /<meta property="dcterms:modified">\d{4}-\d\d-\d\dT\d\d:\d\d:\d\dZ<\/meta>/);
+    });
+
+    it('round-trips through the importer with metadata, chapters and text', async () => {
+        const epub = await parseEpub(await buildEpubFile(META, SECTIONS));
+        assert.deepEqual(epub.metadata, { title: 'Storm Notes', author: 'A. Writer', language: 'en' });
+        assert.deepEqual(epub.sections.map(s => s.title), ['The Rain', 'After']);
+        assert.ok(epub.sections[0].text.includes('It rained for three days.'));
+        assert.ok(epub.sections[1].text.includes('Not a list either & so on.'));
+        assert.deepEqual(epub.toc.map(e => e.title), ['The Rain', 'After']);
+    });
+});
+
+describe('exportFileName', () => {
+    it('strips characters file systems reject', () => {
+        assert.equal(exportFileName('What? A "Storm": Part 1/2', 'markdown'), 'What A Storm Part 1 2.md');
+        assert.equal(exportFileName('', 'epub'), 'document.epub');
+    });
+});
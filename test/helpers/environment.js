@@ -0,0 +1,24 @@
+/**
+ * Test Environment
+ * Installs the browser globals the engine expects (DOMParser, JSZip) and
+ * silences the engine's debug logging
+ */
+
+import { mock } from 'node:test';
+import { JSDOM } from 'jsdom';
+import JSZip from 'jszip';
+
+const { window } = new JSDOM('');
+
+globalThis.DOMParser = window.DOMParser;
+globalThis.JSZip = JSZip;
+
+/**
+ * Silence console.log/warn for the calling test file (errors still print)
+ */
+function quietConsole() {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+}
+
+export { quietConsole };
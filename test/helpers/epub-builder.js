@@ -0,0 +1,142 @@
+/**
+ * EPUB Fixture Builder
+ * Builds small EPUB books in memory so parser tests need no binary fixtures
+ */
+
+import JSZip from 'jszip';
+
+/**
+ * @typedef {Object} FixtureSection
+ * @property {string} file - File name inside OEBPS/
+ * @property {string} [heading] - Rendered as <h1>
+ * @property {string} body - Paragraphs separated by blank lines
+ * @property {string} [html] - Raw body markup, used instead of heading/body
+ * @property {string} [navTitle] - Entry in nav.xhtml / toc.ncx (omitted if missing)
+ */
+
+/**
+ * @typedef {Object} FixtureTocEntry
+ * @property {string} title
+ * @property {string} href - Relative to OEBPS/, may carry a #fragment
+ * @property {FixtureTocEntry[]} [children]
+ */
+
+/**
+ * @typedef {Object} FixtureBook
+ * @property {string} [title]
+ * @property {string} [author]
+ * @property {string} [language]
+ * @property {FixtureSection[]} sections - Spine order
+ * @property {boolean} [nav] - Include an EPUB 3 nav document
+ * @property {boolean} [ncx] - Include an EPUB 2 NCX
+ * @property {FixtureTocEntry[]} [toc] - Nested TOC; defaults to one entry per navTitle
+ */
+
+const escape = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+function sectionXhtml({ heading, body, html }) {
+    if (html) return `<?xml version="1.0" encoding="UTF-8"?>
+<html xmlns="http://www.w3.org/1999/xhtml">
+<head><title>Section</title></head>
+<body>
+${html}
+</body>
+</html>`;
+    const paragraphs = body.split(/\n\s*\n/).map(p => `<p>${escape(p.trim())}</p>`).join('\n');
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<html xmlns="http://www.w3.org/1999/xhtml">
+<head><title>${escape(heading || 'Section')}</title></head>
+<body>
+${heading ? `<h1>${escape(heading)}</h1>\n` : ''}${paragraphs}
+</body>
+</html>`;
+}
+
+function tocEntries(book) {
+    return book.toc ?? book.sections
+        .filter(s => s.navTitle)
+        .map(s => ({ title: s.navTitle, href: s.file }));
+}
+
+function navItems(entries) {
+    return entries.map(e => {
+        const children = e.children?.length ? `<ol>\n${navItems(e.children)}\n</ol>` : '';
+        return `<li><a href="${e.href}">${escape(e.title)}</a>${children}</li>`;
+    }).join('\n');
+}
+
+function navXhtml(book) {
+    const items = navItems(tocEntries(book));
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops">
+<head><title>Navigation</title></head>
+<body>
+<nav epub:type="toc"><ol>
+${items}
+</ol></nav>
+</body>
+</html>`;
+}
+
+function navPoints(entries, counter = { next: 1 }) {
+    return entries.map(e => {
+        const order = counter.next++;
+        const children = e.children?.length ? navPoints(e.children, counter) : '';
+        return `<navPoint id="np${order}" playOrder="${order}"><navLabel><text>${escape(e.title)}</text></navLabel><content src="${e.href}"/>${children}</navPoint>`;
+    }).join('\n');
+}
+
+function tocNcx(book) {
+    const points = navPoints(tocEntries(book));
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">
+<navMap>
+${points}
+</navMap>
+</ncx>`;
+}
+
+function contentOpf(book) {
+    const manifest = book.sections
+        .map((s, i) => `<item id="s${i}" href="${s.file}" media-type="application/xhtml+xml"/>`);
+    if (book.nav) manifest.push('<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>');
+    if (book.ncx) manifest.push('<item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>');
+    const spine = book.sections.map((s, i) => `<itemref idref="s${i}"/>`).join('\n');
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="uid">
+<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+<dc:identifier id="uid">fixture</dc:identifier>
+<dc:title>${escape(book.title ?? 'Fixture Book')}</dc:title>
+${book.author ? `<dc:creator>${escape(book.author)}</dc:creator>` : ''}
+${book.language ? `<dc:language>${book.language}</dc:language>` : ''}
+</metadata>
+<manifest>
+${manifest.join('\n')}
+</manifest>
+<spine${book.ncx ? ' toc="ncx"' : ''}>
+${spine}
+</spine>
+</package>`;
+}
+
+/**
+ * @param {FixtureBook} book
+ * @returns {Promise<Buffer>} EPUB file contents
+ */
+async function buildEpub(book) {
+    const zip = new JSZip();
+    zip.file('mimetype', 'application/epub+zip');
+    zip.file('META-INF/container.xml', `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+<rootfiles><rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/></rootfiles>
+</container>`);
+    zip.file('OEBPS/content.opf', contentOpf(book));
+    for (const section of book.sections) {
+        zip.file(`OEBPS/${section.file}`, sectionXhtml(section));
+    }
+    if (book.nav) zip.file('OEBPS/nav.xhtml', navXhtml(book));
+    if (book.ncx) zip.file('OEBPS/toc.ncx', tocNcx(book));
+    return zip.generateAsync({ type: 'nodebuffer' });
+}
+
+export { buildEpub };
@@ -0,0 +1,42 @@
+/**
+ * Fake Clock
+ * Frame scheduler for PlaybackController that runs on virtual time, so
+ * tick() timing can be asserted without a browser or requestAnimationFrame
+ */
+
+/**
+ * @param {number} frameMs - Virtual time between frames
+ */
+function createFakeClock(frameMs = 1) {
+    const frames = new Map();
+    let nextId = 1;
+    let now = 0;
+
+    return {
+        get now() { return now; },
+
+        request(callback) {
+            const id = nextId++;
+            frames.set(id, callback);
+            return id;
+        },
+
+        cancel(id) {
+            frames.delete(id);
+        },
+
+        // Run frames until ms of virtual time have passed (or nothing is scheduled)
+        advance(ms) {
+            const end = now + ms;
+            while (now < end && frames.size > 0) {
+                now = Math.min(now + frameMs, end);
+                const due = [...frames.values()];
+                frames.clear();
+                due.forEach(callback => callback(now));
+            }
+            now = end;
+        }
+    };
+}
+
+export { createFakeClock };
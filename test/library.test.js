@@ -0,0 +1,71 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readingStatus, matchesSearch, queryLibrary, parseTags, collectTags, addCollection } from '../src/library.js';
+
+const doc = (id, fields) => ({ id, title: id, author: '', wordCount: 100, progress: { currentIndex: 0 }, addedAt: 0, lastOpened: 0, ...fields });
+
+const docs = [
+    doc('b', { title: 'Über Bücher', author: 'Zweig', addedAt: 3, lastOpened: 1, progress: { currentIndex: 99 }, tags: ['Essays'] }),
+    doc('a', { title: 'A Tale of Two Cities', author: 'Dickens', addedAt: 1, lastOpened: 3, progress: { currentIndex: 50 }, collections: ['col-1'] }),
+    doc('c', { title: 'clippings', addedAt: 2, lastOpened: 2, tags: ['essays', 'web'] })
+];
+const ids = (list) => list.map(d => d.id);
+
+describe('readingStatus', () => {
+    it('compares progress with the word count', () => {
+        assert.deepEqual(docs.map(readingStatus), ['finished', 'in-progress', 'unread']);
+    });
+});
+
+describe('matchesSearch', () => {
+    it('needs every word in the title or author, ignoring case and accents', () => {
+        assert.equal(matchesSearch(docs[0], 'uber zweig'), true);
+        assert.equal(matchesSearch(docs[1], 'TALE dickens'), true);
+        assert.equal(matchesSearch(docs[1], 'tale austen'), false);
+        assert.equal(matchesSearch(docs[2], '  '), true);
+    });
+});
+
+describe('queryLibrary', () => {
+    it('sorts by each order', () => {
+        assert.deepEqual(ids(queryLibrary(docs)), ['a', 'c', 'b']);
+        assert.deepEqual(ids(queryLibrary(docs, { sort: 'title' })), ['a', 'c', 'b']);
+        assert.deepEqual(ids(queryLibrary(docs, { sort: 'author' })), ['a', 'b', 'c']);
+        assert.deepEqual(ids(queryLibrary(docs, { sort: 'progress' })), ['b', 'a', 'c']);
+        assert.deepEqual(ids(queryLibrary(docs, { sort: 'added' })), ['b', 'c', 'a']);
+    });
+
+    it('filters by status, tag and collection', () => {
+        assert.deepEqual(ids(queryLibrary(docs, { status: 'unread' })), ['c']);
+        assert.deepEqual(ids(queryLibrary(docs, { shelf: 'tag:essays', sort: 'title' })), ['c', 'b']);
+        assert.deepEqual(ids(queryLibrary(docs, { shelf: 'collection:col-1' })), ['a']);
+        assert.deepEqual(ids(queryLibrary(docs, { shelf: 'tag:essays', status: 'finished' })), ['b']);
+    });
+
+    it('does not reorder the input', () => {
+        queryLibrary(docs, { sort: 'title' });
+        assert.deepEqual(ids(docs), ['b', 'a', 'c']);
+    });
+});
+
+describe('tags', () => {
+    it('parses comma-separated input without duplicates', () => {
+        assert.deepEqual(parseTags(' fiction,  to   reread ,, Fiction,'), ['fiction', 'to reread']);
+        assert.deepEqual(parseTags(''), []);
+    });
+
+    it('counts tags across documents case-insensitively', () => {
+        assert.deepEqual(collectTags(docs), [{ tag: 'Essays', count: 2 }, { tag: 'web', count: 1 }]);
+    });
+});
+
+describe('addCollection', () => {
+    it('adds named collections once', () => {
+        const one = addCollection([], ' Course reading ');
+        assert.equal(one.length, 1);
+        assert.equal(one[0].name, 'Course reading');
+        assert.match(one[0].id, /^col-/);
+        assert.equal(addCollection(one, 'course READING'), one);
+        assert.equal(addCollection(one, '   '), one);
+    });
+});
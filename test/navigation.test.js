@@ -0,0 +1,41 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { tokenize } from '../src/engine/tokenizer.js';
+import { previousSentenceStart, nextSentenceStart, previousParagraphStart, nextParagraphStart, resumeIndex } from '../src/engine/navigation.js';
+
+const TEXT = 'The U.S. team came home. He sat down.\n\nNext day was long. It rained';
+const tokens = tokenize(TEXT);
+const indexOf = (word) => tokens.findIndex(t => t.word === word);
+
+describe('sentence navigation', () => {
+    it('goes back to the sentence start, or the previous one near it', () => {
+        assert.equal(previousSentenceStart(tokens, indexOf('home')), 0);
+        assert.equal(previousSentenceStart(tokens, indexOf('sat')), 0);
+        assert.equal(previousSentenceStart(tokens, indexOf('He')), 0);
+        assert.equal(previousSentenceStart(tokens, 0), 0);
+    });
+
+    it('skips abbreviations and stays put in the last sentence', () => {
+        assert.equal(nextSentenceStart(tokens, indexOf('team')), indexOf('He'));
+        assert.equal(nextSentenceStart(tokens, indexOf('down')), indexOf('Next'));
+        assert.equal(nextSentenceStart(tokens, indexOf('It')), indexOf('It'));
+    });
+});
+
+describe('paragraph navigation', () => {
+    it('moves between paragraph starts', () => {
+        assert.equal(nextParagraphStart(tokens, indexOf('team')), indexOf('Next'));
+        assert.equal(previousParagraphStart(tokens, indexOf('rained')), indexOf('Next'));
+        assert.equal(previousParagraphStart(tokens, indexOf('day')), 0);
+        assert.equal(nextParagraphStart(tokens, indexOf('rained')), indexOf('rained'));
+    });
+});
+
+describe('resumeIndex', () => {
+    it('restarts the sentence unless it is very long', () => {
+        assert.equal(resumeIndex(tokens, indexOf('down')), indexOf('He'));
+        const run = tokenize(Array.from({ length: 100 }, (_, i) => `w${i}`).join(' '));
+        assert.equal(resumeIndex(run, 90), 90);
+        assert.equal(resumeIndex([], 0), 0);
+    });
+});
@@ -0,0 +1,154 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { AdaptivePacer, summarizePacing } from '../src/engine/pacing.js';
+
+function createPacer(wpm = 300) {
+    const clock = { now: () => 1000 };
+    const playback = { wpm, setWPM(value) { this.wpm = value; } };
+    const saved = [];
+    const pacer = new AdaptivePacer(playback, { onEvent: (event) => saved.push(event) }, clock);
+    pacer.configure({ enabled: true, minWpm: 200, maxWpm: 400 });
+    pacer.reset('doc-1', 0);
+    return { pacer, playback, clock, saved };
+}
+
+// Read forward in steps the size of one flash
+function read(pacer, words) {
+    for (let i = 0; i < words; i++) pacer.recordProgress(pacer.lastIndex + 1);
+}
+
+describe('AdaptivePacer', () => {
+    let pacer, playback, saved;
+
+    beforeEach(() => {
+        ({ pacer, playback, saved } = createPacer());
+    });
+
+    it('speeds up after a smooth stretch', () => {
+        read(pacer, 299);
+        assert.equal(playback.wpm, 300);
+        read(pacer, 1);
+        assert.equal(playback.wpm, 310);
+        assert.equal(pacer.history.at(-1).type, 'smooth');
+    });
+
+    it('holds speed when the stretch had many pauses', () => {
+        pacer.recordPause();
+        pacer.recordPause();
+        read(pacer, 300);
+        assert.equal(playback.wpm, 300);
+    });
+
+    it('restarts the stretch after a rewind', () => {
+        read(pacer, 200);
+        pacer.recordRewind();
+        read(pacer, 299);
+        assert.equal(playback.wpm, 300);
+        read(pacer, 1);
+        assert.equal(playback.wpm, 310);
+    });
+
+    it('backs off after repeated rewinds, but not after one', () => {
+        pacer.recordRewind();
+        read(pacer, 10);
+        assert.equal(playback.wpm, 300);
+        pacer.recordRewind();
+        assert.equal(playback.wpm, 275);
+        assert.equal(pacer.history.at(-1).change, -25);
+    });
+
+    it('counts presses without reading in between as one rewind', () => {
+        pacer.recordRewind();
+        pacer.recordRewind();
+        pacer.recordRewind();
+        assert.equal(playback.wpm, 300);
+        assert.equal(pacer.history.length, 1);
+    });
+
+    it('forgets rewinds far apart', () => {
+        pacer.recordRewind();
+        read(pacer, 250);
+        pacer.recordRewind();
+        assert.equal(playback.wpm, 300);
+    });
+
+    it('ignores seeks and backward moves as reading', () => {
+        pacer.recordProgress(5000);
+        pacer.recordProgress(4000);
+        assert.equal(pacer.wordsRead, 0);
+    });
+
+    it('stays within its bounds', () => {
+        playback.wpm = 395;
+        read(pacer, 300);
+        assert.equal(playback.wpm, 400);
+        read(pacer, 300);
+        assert.equal(playback.wpm, 400);
+        assert.equal(pacer.history.at(-1).change, 0);
+    });
+
+    it('moves with check-in answers once enough was read', () => {
+        assert.equal(pacer.shouldCheckIn(), false);
+        pacer.recordPause(); // keep the smooth-stretch raise out of it
+        pacer.recordPause();
+        read(pacer, 500);
+        assert.equal(pacer.shouldCheckIn(), true);
+        pacer.recordCheckIn('lost');
+        assert.equal(playback.wpm, 250);
+        assert.equal(pacer.shouldCheckIn(), false);
+        pacer.recordCheckIn('all');
+        assert.equal(playback.wpm, 275);
+        assert.equal(pacer.history.at(-1).answer, 'all');
+    });
+
+    it('merges manual changes from one slider drag', () => {
+        pacer.recordManual();
+        pacer.recordManual();
+        assert.equal(pacer.history.length, 1);
+        // Saved twice under one id, so the second write replaces the first
+        assert.equal(saved.length, 2);
+        assert.equal(saved[1].id, saved[0].id);
+    });
+
+    it('reports each event once, as it happens', () => {
+        pacer.recordPause();
+        pacer.recordRewind();
+        assert.deepEqual(saved.map(event => event.type), ['pause', 'rewind']);
+        assert.notEqual(saved[0].id, saved[1].id);
+        assert.equal(saved[1], pacer.history.at(-1));
+    });
+
+    it('does nothing while disabled', () => {
+        pacer.configure({ enabled: false });
+        pacer.recordPause();
+        pacer.recordRewind();
+        read(pacer, 600);
+        assert.equal(playback.wpm, 300);
+        assert.deepEqual(pacer.history, []);
+    });
+
+    it('starts from the speed it last settled on, within the bounds', () => {
+        assert.equal(pacer.learnedWpm(), null);
+        pacer.setHistory([{ at: 0, type: 'smooth', wpm: 350, change: 10, docId: 'doc-1' }]);
+        assert.equal(pacer.learnedWpm(), 350);
+        pacer.configure({ maxWpm: 320 });
+        assert.equal(pacer.learnedWpm(), 320);
+    });
+
+    it('orders swapped bounds', () => {
+        pacer.configure({ minWpm: 500, maxWpm: 250 });
+        assert.deepEqual([pacer.minWpm, pacer.maxWpm], [250, 500]);
+    });
+});
+
+describe('summarizePacing', () => {
+    it('counts each signal since a time', () => {
+        const history = [
+            { at: 1, type: 'rewind' },
+            { at: 10, type: 'rewind' },
+            { at: 11, type: 'pause' },
+            { at: 12, type: 'check-in' }
+        ];
+        assert.deepEqual(summarizePacing(history, 5), { pause: 1, rewind: 1, smooth: 0, 'check-in': 1, manual: 0 });
+    });
+});
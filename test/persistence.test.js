@@ -0,0 +1,146 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import 'fake-indexeddb/auto';
+import { quietConsole } from './helpers/environment.js';
+import { tokenize } from '../src/engine/tokenizer.js';
+import { isStaleTokenRecord } from '../src/token-cache.js';
+import {
+    PersistenceLayer,
+    generateDocumentId,
+    generateLegacyDocumentId,
+    isLegacyDocumentId,
+    findLegacyDocument,
+    findLegacyCandidates,
+    isSameText
+} from '../src/persistence.js';
+
+quietConsole();
+
+const file = (content, name = 'book.epub', lastModified = 1700000000000) => new File([content], name, { lastModified });
+
+describe('generateDocumentId', () => {
+    it('is the SHA-256 of the contents', async () => {
+        // SHA-256("abc")
+        assert.equal(await generateDocumentId(file('abc')), 'doc_ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+    });
+
+    it('ignores the file name and modification date', async () => {
+        const original = await generateDocumentId(file('same bytes', 'book.epub', 1));
+        const renamed = await generateDocumentId(file('same bytes', 'Book (1).epub', 2));
+        assert.equal(renamed, original);
+        assert.notEqual(await generateDocumentId(file('other bytes')), original);
+    });
+});
+
+describe('legacy document IDs', () => {
+    it('tells old hash IDs from content IDs', async () => {
+        assert.equal(isLegacyDocumentId(generateLegacyDocumentId(file('x'))), true);
+        assert.equal(isLegacyDocumentId(await generateDocumentId(file('x'))), false);
+        assert.equal(isLegacyDocumentId('url-1700000000000'), false);
+    });
+
+    it('finds the record a file was imported as by its legacy ID', () => {
+        const original = file('contents');
+        const exact = { id: generateLegacyDocumentId(original), fileName: 'book.epub', fileSize: 8 };
+        const sameName = { id: 'doc_1234abcd', fileName: 'book.epub', fileSize: 8 };
+        assert.equal(findLegacyDocument([sameName, exact], original), exact);
+    });
+
+    it('never matches a different file with the same name and size', () => {
+        const imported = file('contents', 'book.epub', 1700000000000);
+        const record = { id: generateLegacyDocumentId(imported), fileName: 'book.epub', fileSize: 8 };
+        const other = file('CONTENTS', 'book.epub', 1800000000000);
+        assert.equal(other.size, record.fileSize);
+        assert.equal(findLegacyDocument([record], other), null);
+    });
+});
+
+// A database as version 3 left it: format 1 token caches, no format stamps
+function openVersion3(records) {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open('speed-reader-db', 3);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            db.createObjectStore('library', { keyPath: 'id' }).createIndex('lastOpened', 'lastOpened', { unique: false });
+            db.createObjectStore('tokens', { keyPath: 'docId' });
+            db.createObjectStore('settings', { keyPath: 'key' });
+            db.createObjectStore('annotations', { keyPath: 'id' }).createIndex('docId', 'docId', { unique: false });
+            db.createObjectStore('sources', { keyPath: 'docId' });
+            for (const [store, items] of Object.entries(records)) {
+                items.forEach(item => request.transaction.objectStore(store).put(item));
+            }
+        };
+        request.onsuccess = () => { request.result.close(); resolve(); };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+describe('legacy copies', () => {
+    const text = 'It was late. The U.S. team — finally — arrived.';
+    const imported = { tokens: tokenize(text), source: [text] };
+
+    it('offers legacy records of the same size under any name or date', () => {
+        const renamed = file('contents', 'Book (1).epub', 1800000000000);
+        const legacy = { id: 'doc_1234abcd', fileName: 'book.epub', fileSize: 8 };
+        const converted = { id: 'doc_' + 'ab'.repeat(32), fileName: 'book.epub', fileSize: 8 };
+        assert.deepEqual(findLegacyCandidates([legacy, converted, { ...legacy, id: 'doc_9', fileSize: 9 }], renamed), [legacy]);
+    });
+
+    it('confirms a copy against the saved source or a format 1 token cache', () => {
+        const rawTokens = text.split(/\s+/).map(word => ({ word, baseDurationMs: 300 }));
+        assert.equal(isSameText(imported, { tokens: null, source: [text] }), true);
+        assert.equal(isSameText(imported, { tokens: rawTokens, source: null }), true);
+        assert.equal(isSameText(imported, { tokens: rawTokens, source: ['Older extraction.'] }), true);
+    });
+
+    it('refuses a different text of the same size', () => {
+        const other = 'It was late. The U.K. team — finally — arrived.';
+        assert.equal(isSameText(imported, { tokens: tokenize(other), source: [other] }), false);
+        assert.equal(isSameText(imported, { tokens: null, source: null }), false);
+    });
+});
+
+describe('database upgrade', () => {
+    it('leaves a token cache it cannot rebuild for later instead of failing', async () => {
+        await openVersion3({
+            library: [
+                { id: 'doc_good', title: 'Good', wordCount: 3, progress: { currentIndex: 1 } },
+                { id: 'doc_broken', title: 'Broken', wordCount: 3 }
+            ],
+            tokens: [
+                { docId: 'doc_good', tokens: ['One', 'two.', 'Three'].map(word => ({ word, baseDurationMs: 300 })), cachedAt: 1 },
+                { docId: 'doc_broken', tokens: null, cachedAt: 1 }
+            ]
+        });
+
+        const persistence = new PersistenceLayer();
+        await persistence.ready;
+        assert.equal(isStaleTokenRecord(await persistence.getTokenRecord('doc_good')), false);
+        assert.deepEqual((await persistence.getTokens('doc_good')).map(t => t.word), ['One', 'two', 'Three']);
+        assert.equal(isStaleTokenRecord(await persistence.getTokenRecord('doc_broken')), true);
+        assert.equal((await persistence.getDocument('doc_broken')).title, 'Broken');
+        persistence.db.close();
+    });
+});
+
+describe('renameDocument', () => {
+    it('moves the document and every row that refers to it', async () => {
+        const persistence = new PersistenceLayer();
+        await persistence.ready;
+        await persistence.saveDocument({ id: 'doc_old', title: 'Book', wordCount: 2 });
+        await persistence.saveTokens('doc_old', tokenize('Two words'));
+        await persistence.saveSource('doc_old', ['Two words']);
+        await persistence.saveAnnotation({ id: 'note_1', docId: 'doc_old', startIndex: 0, createdAt: 1 });
+        await persistence.saveSession({ id: 'session_1', docId: 'doc_old', startedAt: 1 });
+        await persistence.savePacingEvent({ id: 'pacing_1', docId: 'doc_old', at: 1, type: 'pause', wpm: 300, change: 0 });
+
+        await persistence.renameDocument('doc_old', 'doc_new');
+        assert.equal(await persistence.getDocument('doc_old'), undefined);
+        assert.equal((await persistence.getDocument('doc_new')).title, 'Book');
+        assert.deepEqual((await persistence.getTokens('doc_new')).map(t => t.word), ['Two', 'words']);
+        assert.deepEqual((await persistence.getAnnotations('doc_new')).map(a => a.id), ['note_1']);
+        assert.deepEqual((await persistence.getSessions()).map(s => s.docId), ['doc_new']);
+        assert.deepEqual((await persistence.getPacingEvents(10)).map(e => e.docId), ['doc_new']);
+        persistence.db.close();
+    });
+});
@@ -0,0 +1,154 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { quietConsole } from './helpers/environment.js';
+import { createFakeClock } from './helpers/fake-clock.js';
+import { tokenize } from '../src/engine/tokenizer.js';
+import { PlaybackController } from '../src/engine/playback.js';
+
+quietConsole();
+
+// Records when each flash appears, in virtual ms
+function createPlayer(text, { wpm = 600 } = {}) {
+    const clock = createFakeClock();
+    const flashes = [];
+    let completed = false;
+    const playback = new PlaybackController({
+        onTick: (token, index) => flashes.push({ word: token.word, index, at: clock.now }),
+        onComplete: () => { completed = true; }
+    }, clock);
+    playback.load(tokenize(text));
+    playback.setWPM(wpm);
+    flashes.length = 0; // drop the flash from load()
+    return { playback, clock, flashes, isComplete: () => completed };
+}
+
+const gaps = (flashes) => flashes.slice(1).map((f, i) => f.at - flashes[i].at);
+
+describe('PlaybackController timing', () => {
+    let player;
+
+    beforeEach(() => {
+        player = createPlayer('one two three four five');
+    });
+
+    it('shows each plain word for 60000 / wpm', () => {
+        const { playback, clock, flashes } = player;
+        playback.play();
+        clock.advance(1000);
+        assert.deepEqual(flashes.map(f => f.word), ['two', 'three', 'four', 'five']);
+        assert.deepEqual(flashes.map(f => f.at), [101, 201, 301, 401]);
+    });
+
+    it('completes after the last word and stops scheduling frames', () => {
+        const { playback, clock, isComplete } = player;
+        playback.play();
+        clock.advance(2000);
+        assert.equal(isComplete(), true);
+        assert.equal(playback.isPlaying, false);
+        assert.equal(playback.currentIndex, 4);
+    });
+
+    it('does not advance while paused', () => {
+        const { playback, clock, flashes } = player;
+        playback.play();
+        clock.advance(150);
+        playback.pause();
+        clock.advance(1000);
+        assert.deepEqual(flashes.map(f => f.word), ['two']);
+    });
+
+    it('applies a WPM change from the current word', () => {
+        const { playback, clock, flashes } = player;
+        playback.play();
+        clock.advance(150);
+        playback.setWPM(300);
+        clock.advance(1000);
+        assert.deepEqual(gaps(flashes).slice(0, 2), [200, 200]);
+    });
+
+    it('holds punctuation longer than plain words', () => {
+        const { playback, clock, flashes } = createPlayer('Wait, stop. Go on now');
+        playback.play();
+        clock.advance(2000);
+        // Wait, (1.12) then stop. (1.25); "Go" appears after both pauses
+        assert.deepEqual(flashes.map(f => f.at).slice(0, 2), [113, 238]);
+    });
+
+    it('keeps gaps between plain words within the smoothing clamp', () => {
+        const { playback, clock, flashes } = createPlayer('a b c d e f g h');
+        playback.play();
+        clock.advance(2000);
+        for (const gap of gaps(flashes)) assert.equal(gap, 100);
+    });
+});
+
+describe('PlaybackController chunking', () => {
+    it('shows chunks for the sum of their words and advances past them', () => {
+        const { playback, clock, flashes } = createPlayer('one two three four five six');
+        playback.setChunking({ maxWords: 3, maxChars: 20 });
+        flashes.length = 0;
+        playback.play();
+        clock.advance(1000);
+        assert.deepEqual(flashes.map(f => [f.word, f.index]), [['four five six', 3]]);
+        assert.equal(flashes[0].at, 301);
+    });
+
+    it('never runs a chunk past the end of a sentence or paragraph', () => {
+        const { playback, clock, flashes } = createPlayer('A cat sat. The end\n\nNew start here');
+        playback.setChunking({ maxWords: 3, maxChars: 30 });
+        const first = flashes.at(-1).word;
+        playback.play();
+        clock.advance(2000);
+        assert.deepEqual([first, ...flashes.slice(1).map(f => f.word)], ['A cat sat', 'The end', 'New start here']);
+    });
+
+    it('keeps chunks within the character width', () => {
+        const { playback, flashes } = createPlayer('tiny extraordinarily long');
+        playback.setChunking({ maxWords: 3, maxChars: 12 });
+        assert.equal(flashes.at(-1).word, 'tiny');
+    });
+});
+
+describe('PlaybackController navigation', () => {
+    const TEXT = 'One two three four. Five six seven eight.\n\nNine ten eleven twelve.';
+
+    it('moves by sentence and paragraph', () => {
+        const { playback } = createPlayer(TEXT);
+        playback.seek(7);
+        playback.previousSentence();
+        assert.equal(playback.currentIndex, 4);
+        playback.previousSentence();
+        assert.equal(playback.currentIndex, 0);
+        playback.nextSentence();
+        assert.equal(playback.currentIndex, 4);
+        playback.nextParagraph();
+        assert.equal(playback.currentIndex, 8);
+        playback.previousParagraph();
+        assert.equal(playback.currentIndex, 0);
+    });
+
+    it('keeps playing after a move', () => {
+        const { playback } = createPlayer(TEXT);
+        playback.play();
+        playback.nextSentence();
+        assert.equal(playback.isPlaying, true);
+        assert.equal(playback.currentIndex, 4);
+    });
+
+    it('resumes from the sentence start only after a pause', () => {
+        const { playback, clock } = createPlayer(TEXT);
+        playback.rewindOnResume = true;
+        playback.seek(5);
+        playback.play();
+        clock.advance(250);
+        playback.pause();
+        assert.equal(playback.currentIndex, 7);
+        playback.play();
+        assert.equal(playback.currentIndex, 4);
+
+        playback.pause();
+        playback.seek(6);
+        playback.play();
+        assert.equal(playback.currentIndex, 6);
+    });
+});
@@ -0,0 +1,158 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { quietConsole } from './helpers/environment.js';
+import { RampController, RAMP_PRESETS, normalizeProgram, expandProgram, rampPosition } from '../src/engine/ramp.js';
+
+quietConsole();
+
+const MINUTE = 60000;
+
+function createPlayback() {
+    return { wpm: 300, setWPM(wpm) { this.wpm = wpm; } };
+}
+
+// Runs one tick at a given point without real timers
+function tickAt(ramp, elapsedMs) {
+    ramp.isRamping = true;
+    ramp.elapsedMs = elapsedMs;
+    ramp.lastTickTime = null;
+    ramp.tick();
+}
+
+describe('normalizeProgram', () => {
+    it('clamps values and drops unknown stages', () => {
+        const program = normalizeProgram({
+            name: '  ',
+            stages: [
+                { type: 'ramp', fromWpm: 50, toWpm: 2000, curve: 'bounce', minutes: 0 },
+                { type: 'warp' },
+                { type: 'interval', sprintWpm: 700, recoveryWpm: 300, sprintSeconds: 1, recoverySeconds: 90, rounds: 99 }
+            ]
+        });
+        assert.equal(program.name, 'Custom program');
+        assert.deepEqual(program.stages[0], { type: 'ramp', fromWpm: 100, toWpm: 900, curve: 'linear', minutes: 5 });
+        assert.equal(program.stages.length, 2);
+        assert.equal(program.stages[1].sprintSeconds, 10);
+        assert.equal(program.stages[1].rounds, 20);
+    });
+
+    it('rejects programs without stages', () => {
+        assert.equal(normalizeProgram({ name: 'Empty', stages: [] }), null);
+        assert.equal(normalizeProgram(null), null);
+    });
+
+    it('leaves the built-in presets unchanged', () => {
+        for (const preset of RAMP_PRESETS) assert.deepEqual(normalizeProgram(preset), preset);
+    });
+});
+
+describe('expandProgram', () => {
+    it('turns each interval round into a sprint and a recovery', () => {
+        const segments = expandProgram([
+            { type: 'hold', wpm: 300, minutes: 1 },
+            { type: 'interval', sprintWpm: 600, recoveryWpm: 350, sprintSeconds: 30, recoverySeconds: 60, rounds: 2 }
+        ]);
+        assert.deepEqual(segments.map(s => s.label), ['Hold 300', 'Sprint 1/2', 'Recovery 1/2', 'Sprint 2/2', 'Recovery 2/2']);
+        assert.deepEqual(segments.map(s => s.durationMs), [MINUTE, 30000, 60000, 30000, 60000]);
+    });
+});
+
+describe('rampPosition', () => {
+    const ramp = (curve) => expandProgram([{ type: 'ramp', fromWpm: 200, toWpm: 500, curve, minutes: 4 }]);
+
+    it('follows the segment curve', () => {
+        assert.equal(rampPosition(ramp('linear'), 2 * MINUTE).wpm, 350);
+        assert.equal(rampPosition(ramp('ease-in'), 2 * MINUTE).wpm, 275);
+        // Four plateaus: 200, 300, 400, 500
+        assert.equal(rampPosition(ramp('step'), 0.5 * MINUTE).wpm, 200);
+        assert.equal(rampPosition(ramp('step'), 1.5 * MINUTE).wpm, 300);
+        assert.equal(rampPosition(ramp('step'), 3.5 * MINUTE).wpm, 500);
+    });
+
+    it('moves through segments and ends at the last speed', () => {
+        const segments = expandProgram([
+            { type: 'ramp', fromWpm: 200, toWpm: 400, curve: 'linear', minutes: 2 },
+            { type: 'hold', wpm: 400, minutes: 3 }
+        ]);
+        assert.deepEqual(rampPosition(segments, 3 * MINUTE), { index: 1, wpm: 400, segmentElapsedMs: MINUTE, done: false });
+        assert.equal(rampPosition(segments, 5 * MINUTE).done, true);
+        assert.equal(rampPosition(segments, 5 * MINUTE).wpm, 400);
+    });
+});
+
+describe('RampController programs', () => {
+    it('keeps the single ramp when no program is set', () => {
+        const ramp = new RampController(createPlayback());
+        ramp.configure({ startWpm: 200, targetWpm: 400, durationMinutes: 10 });
+        assert.equal(ramp.getTotalMs(), 10 * MINUTE);
+        tickAt(ramp, 5 * MINUTE);
+        assert.equal(ramp.playback.wpm, 300);
+    });
+
+    it('reports the current stage and the next one', () => {
+        const ramp = new RampController(createPlayback());
+        ramp.configure({ program: RAMP_PRESETS[2] });
+        tickAt(ramp, 2 * MINUTE + 30000);
+        const progress = ramp.getProgress();
+        assert.equal(ramp.playback.wpm, 600);
+        assert.equal(progress.stage, 'Sprint 1/4');
+        assert.equal(progress.stageRemainingSeconds, 30);
+        assert.deepEqual(progress.nextStage, { label: 'Recovery 1/4', wpm: 350 });
+        assert.equal(progress.targetWpm, 350);
+    });
+
+    it('completes at the end of the program', () => {
+        let completed = false;
+        const ramp = new RampController(createPlayback(), { onComplete: () => { completed = true; } });
+        ramp.configure({ program: RAMP_PRESETS[0] });
+        tickAt(ramp, ramp.getTotalMs());
+        assert.equal(completed, true);
+        assert.equal(ramp.isRamping, false);
+        assert.equal(ramp.playback.wpm, 400);
+    });
+
+    it('goes back to the single ramp when the program is cleared', () => {
+        const ramp = new RampController(createPlayback());
+        ramp.configure({ program: RAMP_PRESETS[1] });
+        ramp.configure({ program: null });
+        assert.equal(ramp.getConfig().program, null);
+        assert.equal(ramp.getTotalMs(), 5 * MINUTE);
+    });
+});
+
+describe('RampController saved progress', () => {
+    const configured = () => {
+        const ramp = new RampController(createPlayback());
+        ramp.configure({ enabled: true, program: RAMP_PRESETS[0] });
+        return ramp;
+    };
+
+    it('restores a saved point paused, at the speed there', () => {
+        const ramp = configured();
+        ramp.elapsedMs = 90000;
+        const state = ramp.getState();
+
+        const reopened = configured();
+        assert.equal(reopened.restore(state), true);
+        assert.equal(reopened.isRamping, true);
+        assert.equal(reopened.intervalId, null);
+        assert.equal(reopened.elapsedMs, 90000);
+        assert.equal(reopened.playback.wpm, 325);
+        assert.equal(reopened.getProgress().elapsedSeconds, 90);
+    });
+
+    it('refuses state from other settings, finished ramps and disabled ramps', () => {
+        const state = { ...configured().getState(), elapsedMs: 60000 };
+        const changed = new RampController(createPlayback());
+        changed.configure({ enabled: true, program: RAMP_PRESETS[1] });
+        assert.equal(changed.canRestore(state), false);
+
+        const ramp = configured();
+        assert.equal(ramp.canRestore({ ...state, elapsedMs: ramp.getTotalMs() }), false);
+        assert.equal(ramp.canRestore({ ...state, elapsedMs: 0 }), false);
+        assert.equal(ramp.canRestore(null), false);
+        ramp.configure({ enabled: false });
+        assert.equal(ramp.restore(state), false);
+        assert.equal(ramp.isRamping, false);
+    });
+});
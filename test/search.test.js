@@ -0,0 +1,83 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { tokenize } from '../src/engine/tokenizer.js';
+import { foldSearchWord, searchTerms, findMatches, leadInIndex } from '../src/engine/search.js';
+import { DocumentSearch, searchWorkerSource } from '../src/document-search.js';
+
+const TEXT = 'It was the best of times. It was the worst of times, it was the age of wisdom.\n\nCafé “Müller” — don’t stop';
+const tokens = tokenize(TEXT);
+const words = tokens.map(t => foldSearchWord(t.word));
+const starts = (result) => result.matches.map(m => tokens[m.start].word);
+
+describe('foldSearchWord', () => {
+    it('drops case, accents, punctuation and curly apostrophes', () => {
+        assert.equal(foldSearchWord('“Müller”'), 'muller');
+        assert.equal(foldSearchWord('Don’t.'), "don't");
+        assert.equal(foldSearchWord('times,'), 'times');
+    });
+});
+
+describe('searchTerms', () => {
+    it('splits on spaces and dashes', () => {
+        assert.deepEqual(searchTerms('  well-known — Café '), ['well', 'known', 'cafe']);
+    });
+});
+
+describe('findMatches', () => {
+    it('matches phrases across punctuation', () => {
+        const result = findMatches(words, 'times it was', 10);
+        assert.equal(result.total, 2);
+        assert.deepEqual(result.matches.map(m => m.end - m.start), [2, 2]);
+    });
+
+    it('treats the last word as a prefix', () => {
+        assert.deepEqual(starts(findMatches(words, 'the wor', 10)), ['the']);
+        assert.equal(findMatches(words, 'wor the', 10).total, 0);
+        assert.deepEqual(starts(findMatches(words, 'cafe mull', 10)), ['Café']);
+        assert.equal(findMatches(words, "don't", 10).total, 1);
+    });
+
+    it('counts past the limit', () => {
+        const result = findMatches(words, 'it', 2);
+        assert.equal(result.matches.length, 2);
+        assert.equal(result.total, 3);
+    });
+
+    it('finds nothing for an empty query', () => {
+        assert.deepEqual(findMatches(words, ' - ', 10), { matches: [], total: 0 });
+    });
+});
+
+describe('leadInIndex', () => {
+    it('backs up a few words without leaving the sentence', () => {
+        const worst = tokens.findIndex(t => t.word === 'worst');
+        assert.equal(tokens[leadInIndex(tokens, worst)].word, 'It');
+        const wisdom = tokens.findIndex(t => t.word === 'wisdom');
+        assert.equal(wisdom - leadInIndex(tokens, wisdom), 4);
+        assert.equal(leadInIndex(tokens, 1), 0);
+    });
+});
+
+describe('searchWorkerSource', () => {
+    it('runs on its own as a worker script', () => {
+        const posted = [];
+        const self = { postMessage: (message) => posted.push(message) };
+        new Function('self', searchWorkerSource())(self);
+        self.onmessage({ data: { type: 'load', words: tokens.map(t => t.word) } });
+        self.onmessage({ data: { type: 'search', id: 7, query: 'age of', limit: 10 } });
+        assert.equal(posted.length, 1);
+        assert.equal(posted[0].id, 7);
+        assert.equal(posted[0].total, 1);
+    });
+});
+
+describe('DocumentSearch', () => {
+    it('searches on the main thread without workers', async () => {
+        const search = new DocumentSearch();
+        search.load(tokens);
+        const result = await search.search('best of');
+        assert.deepEqual(starts(result), ['best']);
+        search.load(tokenize('Something else entirely'));
+        assert.equal((await search.search('best')).total, 0);
+    });
+});
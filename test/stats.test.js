@@ -0,0 +1,120 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { SessionTracker, readingStreaks, summarizeSessions, dailyActivity, weeklySpeed, bookStats } from '../src/stats.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = new Date(2024, 5, 12, 20, 0).getTime(); // A Wednesday evening
+const speed = { wpm: 300, ramping: false };
+
+function session(daysAgo, wordsRead, durationMs = 60000, docId = 'doc') {
+    const startedAt = NOW - daysAgo * DAY;
+    return { id: `s${daysAgo}_${docId}`, docId, startedAt, endedAt: startedAt + durationMs, wordsRead, durationMs };
+}
+
+describe('SessionTracker', () => {
+    it('counts words read and time spent between start and stop', () => {
+        const clock = { now: () => 1000 };
+        const tracker = new SessionTracker(clock);
+        tracker.start('doc', 10, speed);
+        tracker.progress(40, speed);
+        tracker.progress(70, { wpm: 350, ramping: true });
+        clock.now = () => 13000;
+        const saved = tracker.stop(75);
+        assert.equal(saved.wordsRead, 65);
+        assert.equal(saved.durationMs, 12000);
+        assert.equal(saved.wpm, 325);
+        assert.deepEqual([saved.minWpm, saved.maxWpm, saved.ramp], [300, 350, true]);
+        assert.equal(tracker.active, false);
+    });
+
+    it('leaves seeks out of the word count', () => {
+        const tracker = new SessionTracker({ now: () => 0 });
+        tracker.start('doc', 0, speed);
+        tracker.progress(10, speed);
+        tracker.progress(500, speed);
+        tracker.progress(300, speed);
+        assert.equal(tracker.stop(310).wordsRead, 20);
+    });
+
+    it('continues the same session after a brief stop', () => {
+        const clock = { now: () => 0 };
+        const tracker = new SessionTracker(clock);
+        tracker.start('doc', 0, speed);
+        clock.now = () => 5000;
+        const first = tracker.stop(20);
+        clock.now = () => 6000;
+        tracker.start('doc', 20, speed);
+        clock.now = () => 10000;
+        const second = tracker.stop(40);
+        assert.equal(second.id, first.id);
+        assert.equal(second.wordsRead, 40);
+        assert.equal(second.durationMs, 9000);
+
+        clock.now = () => 60000;
+        tracker.start('doc', 40, speed);
+        clock.now = () => 61000;
+        assert.notEqual(tracker.stop(45).id, first.id);
+    });
+
+    it('saves nothing when no words were read', () => {
+        const tracker = new SessionTracker({ now: () => 0 });
+        assert.equal(tracker.stop(0), null);
+        tracker.start('doc', 5, speed);
+        assert.equal(tracker.stop(5), null);
+    });
+});
+
+describe('readingStreaks', () => {
+    it('keeps the current streak until a whole day is missed', () => {
+        const sessions = [session(1, 100), session(2, 100), session(3, 100)];
+        assert.deepEqual(readingStreaks(sessions, NOW), { current: 3, longest: 3 });
+        assert.deepEqual(readingStreaks([...sessions, session(0, 50)], NOW), { current: 4, longest: 4 });
+        assert.deepEqual(readingStreaks([session(2, 100)], NOW), { current: 0, longest: 1 });
+    });
+
+    it('finds the longest run anywhere in the history', () => {
+        const sessions = [session(0, 10), session(10, 10), session(11, 10), session(12, 10), session(20, 0)];
+        assert.deepEqual(readingStreaks(sessions, NOW), { current: 1, longest: 3 });
+    });
+});
+
+describe('summaries', () => {
+    it('totals words, time and speed', () => {
+        const summary = summarizeSessions([session(0, 300), session(1, 600, 120000)], NOW);
+        assert.equal(summary.words, 900);
+        assert.equal(summary.durationMs, 180000);
+        assert.equal(summary.wpm, 300);
+        assert.equal(summary.streak, 2);
+    });
+
+    it('buckets words by day with today last', () => {
+        const days = dailyActivity([session(0, 100), session(0, 50), session(2, 30), session(9, 999)], 3, NOW);
+        assert.deepEqual(days.map(d => d.words), [30, 0, 150]);
+    });
+
+    it('averages speed per week starting on Monday', () => {
+        // Monday and Tuesday are this week; last Sunday is the week before
+        const weeks = weeklySpeed([session(2, 600, 120000), session(1, 300, 60000), session(3, 200, 60000)], 2, NOW);
+        assert.equal(new Date(weeks[1].weekStart).getDay(), 1);
+        assert.deepEqual(weeks.map(w => w.wpm), [200, 300]);
+    });
+});
+
+describe('bookStats', () => {
+    it('gives time spent, speed and the time left at that speed', () => {
+        const docs = [
+            { id: 'a', title: 'A', wordCount: 1000, progress: { currentIndex: 400 } },
+            { id: 'b', title: 'B', wordCount: 500, progress: { currentIndex: 499 } },
+            { id: 'c', title: 'C', wordCount: 800 }
+        ];
+        const sessions = [session(3, 200, 60000, 'a'), session(1, 200, 60000, 'a'), session(2, 500, 60000, 'b')];
+        const [a, b] = bookStats(sessions, docs);
+        assert.equal(a.doc.id, 'a');
+        assert.equal(a.durationMs, 120000);
+        assert.equal(a.wpm, 200);
+        assert.equal(a.remainingMs, 3 * 60000);
+        assert.equal(b.finished, true);
+        assert.equal(b.remainingMs, null);
+        assert.equal(bookStats(sessions, docs).length, 2);
+    });
+});
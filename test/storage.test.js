@@ -0,0 +1,38 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { estimateBytes, isFinished, formatBytes, formatWordCount } from '../src/storage.js';
+
+describe('estimateBytes', () => {
+    it('counts strings as UTF-16 and typed arrays by their buffers', () => {
+        assert.equal(estimateBytes('abcd'), 8);
+        assert.equal(estimateBytes(new Float64Array(10)), 80);
+        assert.equal(estimateBytes({ id: 'ab', n: 1, list: [true, null] }), 4 + 4 + 2 + 8 + 8 + 4);
+    });
+});
+
+describe('isFinished', () => {
+    it('is true once the last word is reached', () => {
+        assert.equal(isFinished({ wordCount: 100, progress: { currentIndex: 99 } }), true);
+        assert.equal(isFinished({ wordCount: 100, progress: { currentIndex: 50 } }), false);
+        assert.equal(isFinished({ wordCount: 100 }), false);
+        assert.equal(isFinished({ wordCount: 0, progress: { currentIndex: 0 } }), false);
+    });
+});
+
+describe('formatBytes', () => {
+    it('picks a readable unit', () => {
+        assert.equal(formatBytes(512), '512 B');
+        assert.equal(formatBytes(1536), '1.5 KB');
+        assert.equal(formatBytes(840 * 1024), '840 KB');
+        assert.equal(formatBytes(12.5 * 1024 * 1024), '13 MB');
+        assert.equal(formatBytes(3 * 1024 ** 3), '3.0 GB');
+    });
+});
+
+describe('formatWordCount', () => {
+    it('shortens thousands', () => {
+        assert.equal(formatWordCount(1), '1 word');
+        assert.equal(formatWordCount(840), '840 words');
+        assert.equal(formatWordCount(12_480), '12.5k words');
+    });
+});
@@ -0,0 +1,216 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { quietConsole } from './helpers/environment.js';
+import { SyncManager, isNewer, enqueue } from '../src/sync.js';
+import { createSyncServer } from '../sync-server.js';
+
+quietConsole();
+
+// The slice of PersistenceLayer that SyncManager uses, in memory
+function memoryPersistence(docs = []) {
+    const library = new Map(docs.map(doc => [doc.id, structuredClone(doc)]));
+    const settings = new Map();
+    return {
+        library,
+        settings,
+        async getDocument(id) { return structuredClone(library.get(id)); },
+        async saveDocument(doc) { library.set(doc.id, structuredClone(doc)); return doc; },
+        async getSetting(key, defaultValue = null) { return settings.has(key) ? structuredClone(settings.get(key).value) : defaultValue; },
+        async getSettingRecord(key) { return settings.get(key) || null; },
+        async saveSetting(key, value, updatedAt = Date.now()) { settings.set(key, { key, value: structuredClone(value), updatedAt }); }
+    };
+}
+
+const book = (currentIndex, updatedAt) => ({
+    id: 'doc_1', title: 'Book', addedAt: 1, progress: { currentIndex, wpm: 300, mode: 'reading', updatedAt }
+});
+
+describe('sync helpers', () => {
+    it('isNewer compares updatedAt, treating missing as oldest', () => {
+        assert.equal(isNewer({ updatedAt: 5 }, 4), true);
+        assert.equal(isNewer({ updatedAt: 5 }, 5), false);
+        assert.equal(isNewer({ updatedAt: 5 }, undefined), true);
+    });
+
+    it('enqueue keeps only the newest change per item', () => {
+        let queue = [];
+        queue = enqueue(queue, { kind: 'progress', id: 'a', updatedAt: 2 });
+        queue = enqueue(queue, { kind: 'progress', id: 'a', updatedAt: 1 });
+        queue = enqueue(queue, { kind: 'setting', id: 'a', updatedAt: 1 });
+        queue = enqueue(queue, { kind: 'progress', id: 'a', updatedAt: 3 });
+        assert.deepEqual(queue.map(r => `${r.kind}:${r.updatedAt}`), ['setting:1', 'progress:3']);
+    });
+});
+
+describe('SyncManager with the reference server', () => {
+    let server;
+    let endpoint;
+    const devices = [];
+
+    before(async () => {
+        server = createSyncServer({ token: 'secret' });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        endpoint = `http://127.0.0.1:${server.address().port}/`;
+    });
+
+    after(async () => {
+        devices.forEach(device => device.stop());
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    function device(persistence, fetchImpl) {
+        const manager = new SyncManager(persistence, {}, fetchImpl);
+        manager.configure({ endpoint, token: 'secret' });
+        devices.push(manager);
+        return manager;
+    }
+
+    it('carries progress to another device, last writer wins', async () => {
+        const phone = memoryPersistence([book(0, 100)]);
+        const laptop = memoryPersistence([book(0, 100)]);
+        const phoneSync = device(phone);
+        const laptopSync = device(laptop);
+
+        await phoneSync.trackProgress(book(500, 200));
+        await phoneSync.flush();
+        await laptopSync.flush();
+        assert.equal(laptop.library.get('doc_1').progress.currentIndex, 500);
+
+        // An older change arriving late does not win
+        await laptopSync.trackProgress(book(50, 150));
+        await laptopSync.flush();
+        await phoneSync.flush();
+        assert.equal(phone.library.get('doc_1').progress.currentIndex, 0);
+    });
+
+    it('syncs reading settings but not device-specific ones', async () => {
+        const a = memoryPersistence();
+        const b = memoryPersistence();
+        const aSync = device(a);
+        const bSync = device(b);
+        await b.saveSetting('defaultWPM', 250, 1);
+
+        await aSync.trackSetting('defaultWPM', 450, 10);
+        await aSync.trackSetting('fontSize', 90, 10);
+        await aSync.flush();
+        await bSync.flush();
+        assert.equal(b.settings.get('defaultWPM').value, 450);
+        assert.equal(b.settings.has('fontSize'), false);
+    });
+
+    it('drops document fields of the wrong type', async () => {
+        const persistence = memoryPersistence([{ ...book(0, 100), author: 'Ann' }]);
+        const sender = device(memoryPersistence());
+        const sync = device(persistence);
+        await sender.track({
+            kind: 'document', id: 'doc_1', updatedAt: 50,
+            value: { title: 'Renamed', author: { html: '<img>' }, wordCount: '900', tags: ['a', 1] }
+        });
+        await sender.flush();
+        await sync.flush();
+        const doc = persistence.library.get('doc_1');
+        assert.equal(doc.title, 'Renamed');
+        assert.equal(doc.author, 'Ann');
+        assert.equal(doc.wordCount, undefined);
+        assert.equal(doc.tags, undefined);
+    });
+
+    it('drops progress and settings of the wrong type', async () => {
+        const persistence = memoryPersistence([{ ...book(10, 100), id: 'doc_typed' }]);
+        const sender = device(memoryPersistence());
+        const sync = device(persistence);
+        await sender.track({ kind: 'progress', id: 'doc_typed', updatedAt: 200, value: { currentIndex: -5, wpm: 300, updatedAt: 200 } });
+        await sender.track({ kind: 'setting', id: 'customTimingProfiles', updatedAt: 200, value: { id: 'fast' } });
+        await sender.track({ kind: 'setting', id: 'collections', updatedAt: 200, value: [{ id: 'c1' }] });
+        await sender.track({ kind: 'setting', id: 'showGuides', updatedAt: 200, value: 'no' });
+        await sender.track({ kind: 'setting', id: 'defaultWPM', updatedAt: 200, value: 450 });
+        await sender.flush();
+        await sync.flush();
+        assert.equal(persistence.library.get('doc_typed').progress.currentIndex, 10);
+        assert.equal(persistence.settings.get('defaultWPM').value, 450);
+        for (const key of ['customTimingProfiles', 'collections', 'showGuides']) assert.equal(persistence.settings.has(key), false);
+    });
+
+    it('does not adopt held progress of the wrong type', async () => {
+        const sender = device(memoryPersistence());
+        const sync = device(memoryPersistence());
+        await sender.track({ kind: 'progress', id: 'doc_held', updatedAt: 200, value: { currentIndex: 9, wpm: 'fast' } });
+        await sender.flush();
+        await sync.flush();
+        const imported = { ...book(0, Date.now()), id: 'doc_held' };
+        assert.equal(await sync.adoptPending(imported), false);
+        assert.equal(imported.progress.currentIndex, 0);
+    });
+
+    it('holds progress for unknown documents until they are imported', async () => {
+        const a = memoryPersistence([{ ...book(900, 300), id: 'doc_new' }]);
+        const b = memoryPersistence();
+        const aSync = device(a);
+        const bSync = device(b);
+        await aSync.trackProgress(a.library.get('doc_new'));
+        await aSync.flush();
+        await bSync.flush();
+
+        const imported = { ...book(0, Date.now()), id: 'doc_new' };
+        assert.equal(await bSync.adoptPending(imported), true);
+        assert.equal(imported.progress.currentIndex, 900);
+        assert.equal(await bSync.adoptPending(imported), false);
+    });
+
+    it('keeps changes queued while the server is unreachable', async () => {
+        const persistence = memoryPersistence([book(0, 100)]);
+        let online = false;
+        const flaky = (...args) => online ? fetch(...args) : Promise.reject(new TypeError('fetch failed'));
+        const sync = device(persistence, flaky);
+
+        await sync.trackProgress(book(42, 500));
+        await sync.flush();
+        assert.equal(sync.state.queue.length, 1);
+        assert.equal((await persistence.getSetting('syncState')).queue.length, 1);
+
+        online = true;
+        await sync.flush();
+        assert.equal(sync.state.queue.length, 0);
+        assert.ok(sync.state.cursor > 0);
+    });
+});
+
+describe('reference sync server', () => {
+    let server;
+    let url;
+
+    before(async () => {
+        server = createSyncServer({ token: 'secret' });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        url = `http://127.0.0.1:${server.address().port}/v1/sync`;
+    });
+
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    const post = (body, token = 'secret') => fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+        body: typeof body === 'string' ? body : JSON.stringify(body)
+    });
+
+    it('requires the configured token', async () => {
+        const res = await post({ deviceId: 'd', cursor: 0, changes: [] }, 'wrong');
+        assert.equal(res.status, 401);
+    });
+
+    it('rejects malformed requests', async () => {
+        assert.equal((await post('not json')).status, 400);
+        assert.equal((await post({ deviceId: 'd', changes: [{ kind: 'nope', id: 'x', updatedAt: 1 }] })).status, 400);
+    });
+
+    it('returns changes after the cursor, excluding the ones just sent', async () => {
+        const first = await (await post({ deviceId: 'a', cursor: 0, changes: [{ kind: 'setting', id: 'mode', updatedAt: 5, value: 'skim' }] })).json();
+        assert.deepEqual(first.changes, []);
+
+        const second = await (await post({ deviceId: 'b', cursor: 0, changes: [] })).json();
+        assert.deepEqual(second.changes, [{ kind: 'setting', id: 'mode', updatedAt: 5, value: 'skim' }]);
+
+        const third = await (await post({ deviceId: 'b', cursor: second.cursor, changes: [] })).json();
+        assert.deepEqual(third.changes, []);
+    });
+});
@@ -0,0 +1,125 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { quietConsole } from './helpers/environment.js';
+import { TOKEN_FORMAT_VERSION, tokenize, tokenizeSections } from '../src/engine/tokenizer.js';
+import {
+    isStaleTokenRecord,
+    encodeTokens,
+    decodeTokens,
+    packTokenRecord,
+    unpackTokenRecord,
+    remapIndex,
+    rebuildTokenCache
+} from '../src/token-cache.js';
+
+quietConsole();
+
+// Format 1 cached raw words with punctuation attached
+const rawTokens = (text) => text.split(/\s+/).map(word => ({ word, baseDurationMs: 300 }));
+
+describe('isStaleTokenRecord', () => {
+    it('treats records without a format stamp as format 1', () => {
+        assert.equal(isStaleTokenRecord({ docId: 'd', tokens: [] }), TOKEN_FORMAT_VERSION !== 1);
+        assert.equal(isStaleTokenRecord({ docId: 'd', tokens: [], format: TOKEN_FORMAT_VERSION }), false);
+        assert.equal(isStaleTokenRecord(null), false);
+    });
+});
+
+describe('compact token storage', () => {
+    const tokens = tokenize('Dr. Smith paid $1,200 (roughly)!\n\nThe U.S. team — finally — arrived: 3 days late, naïve as ever.');
+
+    it('round-trips tokens through columns', () => {
+        const columns = encodeTokens(tokens);
+        assert.equal(columns.count, tokens.length);
+        assert.ok(columns.flags instanceof Uint8Array);
+        assert.deepEqual(decodeTokens(columns), tokens);
+        assert.deepEqual(decodeTokens(encodeTokens([])), []);
+    });
+
+    it('packs current records and passes stale ones through', () => {
+        const packed = packTokenRecord('doc_1', tokens, 42);
+        assert.equal(packed.tokens, undefined);
+        assert.deepEqual(unpackTokenRecord(packed), { docId: 'doc_1', format: TOKEN_FORMAT_VERSION, cachedAt: 42, tokens });
+
+        const stale = { docId: 'doc_2', tokens: rawTokens('old words.'), cachedAt: 1 };
+        assert.equal(unpackTokenRecord(stale), stale);
+        assert.equal(unpackTokenRecord(undefined), null);
+    });
+});
+
+describe('remapIndex', () => {
+    it('keeps the relative position within a section', () => {
+        // Sections of 10 and 20 tokens become 5 and 40
+        assert.equal(remapIndex(0, [0, 10], 30, [0, 5], 45), 0);
+        assert.equal(remapIndex(4, [0, 10], 30, [0, 5], 45), 2);
+        assert.equal(remapIndex(10, [0, 10], 30, [0, 5], 45), 5);
+        assert.equal(remapIndex(20, [0, 10], 30, [0, 5], 45), 25);
+        assert.equal(remapIndex(29, [0, 10], 30, [0, 5], 45), 43);
+    });
+
+    it('stays inside the new tokens', () => {
+        assert.equal(remapIndex(50, [0], 30, [0], 10), 9);
+        assert.equal(remapIndex(3, [0], 30, [0], 0), 0);
+    });
+});
+
+describe('rebuildTokenCache', () => {
+    const source = ['One two three. Four — five!', 'Six seven eight nine ten.'];
+    const doc = {
+        id: 'doc_1',
+        chapters: [
+            { index: 0, title: 'First', startWord: 0, endWord: 5 },
+            { index: 1, title: 'Second', startWord: 6, endWord: 11 }
+        ],
+        toc: [{ title: 'Second', wordIndex: 6, children: [] }],
+        firstProseWordIndex: 6,
+        progress: { currentIndex: 6, wpm: 300, mode: 'reading', updatedAt: 1 }
+    };
+    const tokens = rawTokens(`${source[0]} ${source[1]}`).concat({ word: '*', baseDurationMs: 300 });
+
+    it('re-tokenizes the source and moves indexes onto the new tokens', () => {
+        const annotations = [{ id: 'a', docId: 'doc_1', type: 'bookmark', startIndex: 6, endIndex: 6 }];
+        const rebuilt = rebuildTokenCache({ doc, tokens, source, annotations });
+
+        const expected = tokenizeSections(source);
+        assert.deepEqual(rebuilt.tokens, expected.tokens);
+        assert.deepEqual(rebuilt.doc.chapters.map(c => [c.title, c.startWord, c.endWord]), [['First', 0, 4], ['Second', 5, 9]]);
+        assert.equal(rebuilt.doc.wordCount, 10);
+        assert.equal(rebuilt.doc.toc[0].wordIndex, 5);
+        assert.equal(rebuilt.doc.firstProseWordIndex, 5);
+        assert.equal(rebuilt.tokens[rebuilt.doc.progress.currentIndex].word, 'Six');
+        assert.equal(rebuilt.annotations[0].startIndex, rebuilt.doc.progress.currentIndex);
+        assert.deepEqual(rebuilt.source, source);
+    });
+
+    it('drops chapters whose source no longer produces tokens', () => {
+        const withEmpty = {
+            ...doc,
+            chapters: [{ index: 0, title: 'Cover', startWord: 0, endWord: 0 }, ...doc.chapters.map(c => ({ ...c, startWord: c.startWord + 1, endWord: c.endWord + 1 }))],
+            progress: { ...doc.progress, currentIndex: 7 }
+        };
+        const rebuilt = rebuildTokenCache({ doc: withEmpty, tokens: [{ word: '***' }, ...tokens], source: ['***', ...source] });
+        assert.deepEqual(rebuilt.doc.chapters.map(c => [c.index, c.title]), [[0, 'First'], [1, 'Second']]);
+        assert.deepEqual(rebuilt.source, source);
+        assert.equal(rebuilt.tokens[rebuilt.doc.progress.currentIndex].word, 'Six');
+    });
+
+    it('re-tokenizes a dropped cache from the source', () => {
+        // A current document whose cache was freed: indexes already match the source
+        const current = rebuildTokenCache({ doc, tokens, source }).doc;
+        const rebuilt = rebuildTokenCache({ doc: { ...current, progress: { ...current.progress, currentIndex: 7 } }, tokens: null, source });
+        assert.deepEqual(rebuilt.tokens, tokenizeSections(source).tokens);
+        assert.deepEqual(rebuilt.doc.chapters, current.chapters);
+        assert.equal(rebuilt.doc.progress.currentIndex, 7);
+        assert.throws(() => rebuildTokenCache({ doc, tokens: null, source: null }), /re-import/);
+    });
+
+    it('upgrades the cached tokens when there is no source', () => {
+        const rebuilt = rebuildTokenCache({ doc, tokens, source: null });
+        assert.deepEqual(rebuilt.tokens.map(t => t.word), ['One', 'two', 'three', 'Four', 'five', 'Six', 'seven', 'eight', 'nine', 'ten']);
+        assert.equal(rebuilt.tokens[2].flags.punctuation, 'terminal');
+        assert.deepEqual(rebuilt.doc.chapters.map(c => [c.startWord, c.endWord]), [[0, 4], [5, 9]]);
+        assert.equal(rebuilt.tokens[rebuilt.doc.progress.currentIndex].word, 'Six');
+        assert.equal(rebuilt.source, null);
+    });
+});
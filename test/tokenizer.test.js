@@ -0,0 +1,204 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { quietConsole } from './helpers/environment.js';
+import {
+    TIMING_CONFIGS,
+    calculateORP,
+    normalizeWords,
+    cleanForDisplay,
+    classifyPunctuation,
+    calculateMultiplier,
+    resolveTimingProfile,
+    retimeTokens,
+    tokenize,
+    upgradeTokens,
+    getDisplayDuration,
+    resetDurationClamp
+} from '../src/engine/tokenizer.js';
+
+quietConsole();
+
+describe('calculateORP', () => {
+    // [length, expected pivot index]
+    const table = [
+        [1, 0], [2, 0], [3, 1], [4, 1], [5, 1], [6, 2], [7, 2], [8, 2], [9, 2],
+        [10, 3], [13, 3], [14, 4], [17, 4], [18, 5], [25, 7]
+    ];
+
+    for (const [length, expected] of table) {
+        it(`puts the pivot at ${expected} for ${length} letters`, () => {
+            assert.equal(calculateORP('x'.repeat(length)), expected);
+        });
+    }
+
+    it('counts grapheme clusters, not code units', () => {
+        // "cafe" + combining acute, and a flag emoji surrogate pair
+        assert.equal(calculateORP('cafés'), calculateORP('cafes'));
+        assert.equal(calculateORP('\u{1F1EB}\u{1F1F7}ab'), calculateORP('xab'));
+    });
+});
+
+describe('normalizeWords', () => {
+    it('merges orphan punctuation into the previous word', () => {
+        assert.deepEqual(normalizeWords(['Wait', '...', 'what']), ['Wait ...', 'what']);
+    });
+
+    it('merges leading orphan punctuation into the next word', () => {
+        assert.deepEqual(normalizeWords(['"', 'Hello']), ['" Hello']);
+    });
+
+    it('treats a short standalone dash as orphan punctuation', () => {
+        assert.deepEqual(normalizeWords(['well', '—', 'known']), ['well —', 'known']);
+    });
+
+    it('glues longer dash runs onto the previous word', () => {
+        assert.deepEqual(normalizeWords(['well', '————', 'known']), ['well————', 'known']);
+    });
+
+    it('drops empty words', () => {
+        assert.deepEqual(normalizeWords(['a', '', 'b']), ['a', 'b']);
+    });
+});
+
+describe('cleanForDisplay', () => {
+    it('keeps contractions with a straight apostrophe', () => {
+        assert.equal(cleanForDisplay('don’t,'), "don't");
+    });
+
+    it('strips punctuation but keeps diacritics composed', () => {
+        assert.equal(cleanForDisplay('(café!)'), 'café');
+    });
+});
+
+describe('classifyPunctuation', () => {
+    it('classifies by trailing punctuation', () => {
+        assert.equal(classifyPunctuation('end.'), 'terminal');
+        assert.equal(classifyPunctuation('why?'), 'terminal');
+        assert.equal(classifyPunctuation('list:'), 'major');
+        assert.equal(classifyPunctuation('pause,'), 'minor');
+        assert.equal(classifyPunctuation('word'), 'none');
+    });
+
+    it('recognises CJK and Arabic punctuation', () => {
+        assert.equal(classifyPunctuation('終わり。'), 'terminal');
+        assert.equal(classifyPunctuation('لماذا؟'), 'terminal');
+        assert.equal(classifyPunctuation('而且，'), 'minor');
+    });
+});
+
+describe('tokenize', () => {
+    it('flags paragraph boundaries and punctuation', () => {
+        const tokens = tokenize('Hello, world.\n\nNext one');
+        assert.deepEqual(tokens.map(t => t.word), ['Hello', 'world', 'Next', 'one']);
+        assert.deepEqual(tokens.map(t => t.flags.punctuation), ['minor', 'terminal', 'none', 'none']);
+        assert.deepEqual(tokens.map(t => t.flags.isParagraphStart), [true, false, true, false]);
+        assert.deepEqual(tokens.map(t => t.flags.isParagraphEnd), [false, true, false, true]);
+    });
+
+    it('splits words joined by dashes', () => {
+        const tokens = tokenize('faster—we’re here');
+        assert.deepEqual(tokens.map(t => t.word), ['faster', "we're", 'here']);
+    });
+
+    it('skips tokens with no letters or numbers', () => {
+        assert.deepEqual(tokenize('*** 42 ***').map(t => t.word), ['42']);
+    });
+
+    it('segments Japanese text when the language says so', () => {
+        const tokens = tokenize('私は学生です。', 'reading', { language: 'ja' });
+        assert.ok(tokens.length > 1);
+        assert.equal(tokens.map(t => t.word).join(''), '私は学生です');
+        assert.equal(tokens[tokens.length - 1].flags.punctuation, 'terminal');
+    });
+
+    it('uses the skim profile for skim mode', () => {
+        const [reading] = tokenize('End.', 'reading');
+        const [skim] = tokenize('End.', 'skim');
+        assert.equal(reading.multiplier, TIMING_CONFIGS.reading.paragraphEndMultiplier);
+        assert.equal(skim.multiplier, TIMING_CONFIGS.skim.paragraphEndMultiplier);
+    });
+});
+
+describe('timing profiles', () => {
+    it('caps the multiplier at maxMultiplier', () => {
+        const flags = { punctuation: 'terminal', isParagraphEnd: true, wordLength: 12, isNumeric: true };
+        const profile = { ...TIMING_CONFIGS.reading, longWordMultiplier: 2, numericMultiplier: 2 };
+        assert.equal(calculateMultiplier(flags, profile), profile.maxMultiplier);
+    });
+
+    it('fills custom profiles from the reading defaults', () => {
+        const custom = [{ id: 'custom-1', name: 'Slow commas', multipliers: { minorPunctMultiplier: 1.3 } }];
+        const profile = resolveTimingProfile('custom-1', custom);
+        assert.equal(profile.minorPunctMultiplier, 1.3);
+        assert.equal(profile.terminalPunctMultiplier, TIMING_CONFIGS.reading.terminalPunctMultiplier);
+    });
+
+    it('falls back to reading for unknown modes', () => {
+        assert.equal(resolveTimingProfile('custom-deleted', []), TIMING_CONFIGS.reading);
+    });
+
+    it('re-times tokens in place from their flags', () => {
+        const tokens = tokenize('One, two.');
+        retimeTokens(tokens, TIMING_CONFIGS.skim);
+        assert.deepEqual(tokens.map(t => t.multiplier), [
+            TIMING_CONFIGS.skim.minorPunctMultiplier,
+            TIMING_CONFIGS.skim.paragraphEndMultiplier
+        ]);
+    });
+});
+
+describe('getDisplayDuration', () => {
+    const plain = (multiplier) => ({ word: 'word', multiplier, flags: { punctuation: 'none' } });
+
+    beforeEach(() => resetDurationClamp());
+
+    it('scales 60000 / wpm by the token multiplier', () => {
+        assert.equal(getDisplayDuration(plain(1), 600), 100);
+        assert.equal(getDisplayDuration(plain(1.25), 600, false), 125);
+    });
+
+    it('keeps consecutive plain words within 0.85-1.15 of the previous one', () => {
+        assert.equal(getDisplayDuration(plain(1), 600), 100);
+        assert.equal(getDisplayDuration(plain(1.3), 600), 115);
+        assert.equal(getDisplayDuration(plain(0.5), 600), 98); // 115 * 0.85
+    });
+
+    it('exempts hard stops from the clamp', () => {
+        getDisplayDuration(plain(1), 600);
+        const stop = { word: 'end', multiplier: 1.35, flags: { punctuation: 'terminal' } };
+        assert.equal(getDisplayDuration(stop, 600), 135);
+    });
+
+    it('starts fresh after resetDurationClamp', () => {
+        getDisplayDuration(plain(1), 600);
+        resetDurationClamp();
+        assert.equal(getDisplayDuration(plain(1.3), 600), 130);
+    });
+});
+
+describe('upgradeTokens', () => {
+    it('converts raw words with baseDurationMs to display words with multipliers', () => {
+        const indexMap = [];
+        const upgraded = upgradeTokens([
+            { word: 'Hello,', baseDurationMs: 300, flags: { isParagraphStart: true } },
+            { word: '—', baseDurationMs: 300 },
+            { word: 'world.', baseDurationMs: 300 }
+        ], TIMING_CONFIGS.reading, indexMap);
+
+        assert.deepEqual(upgraded.map(t => t.word), ['Hello', 'world']);
+        assert.equal(upgraded[0].flags.isParagraphStart, true);
+        assert.equal(upgraded[0].flags.punctuation, classifyPunctuation('Hello,'));
+        assert.equal(upgraded[1].flags.punctuation, 'terminal');
+        assert.equal(upgraded[1].multiplier, calculateMultiplier(upgraded[1].flags, TIMING_CONFIGS.reading));
+        assert.equal(upgraded[0].baseDurationMs, undefined);
+        // The dropped dash maps to the word after it
+        assert.deepEqual(indexMap, [0, 1, 1]);
+    });
+
+    it('keeps the flags of tokens that are already clean', () => {
+        const [token] = upgradeTokens([{ word: 'end', flags: { punctuation: 'terminal', isParagraphEnd: true } }]);
+        assert.equal(token.flags.punctuation, 'terminal');
+        assert.equal(token.flags.isParagraphEnd, true);
+        assert.equal(typeof token.multiplier, 'number');
+    });
+});